@@ -0,0 +1,124 @@
+// /api/retainer/account-activate.js
+// Client-chosen passwords for retainer accounts (see lib/retainer/account.js).
+//
+//   POST { token, password }        → activate a password-less account from the
+//                                     emailed link; answers a customer access token
+//                                     and a session JWT for the record endpoints
+//   POST { action:'resend', email } → email a fresh activation link (DISABLED/INVITED only)
+//   POST { action:'recover', email }→ Shopify emails a password reset link
+//   POST { reset_url, password }    → set a new password from that reset link
+//
+// resend/recover always answer { ok:true } so they can't be used to probe for
+// accounts; resend answers 503 for every address when no email provider is
+// configured (NOTIFIER other than "provider"). Every action is rate
+// limited per IP and per email/customer.
+
+import {
+  checkEnv, cors, findCustomerByEmail, isEmail, normEmail, passwordProblem,
+  verifyToken, ACTIVATE_PURPOSE, getCustomerAccount, issueActivation, canDeliver,
+  activateCustomer, recoverCustomer, resetCustomer, rateLimit, clientIp, issueSession,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('account-activate');
+
+const WINDOW = 15 * 60;
+
+const TOKEN_ERRORS = {
+  invalid:       'This link is invalid. Request a new one.',
+  wrong_purpose: 'This link is invalid. Request a new one.',
+  expired:       'This link has expired. Request a new one.',
+};
+
+// Shopify customerUserErrors → one message
+const plainErrors = errs => errs.map(e => e?.message).filter(Boolean).join(' ') || 'Could not set your password.';
+
+async function activate(req, res, p){
+  const chk = verifyToken(p.token, { purpose: ACTIVATE_PURPOSE });
+  if (!chk.ok) return res.status(400).json({ ok:false, code: chk.error, error: TOKEN_ERRORS[chk.error] });
+  const { sub, email } = chk.claims;
+
+  if (await rateLimit(res, 'account-activate', [{ key:`customer:${sub}`, limit:5, windowSeconds:WINDOW }])) return;
+
+  const customer = await getCustomerAccount(sub);
+  if (!customer || normEmail(customer.email) !== normEmail(email)) {
+    return res.status(400).json({ ok:false, code:'invalid', error: TOKEN_ERRORS.invalid });
+  }
+  if (customer.state === 'ENABLED') {
+    return res.status(409).json({ ok:false, code:'already_active', error:'Your account is already set up. Sign in, or reset your password.' });
+  }
+
+  const problem = passwordProblem(p.password, { email: customer.email });
+  if (problem) return res.status(400).json({ ok:false, code:'weak_password', error: problem });
+
+  const r = await activateCustomer(customer.id, p.password);
+  if (!r.ok) return res.status(200).json({ ok:false, error: plainErrors(r.errors) });
+  const session = issueSession(customer);
+  return res.status(200).json({
+    ok:true, customer_id: customer.id, access_token: r.accessToken, expires_at: r.expiresAt,
+    session_token: session.token, session_expires_at: session.expires_at,
+  });
+}
+
+async function resend(req, res, email){
+  if (await rateLimit(res, 'account-activate', [{ key:`email:${email}`, limit:3, windowSeconds:WINDOW }])) return;
+  // Checked before the lookup, so the answer says nothing about the account.
+  if (!canDeliver()) return res.status(503).json({ ok:false, error:'Activation emails are unavailable right now. Please try again later.' });
+  const found = await findCustomerByEmail(email);
+  if (found?.id && found.state !== 'ENABLED') {
+    const customer = await getCustomerAccount(found.id);
+    try {
+      await issueActivation({ id: customer.id, email: customer.email, firstName: customer.firstName });
+    } catch (e) {
+      console.error('activation resend failed', e?.message || e);
+    }
+  }
+  return res.status(200).json({ ok:true });
+}
+
+async function recover(req, res, email){
+  if (await rateLimit(res, 'account-activate', [{ key:`email:${email}`, limit:3, windowSeconds:WINDOW }])) return;
+  const r = await recoverCustomer(email);
+  if (!r.ok) console.warn('customerRecover errors', JSON.stringify(r.errors));
+  return res.status(200).json({ ok:true });
+}
+
+async function reset(req, res, p){
+  let url;
+  try { url = new URL(String(p.reset_url)); } catch(_){ url = null; }
+  if (!url || !/\/account\/reset\//.test(url.pathname)) return res.status(400).json({ ok:false, error:'invalid reset link' });
+
+  const problem = passwordProblem(p.password);
+  if (problem) return res.status(400).json({ ok:false, code:'weak_password', error: problem });
+
+  const r = await resetCustomer(url.toString(), p.password);
+  if (!r.ok) return res.status(200).json({ ok:false, error: plainErrors(r.errors) });
+  const session = r.customer?.id ? issueSession(r.customer) : null;
+  return res.status(200).json({
+    ok:true, customer_id: r.customer?.id || null, access_token: r.accessToken, expires_at: r.expiresAt,
+    session_token: session?.token || null, session_expires_at: session?.expires_at || null,
+  });
+}
+
+export default async function handler(req, res){
+  cors(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST')    return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  try{
+    const p = req.body || {};
+    if (await rateLimit(res, 'account-activate', [{ key:`ip:${clientIp(req)}`, limit:20, windowSeconds:WINDOW }])) return;
+
+    if (p.action === 'resend' || p.action === 'recover') {
+      const email = normEmail(p.email);
+      if (!isEmail(email)) return res.status(400).json({ ok:false, error:'invalid or missing email' });
+      return p.action === 'resend' ? resend(req, res, email) : recover(req, res, email);
+    }
+    if (p.reset_url) return reset(req, res, p);
+    if (p.token)     return activate(req, res, p);
+    return res.status(400).json({ ok:false, error:'expected token, reset_url, or action' });
+  }catch(e){
+    console.error('account-activate error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
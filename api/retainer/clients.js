@@ -0,0 +1,61 @@
+// /api/retainer/clients.js
+// Staff only: list and search retainer clients (lib/retainer/clients.js).
+//
+//   GET ?q=&plan=&term=&status=&insurer=&has_bi=yes|no
+//       &signed_from=YYYY-MM-DD&signed_to=YYYY-MM-DD
+//       &missing=signature,drivers_license,car_insurance
+//       &sort=-updated_at (updated_at | signed_at | retainer_end | full_name | email; "-" = descending)
+//       &limit=25 (max 100) &cursor=<next_cursor> &include=dob,household,...
+//   → { ok:true, clients:[summary...], next_cursor }
+//
+// Summaries leave out dob, BI limits, household/vehicle details, notes and the
+// signature path; name them in `include` to get them (each read is logged).
+
+import {
+  checkEnv, cors, authenticate, searchClients, parseClientFilters, CLIENT_SORTS, CLIENT_INCLUDES,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('clients');
+
+const MAX_LIMIT = 100;
+
+// Query string → { filters, opts } | { error }
+function parseQuery(q){
+  const { filters, error } = parseClientFilters(q);
+  if (error) return { error };
+
+  const sort = q.sort ? String(q.sort) : '-updated_at';
+  if (!CLIENT_SORTS.includes(sort.replace(/^-/, ''))) return { error:`sort must be one of ${CLIENT_SORTS.join(', ')} (prefix "-" for descending)` };
+  const limit = q.limit === undefined ? 25 : parseInt(q.limit, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return { error:`limit must be 1–${MAX_LIMIT}` };
+  const include = String(q.include || '').split(',').map(s => s.trim()).filter(Boolean);
+  if (include.some(f => !CLIENT_INCLUDES.includes(f))) return { error:`include must list any of ${CLIENT_INCLUDES.join(', ')}` };
+
+  return { filters, opts:{ sort, limit, include, cursor: q.cursor || null } };
+}
+
+export default async function handler(req, res){
+  cors(res, req.headers.origin, { methods:'GET, OPTIONS', headers:'Content-Type, Authorization' });
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET')     return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  try{
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json({ ok:false, error: auth.error });
+    const who = auth.identity;
+    if (who.role !== 'staff') return res.status(403).json({ ok:false, error:'staff only' });
+
+    const parsed = parseQuery(req.query || {});
+    if (parsed.error) return res.status(400).json({ ok:false, error: parsed.error });
+
+    const { clients, next_cursor } = await searchClients(parsed.filters, parsed.opts);
+    console.log('clients staff read', JSON.stringify({ staff: who.sub, filters: parsed.filters, include: parsed.opts.include, returned: clients.length }));
+    return res.status(200).json({ ok:true, clients, next_cursor });
+  }catch(e){
+    if (e.status === 400) return res.status(400).json({ ok:false, error: e.message });
+    console.error('clients error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
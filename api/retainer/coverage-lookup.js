@@ -0,0 +1,46 @@
+// /api/retainer/coverage-lookup.js
+// Staff only: is this caller, household member or vehicle covered by a
+// retainer? (lib/retainer/coverage.js)
+//
+//   GET ?name=&dob=YYYY-MM-DD     holder or household member, both required
+//       &phone=                   holder or household member
+//       &plate=[&plate_state=CA]  vehicle
+//       &vin=                     vehicle
+//   Any combination; a match on any one counts.
+//   → { ok:true, covered, matches:[{ holder:{ email, full_name, shopify_customer_id },
+//        coverage:{ status, active, plan, term, order, start, end, days_remaining },
+//        matched:[{ type: holder|household_member|vehicle, by: name_dob|phone|plate|vin, ... }] }] }
+//
+// `covered` is true when any matching retainer is active. Active retainers are
+// listed first. Each lookup is logged with the staff id.
+
+import {
+  checkEnv, cors, authenticate, parseLookup, lookupCoverage,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('coverage-lookup');
+
+export default async function handler(req, res){
+  cors(res, req.headers.origin, { methods:'GET, OPTIONS', headers:'Content-Type, Authorization' });
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET')     return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  try{
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json({ ok:false, error: auth.error });
+    const who = auth.identity;
+    if (who.role !== 'staff') return res.status(403).json({ ok:false, error:'staff only' });
+
+    const { criteria, error } = parseLookup(req.query || {});
+    if (error) return res.status(400).json({ ok:false, error });
+
+    const matches = await lookupCoverage(criteria);
+    console.log('coverage staff lookup', JSON.stringify({ staff: who.sub, by: Object.keys(criteria), returned: matches.length }));
+    return res.status(200).json({ ok:true, covered: matches.some(m => m.coverage.active), matches });
+  }catch(e){
+    console.error('coverage-lookup error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
@@ -0,0 +1,41 @@
+// /api/retainer/cron-sweep.js
+// Daily renewal/expiry sweep (see lib/retainer/sweeper.js), triggered by the
+// Vercel cron in vercel.json. Vercel sends "Authorization: Bearer $CRON_SECRET";
+// anything else is rejected. Also prunes old rate-limit hits, unclaimed
+// staged uploads and finished jobs.
+//
+//   GET ?dry_run=1   → report what would happen, write nothing
+//   GET ?today=YMD   → sweep as of another day (catch-up / local runs)
+
+import {
+  checkEnv, withAudit, setAuditActor, isCronRequest, isYMD, sweepRetainers, pruneRateLimitHits, pruneStagedUploads, pruneJobs,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('cron-sweep');
+
+async function handler(req, res){
+  if (req.method !== 'GET') return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+  if (!isCronRequest(req)) return res.status(401).json({ ok:false, error:'unauthorized' });
+  setAuditActor({ role:'system', id:'cron' });
+
+  try{
+    const q = req.query || {};
+    const dryRun = ['1', 'true', 'yes'].includes(String(q.dry_run || '').toLowerCase());
+    if (q.today && !isYMD(String(q.today))) return res.status(400).json({ ok:false, error:'today must be YYYY-MM-DD' });
+
+    const out = await sweepRetainers({ dryRun, ...(q.today ? { today: String(q.today) } : {}) });
+    if (!dryRun) {
+      await pruneRateLimitHits().catch(e => console.error('rate limit prune failed', e));
+      await pruneStagedUploads().catch(e => console.error('staged upload prune failed', e));
+      await pruneJobs().catch(e => console.error('job prune failed', e));
+    }
+    console.log('cron-sweep', JSON.stringify({ today: out.today, dry_run: out.dry_run, scanned: out.scanned, counts: out.counts, delivery: out.delivery }));
+    return res.status(200).json({ ok:true, ...out });
+  }catch(e){
+    console.error('cron-sweep error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
+
+export default withAudit('cron-sweep', handler);
@@ -1,31 +1,14 @@
 // /api/retainer/customer-create.js  (ESM on Vercel)
-const SHOP = process.env.SHOPIFY_SHOP; // 9x161v-j4.myshopify.com
-const SF_TOKEN = process.env.SHOPIFY_STOREFRONT_TOKEN; // Storefront API access token
-const ORIGINS = (process.env.ALLOWED_ORIGINS || '')
-  .split(',').map(s => s.trim()).filter(Boolean);
+// Storefront sign-up with a client-chosen password. The password must pass
+// passwordProblem(); attempts are rate limited per IP and per email.
 
-function cors(res, origin) {
-  if (origin && ORIGINS.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Vary', 'Origin');
-  }
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-}
+import {
+  checkEnv, cors, storefrontGql, isEmail, passwordProblem, rateLimit, clientIp,
+} from '../../lib/retainer/index.js';
 
-async function gql(query, variables) {
-  const r = await fetch(`https://${SHOP}/api/2024-07/graphql.json`, {
-    method: 'POST',
-    headers: {
-      'X-Shopify-Storefront-Access-Token': SF_TOKEN,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({ query, variables })
-  });
-  const j = await r.json();
-  if (!r.ok || j.errors) throw new Error(`GraphQL HTTP ${r.status}: ${JSON.stringify(j.errors || j)}`);
-  return j.data;
-}
+const ENV_ERROR = checkEnv('customer-create');
+
+const WINDOW = 10 * 60;
 
 const M = {
   customerCreate: `
@@ -42,15 +25,25 @@ export default async function handler(req, res) {
   cors(res, req.headers.origin);
   if (req.method === 'OPTIONS') return res.status(204).end();
   if (req.method !== 'POST') return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
 
   try {
     const p = req.body || {};
     const email = String(p.email || '').trim().toLowerCase();
-    const password = String(p.password || '').trim();
+    const password = String(p.password || '');
 
     if (!email || !password) {
       return res.status(400).json({ ok:false, error:'Missing email or password' });
     }
+    if (!isEmail(email)) return res.status(400).json({ ok:false, error:'invalid email' });
+
+    if (await rateLimit(res, 'customer-create', [
+      { key:`ip:${clientIp(req)}`, limit:5, windowSeconds:WINDOW },
+      { key:`email:${email}`,      limit:3, windowSeconds:WINDOW },
+    ])) return;
+
+    const problem = passwordProblem(password, { email, first_name: p.first_name, last_name: p.last_name });
+    if (problem) return res.status(400).json({ ok:false, code:'weak_password', error: problem });
 
     const input = {
       email,
@@ -61,7 +54,7 @@ export default async function handler(req, res) {
       acceptsMarketing: false
     };
 
-    const data = await gql(M.customerCreate, { input });
+    const data = await storefrontGql(M.customerCreate, { input });
     const errs = data.customerCreate.customerUserErrors || [];
     if (errs.length) {
       return res.status(200).json({ ok:false, error: `customerCreate errors: ${JSON.stringify(errs)}` });
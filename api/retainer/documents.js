@@ -0,0 +1,50 @@
+// /api/retainer/documents.js
+// GET → short-lived signed links to the caller's private documents
+// (lib/retainer/documents.js). Same auth as record.js: customers see their
+// own documents, staff pass ?email=. Optional ?kind= narrows to one kind.
+//   { ok:true, documents:[{ kind, content_type, uploaded_at, sha256, url, expires_at }] }
+
+import {
+  checkEnv, cors, authenticate, canAccessEmail, isEmail, normEmail,
+  currentDocuments, signDocumentUrl, findRetainerRecord, DOCUMENT_KINDS,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('documents');
+
+export default async function handler(req, res){
+  cors(res, req.headers.origin, { methods:'GET, OPTIONS', headers:'Content-Type, Authorization' });
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET')     return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  try{
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json({ ok:false, error: auth.error });
+    const who = auth.identity;
+
+    const email = normEmail(req.query?.email) || (who.role === 'customer' ? who.email : '');
+    if (!isEmail(email)) return res.status(400).json({ ok:false, error:'invalid email' });
+    if (!canAccessEmail(who, email)) return res.status(403).json({ ok:false, error:'not your documents' });
+
+    const kind = req.query?.kind ? String(req.query.kind) : null;
+    if (kind && !DOCUMENT_KINDS.includes(kind)) return res.status(400).json({ ok:false, error:`kind must be one of ${DOCUMENT_KINDS.join(', ')}` });
+
+    // Documents are matched by email and Shopify id (which survives email changes).
+    const customerGid = who.role === 'customer'
+      ? who.customerGid
+      : (await findRetainerRecord({ email }))?.shopify_customer_id || null;
+    const current = await currentDocuments({ email, customerGid });
+    const documents = [];
+    for (const d of Object.values(current)) {
+      if (kind && d.kind !== kind) continue;
+      const link = await signDocumentUrl(d.path);
+      documents.push({ kind:d.kind, content_type:d.content_type, uploaded_at:d.created_at, sha256:d.sha256, ...link });
+    }
+    if (who.role === 'staff') console.log('documents staff read', JSON.stringify({ staff: who.sub, email, kinds: documents.map(d => d.kind) }));
+    return res.status(200).json({ ok:true, documents });
+  }catch(e){
+    console.error('documents error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
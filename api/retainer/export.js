@@ -0,0 +1,63 @@
+// /api/retainer/export.js
+// Staff only: stream every matching retainer client as CSV or NDJSON for the
+// case-management system (rows from lib/retainer/export.js).
+//
+//   GET ?format=csv|ndjson (default csv) + the clients.js filters
+//       (q, plan, term, status, insurer, has_bi, signed_from, signed_to, missing)
+//   → text/csv with a header row, or application/x-ndjson with one object per line
+//
+// Document links in the rows are signed and expire after
+// EXPORT_URL_TTL_SECONDS (default 24 h). Large exports can also be run
+// offline with scripts/export-clients.js.
+
+import {
+  checkEnv, cors, authenticate, parseClientFilters, exportRows, EXPORT_FORMATS, EXPORT_COLUMNS, csvLine, todayYMD,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('export');
+
+const CONTENT_TYPES = { csv:'text/csv; charset=utf-8', ndjson:'application/x-ndjson; charset=utf-8' };
+
+export default async function handler(req, res){
+  cors(res, req.headers.origin, { methods:'GET, OPTIONS', headers:'Content-Type, Authorization' });
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET')     return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  try{
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json({ ok:false, error: auth.error });
+    const who = auth.identity;
+    if (who.role !== 'staff') return res.status(403).json({ ok:false, error:'staff only' });
+
+    const q = req.query || {};
+    const format = q.format ? String(q.format) : 'csv';
+    if (!EXPORT_FORMATS.includes(format)) return res.status(400).json({ ok:false, error:`format must be one of ${EXPORT_FORMATS.join(', ')}` });
+    const { filters, error } = parseClientFilters(q);
+    if (error) return res.status(400).json({ ok:false, error });
+
+    // Pull the first row before committing to a 200, so an early failure can
+    // still answer as JSON.
+    const it = exportRows(filters)[Symbol.asyncIterator]();
+    let next = await it.next();
+    let rows = 0;
+
+    res.status(200);
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="retainer-clients-${todayYMD()}.${format}"`);
+    if (format === 'csv') res.write(csvLine(EXPORT_COLUMNS));
+    for (; !next.done; next = await it.next()) {
+      const row = next.value;
+      res.write(format === 'csv' ? csvLine(EXPORT_COLUMNS.map(c => row[c])) : `${JSON.stringify(row)}\n`);
+      rows++;
+    }
+    console.log('clients staff export', JSON.stringify({ staff: who.sub, format, filters, rows }));
+    return res.end();
+  }catch(e){
+    console.error('export error', e);
+    // Mid-stream there's no way to change the status; a short body is the signal.
+    if (res.getHeader('Content-Type')) return res.end();
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
@@ -0,0 +1,109 @@
+// /api/retainer/history.js
+// A client's change history from the audit log (lib/retainer/audit.js), and
+// restoring an earlier version.
+//
+//   GET  ?email=<email>[&target=record|customer|order][&before=<at>][&limit=50][&full=1]
+//        → { ok:true, entries:[...], next_before }
+//        customers read their own history, staff anyone's. Entries carry the
+//        diff; full=1 (staff only) adds the before/after snapshots.
+//
+//   POST { entry_id, to?: "before" | "after" }   staff only
+//        Puts the entry's target back to its snapshot: "before" (default)
+//        undoes that change, "after" returns to the state it produced. The
+//        restore is itself audited (action "restore", restored_from = entry_id).
+//        → { ok:true, target_type, target_id, restored:{ set, deleted } }
+
+import {
+  checkEnv, withAudit, cors, authenticate, canAccessEmail, isEmail, normEmail, findRetainerRecord,
+  listAuditEntries, getAuditEntry, auditContext, diffSnapshots, setAuditActor, writeRecord,
+  getRetainerMetafields, setMetafields, deleteMetafields, NS,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('history');
+
+const TARGETS = { record:'retainer_record', customer:'customer_metafields', order:'order_metafields' };
+const MAX_LIMIT = 200;
+
+/* ---------- Restore ---------- */
+async function restoreRecord(snapshot){
+  const current = await findRetainerRecord({ email: snapshot.email });
+  const r = await writeRecord({ ...snapshot, updated_at: new Date().toISOString() });
+  if (r.error) throw new Error(`retainer record write: ${r.error}`);
+  return { set: diffSnapshots(current, snapshot).map(d => d.field), deleted: [] };
+}
+
+// Sets keys that differ from the snapshot and deletes the ones it didn't have.
+async function restoreMetafields(entry, snapshot){
+  const ownerId = entry.target_id;
+  const current = await getRetainerMetafields(ownerId);
+  const mfs = Object.entries(snapshot)
+    .filter(([k, m]) => current[k]?.type !== m.type || current[k]?.value !== m.value)
+    .map(([key, m]) => ({ ownerId, namespace:NS, key, type: m.type, value: m.value }));
+  const drop = Object.keys(current).filter(k => !(k in snapshot));
+
+  const errs = [...await setMetafields(mfs), ...await deleteMetafields(ownerId, drop)];
+  if (errs.length) throw Object.assign(new Error('metafield restore failed'), { userErrors: errs });
+  return { set: mfs.map(m => m.key), deleted: drop };
+}
+
+async function handler(req, res){
+  cors(res, req.headers.origin, { methods:'GET, POST, OPTIONS', headers:'Content-Type, Authorization' });
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  try{
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json({ ok:false, error: auth.error });
+    const who = auth.identity;
+    setAuditActor(who);
+
+    if (req.method === 'GET') {
+      const q = req.query || {};
+      const email = normEmail(q.email || who.email);
+      if (!isEmail(email)) return res.status(400).json({ ok:false, error:'a valid ?email= is required' });
+      if (!canAccessEmail(who, email)) return res.status(403).json({ ok:false, error:'not your record' });
+      if (q.target && !TARGETS[q.target]) return res.status(400).json({ ok:false, error:`target must be one of ${Object.keys(TARGETS).join(', ')}` });
+
+      const limit = Math.min(Math.max(parseInt(q.limit, 10) || 50, 1), MAX_LIMIT);
+      const customerGid = who.role === 'customer'
+        ? who.customerGid
+        : (await findRetainerRecord({ email }))?.shopify_customer_id || null;
+      const rows = await listAuditEntries({ customerGid, email }, { targetType: TARGETS[q.target] || null, before: q.before || null, limit });
+
+      const full = q.full === '1' && who.role === 'staff';
+      const entries = rows.map(({ before, after, ...e }) => (full ? { ...e, before, after } : e));
+      return res.status(200).json({ ok:true, entries, next_before: rows.length === limit ? rows[rows.length - 1].at : null });
+    }
+
+    // POST: restore
+    if (who.role !== 'staff') return res.status(403).json({ ok:false, error:'staff only' });
+    const p = req.body || {};
+    const to = p.to || 'before';
+    if (!p.entry_id) return res.status(400).json({ ok:false, error:'entry_id is required' });
+    if (to !== 'before' && to !== 'after') return res.status(400).json({ ok:false, error:'to must be "before" or "after"' });
+
+    const entry = await getAuditEntry(p.entry_id);
+    if (!entry) return res.status(404).json({ ok:false, error:'audit entry not found' });
+    const snapshot = entry[to];
+
+    auditContext().restoredFrom = entry.id;
+    let restored;
+    if (entry.target_type === 'retainer_record') {
+      // A record can't be restored to "didn't exist"; GDPR redaction is the only delete.
+      if (!snapshot) return res.status(409).json({ ok:false, error:`the record had no ${to} version in this entry` });
+      restored = await restoreRecord(snapshot);
+    } else {
+      restored = await restoreMetafields(entry, snapshot || {});
+    }
+
+    console.log('history restore', JSON.stringify({ staff: who.sub, entry: entry.id, to, target: entry.target_id }));
+    return res.status(200).json({ ok:true, target_type: entry.target_type, target_id: entry.target_id, restored });
+  }catch(e){
+    console.error('history error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e), ...(e.userErrors ? { userErrors: e.userErrors } : {}) });
+  }
+}
+
+export default withAudit('history', handler);
@@ -0,0 +1,90 @@
+// /api/retainer/incidents.js
+// Accident / incident reports (lib/retainer/incidents.js).
+//
+//   POST (client)  { incident_date, incident_time?, location, description?,
+//                    vehicles?:[index into the intake vehicles], other_parties?:[{ name,
+//                    phone, insurer, policy_number, plate, vehicle }],
+//                    police_report_number?, injuries?, injury_description?,
+//                    photo_upload_tokens?:[incident_photo tokens from upload.js] }
+//   → 201 { ok:true, reference, status:"received", photos:[{ index, stored, error? }] }
+//
+//   GET            customers: their own reports; staff: ?email= or ?reference=
+//   → { ok:true, incidents:[{ reference, ..., photos:[{ url, expires_at, ... }] }] }
+//
+// Same auth as record.js. Only a client whose retainer is active (the
+// coverage status.js reports) can file a report; others get 403 with code
+// "retainer_inactive". Field errors come back in the validateIntake() shape.
+// Rate limited per client.
+
+import {
+  checkEnv, withAudit, cors, authenticate, canAccessEmail, setAuditActor, setAuditSubject, isEmail, normEmail,
+  rateLimit, getRetainerMetafields, coverageFromMetafields, findRetainerRecord, intakeErrorBody,
+  validateIncident, createIncident, listIncidents, getIncident, incidentView,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('incidents');
+
+const CORS = { methods:'GET, POST, OPTIONS', headers:'Content-Type, Authorization' };
+const WINDOW = 60 * 60;
+
+/* ---------- POST: report ---------- */
+async function report(req, res, who){
+  if (who.role !== 'customer') return res.status(403).json({ ok:false, error:'only clients can report an incident' });
+  setAuditSubject({ customerGid: who.customerGid, email: who.email });
+
+  if (await rateLimit(res, 'incidents', [{ key:`customer:${who.sub}`, limit:5, windowSeconds:WINDOW }])) return;
+
+  const coverage = coverageFromMetafields(await getRetainerMetafields(who.customerGid));
+  if (!coverage.active) {
+    return res.status(403).json({ ok:false, code:'retainer_inactive', error:'an active retainer is required to report an incident', coverage:{ status: coverage.status, end: coverage.end } });
+  }
+
+  const record = await findRetainerRecord({ customerGid: who.customerGid, email: who.email });
+  const chk = validateIncident(req.body || {}, record?.vehicles || []);
+  if (!chk.ok) return res.status(400).json(intakeErrorBody(chk.errors));
+
+  const { row, photos } = await createIncident({ customerGid: who.customerGid, email: who.email, coverage, value: chk.value });
+  return res.status(201).json({ ok:true, reference: row.reference, status: row.status, photos });
+}
+
+/* ---------- GET: list ---------- */
+async function list(req, res, who){
+  if (req.query?.reference) {
+    const row = await getIncident(req.query.reference);
+    if (!row || !canAccessEmail(who, row.email)) return res.status(404).json({ ok:false, error:'incident not found' });
+    return res.status(200).json({ ok:true, incidents:[await incidentView(row)] });
+  }
+
+  const email = normEmail(req.query?.email) || (who.role === 'customer' ? who.email : '');
+  if (!isEmail(email)) return res.status(400).json({ ok:false, error:'invalid email' });
+  if (!canAccessEmail(who, email)) return res.status(403).json({ ok:false, error:'not your incidents' });
+
+  const customerGid = who.role === 'customer'
+    ? who.customerGid
+    : (await findRetainerRecord({ email }))?.shopify_customer_id || null;
+  const incidents = [];
+  for (const row of await listIncidents({ customerGid, email })) incidents.push(await incidentView(row));
+  return res.status(200).json({ ok:true, incidents });
+}
+
+async function handler(req, res){
+  cors(res, req.headers.origin, CORS);
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  try{
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json({ ok:false, error: auth.error });
+    const who = auth.identity;
+    setAuditActor(who);
+
+    return req.method === 'POST' ? await report(req, res, who) : await list(req, res, who);
+  }catch(e){
+    console.error('incidents error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
+
+export default withAudit('incidents', handler);
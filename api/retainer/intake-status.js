@@ -0,0 +1,38 @@
+// /api/retainer/intake-status.js
+// Progress of a queued intake (intake-upsert.js answers with its job id).
+//
+//   GET ?job_id=<uuid>
+//   → { ok:true, job_id, status, steps:[{ name, status, attempts, finished_at, error }],
+//       attempts, result, error, created_at, updated_at, finished_at }
+//
+// status: queued | running | succeeded | failed. `result` is set once the job
+// finishes: the intake outcome ({ ok:true, customer_id, ... } or
+// { ok:false, error }). The job id is a random UUID only the submitter was
+// given, so it is the credential here; nothing in the answer is more than
+// the synchronous intake used to return.
+
+import { checkEnv, cors, getJob, jobStatus, INTAKE_JOB } from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('intake-status');
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res){
+  cors(res, req.headers.origin, { methods:'GET, OPTIONS' });
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET')     return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  try{
+    const id = String(req.query?.job_id || '');
+    if (!UUID.test(id)) return res.status(400).json({ ok:false, error:'job_id must be a job id from intake-upsert' });
+
+    const job = await getJob(id);
+    if (!job || job.kind !== INTAKE_JOB) return res.status(404).json({ ok:false, error:'job not found' });
+    return res.status(200).json({ ok:true, ...jobStatus(job) });
+  }catch(e){
+    console.error('intake-status error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
@@ -1,371 +1,82 @@
 // /api/retainer/intake-upsert.js
-// Upsert Customer (with password via Storefront), upload signature & docs to Shopify Files,
-// write retainer/* metafields (pretty lists only). Phone required (loose validation).
-// Errors returned as { ok:false, error:"..." }.
-
-const SHOP    = process.env.SHOPIFY_SHOP;
-const ADMIN   = process.env.SHOPIFY_ADMIN_TOKEN;
-const SF_TOK  = process.env.STOREFRONT_TOKEN;
-const ORIGINS = (process.env.ALLOWED_ORIGINS || '')
-  .split(',').map(s=>s.trim()).filter(Boolean);
-
-/* ---------- CORS ---------- */
-function cors(res, origin){
-  if (origin && ORIGINS.includes(origin)) {
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Vary', 'Origin');
-  }
-  res.setHeader('Access-Control-Allow-Methods','POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers','Content-Type');
-}
-
-/* ---------- GraphQL helpers ---------- */
-async function gqlAdmin(q, v){
-  const r = await fetch(`https://${SHOP}/admin/api/2024-07/graphql.json`, {
-    method:'POST',
-    headers:{ 'X-Shopify-Access-Token': ADMIN, 'Content-Type':'application/json' },
-    body: JSON.stringify({ query:q, variables:v })
-  });
-  const j = await r.json();
-  if (!r.ok || j.errors) {
-    const errTxt = j.errors ? JSON.stringify(j.errors) : await r.text();
-    throw new Error(`GraphQL(Admin) ${r.status}: ${errTxt}`);
-  }
-  return j.data;
-}
-
-async function gqlSF(q, v){
-  const r = await fetch(`https://${SHOP}/api/2024-07/graphql.json`, {
-    method:'POST',
-    headers:{
-      'X-Shopify-Storefront-Access-Token': SF_TOK,
-      'Content-Type':'application/json'
-    },
-    body: JSON.stringify({ query:q, variables:v })
-  });
-  const j = await r.json();
-  if (!r.ok || j.errors) {
-    const errTxt = j.errors ? JSON.stringify(j.errors) : await r.text();
-    throw new Error(`GraphQL(Storefront) ${r.status}: ${errTxt}`);
-  }
-  return j.data;
-}
-
-/* ---------- Queries ---------- */
-const Q = {
-  customersByEmail: `query($q:String!){
-    customers(first:1, query:$q){ nodes{ id email state } }
-  }`,
-  customerUpdate: `mutation($input:CustomerInput!){
-    customerUpdate(input:$input){
-      customer{ id email state }
-      userErrors{ field message }
-    }
-  }`,
-  customerCreate: `mutation($input:CustomerInput!){
-    customerCreate(input:$input){
-      customer{ id email state }
-      userErrors{ field message }
-    }
-  }`,
-  metafieldsSet: `mutation($metafields:[MetafieldsSetInput!]!){
-    metafieldsSet(metafields:$metafields){
-      metafields{ namespace key type }
-      userErrors{ field message }
-    }
-  }`,
-  stagedUploadsCreate: `mutation($input:[StagedUploadInput!]!){
-    stagedUploadsCreate(input:$input){
-      stagedTargets{ url resourceUrl parameters{ name value } }
-      userErrors{ field message }
-    }
-  }`,
-  fileCreate: `mutation($files:[FileCreateInput!]!){
-    fileCreate(files:$files){
-      files{
-        id
-        __typename
-        ... on MediaImage { image { url } }
-        ... on GenericFile { url }
-      }
-      userErrors{ field message }
-    }
-  }`,
-};
-
-const SF = {
-  customerCreate: `mutation($input: CustomerCreateInput!){
-    customerCreate(input:$input){
-      customer { id email }
-      userErrors { field message }
-    }
-  }`
-};
-
-/* ---------- Validators ---------- */
-const isEmail = s => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(s||'').toLowerCase());
-const isPhoneLoose = s => String(s||'').replace(/[^\d+]/g,'').length >= 10; // 10+ digits
-const isYMD = s => /^\d{4}-\d{2}-\d{2}$/.test(String(s||''));
-const nonBlank = s => typeof s==='string' ? s.trim()!=='' : s!=null;
-
-/* ---------- Customer ID retry (Admin lag fix) ---------- */
-async function getCustomerIdByEmailWithRetry(email, tries = 6, ms = 2000){
-  for (let i = 0; i < tries; i++) {
-    const found = await gqlAdmin(Q.customersByEmail, { q: `email:${JSON.stringify(email)}` });
-    const node = found?.customers?.nodes?.[0];
-    if (node?.id) return { id: node.id, state: node.state };
-    await new Promise(r => setTimeout(r, ms));
-  }
-  return { id: null, state: null };
-}
-
-/* ---------- Password helper (STRICT: last-name only) ---------- */
-function lastNamePassword(p){
-  const last = String(p.last_name || p.last || '').trim();
-  if (!last) throw new Error('missing last name for password');
-  return last; // exact last-name password (by request)
-}
-
-/* ---------- Error → plain-English ---------- */
-function toPlainError(err){
-  const s = String(err || '');
-  const mCU = s.match(/customerUpdate:\s*(\[.*\])$/);
-  const mCC = s.match(/customerCreate\(Storefront\):\s*(\[.*\])$/);
-  const mMF = s.match(/metafieldsSet:\s*(\[.*\])$/);
-  const raw = mCU?.[1] || mCC?.[1] || mMF?.[1];
-
-  if (raw){
-    try{
-      const arr = JSON.parse(raw);
-      const msgs = [];
-      for (const e of arr){
-        const field = (e?.field || []).join('.').toLowerCase();
-        let msg = e?.message || '';
-        if (field.includes('phone') || /phone/i.test(msg)) msg = 'Phone number looks invalid. Please enter a 10-digit US number.';
-        else if (field.includes('email') || /email/i.test(msg)) msg = 'Email address looks invalid.';
-        else if (field.includes('password') || /password/i.test(msg)) msg = 'Password doesn’t meet requirements.';
-        if (msg && !msgs.includes(msg)) msgs.push(msg);
-      }
-      if (msgs.length) return { error: msgs.join(' ') };
-    }catch(_){}
-  }
-  if (s.includes('invalid or missing phone')) return { error:'Phone number is required and must have at least 10 digits.' };
-  if (s.includes('invalid or missing email')) return { error:'Email address is required and must be valid.' };
-  if (s.includes('missing last name for password')) return { error:'Last name is required to create your account password.' };
-  if (s.includes('Storefront token not configured')) return { error:'Storefront API access is not configured.' };
-  if (s.includes('ACCESS_DENIED')) return { error:'Shopify permissions are missing (protected customer data scope).' };
-  return { error: s || 'Something went wrong. Please try again.' };
-}
-
-/* ---------- Customer update that tolerates phone errors ---------- */
-async function customerUpdateSoft(input){
-  const up = await gqlAdmin(Q.customerUpdate, { input });
-  const errs = up.customerUpdate?.userErrors || [];
-  if (!errs.length) return { ok:true, droppedPhone:false };
-
-  const phoneErrs = errs.filter(e =>
-    (e?.field||[]).join('.').toLowerCase().includes('phone') ||
-    String(e?.message||'').toLowerCase().includes('phone')
-  );
-
-  if (phoneErrs.length && phoneErrs.length === errs.length && input.phone){
-    const { phone, ...rest } = input;
-    const up2 = await gqlAdmin(Q.customerUpdate, { input: rest });
-    const errs2 = up2.customerUpdate?.userErrors || [];
-    if (!errs2.length) return { ok:true, droppedPhone:true };
-    return { ok:false, errs: errs2 };
-  }
-  return { ok:false, errs };
-}
-
-/* ---------- DataURL → Shopify Files ---------- */
-async function uploadDataUrlToFiles(dataUrl, alt='Upload'){
-  if (!dataUrl || !dataUrl.startsWith('data:')) return { fileId:null, fileUrl:null, error:'invalid data url' };
-  const [meta, b64] = dataUrl.split(',');
-  const mime = (meta.match(/^data:([^;]+)/)||[])[1] || 'application/octet-stream';
-  const buf  = Buffer.from(b64,'base64');
-
-  const su = await gqlAdmin(Q.stagedUploadsCreate, {
-    input:[{ resource:'FILE', filename:`upload-${Date.now()}`, mimeType:mime, httpMethod:'POST' }]
-  });
-  const suErrs = su.stagedUploadsCreate?.userErrors || [];
-  if (suErrs.length) return { fileId:null, fileUrl:null, error:'stagedUploadsCreate: ' + JSON.stringify(suErrs) };
-  const target = su.stagedUploadsCreate?.stagedTargets?.[0];
-  if (!target?.url) return { fileId:null, fileUrl:null, error:'staged upload target missing' };
-
-  const form = new FormData();
-  for (const p of target.parameters) form.append(p.name, p.value);
-  form.append('file', new Blob([buf], { type:mime }), 'upload');
-  const up = await fetch(target.url, { method:'POST', body:form });
-  if (!up.ok) {
-    const txt = await up.text().catch(()=> '');
-    return { fileId:null, fileUrl:null, error:`staged upload ${up.status}: ${txt}` };
-  }
-
-  const fc = await gqlAdmin(Q.fileCreate, {
-    files:[{ contentType: mime.startsWith('image/') ? 'IMAGE' : 'FILE', originalSource: target.resourceUrl, alt }]
-  });
-  const fileNode = fc.fileCreate?.files?.[0];
-  const fileId   = fileNode?.id || null;
-  const fileUrl  = fileNode?.__typename === 'MediaImage'
-    ? (fileNode.image?.url || null)
-    : (fileNode?.url || null);
-  if (!fileId) return { fileId:null, fileUrl:null, error:'fileCreate returned no id' };
-  return { fileId, fileUrl, error:null };
-}
+// Intake submission: upsert the Customer (Admin, no password), store signature & ID
+// docs in private storage (lib/retainer/documents.js), write retainer/* metafields
+// and the matching Supabase record (lib/retainer/sync.js), generate the signed
+// agreement PDF (lib/retainer/agreement.js) and record signature evidence.
+//
+// The request only validates and queues: the payload is checked against the shared
+// intake schema (email + phone required, field-level `errors` on failure) and every
+// document is checked (*_upload_token from upload.js or, for older forms, *_data_url)
+// before anything is written. The work then runs as a job (lib/retainer/intake-job.js)
+// on the worker (jobs-worker.js), and the answer is
+//
+//   202 { ok:true, job_id, status:"queued", status_url, normalized }
+//
+// for the storefront to poll at intake-status.js; the finished job's `result` is
+// what this endpoint used to return, plus `dropped`: a phone or address Shopify
+// refused, which the intake went ahead without. `normalized` lists values stored
+// in another form than sent ({ field, from, to }: the phone in E.164, the home
+// address split into its parts). INTAKE_MODE=inline runs the job inside the
+// request instead and answers with that result (plus job_id) directly.
+//
+// New (and never-activated) customers get an emailed activation link instead of a
+// password; the link is never returned, so submitting someone else's email
+// can't take over their account. Rate limited per IP and per email.
+
+import {
+  checkEnv, env, withAudit, cors, validateIntake, intakeErrorBody, prepareDocuments, uploadErrorBody,
+  rateLimit, clientIp, enqueueIntake, runJob, measureShopifyCost, toPlainError,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('intake-upsert');
+
+const WINDOW = 10 * 60;
+
+const inline = () => env('INTAKE_MODE') === 'inline';
 
 /* ---------- Handler ---------- */
-export default async function handler(req,res){
+async function handler(req,res){
   cors(res, req.headers.origin);
   if (req.method==='OPTIONS') return res.status(204).end();
   if (req.method!=='POST')     return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
 
   try{
     const p = req.body || {};
-    const email = String(p.email||'').trim().toLowerCase();
-    if (!isEmail(email)) return res.status(400).json({ ok:false, ...toPlainError('invalid or missing email') });
-
-    const first = (p.first_name||'').toString().trim();
-    const last  = (p.last_name||'').toString().trim();
-    const phoneRaw = (p.phone||'').toString().trim();
-    if (!isPhoneLoose(phoneRaw)) return res.status(400).json({ ok:false, ...toPlainError('invalid or missing phone') });
-
-    // 1) Find existing customer by email
-    let id, state;
-    try{
-      const found = await gqlAdmin(Q.customersByEmail, { q:`email:${JSON.stringify(email)}` });
-      id = found.customers.nodes[0]?.id;
-      state = found.customers.nodes[0]?.state;
-    }catch(e){
-      if (String(e).includes('ACCESS_DENIED')) {
-        return res.status(200).json({ ok:false, ...toPlainError('ACCESS_DENIED') });
-      }
-      throw e;
-    }
-
-    // Admin-side update payload
-    const baseInput = {
-      email,
-      firstName: first || undefined,
-      lastName:  last  || undefined,
-      phone:     phoneRaw || undefined,
-      addresses: p.home_address ? [{
-        address1:p.home_address,
-        firstName:first || undefined,
-        lastName: last  || undefined
-      }] : undefined
-    };
-
-    if (!id){
-      if (!SF_TOK) return res.status(500).json({ ok:false, ...toPlainError('Storefront token not configured') });
-
-      // Password = last name (strict)
-      let password;
-      try { password = lastNamePassword(p); }
-      catch(err){ return res.status(400).json({ ok:false, ...toPlainError(String(err)) }); }
-
-      // Create via Storefront (no invite/activation)
-      const crSF = await gqlSF(SF.customerCreate, {
-        input: { email, password, firstName:first||undefined, lastName:last||undefined }
-      });
-      const sfErrs = crSF.customerCreate?.userErrors || [];
-      if (sfErrs.length){
-        const plain = toPlainError(`customerCreate(Storefront): ${JSON.stringify(sfErrs)}`);
-        return res.status(200).json({ ok:false, ...plain });
-      }
-
-      // Wait for Admin API to catch up
-      const got = await getCustomerIdByEmailWithRetry(email, 6, 2000);
-      if (!got.id){
-        return res.status(200).json({
-          ok:false,
-          error:"Customer created but Admin hasn't indexed it yet. Please wait a few seconds and retry."
-        });
-      }
-      id = got.id; state = got.state;
-
-      const rUpd = await customerUpdateSoft({ id, ...baseInput });
-      if (!rUpd.ok){
-        const plain = toPlainError(`customerUpdate: ${JSON.stringify(rUpd.errs || [])}`);
-        return res.status(200).json({ ok:false, ...plain });
-      }
-    } else {
-      // Existing customer (cannot set/change password via Admin)
-      const rUpd = await customerUpdateSoft({ id, ...baseInput });
-      if (!rUpd.ok){
-        const plain = toPlainError(`customerUpdate: ${JSON.stringify(rUpd.errs || [])}`);
-        return res.status(200).json({ ok:false, ...plain });
-      }
-    }
-
-    // 2) Uploads (signature + optional license + insurance card)
-    const sig = p.signature_data_url ? await uploadDataUrlToFiles(p.signature_data_url, 'Retainer signature') : {fileId:null,fileUrl:null};
-    const dl  = p.license_data_url   ? await uploadDataUrlToFiles(p.license_data_url,   'Driver license')   : {fileId:null,fileUrl:null};
-    const ci  = p.insurance_card_data_url ? await uploadDataUrlToFiles(p.insurance_card_data_url, 'Insurance card') : {fileId:null,fileUrl:null};
-
-    // 3) Pretty lists (strings)
-    const vehiclesArr  = Array.isArray(p.vehicles)  ? p.vehicles  : [];
-    const householdArr = Array.isArray(p.household) ? p.household : [];
-
-    const vehiclesList  = vehiclesArr
-      .filter(v => v && (v.year || v.make || v.model))
-      .map(v => [v.year, v.make, v.model].filter(Boolean).join(' ').trim());
-
-    const householdList = householdArr
-      .filter(h => h && (h.name || h.dob || h.relationship))
-      .map(h => [h.name, h.dob, h.relationship].filter(Boolean).join(' — ').trim());
-
-    // 4) Customer metafields write (all with ownerId)
-    if (!id) return res.status(200).json({ ok:false, error:"Missing Admin customer ID; cannot write metafields." });
-
-    const mf = [];
-    const push = (entry) => mf.push({ ownerId:id, namespace:'retainer', ...entry });
-
-    // primitives
-    if (nonBlank(p.dob) && isYMD(p.dob)) push({ key:'dob', type:'date', value:p.dob });
-    if (nonBlank(p.insurer))             push({ key:'insurer', type:'single_line_text_field', value:String(p.insurer) });
-    push({ key:'has_bi',     type:'boolean',        value: p.has_bi ? 'true' : 'false' });
-    push({ key:'cars_count', type:'number_integer', value:String(p.cars_count ?? 0) });
-
-    // lists
-    if (vehiclesList.length)  push({ key:'vehicles_list',  type:'list.single_line_text_field', value: JSON.stringify(vehiclesList) });
-    if (householdList.length) push({ key:'household_list', type:'list.single_line_text_field', value: JSON.stringify(householdList) });
-
-    // notes
-    if (nonBlank(p.intake_notes)) push({ key:'intake_notes', type:'multi_line_text_field', value:String(p.intake_notes) });
-
-    // plan snapshots
-    if (nonBlank(p.retainer_plan)) {
-      push({ key:'last_retainer_plan',    type:'single_line_text_field', value:String(p.retainer_plan) });
-      push({ key:'current_retainer_plan', type:'single_line_text_field', value:String(p.retainer_plan) });
-    }
-    if (nonBlank(p.retainer_term)) {
-      push({ key:'last_retainer_term',    type:'single_line_text_field', value:String(p.retainer_term) });
-      push({ key:'current_retainer_term', type:'single_line_text_field', value:String(p.retainer_term) });
-    }
-
-    // phone digits (optional)
-    if (nonBlank(p.phone_digits)) push({ key:'phone_digits', type:'single_line_text_field', value:String(p.phone_digits) });
-
-    // Files → file_reference (VALUE = raw File GID string)
-    if (sig.fileId) push({ key:'signature',       type:'file_reference', value: sig.fileId });
-    if (dl .fileId) push({ key:'drivers_license', type:'file_reference', value: dl.fileId  });
-    if (ci .fileId) push({ key:'car_insurance',   type:'file_reference', value: ci.fileId  });
-
-    if (mf.length){
-      const result = await gqlAdmin(Q.metafieldsSet, { metafields: mf });
-      const errs = result.metafieldsSet?.userErrors || [];
-      if (errs.length){
-        const plain = toPlainError(`metafieldsSet: ${JSON.stringify(errs)}`);
-        return res.status(200).json({ ok:false, ...plain });
-      }
-    }
-
-    // Success
-    return res.status(200).json({ ok:true, customer_id:id, customer_email:email });
+    const chk = validateIntake(p, { required:['email','phone'] });
+    if (!chk.ok) return res.status(400).json(intakeErrorBody(chk.errors));
+    const v = chk.value;
+
+    if (await rateLimit(res, 'intake-upsert', [
+      { key:`ip:${clientIp(req)}`, limit:10, windowSeconds:WINDOW },
+      { key:`email:${v.email}`,    limit:5,  windowSeconds:WINDOW },
+    ])) return;
+
+    // Reject bad uploads before anything is written
+    const prepared = await prepareDocuments(p);
+    if (!prepared.ok) return res.status(400).json(uploadErrorBody(prepared.results));
+
+    const job = await enqueueIntake(req, v, prepared, { claim: inline(), normalized: chk.normalized });
+    const queued = { ok:true, job_id: job.id, status:'queued', status_url:`/api/retainer/intake-status?job_id=${job.id}`, normalized: chk.normalized };
+    if (!inline()) return res.status(202).json(queued);
+
+    // Inline: the result as before; a step that will be retried leaves it to the worker.
+    const done = await runJob(job);
+    if (done.status === 'queued') return res.status(202).json(queued);
+    return res.status(200).json({ ...(done.result || { ok:false, ...toPlainError(done.error) }), job_id: job.id });
   }catch(e){
     console.error('intake-upsert error', e);
     const plain = toPlainError(String(e?.message||e));
     return res.status(200).json({ ok:false, ...plain });
   }
 }
+
+// LOG_SHOPIFY_COST=1 logs the Admin cost per submission, to see how close busy
+// days run to the budget.
+async function measured(req, res){
+  if (env('LOG_SHOPIFY_COST') !== '1') return handler(req, res);
+  const { cost } = await measureShopifyCost(() => handler(req, res));
+  console.log('intake-upsert shopify cost', JSON.stringify(cost));
+}
+
+export default withAudit('intake-upsert', measured);
@@ -0,0 +1,32 @@
+// /api/retainer/jobs-worker.js
+// Runs queued jobs (lib/retainer/jobs.js), chiefly intake submissions
+// (lib/retainer/intake-job.js). Triggered every minute by the Vercel cron in
+// vercel.json, which sends "Authorization: Bearer $CRON_SECRET"; anything
+// else is rejected. Claims jobs one at a time until the queue is empty or
+// JOBS_WORKER_SECONDS (default 45) have passed, so it stays inside the
+// function time limit.
+//
+//   GET → { ok:true, ran, succeeded, failed, retrying }
+
+import { checkEnv, withAudit, setAuditActor, isCronRequest, env, workJobs } from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('jobs-worker');
+
+async function handler(req, res){
+  if (req.method !== 'GET') return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+  if (!isCronRequest(req)) return res.status(401).json({ ok:false, error:'unauthorized' });
+  setAuditActor({ role:'system', id:'cron' });
+
+  try{
+    const seconds = Number(env('JOBS_WORKER_SECONDS')) || 45;
+    const out = await workJobs({ until: Date.now() + seconds * 1000 });
+    if (out.ran) console.log('jobs-worker', JSON.stringify(out));
+    return res.status(200).json({ ok:true, ...out });
+  }catch(e){
+    console.error('jobs-worker error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
+
+export default withAudit('jobs-worker', handler);
@@ -1,95 +1,100 @@
-// API: PUT to create/update a record in Supabase, GET to read it back.
-// TEMP: permissive CORS for storefront testing. Tighten once verified.
-
-import { createClient } from '@supabase/supabase-js';
-
-const SUPABASE_URL  = process.env.SUPABASE_URL;
-const SUPABASE_KEY  = process.env.SUPABASE_SERVICE_ROLE_KEY; // service role (bypasses RLS)
-const TABLE         = process.env.RETAINER_TABLE || 'retainer_records';
-const SIG_BUCKET    = process.env.SIGNATURES_BUCKET || 'signatures';
-
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
-
-// ---------- CORS (debug-permissive) ----------
-function cors(res, origin) {
-  // Echo whatever origin called us so preflight passes from your theme, preview, etc.
-  res.setHeader('Access-Control-Allow-Origin', origin || '*');
-  res.setHeader('Vary', 'Origin');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Requested-With');
-}
-
-// ---------- Helpers ----------
-function isEmail(s){ return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(s||'').toLowerCase()); }
-function nowIso(){ return new Date().toISOString(); }
-
-// Upload a data URL PNG to Supabase Storage → returns { path, publicUrl, error }
-async function uploadSignature(dataUrl, email){
-  if (!dataUrl || !dataUrl.startsWith('data:image/png')) {
-    return { path:null, publicUrl:null, error:'signature_data_url missing/invalid' };
-  }
-  const base64 = dataUrl.split(',')[1];
-  const buf = Buffer.from(base64, 'base64');
-  const safeEmail = String(email).toLowerCase().replace(/[^a-z0-9._-]+/g, '-');
-  const path = `${safeEmail}/${Date.now()}-${Math.random().toString(36).slice(2)}.png`;
-
-  const { error: upErr } = await supabase
-    .storage
-    .from(SIG_BUCKET)
-    .upload(path, buf, { contentType: 'image/png', upsert: false });
-
-  if (upErr) return { path:null, publicUrl:null, error: upErr.message };
-
-  const { data: pub } = supabase.storage.from(SIG_BUCKET).getPublicUrl(path);
-  return { path, publicUrl: pub?.publicUrl || null, error:null };
-}
-
-export default async function handler(req, res) {
-  cors(res, req.headers.origin);
+// API: PUT to create a record in Supabase or patch the fields sent (they are mirrored
+// to the customer's retainer.* metafields, see lib/retainer/sync.js), GET to read it back.
+// Signatures go to private storage (lib/retainer/documents.js); the record keeps
+// only signature_path; links come from the documents endpoint. Each new signature
+// also gets an evidence row (lib/retainer/signatures.js).
+// Every request needs "Authorization: Bearer <token>" (see lib/retainer/auth.js):
+//   customers (Storefront access token or session JWT) → only their own email
+//   staff (staff JWT)                                  → GET any record, no PUT
+
+import {
+  checkEnv, withAudit, getConfig, getSupabase, cors, isEmail, normEmail,
+  validateIntake, intakeErrorBody, authenticate, canAccessEmail, storeDataUrl, recordSignatureEvent,
+  upsertRecordFields, intakeRecordPatch, writeIntake, setAuditActor,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('record');
+
+const CORS = { methods:'GET, PUT, OPTIONS', headers:'Content-Type, Authorization' };
+
+async function handler(req, res) {
+  cors(res, req.headers.origin, CORS);
   if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET' && req.method !== 'PUT') return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  const supabase = getSupabase();
+  const TABLE = getConfig().retainerTable;
 
   try {
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json({ ok:false, error: auth.error });
+    const who = auth.identity;
+    setAuditActor(who);
+
     if (req.method === 'PUT') {
-      const p = req.body || {};
-      const email = String(p.email || '').trim().toLowerCase();
-      if (!isEmail(email)) return res.status(400).json({ ok:false, error:'invalid email' });
+      if (who.role !== 'customer') return res.status(403).json({ ok:false, error:'staff access is read-only' });
 
-      // optional signature upload
-      let sig = { attempted: !!p.signature_data_url, uploaded:false, path:null, publicUrl:null, error:null };
+      const p = req.body || {};
+      const chk = validateIntake(p, { required:['email'] });
+      if (!chk.ok) return res.status(400).json(intakeErrorBody(chk.errors));
+      const v = chk.value;
+      const email = v.email;
+      if (!canAccessEmail(who, email)) return res.status(403).json({ ok:false, error:'not your record' });
+
+      // optional signature upload (PNG only, via the upload pipeline)
+      let sig = { attempted: !!p.signature_data_url, uploaded:false, path:null, error:null, upload:null };
       if (p.signature_data_url) {
-        const up = await uploadSignature(p.signature_data_url, email);
-        sig = { attempted:true, uploaded: !!up.path, path: up.path, publicUrl: up.publicUrl, error: up.error };
+        const up = await storeDataUrl({ dataUrl: p.signature_data_url, field:'signature_data_url', customerGid: who.customerGid, email, kind:'signature', source:'record' });
+        sig = { attempted:true, uploaded: up.ok, path: up.doc?.path || null, error: up.error || null, upload: up.upload };
+        if (up.ok) {
+          try {
+            const ev = await recordSignatureEvent(req, {
+              source:'record', email, customerGid: who.customerGid,
+              signedName: v.signed_name, signedDate: v.signed_date, signatureDoc: up.doc,
+            });
+            sig.evidence_id = ev.id;
+          } catch (e) {
+            console.error('signature evidence failed', e);
+            sig.evidence_error = String(e?.message || e);
+          }
+        }
       }
 
-      // upsert record
-      const row = {
-        email,
-        full_name: p.full_name || null,
-        dob: p.dob || null,
-        insurer: p.insurer || null,
-        bi_limits: p.bi_limits || null,
-        has_bi: !!p.has_bi,
-        cars_count: Number.isFinite(p.cars_count) ? p.cars_count : Number(p.cars_count || 0),
-        household: Array.isArray(p.household) ? p.household : [],
-        vehicles: Array.isArray(p.vehicles) ? p.vehicles : [],
-        notes: p.notes || null,
-        signature_url: sig.publicUrl || null,
-        signature_path: sig.path || null,
-        updated_at: nowIso()
+      // patch only the fields that were sent (lib/retainer/sync.js); anything
+      // left out keeps its stored value
+      const patch = {
+        ...intakeRecordPatch(v),
+        // an update without a new signature keeps the stored one
+        ...(sig.path ? { signature_url: null, signature_path: sig.path } : {}),
       };
 
-      const { error: upsertErr } = await supabase
-        .from(TABLE)
-        .upsert(row, { onConflict: 'email' });
-
-      if (upsertErr) return res.status(200).json({ ok:false, error: upsertErr.message, sig });
+      // audited create-or-patch (lib/retainer/records.js)
+      let row;
+      try { row = await upsertRecordFields({ customerGid: who.customerGid, email }, patch); }
+      catch (e) { return res.status(200).json({ ok:false, error: String(e?.message || e), sig }); }
+
+      // mirror the fields that were sent to the customer's metafields (lib/retainer/sync.js);
+      // a failure here leaves drift for the reconcile script, not a failed save
+      let shopifySynced = false;
+      if (who.customerGid) {
+        try {
+          const sync = await writeIntake({ customerGid: who.customerGid, email }, v, { supabase:false });
+          if (!sync.ok) console.error('record metafield sync failed', JSON.stringify(sync.userErrors));
+          shopifySynced = sync.ok;
+        } catch (e) {
+          console.error('record metafield sync failed', e);
+        }
+      }
 
-      return res.status(200).json({ ok:true, row, sig });
+      return res.status(200).json({ ok:true, row, sig, shopify_synced: shopifySynced, normalized: chk.normalized });
     }
 
     if (req.method === 'GET') {
-      const email = String(req.query.email || '').trim().toLowerCase();
+      // Customers may omit ?email (their own record); staff must name one.
+      const email = normEmail(req.query?.email) || (who.role === 'customer' ? who.email : '');
       if (!isEmail(email)) return res.status(400).json({ ok:false, error:'invalid email' });
+      if (!canAccessEmail(who, email)) return res.status(403).json({ ok:false, error:'not your record' });
 
       const { data, error } = await supabase
         .from(TABLE)
@@ -98,11 +103,12 @@ export default async function handler(req, res) {
         .maybeSingle();
 
       if (error) return res.status(200).json({ ok:false, error: error.message });
+      if (who.role === 'staff') console.log('record staff read', JSON.stringify({ staff: who.sub, email }));
       return res.status(200).json({ ok:true, record: data || null });
     }
-
-    return res.status(405).end();
   } catch (e) {
     return res.status(200).json({ ok:false, error: String(e?.message || e) });
   }
 }
+
+export default withAudit('record', handler);
@@ -0,0 +1,33 @@
+// /api/retainer/session.js
+// POST { access_token } (Storefront customer access token) → a backend session
+// JWT for the record endpoints: { ok:true, session_token, expires_at, customer:{ id, email } }.
+// Rate limited per IP.
+
+import {
+  checkEnv, cors, customerFromAccessToken, issueSession, rateLimit, clientIp,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('session');
+
+export default async function handler(req, res){
+  cors(res, req.headers.origin);
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST')    return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  try{
+    if (await rateLimit(res, 'session', [{ key:`ip:${clientIp(req)}`, limit:30, windowSeconds:15 * 60 }])) return;
+
+    const accessToken = String(req.body?.access_token || '').trim();
+    if (!accessToken) return res.status(400).json({ ok:false, error:'missing access_token' });
+
+    const customer = await customerFromAccessToken(accessToken);
+    if (!customer) return res.status(401).json({ ok:false, error:'invalid or expired customer access token' });
+
+    const s = issueSession(customer);
+    return res.status(200).json({ ok:true, session_token: s.token, expires_at: s.expires_at, customer:{ id: customer.id, email: customer.email } });
+  }catch(e){
+    console.error('session error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
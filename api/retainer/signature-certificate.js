@@ -0,0 +1,49 @@
+// /api/retainer/signature-certificate.js
+// Staff only: certificate-of-completion summaries built from the signature
+// evidence rows (lib/retainer/signatures.js).
+//   GET ?id=<event id>  → { ok:true, certificate }
+//   GET ?email=<email>  → { ok:true, certificates:[...] } newest first
+// Each certificate re-checks the evidence seal and the stored signature /
+// agreement hashes; status is "tampered" when any check fails.
+
+import {
+  checkEnv, cors, authenticate, isEmail, normEmail, findRetainerRecord,
+  getSignatureEvent, listSignatureEvents, certificateOfCompletion,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('signature-certificate');
+
+export default async function handler(req, res){
+  cors(res, req.headers.origin, { methods:'GET, OPTIONS', headers:'Content-Type, Authorization' });
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET')     return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  try{
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json({ ok:false, error: auth.error });
+    const who = auth.identity;
+    if (who.role !== 'staff') return res.status(403).json({ ok:false, error:'staff only' });
+
+    const q = req.query || {};
+    if (q.id) {
+      const event = await getSignatureEvent(q.id);
+      if (!event) return res.status(404).json({ ok:false, error:'signature event not found' });
+      console.log('signature-certificate staff read', JSON.stringify({ staff: who.sub, id: event.id }));
+      return res.status(200).json({ ok:true, certificate: await certificateOfCompletion(event) });
+    }
+
+    const email = normEmail(q.email);
+    if (!isEmail(email)) return res.status(400).json({ ok:false, error:'pass ?id= or a valid ?email=' });
+    const customerGid = (await findRetainerRecord({ email }))?.shopify_customer_id || null;
+    const events = await listSignatureEvents({ email, customerGid });
+    const certificates = [];
+    for (const e of events) certificates.push(await certificateOfCompletion(e));
+    console.log('signature-certificate staff read', JSON.stringify({ staff: who.sub, email, events: events.length }));
+    return res.status(200).json({ ok:true, certificates });
+  }catch(e){
+    console.error('signature-certificate error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
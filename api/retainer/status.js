@@ -0,0 +1,52 @@
+// /api/retainer/status.js
+// GET [?email=] → current retainer coverage for that client, computed from the
+// customer's retainer.* metafields (see lib/retainer/lifecycle.js):
+//   { ok:true, email, coverage:{ status, active, plan, term, order, start, end, days_remaining } }
+//
+// Same auth as record.js: customers (Storefront access token or session JWT)
+// see only their own coverage and may omit ?email; staff must name one. An
+// email without a Shopify customer answers status "none". Rate limited per
+// caller and per IP.
+
+import {
+  checkEnv, cors, authenticate, canAccessEmail, rateLimit, clientIp,
+  findCustomerByEmail, getRetainerMetafields, coverageFromMetafields, isEmail, normEmail,
+} from '../../lib/retainer/index.js';
+
+const ENV_ERROR = checkEnv('status');
+
+const WINDOW = 60;
+
+const NONE = { status:'none', active:false, plan:null, term:null, order:null, start:null, end:null, days_remaining:0 };
+
+export default async function handler(req, res){
+  cors(res, req.headers.origin, { methods:'GET, OPTIONS', headers:'Content-Type, Authorization' });
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'GET')     return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  try{
+    if (await rateLimit(res, 'status', [{ key:`ip:${clientIp(req)}`, limit:60, windowSeconds:WINDOW }])) return;
+
+    const auth = await authenticate(req);
+    if (!auth.ok) return res.status(auth.status).json({ ok:false, error: auth.error });
+    const who = auth.identity;
+
+    const email = normEmail(req.query?.email) || (who.role === 'customer' ? who.email : '');
+    if (!isEmail(email)) return res.status(400).json({ ok:false, error:'invalid or missing email' });
+    if (!canAccessEmail(who, email)) return res.status(403).json({ ok:false, error:'not your record' });
+
+    if (await rateLimit(res, 'status', [{ key:`${who.role}:${who.sub}`, limit:30, windowSeconds:WINDOW }])) return;
+
+    const customerId = who.role === 'customer' ? who.customerGid : (await findCustomerByEmail(email))?.id;
+    if (who.role === 'staff') console.log('status staff read', JSON.stringify({ staff: who.sub, email }));
+    if (!customerId) return res.status(200).json({ ok:true, email, coverage: NONE });
+
+    const mf = await getRetainerMetafields(customerId);
+    return res.status(200).json({ ok:true, email, coverage: coverageFromMetafields(mf) });
+  }catch(e){
+    console.error('status error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
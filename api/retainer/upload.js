@@ -0,0 +1,82 @@
+// /api/retainer/upload.js
+// One document per request, as multipart/form-data, so photos don't have to
+// ride inside the intake JSON as base64:
+//
+//   POST  kind=signature|drivers_license|car_insurance|incident_photo, file=<binary>
+//   → { ok:true, kind, upload_token, expires_at, upload:{ ...pipeline result } }
+//
+// The file goes through the upload pipeline (lib/retainer/uploads.js) and is
+// parked in private staging storage. intake-upsert / profile-update then take
+// signature_upload_token, license_upload_token or insurance_card_upload_token
+// in place of the matching *_data_url, and incidents.js takes incident_photo
+// tokens in photo_upload_tokens; the token is single-use and expires
+// after UPLOAD_TOKEN_TTL_HOURS (default 24). A rejected file only fails its
+// own upload. Rate limited per IP.
+
+import {
+  checkEnv, cors, rateLimit, clientIp, processBytes, uploadRule, stageUpload, uploadErrorBody, UPLOAD_KINDS,
+} from '../../lib/retainer/index.js';
+
+export const config = { api: { bodyParser: false } };
+
+const ENV_ERROR = checkEnv('upload');
+
+const WINDOW = 10 * 60;
+const FORM_OVERHEAD = 64 * 1024; // multipart boundaries + the kind field
+
+// Read the body, giving up as soon as it passes `max` bytes. → Buffer | null
+async function readBody(req, max){
+  const bufs = [];
+  let size = 0;
+  for await (const c of req) {
+    size += c.length;
+    if (size > max) return null;
+    bufs.push(c);
+  }
+  return Buffer.concat(bufs);
+}
+
+export default async function handler(req, res){
+  cors(res, req.headers.origin);
+  res.setHeader('Cache-Control', 'no-store');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+  if (req.method !== 'POST')    return res.status(405).end();
+  if (ENV_ERROR) return res.status(500).json({ ok:false, error: ENV_ERROR });
+
+  try{
+    const contentType = String(req.headers['content-type'] || '');
+    if (!/^multipart\/form-data/i.test(contentType)) {
+      return res.status(415).json({ ok:false, error:'expected multipart/form-data with "kind" and "file"' });
+    }
+
+    if (await rateLimit(res, 'upload', [
+      { key:`ip:${clientIp(req)}`, limit:30, windowSeconds:WINDOW },
+    ])) return;
+
+    const max = Math.max(...UPLOAD_KINDS.map(k => uploadRule(k).maxBytes)) + FORM_OVERHEAD;
+    if (Number(req.headers['content-length']) > max) return res.status(413).json({ ok:false, error:'file too large' });
+    const body = await readBody(req, max);
+    if (!body) return res.status(413).json({ ok:false, error:'file too large' });
+
+    let form;
+    try { form = await new Request('http://upload.local/', { method:'POST', headers:{ 'content-type': contentType }, body }).formData(); }
+    catch(_){ return res.status(400).json({ ok:false, error:'malformed multipart body' }); }
+
+    const kind = String(form.get('kind') || '');
+    if (!UPLOAD_KINDS.includes(kind)) return res.status(400).json({ ok:false, error:`kind must be one of ${UPLOAD_KINDS.join(', ')}` });
+    const file = form.get('file');
+    if (!file || typeof file === 'string') return res.status(400).json({ ok:false, error:'file is required' });
+
+    const up = await processBytes(Buffer.from(await file.arrayBuffer()), { kind, field:'file', declaredType: file.type });
+    if (!up.ok) {
+      const { uploads, ...rest } = uploadErrorBody({ [kind]: up.result });
+      return res.status(400).json({ ...rest, upload: uploads[kind] });
+    }
+
+    const { token, expires_at } = await stageUpload({ kind, bytes: up.bytes, contentType: up.contentType, result: up.result });
+    return res.status(200).json({ ok:true, kind, upload_token: token, expires_at, upload: up.result });
+  }catch(e){
+    console.error('upload error', e);
+    return res.status(500).json({ ok:false, error:String(e?.message||e) });
+  }
+}
@@ -0,0 +1,12 @@
+// /api/retainer/webhooks.js
+// HMAC-verified Shopify webhook router. Dispatches on X-Shopify-Topic:
+//   orders/create, orders/paid, orders/cancelled, refunds/create,
+//   customers/update, customers/data_request, customers/redact, shop/redact.
+// Topic handlers live in lib/retainer/webhook-topics/; deliveries are
+// deduplicated by X-Shopify-Webhook-Id through the webhook ledger.
+
+import { checkEnv, createWebhookHandler, WEBHOOK_TOPICS } from '../../lib/retainer/index.js';
+
+export const config = { api: { bodyParser: false } };
+
+export default createWebhookHandler('webhooks', WEBHOOK_TOPICS, { envError: checkEnv('webhooks') });
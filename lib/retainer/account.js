@@ -0,0 +1,108 @@
+// /lib/retainer/account.js
+// Customer account activation without a server-chosen password.
+//
+// intake-upsert creates customers through the Admin API with no password
+// (state DISABLED) and issues an activation link: a backend-signed token
+// (purpose "activate", ACCOUNT_ACTIVATION_TTL_HOURS, default 72) appended to
+// ACCOUNT_ACTIVATION_URL. The client opens it and chooses a password;
+// account-activate.js verifies the token, asks Shopify for a fresh activation
+// URL and completes it with Storefront customerActivateByUrl.
+//
+// Already-enabled accounts go through Shopify's own reset email instead
+// (customerRecover → customerResetByUrl).
+
+import { env, getConfig } from './config.js';
+import { adminGql, storefrontGql } from './shopify.js';
+import { signToken } from './tokens.js';
+import { getNotifier, renderNotice, canDeliver } from './notifier.js';
+
+export const ACTIVATE_PURPOSE = 'activate';
+
+const Q = {
+  customer: `query($id:ID!){ customer(id:$id){ id email state firstName } }`,
+  activationUrl: `mutation($customerId:ID!){
+    customerGenerateAccountActivationUrl(customerId:$customerId){
+      accountActivationUrl
+      userErrors{ field message }
+    }
+  }`,
+};
+
+const SF = {
+  activateByUrl: `mutation($activationUrl:URL!, $password:String!){
+    customerActivateByUrl(activationUrl:$activationUrl, password:$password){
+      customer{ id email }
+      customerAccessToken{ accessToken expiresAt }
+      customerUserErrors{ field message code }
+    }
+  }`,
+  recover: `mutation($email:String!){
+    customerRecover(email:$email){
+      customerUserErrors{ field message code }
+    }
+  }`,
+  resetByUrl: `mutation($resetUrl:URL!, $password:String!){
+    customerResetByUrl(resetUrl:$resetUrl, password:$password){
+      customer{ id email }
+      customerAccessToken{ accessToken expiresAt }
+      customerUserErrors{ field message code }
+    }
+  }`,
+};
+
+const ttlHours = () => Number(env('ACCOUNT_ACTIVATION_TTL_HOURS')) || 72;
+
+function activationLink(token){
+  const base = env('ACCOUNT_ACTIVATION_URL') || `https://${getConfig().shop}/pages/activate-account`;
+  return `${base}${base.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}`;
+}
+
+export async function getCustomerAccount(customerGid){
+  const d = await adminGql(Q.customer, { id: customerGid });
+  return d?.customer || null;
+}
+
+// Mint an activation link for a customer that has no password yet and
+// (unless deliver:false) email it. → { token, url, expires_at, delivery }
+// delivery: 'sent' once the provider accepted the message (it answered an
+// id), 'unavailable' when only a local driver is configured (nothing is
+// sent), 'skipped' with deliver:false. A provider failure throws.
+export async function issueActivation({ id, email, firstName = null }, { deliver = true } = {}){
+  const ttlSeconds = ttlHours() * 3600;
+  const token = signToken({ sub: id, email }, { purpose: ACTIVATE_PURPOSE, ttlSeconds });
+  const url = activationLink(token);
+  const expires_at = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+  if (!deliver) return { token, url, expires_at, delivery:'skipped' };
+
+  const notifier = getNotifier();
+  if (!canDeliver(notifier)) return { token, url, expires_at, delivery:'unavailable' };
+  const { subject, text } = renderNotice('activation', { name: firstName, url, hours: ttlHours() });
+  const r = await notifier.send({ channel:'email', to: email, kind:'activation', subject, text, data:{ url, expires_at } });
+  if (!r?.id) throw new Error(`notifier "${notifier.name}" returned no message id`);
+  return { token, url, expires_at, delivery:'sent' };
+}
+
+// Shopify account URL + chosen password → { ok, accessToken?, expiresAt?, errors? }
+const sfResult = r => {
+  const errs = r?.customerUserErrors || [];
+  if (errs.length) return { ok:false, errors: errs };
+  return { ok:true, customer: r?.customer || null, accessToken: r?.customerAccessToken?.accessToken || null, expiresAt: r?.customerAccessToken?.expiresAt || null };
+};
+
+export async function activateCustomer(customerGid, password){
+  const d = await adminGql(Q.activationUrl, { customerId: customerGid });
+  const r = d?.customerGenerateAccountActivationUrl;
+  if (r?.userErrors?.length) return { ok:false, errors: r.userErrors };
+  const s = await storefrontGql(SF.activateByUrl, { activationUrl: r.accountActivationUrl, password });
+  return sfResult(s?.customerActivateByUrl);
+}
+
+export async function recoverCustomer(email){
+  const s = await storefrontGql(SF.recover, { email });
+  return sfResult(s?.customerRecover);
+}
+
+export async function resetCustomer(resetUrl, password){
+  const s = await storefrontGql(SF.resetByUrl, { resetUrl, password });
+  return sfResult(s?.customerResetByUrl);
+}
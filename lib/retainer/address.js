@@ -0,0 +1,175 @@
+// /lib/retainer/address.js
+// Postal addresses for the intake: a one-line home_address parsed into the
+// parts Shopify's MailingAddress takes, and US state / ZIP checks. Offline;
+// the ZIP check only compares the 3-digit prefix with the state's USPS ranges,
+// which catches a typo'd state or ZIP but not a ZIP that doesn't exist.
+//
+//   "12 Main St Apt 4, Springfield, Illinois 62701-1234, USA"
+//   → { address1:'12 Main St', address2:'Apt 4', city:'Springfield',
+//       province:'IL', zip:'62701-1234', country:'US' }
+//
+// Addresses outside the US are kept as entered; only the country code is
+// checked.
+
+import { US_STATES } from './validators.js';
+import { defaultCountry } from './phone.js';
+
+export const ADDRESS_KEYS = ['address1', 'address2', 'city', 'province', 'zip', 'country'];
+
+const STATE_NAMES = {
+  alabama:'AL', alaska:'AK', arizona:'AZ', arkansas:'AR', california:'CA', colorado:'CO', connecticut:'CT',
+  delaware:'DE', districtofcolumbia:'DC', washingtondc:'DC', florida:'FL', georgia:'GA', hawaii:'HI', idaho:'ID',
+  illinois:'IL', indiana:'IN', iowa:'IA', kansas:'KS', kentucky:'KY', louisiana:'LA', maine:'ME', maryland:'MD',
+  massachusetts:'MA', michigan:'MI', minnesota:'MN', mississippi:'MS', missouri:'MO', montana:'MT', nebraska:'NE',
+  nevada:'NV', newhampshire:'NH', newjersey:'NJ', newmexico:'NM', newyork:'NY', northcarolina:'NC',
+  northdakota:'ND', ohio:'OH', oklahoma:'OK', oregon:'OR', pennsylvania:'PA', rhodeisland:'RI',
+  southcarolina:'SC', southdakota:'SD', tennessee:'TN', texas:'TX', utah:'UT', vermont:'VT', virginia:'VA',
+  washington:'WA', westvirginia:'WV', wisconsin:'WI', wyoming:'WY', americansamoa:'AS', guam:'GU',
+  northernmarianaislands:'MP', puertorico:'PR', virginislands:'VI', usvirginislands:'VI',
+};
+
+const COUNTRY_NAMES = { us:'US', usa:'US', unitedstates:'US', unitedstatesofamerica:'US', america:'US', canada:'CA', mexico:'MX' };
+
+// USPS 3-digit ZIP prefixes per state, as [from, to] ranges.
+const ZIP_PREFIXES = {
+  AL:[[350, 369]], AK:[[995, 999]], AZ:[[850, 865]], AR:[[716, 729]], CA:[[900, 961]], CO:[[800, 816]],
+  CT:[[60, 69]], DE:[[197, 199]], DC:[[200, 200], [202, 205], [569, 569]], FL:[[320, 349]],
+  GA:[[300, 319], [398, 399]], HI:[[967, 968]], ID:[[832, 838]], IL:[[600, 629]], IN:[[460, 479]],
+  IA:[[500, 528]], KS:[[660, 679]], KY:[[400, 427]], LA:[[700, 714]], ME:[[39, 49]], MD:[[206, 219]],
+  MA:[[10, 27], [55, 55]], MI:[[480, 499]], MN:[[550, 567]], MS:[[386, 397]], MO:[[630, 658]],
+  MT:[[590, 599]], NE:[[680, 693]], NV:[[889, 898]], NH:[[30, 38]], NJ:[[70, 89]], NM:[[870, 884]],
+  NY:[[5, 5], [100, 149]], NC:[[270, 289]], ND:[[580, 588]], OH:[[430, 459]], OK:[[730, 732], [734, 749]],
+  OR:[[970, 979]], PA:[[150, 196]], RI:[[28, 29]], SC:[[290, 299]], SD:[[570, 577]], TN:[[370, 385]],
+  TX:[[733, 733], [750, 799], [885, 885]], UT:[[840, 847]], VT:[[50, 54], [56, 59]], VA:[[201, 201], [220, 246]],
+  WA:[[980, 994]], WV:[[247, 268]], WI:[[530, 549]], WY:[[820, 831]],
+  AS:[[967, 967]], GU:[[969, 969]], MP:[[969, 969]], PR:[[6, 7], [9, 9]], VI:[[8, 8]],
+};
+
+// "Apt 4", "Suite 200", "#12" at the end of a street line.
+const UNIT_RE = /\s+((?:apt|apartment|unit|suite|ste|fl|floor|rm|room|bldg|building|lot|trlr)\.?\s*[\w-]+|#\s*[\w-]+)$/i;
+
+const squash = s => String(s ?? '').trim().replace(/\s+/g, ' ');
+
+/* ---------- Parts ---------- */
+// "il" / "Illinois" / "new york" → "IL" / "IL" / "NY"; null otherwise.
+export function stateCode(s){
+  const t = squash(s).toUpperCase();
+  if (US_STATES.includes(t)) return t;
+  return STATE_NAMES[t.toLowerCase().replace(/[^a-z]/g, '')] || null;
+}
+
+// "USA" / "united states" / "ca" → "US" / "US" / "CA"; null when it isn't a
+// two-letter code or the name of the US or a neighbour.
+export function countryCode(s){
+  const t = squash(s);
+  const named = COUNTRY_NAMES[t.toLowerCase().replace(/[^a-z]/g, '')];
+  if (named) return named;
+  return /^[A-Za-z]{2}$/.test(t) ? t.toUpperCase() : null;
+}
+
+// "627011234" / "62701 - 1234" → "62701-1234"; null when not a ZIP or ZIP+4.
+export function normalizeZip(s){
+  const m = squash(s).match(/^(\d{5})(?:\s*-?\s*(\d{4}))?$/);
+  return m ? (m[2] ? `${m[1]}-${m[2]}` : m[1]) : null;
+}
+
+export function zipMatchesState(zip, state){
+  const prefix = Number(String(zip).slice(0, 3));
+  return (ZIP_PREFIXES[state] || []).some(([from, to]) => prefix >= from && prefix <= to);
+}
+
+/* ---------- One line ↔ parts ---------- */
+// One-line US address → parts (see top), or null when no state and ZIP can be
+// found at the end. Lines are split on commas and line breaks; the city may
+// share a part with the state ("Springfield IL 62701").
+export function parseAddressLine(line){
+  const parts = String(line ?? '').split(/\s*[,\n]\s*/).map(squash).filter(Boolean);
+  let country;
+  if (parts.length && countryCode(parts[parts.length - 1]) === 'US' && !/\d/.test(parts[parts.length - 1])) {
+    country = 'US';
+    parts.pop();
+  }
+  const last = parts.pop();
+  const m = last?.match(/^(.*?)\s*(\d{5}(?:\s*-?\s*\d{4})?)$/);
+  if (!m || !m[1]) return null;
+
+  // The state is the longest run of trailing words that names one, unless
+  // that leaves no city ("123 Main St, Washington DC 20001").
+  const words = m[1].split(' ');
+  let province = null;
+  let cityWords = words;
+  for (let n = Math.min(4, words.length); n >= 1; n--) {
+    const code = stateCode(words.slice(-n).join(' '));
+    if (!code) continue;
+    [province, cityWords] = [code, words.slice(0, -n)];
+    if (cityWords.length || parts.length >= 2) break;
+  }
+  if (!province) return null;
+
+  const city = cityWords.length ? cityWords.join(' ') : parts.pop();
+  if (!city || !parts.length) return null;
+  let [address1, ...rest] = parts;
+  if (!rest.length) {
+    const unit = address1.match(UNIT_RE);
+    if (unit && unit.index > 0) { rest = [unit[1]]; address1 = address1.slice(0, unit.index); }
+  }
+  return {
+    address1, ...(rest.length ? { address2: rest.join(', ') } : {}),
+    city, province, zip: normalizeZip(m[2]), country: country || 'US',
+  };
+}
+
+// Parts → "12 Main St, Apt 4, Springfield, IL 62701" (country added outside the US).
+export function formatAddress(a){
+  return [
+    a.address1, a.address2, a.city,
+    [a.province, a.zip].filter(Boolean).join(' '),
+    a.country && a.country !== 'US' ? a.country : null,
+  ].filter(Boolean).join(', ');
+}
+
+/* ---------- Check ---------- */
+// Parts as entered → { ok:true, value, notes } | { ok:false, errors }.
+// value: the cleaned parts; notes: [{ key, from, to }] for each part that was
+// rewritten (state name → code, ZIP spacing, country name → code).
+// errors: [{ key, code, message }].
+export function checkAddress(a, { country: fallback = defaultCountry() } = {}){
+  const errors = [];
+  const notes = [];
+  const value = {};
+  for (const k of ['address1', 'address2', 'city']) if (squash(a[k])) value[k] = squash(a[k]);
+  if (!value.address1) errors.push({ key:'address1', code:'required', message:'Street address is required.' });
+  if (!value.city) errors.push({ key:'city', code:'required', message:'City is required.' });
+
+  const country = countryCode(squash(a.country) || fallback);
+  if (!country) errors.push({ key:'country', code:'invalid_choice', message:'Country must be a two-letter country code.' });
+  else {
+    value.country = country;
+    if (squash(a.country) && squash(a.country) !== country) notes.push({ key:'country', from: squash(a.country), to: country });
+  }
+
+  if (country !== 'US') {
+    for (const k of ['province', 'zip']) if (squash(a[k])) value[k] = squash(a[k]);
+    return errors.length ? { ok:false, errors } : { ok:true, value, notes };
+  }
+
+  const province = squash(a.province) ? stateCode(a.province) : null;
+  if (!squash(a.province)) errors.push({ key:'province', code:'required', message:'State is required.' });
+  else if (!province) errors.push({ key:'province', code:'invalid_choice', message:'State must be a US state, e.g. CA or California.' });
+  else {
+    value.province = province;
+    if (squash(a.province) !== province) notes.push({ key:'province', from: squash(a.province), to: province });
+  }
+
+  const zip = squash(a.zip) ? normalizeZip(a.zip) : null;
+  if (!squash(a.zip)) errors.push({ key:'zip', code:'required', message:'ZIP code is required.' });
+  else if (!zip) errors.push({ key:'zip', code:'invalid_format', message:'ZIP code must be 5 digits or ZIP+4 (12345-6789).' });
+  else {
+    value.zip = zip;
+    if (squash(a.zip) !== zip) notes.push({ key:'zip', from: squash(a.zip), to: zip });
+    if (province && !zipMatchesState(zip, province)) {
+      errors.push({ key:'zip', code:'state_mismatch', message:`ZIP code ${zip} isn't in ${province}; please check the state and ZIP.` });
+    }
+  }
+  return errors.length ? { ok:false, errors } : { ok:true, value, notes };
+}
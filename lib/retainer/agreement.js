@@ -0,0 +1,211 @@
+// /lib/retainer/agreement.js
+// Signed retainer agreement PDF, rendered in-process with pdf-lib.
+//
+// AGREEMENT_TEMPLATES holds every template version ever signed; old versions
+// stay so an agreement can be re-rendered exactly. New agreements use the
+// newest version unless AGREEMENT_TEMPLATE_VERSION pins another.
+//
+// Two hashes:
+//   content_sha256 — SHA-256 of the canonical JSON of { template_version,
+//                    fields, signature_sha256 }, printed on every page so a
+//                    paper copy can be tied back to what was signed
+//   sha256         — SHA-256 of the final PDF bytes, kept in the documents
+//                    index and the retainer.agreement_pdf pointer
+//
+// The PDF is stored privately like the other retainer files (documents.js,
+// kind "agreement"); Shopify gets retainer.agreement_pdf, a JSON pointer
+// { path, sha256, content_sha256, template_version, generated_at }.
+
+import crypto from 'node:crypto';
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { env } from './config.js';
+import { currentDocuments, downloadDocument, storeDocument } from './documents.js';
+import { sniffType } from './uploads.js';
+
+/* ---------- Templates ---------- */
+// Paragraph text may use {{field}} placeholders from agreementFields().
+export const AGREEMENT_TEMPLATES = {
+  '2026-10-01': {
+    title: 'Legal Services Retainer Agreement',
+    sections: [
+      { heading: '1. Parties',
+        text: 'This agreement is between the law firm ("the Firm") and {{name}} ("the Client"). It covers the Client and the household members and vehicles listed below.' },
+      { heading: '2. Plan and term',
+        text: 'The Client enrolls in the {{plan}} plan for a term of {{term}}. Coverage begins when payment for the plan is received and ends at the close of the term unless renewed.' },
+      { heading: '3. Services',
+        text: 'During the term the Firm will advise and represent the Client in matters within the scope of the plan, including motor vehicle incidents involving the listed vehicles and household members. Matters outside the plan are subject to a separate engagement.' },
+      { heading: '4. Client responsibilities',
+        text: 'The Client will keep contact, insurance, household and vehicle information current, notify the Firm promptly of any incident, and cooperate with reasonable requests for documents.' },
+      { heading: '5. Cancellation',
+        text: 'Either party may end this agreement in writing. Fees for a cancelled or refunded plan are handled under the Firm\'s refund policy in effect on the signing date.' },
+      { heading: '6. Electronic signature',
+        text: 'The Client agrees that the electronic signature below is the Client\'s signature and has the same effect as a handwritten one.' },
+    ],
+  },
+};
+
+export function agreementTemplate(version = env('AGREEMENT_TEMPLATE_VERSION')){
+  const v = version || Object.keys(AGREEMENT_TEMPLATES).sort().pop();
+  const t = AGREEMENT_TEMPLATES[v];
+  if (!t) throw new Error(`unknown agreement template "${v}"`);
+  return { version: v, ...t };
+}
+
+/* ---------- Fields ---------- */
+// Intake-shaped input (intake-upsert values or orders.js readIntake) → the
+// fields the template prints. Everything is a string or a list of strings.
+export function agreementFields(d){
+  const str = v => (v == null ? '' : String(v).trim());
+  return {
+    name:        str(d.name),
+    email:       str(d.email),
+    dob:         str(d.dob),
+    insurer:     str(d.insurer),
+    bi_coverage: d.has_bi === true ? 'Yes' : d.has_bi === false ? 'No' : '',
+    plan:        str(d.plan),
+    term:        str(d.term),
+    household:   (d.household || []).map(h => [h.name, h.dob, h.relationship].filter(Boolean).join(', ')).filter(Boolean),
+    vehicles:    (d.vehicles || []).map(v => [[v.year, v.make, v.model].filter(Boolean).join(' '), v.vin && `VIN ${v.vin}`].filter(Boolean).join(', ')).filter(Boolean),
+    signed_name: str(d.signed_name),
+    signed_date: str(d.signed_date),
+  };
+}
+
+// JSON with sorted keys, so hashes don't depend on property order.
+export const canonicalJson = v => Array.isArray(v)
+  ? `[${v.map(canonicalJson).join(',')}]`
+  : v && typeof v === 'object'
+    ? `{${Object.keys(v).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(',')}}`
+    : JSON.stringify(v ?? null);
+
+const sha256 = buf => crypto.createHash('sha256').update(buf).digest('hex');
+
+// Hash of the agreement wording itself (not the client's data), recorded with
+// each signature as evidence of which text was agreed to.
+export function agreementTextSha256(template = agreementTemplate()){
+  return sha256(canonicalJson({ version: template.version, title: template.title, sections: template.sections }));
+}
+
+/* ---------- Rendering ---------- */
+const PAGE = { width: 612, height: 792, margin: 54 };   // US Letter
+const SIZE = { title: 16, heading: 11, body: 10, small: 7 };
+const LEAD = 1.35;
+
+// → { bytes, content_sha256, template_version }
+export async function renderAgreementPdf({ fields, signaturePng, template = agreementTemplate(), generatedAt = new Date() }){
+  const content_sha256 = sha256(canonicalJson({ template_version: template.version, fields, signature_sha256: sha256(signaturePng) }));
+
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`${template.title} — ${fields.name || fields.email}`);
+  pdf.setSubject(`template ${template.version}; content sha256 ${content_sha256}`);
+  pdf.setProducer('retainer-backend');
+  pdf.setCreationDate(generatedAt);
+  pdf.setModificationDate(generatedAt);
+
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+  // Standard fonts only cover WinAnsi; anything else prints as "?".
+  const charset = new Set(font.getCharacterSet());
+  const safe = s => [...String(s).normalize('NFC')].map(c => (charset.has(c.codePointAt(0)) ? c : '?')).join('');
+
+  const width = PAGE.width - PAGE.margin * 2;
+  let page, y;
+  const newPage = () => { page = pdf.addPage([PAGE.width, PAGE.height]); y = PAGE.height - PAGE.margin; };
+  const need = h => { if (y - h < PAGE.margin + 20) newPage(); };
+
+  const wrap = (text, f, size) => {
+    const lines = [];
+    for (const para of safe(text).split('\n')) {
+      let line = '';
+      for (const word of para.split(/\s+/).filter(Boolean)) {
+        const next = line ? `${line} ${word}` : word;
+        if (line && f.widthOfTextAtSize(next, size) > width) { lines.push(line); line = word; }
+        else line = next;
+      }
+      lines.push(line);
+    }
+    return lines;
+  };
+  const write = (text, { f = font, size = SIZE.body, gap = 0 } = {}) => {
+    for (const line of wrap(text, f, size)) {
+      need(size * LEAD);
+      y -= size * LEAD;
+      page.drawText(line, { x: PAGE.margin, y, size, font: f });
+    }
+    y -= gap;
+  };
+  const fill = text => String(text).replace(/\{\{(\w+)\}\}/g, (_, k) => {
+    const v = fields[k];
+    return (Array.isArray(v) ? v.join('; ') : v) || '________';
+  });
+
+  newPage();
+  write(template.title, { f: bold, size: SIZE.title, gap: 10 });
+
+  write('Client', { f: bold, size: SIZE.heading, gap: 2 });
+  for (const [label, key] of [['Name', 'name'], ['Email', 'email'], ['Date of birth', 'dob'], ['Insurer', 'insurer'], ['Bodily injury coverage', 'bi_coverage'], ['Plan', 'plan'], ['Term', 'term']]) {
+    write(`${label}: ${fields[key] || '—'}`);
+  }
+  y -= 6;
+  write('Household members', { f: bold, size: SIZE.heading, gap: 2 });
+  write(fields.household.length ? fields.household.map(h => `• ${h}`).join('\n') : 'None listed');
+  y -= 6;
+  write('Vehicles', { f: bold, size: SIZE.heading, gap: 2 });
+  write(fields.vehicles.length ? fields.vehicles.map(v => `• ${v}`).join('\n') : 'None listed');
+  y -= 10;
+
+  for (const s of template.sections) {
+    write(s.heading, { f: bold, size: SIZE.heading, gap: 2 });
+    write(fill(s.text), { gap: 8 });
+  }
+
+  // Signature block
+  const sig = await pdf.embedPng(signaturePng);
+  const scaled = sig.scaleToFit(220, 80);
+  need(scaled.height + 60);
+  write('Client signature', { f: bold, size: SIZE.heading, gap: 4 });
+  y -= scaled.height;
+  page.drawImage(sig, { x: PAGE.margin, y, width: scaled.width, height: scaled.height });
+  y -= 4;
+  page.drawLine({ start: { x: PAGE.margin, y }, end: { x: PAGE.margin + 240, y }, thickness: 0.5, color: rgb(0, 0, 0) });
+  write(`Signed by: ${fields.signed_name || '—'}`);
+  write(`Date: ${fields.signed_date || '—'}`);
+
+  // Footer stamp on every page
+  const pages = pdf.getPages();
+  pages.forEach((p, i) => {
+    p.drawText(safe(`Template ${template.version} · Content SHA-256 ${content_sha256} · Page ${i + 1} of ${pages.length}`), {
+      x: PAGE.margin, y: PAGE.margin / 2, size: SIZE.small, font, color: rgb(0.35, 0.35, 0.35),
+    });
+  });
+
+  return { bytes: Buffer.from(await pdf.save()), content_sha256, template_version: template.version };
+}
+
+/* ---------- Generate + store ---------- */
+// Renders the agreement with the client's current signature and stores it.
+// → { ok:true, doc, pointer } | { ok:false, error }
+export async function generateAgreement({ customerGid = null, email, data, source = null }){
+  const sigDoc = (await currentDocuments({ customerGid, email })).signature;
+  if (!sigDoc) return { ok:false, error:'no signature on file' };
+  const signaturePng = await downloadDocument(sigDoc.path);
+  if (sniffType(signaturePng) !== 'image/png') return { ok:false, error:'signature on file is not a PNG' };
+
+  const fields = agreementFields({ email, ...data });
+  const generatedAt = new Date();
+  const pdf = await renderAgreementPdf({ fields, signaturePng, generatedAt });
+
+  const stored = await storeDocument({ customerGid, email, kind:'agreement', bytes: pdf.bytes, contentType:'application/pdf', source });
+  if (!stored.ok) return stored;
+  return {
+    ok: true,
+    doc: stored.doc,
+    pointer: {
+      path: stored.doc.path,
+      sha256: stored.doc.sha256,
+      content_sha256: pdf.content_sha256,
+      template_version: pdf.template_version,
+      generated_at: generatedAt.toISOString(),
+    },
+  };
+}
@@ -0,0 +1,159 @@
+// /lib/retainer/audit.js
+// Append-only audit log (AUDIT_TABLE, default "audit_log") of every write to a
+// client's retainer record or to retainer.* metafields on a customer or order.
+//
+// Entry: { id, at, request_id, source, actor_role, actor_id, action,
+//          target_type: retainer_record | customer_metafields | order_metafields,
+//          target_id, email, shopify_customer_id, before, after, diff, restored_from }
+// before/after are full snapshots (record row, or { key:{ type, value } } for
+// every retainer.* metafield on the owner), so any entry can be restored.
+//
+// Who and why come from the request scope: handlers are wrapped with
+// withAudit('<endpoint>', handler), the webhook router runs each topic in
+// runAudited(), and the write helpers (metafields.js, records.js) read it.
+// Writes outside any scope are logged with source "script".
+//
+// The table rejects UPDATE; GDPR redaction is the only delete. A failed audit
+// insert is logged but never fails the write it describes.
+
+import crypto from 'node:crypto';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { env } from './config.js';
+import { getSupabase } from './supabase.js';
+import { clientIp } from './rate-limit.js';
+import { normEmail } from './validators.js';
+
+const auditTable = () => env('AUDIT_TABLE') || 'audit_log';
+const scope = new AsyncLocalStorage();
+
+/* ---------- Request scope ---------- */
+export function requestIdOf(req){
+  return String(req.headers['x-request-id'] || req.headers['x-vercel-id'] || '') || crypto.randomUUID();
+}
+
+// ctx: { source, requestId?, actor?:{ role, id }, subject?:{ customerGid, email } }
+export function runAudited(ctx, fn){
+  return scope.run({ requestId: crypto.randomUUID(), actor:{ role:'system', id:null }, ...ctx }, fn);
+}
+
+// Handler wrapper: anonymous caller (by IP) until setAuditActor() says otherwise.
+export function withAudit(source, handler){
+  return function audited(req, res){
+    const requestId = requestIdOf(req);
+    res.setHeader('X-Request-Id', requestId);
+    return runAudited({ source, requestId, actor:{ role:'public', id: clientIp(req) } }, () => handler(req, res));
+  };
+}
+
+export function auditContext(){
+  return scope.getStore() || { source:'script', requestId:null, actor:{ role:'system', id:null } };
+}
+
+// Authenticated identity (auth.js) or { role, id }.
+export function setAuditActor(who){
+  const ctx = scope.getStore();
+  if (ctx) ctx.actor = { role: who.role, id: who.sub ?? who.id ?? null };
+}
+
+// The client the current writes are about, for order metafield entries.
+export function setAuditSubject({ customerGid = null, email = null }){
+  const ctx = scope.getStore();
+  if (ctx) ctx.subject = { customerGid, email: email ? normEmail(email) : null };
+}
+
+/* ---------- Diff ---------- */
+const IGNORED = new Set(['updated_at']);
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Top-level field diff. → [{ field, from, to }]
+export function diffSnapshots(before, after){
+  const out = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const k of [...keys].sort()) {
+    if (IGNORED.has(k)) continue;
+    const from = before?.[k] ?? null;
+    const to   = after?.[k] ?? null;
+    if (same(from, to)) continue;
+    // metafield snapshots: show the value, keep the type in the snapshot
+    const v = x => (x && typeof x === 'object' && 'value' in x && 'type' in x ? x.value : x);
+    out.push({ field:k, from: v(from), to: v(to) });
+  }
+  return out;
+}
+
+/* ---------- Write ---------- */
+// → the inserted entry, or null when nothing changed (or the insert failed)
+export async function recordAudit({ targetType, targetId, email = null, customerGid = null, action = 'update', before = null, after = null }){
+  const ctx = auditContext();
+  const diff = diffSnapshots(before, after);
+  if (!diff.length && !ctx.restoredFrom) return null;
+
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    request_id: ctx.requestId,
+    source: ctx.source,
+    actor_role: ctx.actor?.role || null,
+    actor_id: ctx.actor?.id == null ? null : String(ctx.actor.id),
+    action: ctx.restoredFrom ? 'restore' : action,
+    target_type: targetType,
+    target_id: targetId,
+    email: (email ? normEmail(email) : null) || ctx.subject?.email || null,
+    shopify_customer_id: customerGid || ctx.subject?.customerGid || null,
+    before,
+    after,
+    diff,
+    restored_from: ctx.restoredFrom || null,
+  };
+  const { error } = await getSupabase().from(auditTable()).insert(entry);
+  if (error) { console.error('[audit] insert failed', error.message, JSON.stringify({ targetType, targetId })); return null; }
+  return entry;
+}
+
+/* ---------- Read ---------- */
+// A client's entries (by Shopify id and by email), newest first.
+// opts: { targetType?, before?: ISO timestamp cursor, limit? }
+export async function listAuditEntries({ customerGid, email }, { targetType = null, before = null, limit = 50 } = {}){
+  const rows = new Map();
+  const take = async (col, val) => {
+    if (!val) return;
+    let q = getSupabase().from(auditTable()).select('*').eq(col, val);
+    if (targetType) q = q.eq('target_type', targetType);
+    if (before) q = q.lt('at', before);
+    const { data, error } = await q.order('at', { ascending:false }).limit(limit);
+    if (error) throw new Error(`audit read: ${error.message}`);
+    for (const r of data || []) rows.set(r.id, r);
+  };
+  await take('shopify_customer_id', customerGid || null);
+  await take('email', email ? normEmail(email) : null);
+  return [...rows.values()].sort((a, z) => (a.at < z.at ? 1 : -1)).slice(0, limit);
+}
+
+export async function getAuditEntry(id){
+  const { data, error } = await getSupabase().from(auditTable()).select('*').eq('id', String(id)).maybeSingle();
+  if (error) throw new Error(`audit read: ${error.message}`);
+  return data || null;
+}
+
+/* ---------- Delete (GDPR) ---------- */
+export async function removeAuditEntries({ customerGid, email }){
+  let removed = 0;
+  for (const [col, val] of [['shopify_customer_id', customerGid], ['email', email ? normEmail(email) : null]]) {
+    if (!val) continue;
+    const { data, error } = await getSupabase().from(auditTable()).delete().eq(col, val).select('id');
+    if (error) throw new Error(`audit delete: ${error.message}`);
+    removed += (data || []).length;
+  }
+  return removed;
+}
+
+export async function removeAllAuditEntries(){
+  const { data, error } = await getSupabase().from(auditTable()).select('id');
+  if (error) throw new Error(`audit read: ${error.message}`);
+  const ids = (data || []).map(r => r.id);
+  for (let i = 0; i < ids.length; i += 500) {
+    const { error: delErr } = await getSupabase().from(auditTable()).delete().in('id', ids.slice(i, i + 500));
+    if (delErr) throw new Error(`audit delete: ${delErr.message}`);
+  }
+  return ids.length;
+}
@@ -0,0 +1,90 @@
+// /lib/retainer/auth.js
+// Who is calling: "Authorization: Bearer <token>" → identity.
+//
+//   session JWT (purpose "session")  → customer, minted by session.js /
+//                                      account-activate.js after Shopify
+//                                      verified the customer
+//   staff JWT (purpose "staff")      → staff, minted by scripts/staff-token.js
+//   anything else                    → treated as a Storefront customer access
+//                                      token and checked with Shopify
+//
+// Cron endpoints (cron-sweep, jobs-worker) check isCronRequest() instead:
+// Vercel sends "Authorization: Bearer $CRON_SECRET".
+//
+// Identity: { role:'customer'|'staff', email, customerGid, sub, via }
+
+import crypto from 'node:crypto';
+import { env } from './config.js';
+import { storefrontGql } from './shopify.js';
+import { signToken, verifyToken } from './tokens.js';
+import { normEmail } from './validators.js';
+
+export const SESSION_PURPOSE = 'session';
+export const STAFF_PURPOSE = 'staff';
+
+const SF = {
+  customer: `query($customerAccessToken:String!){
+    customer(customerAccessToken:$customerAccessToken){ id email firstName lastName }
+  }`,
+};
+
+const sessionTtl = () => (Number(env('SESSION_TTL_HOURS')) || 12) * 3600;
+
+// Verified Shopify customer → { token, expires_at }
+export function issueSession({ id, email }){
+  const ttlSeconds = sessionTtl();
+  const token = signToken({ sub: id, email: normEmail(email), role:'customer' }, { purpose: SESSION_PURPOSE, ttlSeconds });
+  return { token, expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString() };
+}
+
+export function issueStaffToken(name, { hours = 12 } = {}){
+  return signToken({ sub: String(name), role:'staff' }, { purpose: STAFF_PURPOSE, ttlSeconds: hours * 3600 });
+}
+
+export function bearerToken(req){
+  const m = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  return m ? m[1] : null;
+}
+
+// Storefront customer access token → { id, email } | null
+export async function customerFromAccessToken(token){
+  const d = await storefrontGql(SF.customer, { customerAccessToken: token });
+  return d?.customer?.id ? d.customer : null;
+}
+
+// → { ok:true, identity } | { ok:false, status, error }
+export async function authenticate(req){
+  const token = bearerToken(req);
+  if (!token) return { ok:false, status:401, error:'authentication required' };
+
+  if (token.split('.').length === 3) {
+    const staff = verifyToken(token, { purpose: STAFF_PURPOSE });
+    if (staff.ok) {
+      return { ok:true, identity:{ role:'staff', sub: staff.claims.sub, email:null, customerGid:null, via:'staff_jwt' } };
+    }
+    const s = verifyToken(token, { purpose: SESSION_PURPOSE });
+    if (s.ok) {
+      return { ok:true, identity:{ role:'customer', sub: s.claims.sub, email: normEmail(s.claims.email), customerGid: s.claims.sub, via:'session_jwt' } };
+    }
+    if (s.error === 'expired' || staff.error === 'expired') return { ok:false, status:401, error:'session expired' };
+    return { ok:false, status:401, error:'invalid token' };
+  }
+
+  const c = await customerFromAccessToken(token);
+  if (!c) return { ok:false, status:401, error:'invalid or expired customer access token' };
+  return { ok:true, identity:{ role:'customer', sub: c.id, email: normEmail(c.email), customerGid: c.id, via:'storefront' } };
+}
+
+// Constant-time check of the Vercel cron secret.
+export function isCronRequest(req){
+  const want = Buffer.from(`Bearer ${env('CRON_SECRET') || ''}`);
+  const got  = Buffer.from(String(req.headers.authorization || ''));
+  return want.length === got.length && crypto.timingSafeEqual(want, got);
+}
+
+// Customers may only touch their own email; staff any.
+export function canAccessEmail(identity, email){
+  if (!identity) return false;
+  if (identity.role === 'staff') return true;
+  return !!identity.email && identity.email === normEmail(email);
+}
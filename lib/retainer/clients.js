@@ -0,0 +1,185 @@
+// /lib/retainer/clients.js
+// Staff client list / search over retainer_records (api/retainer/clients.js).
+//
+// Filters: q (email or name contains), plan, term, status, insurer (contains),
+// has_bi, signed_from / signed_to (YYYY-MM-DD, on signed_at), missing (kinds
+// from signature, drivers_license, car_insurance; a client matches when every
+// listed kind is missing). Status filters on the stored
+// retainer_status, which the orders webhooks and the daily sweeper keep
+// current; the summary shows the date-aware effectiveStatus().
+//
+// Paging is keyset: rows are ordered by the sort column (nulls last) then
+// email, and the opaque cursor carries the last row's pair, so pages don't
+// shift when clients are added in between.
+//
+// Rows come back as a summary projection. Sensitive fields (dob, bi_limits,
+// household, vehicles, notes, signature_path) and the client's retainer.*
+// metafields are only added when named in `include`.
+
+import { getConfig } from './config.js';
+import { getSupabase } from './supabase.js';
+import { getRetainerMetafields } from './metafields.js';
+import { STATUSES, effectiveStatus, addDays } from './lifecycle.js';
+import { isYMD } from './validators.js';
+
+export const CLIENT_SORTS = ['updated_at', 'signed_at', 'retainer_end', 'full_name', 'email'];
+export const CLIENT_INCLUDES = ['dob', 'bi_limits', 'household', 'vehicles', 'notes', 'signature_path', 'metafields'];
+export const REQUIRED_DOCUMENTS = ['signature', 'drivers_license', 'car_insurance'];
+
+const SUMMARY_COLUMNS = [
+  'email', 'full_name', 'shopify_customer_id', 'insurer', 'has_bi', 'cars_count',
+  'retainer_plan', 'retainer_term', 'retainer_status', 'retainer_start', 'retainer_end',
+  'signed_at', 'has_signature', 'has_drivers_license', 'has_car_insurance', 'household', 'vehicles', 'updated_at',
+];
+
+/* ---------- Cursor ---------- */
+export function encodeCursor(sort, row){
+  return Buffer.from(JSON.stringify({ s: sort, v: row[sort.replace(/^-/, '')] ?? null, e: row.email })).toString('base64url');
+}
+
+// → { v, e } | null when it isn't a cursor for this sort
+export function decodeCursor(sort, cursor){
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (c?.s !== sort || typeof c.e !== 'string') return null;
+    if (c.v !== null && !['string', 'number'].includes(typeof c.v)) return null;
+    return { v: c.v, e: c.e };
+  } catch(_){ return null; }
+}
+
+// PostgREST filter value, quoted so commas and parentheses in names are safe.
+const lit = v => `"${String(v).replace(/["\\]/g, '\\$&')}"`;
+const likeTerm = s => String(s).replace(/[%_\\]/g, '\\$&').replace(/[",()]/g, ' ');
+
+// Rows strictly after the cursor in (col nulls last, email asc) order, as a
+// PostgREST logic expression.
+function afterCursor(col, ascending, { v, e }){
+  if (v === null) return `and(${col}.is.null,email.gt.${lit(e)})`;
+  const beyond = ascending ? 'gt' : 'lt';
+  return `${col}.${beyond}.${lit(v)},and(${col}.eq.${lit(v)},email.gt.${lit(e)}),${col}.is.null`;
+}
+
+/* ---------- Projection ---------- */
+export function clientSummary(row, include = []){
+  const docs = Object.fromEntries(REQUIRED_DOCUMENTS.map(k => [k, !!row[`has_${k}`]]));
+  const out = {
+    email: row.email,
+    full_name: row.full_name || null,
+    shopify_customer_id: row.shopify_customer_id || null,
+    plan: row.retainer_plan || null,
+    term: row.retainer_term || null,
+    status: effectiveStatus({ status: row.retainer_status, end: row.retainer_end }) || 'none',
+    retainer_start: row.retainer_start || null,
+    retainer_end: row.retainer_end || null,
+    insurer: row.insurer || null,
+    has_bi: row.has_bi ?? null,
+    cars_count: row.cars_count ?? null,
+    household_count: (row.household || []).length,
+    vehicles_count: (row.vehicles || []).length,
+    signed_at: row.signed_at || null,
+    documents: docs,
+    missing_documents: REQUIRED_DOCUMENTS.filter(k => !docs[k]),
+    updated_at: row.updated_at || null,
+  };
+  for (const f of include) if (f !== 'metafields') out[f] = row[f] ?? null;
+  return out;
+}
+
+/* ---------- Filters ---------- */
+const list = v => String(v || '').split(',').map(s => s.trim()).filter(Boolean);
+
+// Query string → { filters } | { error }. Shared by the clients and export endpoints.
+export function parseClientFilters(q){
+  const filters = {};
+  for (const k of ['q', 'plan', 'term', 'insurer']) if (q[k]) filters[k] = String(q[k]).trim();
+
+  if (q.status) {
+    if (!STATUSES.includes(q.status)) return { error:`status must be one of ${STATUSES.join(', ')}` };
+    filters.status = q.status;
+  }
+  if (q.has_bi !== undefined && q.has_bi !== '') {
+    const s = String(q.has_bi).toLowerCase();
+    if (['true', 'yes', '1'].includes(s)) filters.has_bi = true;
+    else if (['false', 'no', '0'].includes(s)) filters.has_bi = false;
+    else return { error:'has_bi must be yes or no' };
+  }
+  for (const k of ['signed_from', 'signed_to']) {
+    if (!q[k]) continue;
+    if (!isYMD(q[k])) return { error:`${k} must be YYYY-MM-DD` };
+    filters[k] = q[k];
+  }
+  if (q.missing) {
+    filters.missing = list(q.missing);
+    if (filters.missing.some(k => !REQUIRED_DOCUMENTS.includes(k))) return { error:`missing must list any of ${REQUIRED_DOCUMENTS.join(', ')}` };
+  }
+  return { filters };
+}
+
+// → { q, ors }: the filtered select, plus OR groups still to be applied
+// (text search and the cursor are both OR groups; PostgREST takes one `or`).
+function filteredQuery(filters, columns){
+  const ors = [];
+  let q = getSupabase().from(getConfig().retainerTable).select(columns.join(', '));
+  if (filters.q) ors.push(`email.ilike.${lit(`%${likeTerm(filters.q)}%`)},full_name.ilike.${lit(`%${likeTerm(filters.q)}%`)}`);
+  if (filters.plan) q = q.eq('retainer_plan', filters.plan);
+  if (filters.term) q = q.eq('retainer_term', filters.term);
+  if (filters.status) q = q.eq('retainer_status', filters.status);
+  if (filters.insurer) q = q.ilike('insurer', `%${likeTerm(filters.insurer)}%`);
+  if (filters.has_bi === true || filters.has_bi === false) q = q.eq('has_bi', filters.has_bi);
+  if (filters.signed_from) q = q.gte('signed_at', `${filters.signed_from}T00:00:00.000Z`);
+  if (filters.signed_to) q = q.lt('signed_at', `${addDays(filters.signed_to, 1)}T00:00:00.000Z`);
+  for (const k of filters.missing || []) q = q.eq(`has_${k}`, false);
+  return { q, ors };
+}
+
+const withOrs = (q, ors) => (ors.length === 1 ? q.or(ors[0]) : ors.length > 1 ? q.or(`and(${ors.map(o => `or(${o})`).join(',')})`) : q);
+
+/* ---------- Search ---------- */
+// filters: { q, plan, term, status, insurer, has_bi, signed_from, signed_to, missing[] }
+// opts: { sort: 'col' | '-col', cursor, limit, include[] }
+// → { clients, next_cursor }
+export async function searchClients(filters = {}, { sort = '-updated_at', cursor = null, limit = 25, include = [] } = {}){
+  const col = sort.replace(/^-/, '');
+  const ascending = !sort.startsWith('-');
+  const columns = [...new Set([...SUMMARY_COLUMNS, ...include.filter(f => f !== 'metafields')])];
+
+  let { q, ors } = filteredQuery(filters, columns);
+  const after = cursor ? decodeCursor(sort, cursor) : null;
+  if (cursor && !after) throw Object.assign(new Error('cursor does not match this sort'), { status:400 });
+  if (after) ors.push(afterCursor(col, ascending, after));
+  q = withOrs(q, ors);
+
+  q = q.order(col, { ascending, nullsFirst:false });
+  if (col !== 'email') q = q.order('email', { ascending:true });
+  const { data, error } = await q.limit(limit + 1);
+  if (error) throw new Error(`client search: ${error.message}`);
+
+  const rows = data || [];
+  const page = rows.slice(0, limit);
+  const clients = page.map(r => clientSummary(r, include));
+  if (include.includes('metafields')) {
+    for (const [i, r] of page.entries()) {
+      if (!r.shopify_customer_id) { clients[i].metafields = null; continue; }
+      const mfs = await getRetainerMetafields(r.shopify_customer_id);
+      clients[i].metafields = Object.fromEntries(Object.values(mfs).map(m => [m.key, m.value]));
+    }
+  }
+  return { clients, next_cursor: rows.length > limit ? encodeCursor(sort, page[page.length - 1]) : null };
+}
+
+// Every matching record, in email order, fetched `batch` rows at a time.
+// Yields arrays of rows (one per batch).
+export async function* scanClients(filters = {}, { columns = ['*'], batch = 200 } = {}){
+  let last = null;
+  for (;;) {
+    let { q, ors } = filteredQuery(filters, columns);
+    q = withOrs(q, ors);
+    if (last) q = q.gt('email', last);
+    const { data, error } = await q.order('email', { ascending:true }).limit(batch);
+    if (error) throw new Error(`client scan: ${error.message}`);
+    if (!data?.length) return;
+    yield data;
+    if (data.length < batch) return;
+    last = data[data.length - 1].email;
+  }
+}
@@ -0,0 +1,100 @@
+// /lib/retainer/config.js
+// Env loading for every retainer endpoint. Each endpoint declares the vars it
+// cannot run without; checkEnv() reports exactly which ones are missing.
+
+export const API_VERSION = '2024-07';
+
+// Legacy names still read as a fallback so existing deployments keep working.
+const ALIASES = {
+  SHOPIFY_STOREFRONT_TOKEN: ['STOREFRONT_TOKEN'],
+};
+
+/* ---------- Required env per endpoint ---------- */
+export const ENDPOINT_ENV = {
+  'customer-create': ['SHOPIFY_SHOP', 'SHOPIFY_STOREFRONT_TOKEN'],
+  'intake-upsert':   ['SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'AUTH_TOKEN_SECRET', 'SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'],
+  'account-activate':['SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'SHOPIFY_STOREFRONT_TOKEN', 'AUTH_TOKEN_SECRET'],
+  'order-webhook':   ['SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'SHOPIFY_WEBHOOK_SECRET', 'SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'],
+  'webhooks':        ['SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'SHOPIFY_WEBHOOK_SECRET', 'SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'],
+  'profile-update':  ['SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'AUTH_TOKEN_SECRET', 'SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'],
+  'record':          ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'SHOPIFY_STOREFRONT_TOKEN', 'AUTH_TOKEN_SECRET'],
+  'upload':          ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'AUTH_TOKEN_SECRET'],
+  'documents':       ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'SHOPIFY_SHOP', 'SHOPIFY_STOREFRONT_TOKEN', 'AUTH_TOKEN_SECRET'],
+  'signature-certificate': ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'SHOPIFY_SHOP', 'SHOPIFY_STOREFRONT_TOKEN', 'AUTH_TOKEN_SECRET'],
+  'clients':         ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'SHOPIFY_STOREFRONT_TOKEN', 'AUTH_TOKEN_SECRET'],
+  'export':          ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'SHOPIFY_STOREFRONT_TOKEN', 'AUTH_TOKEN_SECRET'],
+  'history':         ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'SHOPIFY_STOREFRONT_TOKEN', 'AUTH_TOKEN_SECRET'],
+  'session':         ['SHOPIFY_SHOP', 'SHOPIFY_STOREFRONT_TOKEN', 'AUTH_TOKEN_SECRET'],
+  'status':          ['SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'SHOPIFY_STOREFRONT_TOKEN', 'AUTH_TOKEN_SECRET'],
+  'coverage-lookup': ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'SHOPIFY_SHOP', 'SHOPIFY_STOREFRONT_TOKEN', 'AUTH_TOKEN_SECRET'],
+  'incidents':       ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'SHOPIFY_STOREFRONT_TOKEN', 'AUTH_TOKEN_SECRET'],
+  'intake-status':   ['SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY'],
+  'jobs-worker':     ['SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'AUTH_TOKEN_SECRET', 'SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'CRON_SECRET'],
+  'cron-sweep':      ['SHOPIFY_SHOP', 'SHOPIFY_ADMIN_TOKEN', 'SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'CRON_SECRET'],
+};
+
+// Endpoints that send client or staff notices also need the credentials of the
+// NOTIFIER driver they run with (notifier.js); the local drivers need none.
+const NOTIFYING = ['intake-upsert', 'account-activate', 'incidents', 'jobs-worker', 'cron-sweep'];
+export const NOTIFIER_ENV = {
+  provider: ['POSTMARK_SERVER_TOKEN', 'NOTIFY_FROM_EMAIL'],
+  console:  [],
+  file:     [],
+};
+
+export function env(name){
+  for (const n of [name, ...(ALIASES[name] || [])]) {
+    const v = process.env[n];
+    if (v != null && String(v).trim() !== '') return String(v).trim();
+  }
+  return undefined;
+}
+
+const list = s => String(s || '').split(',').map(x => x.trim()).filter(Boolean);
+
+/* ---------- Resolved config (read on every call so tests can swap env) ---------- */
+export function getConfig(){
+  return {
+    shop:             env('SHOPIFY_SHOP'),
+    adminToken:       env('SHOPIFY_ADMIN_TOKEN'),
+    storefrontToken:  env('SHOPIFY_STOREFRONT_TOKEN'),
+    webhookSecret:    env('SHOPIFY_WEBHOOK_SECRET'),
+    allowedOrigins:   list(env('ALLOWED_ORIGINS')),
+    supabaseUrl:      env('SUPABASE_URL'),
+    supabaseKey:      env('SUPABASE_SERVICE_ROLE_KEY'),
+    retainerTable:    env('RETAINER_TABLE') || 'retainer_records',
+    signaturesBucket: env('SIGNATURES_BUCKET') || 'signatures',          // legacy public bucket (pre-migration)
+    documentsBucket:  env('DOCUMENTS_BUCKET') || 'retainer-documents',   // private
+  };
+}
+
+export function missingEnv(endpoint){
+  const required = ENDPOINT_ENV[endpoint];
+  if (!required) throw new Error(`unknown endpoint "${endpoint}"`);
+  const missing = required.filter(name => env(name) === undefined);
+  if (!NOTIFYING.includes(endpoint)) return missing;
+  const driver = (env('NOTIFIER') || 'console').toLowerCase();
+  const notifierEnv = NOTIFIER_ENV[driver];
+  if (!notifierEnv) return [...missing, `NOTIFIER (unknown driver "${driver}")`];
+  return [...missing, ...notifierEnv.filter(name => env(name) === undefined)];
+}
+
+// Called once at module load by each handler. Logs the gap on cold start and
+// returns an error string the handler can answer with (null when complete).
+export function checkEnv(endpoint){
+  const missing = missingEnv(endpoint);
+  if (!missing.length) return null;
+  const msg = `${endpoint}: missing env ${missing.join(', ')}`;
+  console.error(`[config] ${msg}`);
+  return `Server misconfigured (${msg}).`;
+}
+
+// { endpoint: [missing vars] } for every endpoint that has gaps.
+export function checkAllEnv(){
+  const out = {};
+  for (const endpoint of Object.keys(ENDPOINT_ENV)) {
+    const missing = missingEnv(endpoint);
+    if (missing.length) out[endpoint] = missing;
+  }
+  return out;
+}
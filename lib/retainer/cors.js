@@ -0,0 +1,16 @@
+// /lib/retainer/cors.js
+// One CORS policy for all retainer endpoints: only origins listed in
+// ALLOWED_ORIGINS are echoed back.
+
+import { getConfig } from './config.js';
+
+const DEFAULT_HEADERS = 'Content-Type';
+
+export function cors(res, origin, { methods = 'POST, OPTIONS', headers = DEFAULT_HEADERS } = {}){
+  if (origin && getConfig().allowedOrigins.includes(origin)) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+  }
+  res.setHeader('Access-Control-Allow-Methods', methods);
+  res.setHeader('Access-Control-Allow-Headers', headers);
+}
@@ -0,0 +1,215 @@
+// /lib/retainer/coverage.js
+// Household members and vehicles as rows of their own, linked to the retainer
+// holder, so staff can answer "is this caller / this car covered?" without
+// opening every record (api/retainer/coverage-lookup.js).
+//
+//   HOUSEHOLD_TABLE (default "retainer_household_members")
+//     holder_email, shopify_customer_id, position, name, name_key, dob,
+//     relationship, phone_digits
+//   VEHICLES_TABLE (default "retainer_vehicles")
+//     holder_email, shopify_customer_id, position, year, make, model, plate,
+//     plate_key, plate_state, vin
+//
+// The record's household / vehicles columns stay the source: every record
+// write that changes them (records.js, the customers/update topic) replaces
+// the holder's rows with syncRecordEntities(). The *_key columns hold the
+// normalised forms the lookup matches on; the migration backfills them with
+// the same rules as the functions below.
+//
+// Coverage comes from the lifecycle mirrored onto the record
+// (coverageFromRecord), which the orders webhooks and the sweeper keep current.
+
+import crypto from 'node:crypto';
+import { env, getConfig } from './config.js';
+import { getSupabase } from './supabase.js';
+import { coverageFromRecord } from './lifecycle.js';
+import { normEmail } from './validators.js';
+import { normalizePhone, phoneDigits } from './phone.js';
+
+const householdTable = () => env('HOUSEHOLD_TABLE') || 'retainer_household_members';
+const vehiclesTable = () => env('VEHICLES_TABLE') || 'retainer_vehicles';
+
+const MAX_MATCHES = 25;
+
+/* ---------- Normalised keys ---------- */
+// "  José  O'Brien " → "joseobrien": spacing and punctuation are left out, so
+// "O Brien" and "OBrien" match too (the lookup always pairs it with a DOB).
+export const nameKey = s => String(s || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// "7-abc 123" → "7ABC123"; VINs get the same treatment.
+export const plateKey = s => String(s || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const blankToNull = v => (v == null || String(v).trim() === '' ? null : v);
+const upperOrNull = v => (blankToNull(v) == null ? null : String(v).trim().toUpperCase());
+
+/* ---------- Rows ---------- */
+// Record → { household:[rows], vehicles:[rows] } for its holder.
+export function entityRows(record){
+  const holder = { holder_email: normEmail(record.email), shopify_customer_id: record.shopify_customer_id || null };
+  const household = (Array.isArray(record.household) ? record.household : [])
+    .map((h, position) => [h, position])
+    .filter(([h]) => nameKey(h?.name))
+    .map(([h, position]) => ({
+      id: crypto.randomUUID(), ...holder, position,
+      name: String(h.name).trim(),
+      name_key: nameKey(h.name),
+      dob: blankToNull(h.dob),
+      relationship: blankToNull(h.relationship),
+      phone_digits: blankToNull(phoneDigits(h.phone)),
+    }));
+  const vehicles = (Array.isArray(record.vehicles) ? record.vehicles : [])
+    .map((v, position) => [v, position])
+    .filter(([v]) => v && ['year', 'make', 'model', 'plate', 'vin'].some(k => blankToNull(v[k]) != null))
+    .map(([v, position]) => ({
+      id: crypto.randomUUID(), ...holder, position,
+      year: Number.isInteger(Number(v.year)) && blankToNull(v.year) != null ? Number(v.year) : null,
+      make: blankToNull(v.make),
+      model: blankToNull(v.model),
+      plate: blankToNull(v.plate),
+      plate_key: blankToNull(plateKey(v.plate)),
+      plate_state: upperOrNull(v.plate_state),
+      vin: blankToNull(plateKey(v.vin)),
+    }));
+  return { household, vehicles };
+}
+
+const sameJson = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Replace the holder's rows after a record write. `before` is the record as it
+// was (null for a new one); nothing is written when neither the lists nor the
+// holder link changed. → { household, vehicles } row counts, or null when skipped
+//
+// The new rows go in before the old ones are deleted by id, so a failed write
+// leaves the holder findable (at worst listed twice until the next write, which
+// the lookup folds together) rather than missing from coverage lookups.
+export async function syncRecordEntities(before, after){
+  if (!after?.email) return null;
+  if (before && ['email', 'shopify_customer_id', 'household', 'vehicles'].every(k => sameJson(before[k], after[k]))) return null;
+
+  const emails = [...new Set([before?.email, after.email].filter(Boolean).map(normEmail))];
+  const rows = entityRows(after);
+  for (const [table, list] of [[householdTable(), rows.household], [vehiclesTable(), rows.vehicles]]) {
+    const { data: old, error } = await getSupabase().from(table).select('id').in('holder_email', emails);
+    if (error) throw new Error(`${table} read: ${error.message}`);
+    if (list.length) {
+      const { error: insErr } = await getSupabase().from(table).insert(list);
+      if (insErr) throw new Error(`${table} insert: ${insErr.message}`);
+    }
+    const oldIds = (old || []).map(r => r.id);
+    if (!oldIds.length) continue;
+    const { error: delErr } = await getSupabase().from(table).delete().in('id', oldIds);
+    if (delErr) throw new Error(`${table} delete: ${delErr.message}`);
+  }
+  return { household: rows.household.length, vehicles: rows.vehicles.length };
+}
+
+/* ---------- Lookup ---------- */
+// Query → { criteria } | { error }. Any of name + dob (together), phone,
+// plate (optionally plate_state) and vin; several are OR'd.
+export function parseLookup(q){
+  const criteria = {};
+  const name = nameKey(q.name);
+  const dob = String(q.dob || '').trim();
+  if (name || dob) {
+    if (!name || !dob) return { error:'name and dob go together' };
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dob)) return { error:'dob must be YYYY-MM-DD' };
+    Object.assign(criteria, { name, dob });
+  }
+  if (q.phone != null && q.phone !== '') {
+    const phone = normalizePhone(q.phone, { label:'phone' });
+    if (!phone.ok) return { error: phone.message };
+    criteria.phone = phone.digits;
+  }
+  if (q.plate != null && q.plate !== '') {
+    criteria.plate = plateKey(q.plate);
+    if (!criteria.plate) return { error:'invalid plate' };
+    if (q.plate_state) criteria.plate_state = String(q.plate_state).trim().toUpperCase();
+  }
+  if (q.vin != null && q.vin !== '') {
+    criteria.vin = plateKey(q.vin);
+    if (criteria.vin.length !== 17) return { error:'vin must be 17 characters' };
+  }
+  if (!Object.keys(criteria).length) return { error:'search by name + dob, phone, plate or vin' };
+  return { criteria };
+}
+
+async function select(table, build, { limit = MAX_MATCHES } = {}){
+  let q = build(getSupabase().from(table).select('*'));
+  if (limit) q = q.limit(limit);
+  const { data, error } = await q;
+  if (error) throw new Error(`${table} read: ${error.message}`);
+  return data || [];
+}
+
+const memberView = ({ name, dob, relationship, phone_digits }) => ({ name, dob, relationship, phone: phone_digits });
+const vehicleView = ({ year, make, model, plate, plate_state, vin }) => ({ year, make, model, plate, plate_state, vin });
+
+// criteria (parseLookup) → [{ holder, coverage, matched:[{ type, by, ... }] }],
+// one entry per retainer holder, covered holders first.
+export async function lookupCoverage(criteria){
+  const records = getConfig().retainerTable;
+  const hits = [];   // [holder_email, match]
+
+  if (criteria.name) {
+    // Names are compared normalised, so every holder born that day is read.
+    const holders = await select(records, q => q.eq('dob', criteria.dob), { limit:null });
+    for (const r of holders.filter(r => nameKey(r.full_name) === criteria.name)) {
+      hits.push([r.email, { type:'holder', by:'name_dob' }]);
+    }
+    for (const m of await select(householdTable(), q => q.eq('name_key', criteria.name).eq('dob', criteria.dob))) {
+      hits.push([m.holder_email, { type:'household_member', by:'name_dob', ...memberView(m) }]);
+    }
+  }
+  if (criteria.phone) {
+    for (const r of await select(records, q => q.eq('phone_digits', criteria.phone))) {
+      hits.push([r.email, { type:'holder', by:'phone' }]);
+    }
+    for (const m of await select(householdTable(), q => q.eq('phone_digits', criteria.phone))) {
+      hits.push([m.holder_email, { type:'household_member', by:'phone', ...memberView(m) }]);
+    }
+  }
+  if (criteria.plate) {
+    const rows = await select(vehiclesTable(), q => (criteria.plate_state ? q.eq('plate_key', criteria.plate).eq('plate_state', criteria.plate_state) : q.eq('plate_key', criteria.plate)));
+    for (const v of rows) hits.push([v.holder_email, { type:'vehicle', by:'plate', ...vehicleView(v) }]);
+  }
+  if (criteria.vin) {
+    for (const v of await select(vehiclesTable(), q => q.eq('vin', criteria.vin))) {
+      hits.push([v.holder_email, { type:'vehicle', by:'vin', ...vehicleView(v) }]);
+    }
+  }
+  if (!hits.length) return [];
+
+  const emails = [...new Set(hits.map(([e]) => e))];
+  const { data, error } = await getSupabase().from(records).select('*').in('email', emails);
+  if (error) throw new Error(`retainer record read: ${error.message}`);
+  const byEmail = new Map((data || []).map(r => [r.email, r]));
+
+  const out = [];
+  for (const email of emails) {
+    const r = byEmail.get(email);
+    if (!r) continue;
+    const matched = [];
+    for (const [e, m] of hits) if (e === email && !matched.some(x => sameJson(x, m))) matched.push(m);
+    out.push({
+      holder: { email: r.email, full_name: r.full_name || null, shopify_customer_id: r.shopify_customer_id || null },
+      coverage: coverageFromRecord(r),
+      matched,
+    });
+  }
+  return out.sort((a, z) => Number(z.coverage.active) - Number(a.coverage.active));
+}
+
+/* ---------- Delete (GDPR) ---------- */
+// → { household_members, vehicles } rows removed. email: the holder; none: all.
+export async function removeEntities({ email = null } = {}){
+  const out = {};
+  for (const [name, table] of [['household_members', householdTable()], ['vehicles', vehiclesTable()]]) {
+    let q = getSupabase().from(table).delete();
+    q = email ? q.eq('holder_email', normEmail(email)) : q.neq('holder_email', ''); // PostgREST refuses an unfiltered delete
+    const { data, error } = await q.select('id');
+    if (error) throw new Error(`${table} delete: ${error.message}`);
+    out[name] = (data || []).length;
+  }
+  return out;
+}
@@ -0,0 +1,62 @@
+// /lib/retainer/csv.js
+// RFC 4180 CSV for the client export / import (export.js).
+//
+// Cells that a spreadsheet would run as a formula (=..., @..., or +/- not
+// followed by a digit) are written with a leading apostrophe; csvCell() on the
+// way back in strips it again, so "+1 555..." phones and negative numbers are
+// left alone and round-trip unchanged.
+
+const FORMULA = /^(?:[=@\t\r]|[+-][^\d\s.])/;
+
+// One value → CSV field text.
+export function csvField(v){
+  let s = v == null ? '' : String(v);
+  if (FORMULA.test(s)) s = `'${s}`;
+  return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export const csvLine = values => `${values.map(csvField).join(',')}\r\n`;
+
+// Parsed field → original value (undoes the formula guard).
+export const csvCell = s => (s.startsWith("'") && FORMULA.test(s.slice(1)) ? s.slice(1) : s);
+
+// Async iterable of text/Buffer chunks → async iterable of records (string[]).
+// Quoted fields may contain commas, quotes ("") and newlines.
+export async function* parseCsv(chunks){
+  let field = '';
+  let record = [];
+  let quoted = false;
+  let afterQuote = false;
+  let pendingCR = false;
+  let any = false;
+
+  for await (const chunk of chunks) {
+    const text = String(chunk);
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (pendingCR) { pendingCR = false; if (ch === '\n') continue; }
+      if (quoted) {
+        if (ch === '"') { quoted = false; afterQuote = true; }
+        else field += ch;
+        continue;
+      }
+      if (ch === '"') {
+        if (afterQuote) { field += '"'; quoted = true; afterQuote = false; }   // "" inside quotes
+        else if (!field) { quoted = true; any = true; }
+        else field += ch;
+        continue;
+      }
+      afterQuote = false;
+      if (ch === ',') { record.push(field); field = ''; any = true; continue; }
+      if (ch === '\r' || ch === '\n') {
+        if (ch === '\r') pendingCR = true;
+        if (any || field) { record.push(field); yield record; }
+        record = []; field = ''; any = false;
+        continue;
+      }
+      field += ch; any = true;
+    }
+  }
+  if (quoted) throw new Error('CSV ends inside a quoted field');
+  if (any || field) { record.push(field); yield record; }
+}
@@ -0,0 +1,309 @@
+// /lib/retainer/documents.js
+// Private storage for sensitive client documents (signatures, driver's
+// licenses, insurance cards).
+//
+// Objects live in the private Supabase bucket DOCUMENTS_BUCKET (default
+// "retainer-documents") under a per-customer prefix:
+//   customer-<shopify id>/<kind>/<timestamp>-<rand>.<ext>
+// (email-<hash>/... when the Shopify customer isn't known yet). Every upload
+// is indexed in RETAINER_DOCUMENTS_TABLE (default "retainer_documents"); the
+// newest row per kind is the client's current document.
+//
+// Nothing here hands out a permanent URL: readers get a signed link that
+// expires after DOCUMENT_URL_TTL_SECONDS (default 300), issued through the
+// authenticated documents.js endpoint. Shopify only stores a pointer: the
+// retainer.documents JSON metafield { kind: { path, sha256, content_type, uploaded_at } }.
+//
+// Files arrive either as data URLs in the intake JSON or, preferably, through
+// upload.js: the bytes are validated and parked under staging/ in the same
+// bucket, and the caller gets a signed upload token (purpose "upload",
+// UPLOAD_TOKEN_TTL_HOURS, default 24) to put in the intake instead. Claiming a
+// token moves the object into the customer's prefix, so each token works once;
+// unclaimed objects are pruned by the daily cron.
+//
+// Storing an uploaded kind also sets has_<kind> on the client's retainer
+// record, which the staff client search (clients.js) filters on.
+//
+// Incident photos (incidents.js) come in through upload.js too and are stored
+// and indexed the same way, but belong to their incident report rather than
+// being one of the client's current documents.
+
+import crypto from 'node:crypto';
+import { env, getConfig } from './config.js';
+import { getSupabase } from './supabase.js';
+import { pushJSON } from './metafields.js';
+import { upsertRecordFields } from './records.js';
+import { normEmail } from './validators.js';
+import { processUpload } from './uploads.js';
+import { signToken, verifyToken } from './tokens.js';
+
+// `agreement` is generated server-side (agreement.js), never uploaded.
+export const DOCUMENT_KINDS = ['signature', 'drivers_license', 'car_insurance', 'agreement'];
+
+const EXT = { 'image/png':'png', 'image/jpeg':'jpg', 'image/heic':'heic', 'application/pdf':'pdf' };
+
+const documentsTable = () => env('RETAINER_DOCUMENTS_TABLE') || 'retainer_documents';
+const urlTtl = () => Number(env('DOCUMENT_URL_TTL_SECONDS')) || 300;
+const uploadTtl = () => (Number(env('UPLOAD_TOKEN_TTL_HOURS')) || 24) * 3600;
+
+export const UPLOAD_PURPOSE = 'upload';
+const STAGING = 'staging';
+const sha256 = buf => crypto.createHash('sha256').update(buf).digest('hex');
+
+export function customerKey({ customerGid, email }){
+  const n = customerGid ? String(customerGid).split('/').pop() : null;
+  if (n) return `customer-${n}`;
+  return `email-${sha256(normEmail(email)).slice(0, 32)}`;
+}
+
+/* ---------- Write ---------- */
+const newPath = (prefix, kind, contentType) =>
+  `${prefix}/${kind}/${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${EXT[contentType] || 'bin'}`;
+
+// Index row for an object already at `path`; removes the object if the
+// insert fails. → { ok:true, doc } | { ok:false, error }
+async function indexDocument({ customerGid, email, kind, path, contentType, size, hash, source }){
+  const supabase = getSupabase();
+  const doc = {
+    email: normEmail(email),
+    shopify_customer_id: customerGid,
+    kind,
+    path,
+    content_type: contentType,
+    bytes: size,
+    sha256: hash,
+    source,
+    created_at: new Date().toISOString(),
+  };
+  const { error } = await supabase.from(documentsTable()).insert(doc);
+  if (error) {
+    await supabase.storage.from(getConfig().documentsBucket).remove([path]);
+    return { ok:false, error:`document index insert: ${error.message}` };
+  }
+  if (Object.values(DOCUMENT_FIELDS).includes(kind)) {
+    // The document is stored either way; a stale flag only affects search.
+    try { await upsertRecordFields({ customerGid, email }, { [`has_${kind}`]: true }, { create:true }); }
+    catch (e) { console.error('[documents] record flag failed', e?.message || e, JSON.stringify({ kind })); }
+  }
+  return { ok:true, doc };
+}
+
+// → { ok:true, doc } | { ok:false, error }
+export async function storeDocument({ customerGid = null, email, kind, bytes, contentType, source = null }){
+  if (!DOCUMENT_KINDS.includes(kind)) return { ok:false, error:`unknown document kind "${kind}"` };
+  if (!bytes?.length) return { ok:false, error:'empty document' };
+
+  const path = newPath(customerKey({ customerGid, email }), kind, contentType);
+  const { error: upErr } = await getSupabase().storage
+    .from(getConfig().documentsBucket)
+    .upload(path, bytes, { contentType, upsert:false });
+  if (upErr) return { ok:false, error: upErr.message };
+
+  return indexDocument({ customerGid, email, kind, path, contentType, size: bytes.length, hash: sha256(bytes), source });
+}
+
+/* ---------- Staged uploads (upload.js) ---------- */
+// Validated bytes → staging object + upload token. → { token, expires_at }
+export async function stageUpload({ kind, bytes, contentType, result }){
+  if (!UPLOAD_KINDS.includes(kind)) throw new Error(`unknown document kind "${kind}"`);
+  const path = `${STAGING}/${Date.now()}-${crypto.randomBytes(9).toString('hex')}.${EXT[contentType] || 'bin'}`;
+  const { error } = await getSupabase().storage
+    .from(getConfig().documentsBucket)
+    .upload(path, bytes, { contentType, upsert:false });
+  if (error) throw new Error(`staging upload: ${error.message}`);
+
+  const ttlSeconds = uploadTtl();
+  const token = signToken(
+    { kind, path, content_type: contentType, bytes: bytes.length, sha256: sha256(bytes), upload: result },
+    { purpose: UPLOAD_PURPOSE, ttlSeconds },
+  );
+  return { token, expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString() };
+}
+
+// Upload token → staged file, checked against the field's kind (nothing is
+// moved yet). → { ok:true, file } | { ok:false, code, error }
+export function readUploadToken(token, kind){
+  const v = verifyToken(String(token || ''), { purpose: UPLOAD_PURPOSE });
+  if (!v.ok) {
+    return v.error === 'expired'
+      ? { ok:false, code:'upload_expired', error:'upload expired, please upload the file again' }
+      : { ok:false, code:'invalid_upload_token', error:'invalid upload token' };
+  }
+  const c = v.claims;
+  if (c.kind !== kind) return { ok:false, code:'wrong_kind', error:`upload is a ${c.kind}, not a ${kind}` };
+  if (!String(c.path).startsWith(`${STAGING}/`)) return { ok:false, code:'invalid_upload_token', error:'invalid upload token' };
+  return { ok:true, file:{ kind, staged: c.path, contentType: c.content_type, size: c.bytes, hash: c.sha256, result: c.upload } };
+}
+
+// Move a staged file into the customer's prefix and index it.
+export async function claimStagedDocument({ customerGid = null, email, kind, staged, contentType, size, hash, source = null }){
+  const path = newPath(customerKey({ customerGid, email }), kind, contentType);
+  const { error } = await getSupabase().storage.from(getConfig().documentsBucket).move(staged, path);
+  if (error) {
+    return /not found/i.test(error.message)
+      ? { ok:false, error:'upload already used or expired, please upload the file again' }
+      : { ok:false, error:`staging move: ${error.message}` };
+  }
+  return indexDocument({ customerGid, email, kind, path, contentType, size, hash, source });
+}
+
+// Remove staged objects older than the token lifetime (daily cron). Object
+// names start with their epoch-ms upload time. → number removed
+export async function pruneStagedUploads({ olderThanSeconds = uploadTtl() } = {}){
+  const bucket = getSupabase().storage.from(getConfig().documentsBucket);
+  const { data, error } = await bucket.list(STAGING, { limit: 1000 });
+  if (error) throw new Error(`staging list: ${error.message}`);
+  const cutoff = Date.now() - olderThanSeconds * 1000;
+  const stale = (data || [])
+    .filter(o => Number(String(o.name).split('-')[0]) < cutoff)
+    .map(o => `${STAGING}/${o.name}`);
+  if (!stale.length) return 0;
+  const { error: rmErr } = await bucket.remove(stale);
+  if (rmErr) throw new Error(`staging prune: ${rmErr.message}`);
+  return stale.length;
+}
+
+// Data URL through the upload pipeline, then stored. → { ok, doc?, error?, upload }
+export async function storeDataUrl({ dataUrl, kind, field = null, ...rest }){
+  const up = await processUpload(dataUrl, { kind, field });
+  if (!up.ok) return { ok:false, error: up.result.error, upload: up.result };
+  const r = await storeDocument({ ...rest, kind, bytes: up.bytes, contentType: up.contentType });
+  return { ...r, upload: up.result };
+}
+
+// Payload field → document kind, for the intake-style handlers. Each kind can
+// come as a data URL or as an upload token from upload.js (the token wins).
+export const DOCUMENT_FIELDS = {
+  signature_data_url:      'signature',
+  license_data_url:        'drivers_license',
+  insurance_card_data_url: 'car_insurance',
+};
+
+export const INCIDENT_PHOTO = 'incident_photo';
+
+export const UPLOAD_KINDS = [...Object.values(DOCUMENT_FIELDS), INCIDENT_PHOTO];
+
+export const UPLOAD_TOKEN_FIELDS = {
+  signature_upload_token:      'signature',
+  license_upload_token:        'drivers_license',
+  insurance_card_upload_token: 'car_insurance',
+};
+
+// Check every document in the payload before anything is written: upload
+// tokens are verified, data URLs run through the upload pipeline.
+// → { ok, files:[{ kind, bytes?, staged?, ... }], results:{ kind: result } }
+export async function prepareDocuments(p){
+  const files = [];
+  const results = {};
+  for (const [field, kind] of Object.entries(UPLOAD_TOKEN_FIELDS)) {
+    if (!p?.[field]) continue;
+    const t = readUploadToken(p[field], kind);
+    if (t.ok) {
+      results[kind] = { ...t.file.result, field, kind, ok:true, upload_token:true };
+      files.push(t.file);
+    } else {
+      results[kind] = { field, kind, ok:false, upload_token:true, code: t.code, error: t.error };
+    }
+  }
+  for (const [field, kind] of Object.entries(DOCUMENT_FIELDS)) {
+    if (!p?.[field] || results[kind]) continue;
+    const up = await processUpload(p[field], { kind, field });
+    results[kind] = up.result;
+    if (up.ok) files.push({ kind, bytes: up.bytes, contentType: up.contentType });
+  }
+  return { ok: Object.values(results).every(r => r.ok), files, results };
+}
+
+// Store prepared files. → { stored:[doc], results } with `stored` / `error`
+// added to each file's result.
+export async function storePreparedDocuments(prepared, { customerGid = null, email, source }){
+  const stored = [];
+  const results = structuredClone(prepared.results);
+  for (const f of prepared.files) {
+    const r = f.staged
+      ? await claimStagedDocument({ customerGid, email, source, ...f })
+      : await storeDocument({ customerGid, email, kind: f.kind, bytes: f.bytes, contentType: f.contentType, source });
+    Object.assign(results[f.kind], r.ok ? { stored:true } : { stored:false, error: r.error });
+    if (r.ok) stored.push(r.doc);
+  }
+  return { stored, results };
+}
+
+// Rejected uploads → 400 body, same shape as intakeErrorBody.
+export function uploadErrorBody(results){
+  const bad = Object.values(results).filter(r => !r.ok);
+  return {
+    ok:false,
+    error: bad.map(r => `${r.field || r.kind}: ${r.error}`).join('; '),
+    errors: bad.map(r => ({ field: r.field || r.kind, code: r.code, message: r.error })),
+    uploads: results,
+  };
+}
+
+/* ---------- Read ---------- */
+// All index rows for a client (by Shopify id and by email), newest first.
+export async function listDocuments({ customerGid, email }){
+  const rows = new Map();
+  const take = async (col, val) => {
+    if (!val) return;
+    const { data, error } = await getSupabase().from(documentsTable()).select('*').eq(col, val);
+    if (error) throw new Error(`document index read: ${error.message}`);
+    for (const r of data || []) rows.set(r.path, r);
+  };
+  await take('shopify_customer_id', customerGid || null);
+  await take('email', email ? normEmail(email) : null);
+  return [...rows.values()].sort((a, z) => (a.created_at < z.created_at ? 1 : -1));
+}
+
+// kind → newest row (DOCUMENT_KINDS only)
+export async function currentDocuments(who){
+  const out = {};
+  for (const r of await listDocuments(who)) if (DOCUMENT_KINDS.includes(r.kind) && !out[r.kind]) out[r.kind] = r;
+  return out;
+}
+
+// → Buffer | throws
+export async function downloadDocument(path){
+  const { data, error } = await getSupabase().storage.from(getConfig().documentsBucket).download(path);
+  if (error) throw new Error(`document download: ${error.message}`);
+  return Buffer.from(await data.arrayBuffer());
+}
+
+// → { url, expires_at } | throws
+export async function signDocumentUrl(path, { expiresIn = urlTtl() } = {}){
+  const { data, error } = await getSupabase().storage
+    .from(getConfig().documentsBucket)
+    .createSignedUrl(path, expiresIn);
+  if (error) throw new Error(`signed url: ${error.message}`);
+  return { url: data.signedUrl, expires_at: new Date(Date.now() + expiresIn * 1000).toISOString() };
+}
+
+// Every index row (shop/redact).
+export async function allDocuments(){
+  const { data, error } = await getSupabase().from(documentsTable()).select('*');
+  if (error) throw new Error(`document index read: ${error.message}`);
+  return data || [];
+}
+
+/* ---------- Delete (GDPR) ---------- */
+export async function removeDocuments(rows){
+  if (!rows.length) return 0;
+  const supabase = getSupabase();
+  const { error } = await supabase.storage.from(getConfig().documentsBucket).remove(rows.map(r => r.path));
+  if (error) throw new Error(`document delete: ${error.message}`);
+  const { error: delErr } = await supabase.from(documentsTable()).delete().in('path', rows.map(r => r.path));
+  if (delErr) throw new Error(`document index delete: ${delErr.message}`);
+  return rows.length;
+}
+
+/* ---------- Shopify pointer ---------- */
+// Merge stored docs into an existing retainer.documents value and push the result.
+export function pushDocuments(mfs, ownerId, docs, existingValue = null){
+  let current = {};
+  try { current = JSON.parse(existingValue || '{}') || {}; } catch(_){}
+  for (const d of docs) {
+    current[d.kind] = { path: d.path, sha256: d.sha256, content_type: d.content_type, uploaded_at: d.created_at };
+  }
+  if (docs.length) pushJSON(mfs, ownerId, 'documents', current);
+  return current;
+}
@@ -0,0 +1,153 @@
+// /lib/retainer/export.js
+// Flat client rows for the case-management export (api/retainer/export.js,
+// scripts/export-clients.js) and the bulk import (scripts/import-clients.js).
+//
+// One row per retainer record: the intake fields, names / phone / address from
+// the Shopify customer, the plan and lifecycle, and signed links to the
+// current documents (EXPORT_URL_TTL_SECONDS, default 86400). Household and
+// vehicles are flattened so the row fits a spreadsheet cell each:
+//
+//   household  "Jane Doe | 1990-04-01 | spouse; Tim Doe | 2015-06-30 | child"
+//   vehicles   "2019 | Honda | Civic | 7ABC123 | CA; 2021 | Ford | F-150"
+//
+// (household: name | dob | relationship | phone; vehicles: year | make |
+// model | plate | plate state | VIN)
+//
+// The import reads the same columns back; lifecycle, links and ids are
+// export-only and ignored there.
+
+import { env } from './config.js';
+import { adminGql } from './shopify.js';
+import { effectiveStatus } from './lifecycle.js';
+import { currentDocuments, signDocumentUrl } from './documents.js';
+import { scanClients } from './clients.js';
+import { formatAddress } from './address.js';
+
+export const EXPORT_FORMATS = ['csv', 'ndjson'];
+
+const LINKED_DOCUMENTS = ['signature', 'drivers_license', 'car_insurance', 'agreement'];
+
+export const EXPORT_COLUMNS = [
+  'email', 'first_name', 'last_name', 'full_name', 'phone', 'home_address',
+  'dob', 'insurer', 'bi_limits', 'has_bi', 'cars_count', 'household', 'vehicles', 'notes',
+  'retainer_plan', 'retainer_term', 'retainer_status', 'retainer_start', 'retainer_end', 'signed_at',
+  'shopify_customer_id', ...LINKED_DOCUMENTS.map(k => `${k}_url`), 'links_expire_at',
+];
+
+// Columns the import turns back into intake fields.
+export const IMPORT_COLUMNS = [
+  'email', 'first_name', 'last_name', 'full_name', 'phone', 'home_address',
+  'dob', 'insurer', 'bi_limits', 'has_bi', 'cars_count', 'household', 'vehicles', 'notes',
+  'retainer_plan', 'retainer_term',
+];
+
+const linkTtl = () => Number(env('EXPORT_URL_TTL_SECONDS')) || 86400;
+
+const Q = {
+  customers: `query($ids:[ID!]!){
+    nodes(ids:$ids){
+      ... on Customer { id firstName lastName phone defaultAddress{ address1 address2 city provinceCode zip countryCodeV2 } }
+    }
+  }`,
+};
+
+/* ---------- Household / vehicles cells ---------- */
+const HOUSEHOLD_PARTS = ['name', 'dob', 'relationship', 'phone'];
+const VEHICLE_PARTS = ['year', 'make', 'model', 'plate', 'plate_state', 'vin'];
+
+// The separators can't appear inside a part.
+const part = v => (v == null ? '' : String(v).replace(/[|;]/g, ' ').replace(/\s+/g, ' ').trim());
+
+// Trailing blank parts are left off ("Tim" rather than "Tim |  | ").
+const flatten = parts => arr => (Array.isArray(arr) ? arr : [])
+  .map(x => parts.map(p => part(x?.[p])).join(' | ').replace(/( \| )+$/, ''))
+  .join('; ');
+
+const unflatten = parts => s => String(s || '').split(';')
+  .map(entry => entry.split('|').map(x => x.trim()))
+  .filter(bits => bits.some(Boolean))
+  .map(bits => Object.fromEntries(parts.map((p, i) => [p, bits[i] || undefined]).filter(([, v]) => v !== undefined)));
+
+export const flattenHousehold = flatten(HOUSEHOLD_PARTS);
+export const flattenVehicles = flatten(VEHICLE_PARTS);
+export const parseHousehold = unflatten(HOUSEHOLD_PARTS);
+export const parseVehicles = unflatten(VEHICLE_PARTS);
+
+/* ---------- Export ---------- */
+async function customersById(ids){
+  if (!ids.length) return new Map();
+  const d = await adminGql(Q.customers, { ids });
+  return new Map((d?.nodes || []).filter(Boolean).map(c => [c.id, c]));
+}
+
+async function documentLinks(row, expiresIn){
+  const docs = await currentDocuments({ customerGid: row.shopify_customer_id || null, email: row.email });
+  const out = {};
+  for (const k of LINKED_DOCUMENTS) {
+    out[`${k}_url`] = docs[k] ? (await signDocumentUrl(docs[k].path, { expiresIn })).url : null;
+  }
+  return out;
+}
+
+// Shopify MailingAddress → one line the import parses back (address.js).
+const homeAddress = a => (a ? formatAddress({
+  address1: a.address1, address2: a.address2, city: a.city, province: a.provinceCode, zip: a.zip, country: a.countryCodeV2,
+}) || null : null);
+
+// Record row + Shopify customer (or null) + links → export row (EXPORT_COLUMNS).
+export function exportRow(row, customer, links = {}, linksExpireAt = null){
+  const boolCell = v => (v === true ? 'yes' : v === false ? 'no' : null);
+  return {
+    email: row.email,
+    first_name: customer?.firstName || null,
+    last_name: customer?.lastName || null,
+    full_name: row.full_name || null,
+    phone: customer?.phone || null,
+    home_address: homeAddress(customer?.defaultAddress),
+    dob: row.dob || null,
+    insurer: row.insurer || null,
+    bi_limits: row.bi_limits || null,
+    has_bi: boolCell(row.has_bi),
+    cars_count: row.cars_count ?? null,
+    household: flattenHousehold(row.household) || null,
+    vehicles: flattenVehicles(row.vehicles) || null,
+    notes: row.notes || null,
+    retainer_plan: row.retainer_plan || null,
+    retainer_term: row.retainer_term || null,
+    retainer_status: effectiveStatus({ status: row.retainer_status, end: row.retainer_end }) || 'none',
+    retainer_start: row.retainer_start || null,
+    retainer_end: row.retainer_end || null,
+    signed_at: row.signed_at || null,
+    shopify_customer_id: row.shopify_customer_id || null,
+    ...Object.fromEntries(LINKED_DOCUMENTS.map(k => [`${k}_url`, links[`${k}_url`] || null])),
+    links_expire_at: Object.values(links).some(Boolean) ? linksExpireAt : null,
+  };
+}
+
+// Every client matching the clients.js filters, in email order.
+// opts: { links?: true, expiresIn?: seconds } → async iterable of export rows
+export async function* exportRows(filters = {}, { links = true, expiresIn = linkTtl() } = {}){
+  for await (const batch of scanClients(filters)) {
+    const customers = await customersById([...new Set(batch.map(r => r.shopify_customer_id).filter(Boolean))]);
+    const linksExpireAt = new Date(Date.now() + expiresIn * 1000).toISOString();
+    for (const row of batch) {
+      yield exportRow(row, customers.get(row.shopify_customer_id) || null, links ? await documentLinks(row, expiresIn) : {}, linksExpireAt);
+    }
+  }
+}
+
+/* ---------- Import ---------- */
+// Export-shaped row (CSV strings or NDJSON values) → intake payload for
+// validateIntake(). Blank cells are left out; household / vehicles may be the
+// flattened text or arrays of objects.
+export function rowToIntake(row){
+  const out = {};
+  for (const k of IMPORT_COLUMNS) {
+    const v = row?.[k];
+    if (v == null || (typeof v === 'string' && v.trim() === '')) continue;
+    if (k === 'household') out.household = Array.isArray(v) ? v : parseHousehold(v);
+    else if (k === 'vehicles') out.vehicles = Array.isArray(v) ? v : parseVehicles(v);
+    else out[k] = v;
+  }
+  return out;
+}
@@ -0,0 +1,204 @@
+// /lib/retainer/incidents.js
+// Accident / incident reports from retained clients (api/retainer/incidents.js).
+// One row per report in INCIDENTS_TABLE (default "retainer_incidents"):
+//
+//   reference   "INC-261019-7KQ3M" — what the client quotes when they call us
+//   who         email, shopify_customer_id
+//   retainer    retainer_order / retainer_plan the client was covered by
+//   what        incident_date, incident_time, location, description, vehicles
+//               (copies of the intake vehicles the client picked),
+//               other_parties, police_report_number, injuries,
+//               injury_description
+//   photos      [{ path, sha256, content_type, bytes }] — incident_photo
+//               uploads from upload.js, stored privately (documents.js)
+//
+// Only a client whose retainer is active can report (the endpoint checks the
+// coverage). Each report is audited and, with INCIDENT_NOTIFY_EMAIL set,
+// announced to staff through the notifier.
+
+import crypto from 'node:crypto';
+import { env } from './config.js';
+import { getSupabase } from './supabase.js';
+import { validateWith } from './intake-schema.js';
+import { INCIDENT_PHOTO, readUploadToken, claimStagedDocument, signDocumentUrl } from './documents.js';
+import { recordAudit } from './audit.js';
+import { getNotifier, renderNotice } from './notifier.js';
+import { normEmail } from './validators.js';
+
+const incidentsTable = () => env('INCIDENTS_TABLE') || 'retainer_incidents';
+
+export const MAX_INCIDENT_PHOTOS = 10;
+
+/* ---------- Schema ---------- */
+const OTHER_PARTY = {
+  name:          { type:'string', max:120, label:'Name' },
+  phone:         { type:'string', max:40,  label:'Phone' },
+  insurer:       { type:'string', max:120, label:'Insurer' },
+  policy_number: { type:'string', max:60,  label:'Policy number' },
+  plate:         { type:'string', max:20,  label:'License plate' },
+  vehicle:       { type:'string', max:120, label:'Vehicle' },
+};
+
+// `vehicles` are positions in the client's intake vehicles list;
+// `photo_upload_tokens` are incident_photo tokens from upload.js.
+export const INCIDENT_SCHEMA = {
+  incident_date:        { type:'date', past:true, required:true, label:'Incident date' },
+  incident_time:        { type:'time', label:'Incident time' },
+  location:             { type:'string', max:300, required:true, label:'Location' },
+  description:          { type:'text', max:5000, label:'Description' },
+  vehicles:             { type:'list', max:20, label:'Vehicles involved' },
+  other_parties:        { type:'array', of:OTHER_PARTY, max:10, label:'Other parties' },
+  police_report_number: { type:'string', max:60, label:'Police report number' },
+  injuries:             { type:'boolean', label:'Injuries' },
+  injury_description:   { type:'text', max:2000, label:'Injury description' },
+  photo_upload_tokens:  { type:'list', max:MAX_INCIDENT_PHOTOS, label:'Photos' },
+};
+
+// Payload + the client's intake vehicles → { ok:true, value } with
+// value.vehicles as vehicle copies and value.photos as staged files, or
+// { ok:false, errors } in the validateIntake() shape.
+export function validateIncident(payload, intakeVehicles = []){
+  const chk = validateWith(INCIDENT_SCHEMA, payload);
+  const errors = chk.ok ? [] : [...chk.errors];
+  // Picked vehicles and photos are checked even when other fields failed, so
+  // every problem comes back at once.
+  const fields = chk.ok ? chk.value : validateWith({ vehicles: INCIDENT_SCHEMA.vehicles, photo_upload_tokens: INCIDENT_SCHEMA.photo_upload_tokens }, payload).value || {};
+  const { vehicles = [], photo_upload_tokens = [], ...value } = fields;
+
+  const picked = [];
+  vehicles.forEach((raw, i) => {
+    const n = /^\d+$/.test(raw) ? Number(raw) : -1;
+    const v = intakeVehicles?.[n];
+    if (!v) { errors.push({ field:`vehicles[${i}]`, code:'unknown_vehicle', message:'Vehicles involved must be chosen from the vehicles on your intake.' }); return; }
+    if (!picked.some(p => p.index === n)) {
+      picked.push({ index:n, year: v.year ?? null, make: v.make ?? null, model: v.model ?? null, plate: v.plate ?? null, plate_state: v.plate_state ?? null, vin: v.vin ?? null });
+    }
+  });
+
+  const photos = [];
+  photo_upload_tokens.forEach((token, i) => {
+    const t = readUploadToken(token, INCIDENT_PHOTO);
+    if (!t.ok) errors.push({ field:`photo_upload_tokens[${i}]`, code: t.code, message: t.error });
+    else if (!photos.some(p => p.staged === t.file.staged)) photos.push(t.file);
+  });
+
+  if (!value.injuries && value.injury_description) value.injuries = true;
+  return errors.length ? { ok:false, errors } : { ok:true, value:{ ...value, vehicles: picked, photos } };
+}
+
+/* ---------- Write ---------- */
+// Crockford base32: no I, L, O or U to misread over the phone.
+const REF_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+export function newIncidentReference(now = new Date()){
+  const day = now.toISOString().slice(2, 10).replace(/-/g, '');
+  const tail = [...crypto.randomBytes(5)].map(b => REF_ALPHABET[b % 32]).join('');
+  return `INC-${day}-${tail}`;
+}
+
+async function notifyStaff(row){
+  const to = env('INCIDENT_NOTIFY_EMAIL');
+  if (!to) return;
+  try {
+    const { subject, text } = renderNotice('incident', {
+      reference: row.reference, email: row.email, date: row.incident_date,
+      location: row.location, injuries: row.injuries, photos: row.photos.length,
+    });
+    await getNotifier().send({ channel:'email', to, kind:'incident', subject, text, data:{ reference: row.reference } });
+  } catch (e) {
+    console.error('[incidents] staff notice failed', e?.message || e, JSON.stringify({ reference: row.reference }));
+  }
+}
+
+// Validated report (validateIncident().value) for a covered client.
+// coverage: coverageFromMetafields() result. Photos are moved out of staging
+// first; one that can't be claimed is reported but doesn't stop the report.
+// → { row, photos:[{ index, stored, error? }] }
+export async function createIncident({ customerGid = null, email, coverage, value, source = 'incidents' }){
+  const { photos: files, ...fields } = value;
+  const photos = [];
+  const results = [];
+  for (const [index, f] of files.entries()) {
+    const r = await claimStagedDocument({ customerGid, email, kind: INCIDENT_PHOTO, staged: f.staged, contentType: f.contentType, size: f.size, hash: f.hash, source });
+    results.push(r.ok ? { index, stored:true } : { index, stored:false, error: r.error });
+    if (r.ok) photos.push({ path: r.doc.path, sha256: r.doc.sha256, content_type: r.doc.content_type, bytes: r.doc.bytes });
+  }
+
+  const base = {
+    id: crypto.randomUUID(),
+    email: normEmail(email),
+    shopify_customer_id: customerGid,
+    retainer_order: coverage?.order || null,
+    retainer_plan: coverage?.plan || null,
+    status: 'received',
+    incident_date: fields.incident_date,
+    incident_time: fields.incident_time || null,
+    location: fields.location,
+    description: fields.description || null,
+    vehicles: fields.vehicles,
+    other_parties: fields.other_parties || [],
+    police_report_number: fields.police_report_number || null,
+    injuries: fields.injuries ?? null,
+    injury_description: fields.injury_description || null,
+    photos,
+    created_at: new Date().toISOString(),
+  };
+
+  // A reference collision is vanishingly rare; draw again rather than fail.
+  let row;
+  for (let attempt = 0; !row; attempt++) {
+    const candidate = { ...base, reference: newIncidentReference() };
+    const { error } = await getSupabase().from(incidentsTable()).insert(candidate);
+    if (!error) row = candidate;
+    else if (error.code !== '23505' || attempt >= 2) throw new Error(`incident insert: ${error.message}`);
+  }
+
+  await recordAudit({ targetType:'incident', targetId: row.reference, email: row.email, customerGid, action:'create', before:null, after: row });
+  await notifyStaff(row);
+  return { row, photos: results };
+}
+
+/* ---------- Read ---------- */
+// By Shopify id and by email, newest first.
+export async function listIncidents({ customerGid, email }){
+  const rows = new Map();
+  const take = async (col, val) => {
+    if (!val) return;
+    const { data, error } = await getSupabase().from(incidentsTable()).select('*').eq(col, val);
+    if (error) throw new Error(`incident read: ${error.message}`);
+    for (const r of data || []) rows.set(r.id, r);
+  };
+  await take('shopify_customer_id', customerGid || null);
+  await take('email', email ? normEmail(email) : null);
+  return [...rows.values()].sort((a, z) => (a.created_at < z.created_at ? 1 : -1));
+}
+
+export async function getIncident(reference){
+  const { data, error } = await getSupabase().from(incidentsTable()).select('*').eq('reference', String(reference).toUpperCase()).maybeSingle();
+  if (error) throw new Error(`incident read: ${error.message}`);
+  return data || null;
+}
+
+// Row → response shape, with short-lived links to the photos.
+export async function incidentView(row){
+  const photos = [];
+  for (const p of row.photos || []) photos.push({ content_type: p.content_type, sha256: p.sha256, ...await signDocumentUrl(p.path) });
+  const { id, photos: _, ...rest } = row;
+  return { ...rest, photos };
+}
+
+// Every report (shop/redact).
+export async function allIncidents(){
+  const { data, error } = await getSupabase().from(incidentsTable()).select('*');
+  if (error) throw new Error(`incident read: ${error.message}`);
+  return data || [];
+}
+
+/* ---------- Delete (GDPR) ---------- */
+// Rows only; the photos go with the client's documents (removeDocuments).
+export async function removeIncidents(rows){
+  if (!rows.length) return 0;
+  const { error } = await getSupabase().from(incidentsTable()).delete().in('id', rows.map(r => r.id));
+  if (error) throw new Error(`incident delete: ${error.message}`);
+  return rows.length;
+}
@@ -0,0 +1,39 @@
+// /lib/retainer/index.js
+// Shared core for the /api/retainer/* handlers.
+
+export { API_VERSION, ENDPOINT_ENV, NOTIFIER_ENV, env, getConfig, missingEnv, checkEnv, checkAllEnv } from './config.js';
+export { cors } from './cors.js';
+export { isEmail, isPhoneLoose, isYMD, nonBlank, normEmail, US_STATES, passwordProblem } from './validators.js';
+export { normalizePhone, phoneDigits, defaultCountry } from './phone.js';
+export { ADDRESS_KEYS, stateCode, countryCode, normalizeZip, zipMatchesState, parseAddressLine, formatAddress, checkAddress } from './address.js';
+export { adminGql, storefrontGql, findCustomerByEmail, setShopifyTransport, shopifyFetch, isRetryableShopifyError, setShopifySleep, measureShopifyCost, shopifyCostStats } from './shopify.js';
+export { getSupabase, setSupabaseClient } from './supabase.js';
+export { INTAKE_SCHEMA, RELATIONSHIPS, validateIntake, validateWith, intakeErrorBody, householdLines, vehicleLines } from './intake-schema.js';
+export { getWebhookLedger, setWebhookLedger, memoryLedger, supabaseLedger } from './webhook-ledger.js';
+export { rawBody, verify, createWebhookHandler } from './webhooks.js';
+export { NS, pushSL, pushML, pushDT, pushBL, pushNI, pushJSON, pushLIST, pushFILE, setMetafields, deleteMetafields, getRetainerMetafields } from './metafields.js';
+export { METAFIELD_DEFINITIONS, ownerTypeOf, definitionFor, canonicalValue, listMetafieldDefinitions, diffDefinitions, createMetafieldDefinition, updateMetafieldDefinition, deleteMetafieldDefinition } from './metafield-definitions.js';
+export { WEBHOOK_TOPICS } from './webhook-topics/index.js';
+export { STATUSES, parseTerm, termEnd, deriveLifecycle, effectiveStatus, lifecycleMetafields, coverageFromMetafields, coverageFromRecord, todayYMD, addDays, daysBetween } from './lifecycle.js';
+export { findRetainerRecord, upsertRecordFields, writeRecord, auditRecordWrite } from './records.js';
+export { renderNotice, consoleNotifier, fileNotifier, providerNotifier, getNotifier, setNotifier, canDeliver } from './notifier.js';
+export { reminderWindows, sweepRetainers, listSweeperRows, removeSweeperRows } from './sweeper.js';
+export { signToken, verifyToken } from './tokens.js';
+export { getRateLimiter, setRateLimiter, memoryRateLimiter, supabaseRateLimiter, pruneRateLimitHits, rateLimit, clientIp } from './rate-limit.js';
+export { ACTIVATE_PURPOSE, getCustomerAccount, issueActivation, activateCustomer, recoverCustomer, resetCustomer } from './account.js';
+export { SESSION_PURPOSE, STAFF_PURPOSE, issueSession, issueStaffToken, bearerToken, customerFromAccessToken, authenticate, isCronRequest, canAccessEmail } from './auth.js';
+export { DOCUMENT_KINDS, DOCUMENT_FIELDS, INCIDENT_PHOTO, UPLOAD_KINDS, UPLOAD_TOKEN_FIELDS, UPLOAD_PURPOSE, customerKey, storeDocument, storeDataUrl, stageUpload, readUploadToken, claimStagedDocument, pruneStagedUploads, prepareDocuments, storePreparedDocuments, uploadErrorBody, listDocuments, currentDocuments, allDocuments, downloadDocument, signDocumentUrl, removeDocuments, pushDocuments } from './documents.js';
+export { UPLOAD_RULES, uploadRule, sniffType, scrubHeifMetadata, processUpload, processBytes } from './uploads.js';
+export { AGREEMENT_TEMPLATES, agreementTemplate, agreementFields, agreementTextSha256, canonicalJson, renderAgreementPdf, generateAgreement } from './agreement.js';
+export { recordSignatureEvent, listSignatureEvents, getSignatureEvent, allSignatureEvents, certificateOfCompletion, removeSignatureEvents } from './signatures.js';
+export { withAudit, runAudited, auditContext, setAuditActor, setAuditSubject, requestIdOf, diffSnapshots, recordAudit, listAuditEntries, getAuditEntry, removeAuditEntries, removeAllAuditEntries } from './audit.js';
+export { SYNC_FIELDS, intakeRecordPatch, intakeMetafields, writeIntake, diffStores, reconcileCustomer } from './sync.js';
+export { CLIENT_SORTS, CLIENT_INCLUDES, REQUIRED_DOCUMENTS, clientSummary, encodeCursor, decodeCursor, parseClientFilters, searchClients, scanClients } from './clients.js';
+export { toPlainError, customerWriteSoft, customerContactInput, sendActivation, upsertIntakeCustomer, intakePlanMetafields, intakeFieldValues, applyIntake } from './intake.js';
+export { csvField, csvLine, csvCell, parseCsv } from './csv.js';
+export { EXPORT_FORMATS, EXPORT_COLUMNS, IMPORT_COLUMNS, flattenHousehold, flattenVehicles, parseHousehold, parseVehicles, exportRow, exportRows, rowToIntake } from './export.js';
+export { defineJob, jobFailure, memoryJobQueue, supabaseJobQueue, setJobQueue, getJobQueue, enqueueJob, getJob, jobStatus, runJob, workJobs, pruneJobs, removeJobs, removeAllJobs } from './jobs.js';
+export { INTAKE_JOB, enqueueIntake } from './intake-job.js';
+export { INCIDENT_SCHEMA, MAX_INCIDENT_PHOTOS, validateIncident, newIncidentReference, createIncident, listIncidents, getIncident, incidentView, allIncidents, removeIncidents } from './incidents.js';
+export { nameKey, plateKey, entityRows, syncRecordEntities, parseLookup, lookupCoverage, removeEntities } from './coverage.js';
+export { normalizeVin, vinCheckDigit, checkVin, modelYears, decodeVin, makeMatches, decodeVehicle } from './vin.js';
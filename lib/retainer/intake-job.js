@@ -0,0 +1,201 @@
+// /lib/retainer/intake-job.js
+// Queued intake processing (jobs.js). intake-upsert validates a submission,
+// checks its documents and answers with a job id straight away
+// (enqueueIntake); the worker then runs these steps, keeping each one's output
+// in the job state so a retry starts where the last attempt stopped:
+//
+//   customer            find or create the Shopify customer (intake.js)
+//   documents           move the staged uploads into the client's prefix
+//   agreement           signed agreement PDF, when this submission is signed
+//   signature_evidence  evidence row for a newly stored signature
+//   metafields          intake fields, plan snapshot and documents pointer to
+//                       Shopify and the retainer record (sync.js)
+//   activation          activation email for accounts without a password
+//
+// As before, a failed agreement or evidence write is reported in the result
+// rather than failing the intake, and so is a phone or address Shopify
+// refused (`dropped`, intake.js). The job result is the body intake-upsert
+// used to answer with, plus the `normalized` list from validation. Data-URL
+// documents are staged at submission, so the queued payload never carries
+// file bytes.
+
+import crypto from 'node:crypto';
+import { NS, getRetainerMetafields } from './metafields.js';
+import { stageUpload, readUploadToken, currentDocuments, storePreparedDocuments, pushDocuments } from './documents.js';
+import { generateAgreement } from './agreement.js';
+import { recordSignatureEvent, getSignatureEvent } from './signatures.js';
+import { writeIntake } from './sync.js';
+import { setAuditSubject } from './audit.js';
+import { clientIp } from './rate-limit.js';
+import { defineJob, enqueueJob, jobFailure } from './jobs.js';
+import { findCustomerByEmail } from './shopify.js';
+import { upsertIntakeCustomer, intakePlanMetafields, intakeFieldValues, toPlainError, sendActivation } from './intake.js';
+
+export const INTAKE_JOB = 'intake';
+const SOURCE = 'intake-upsert';
+
+/* ---------- Submission ---------- */
+// Validated intake + prepareDocuments() result → queued job. claim: the
+// caller runs it right away (runJob) instead of leaving it to the worker;
+// normalized: validateIntake()'s list, carried into the result.
+export async function enqueueIntake(req, v, prepared, { claim = false, normalized = [] } = {}){
+  const files = [];
+  for (const f of prepared.files) {
+    if (f.staged) { files.push(f); continue; }
+    const { token } = await stageUpload({ kind: f.kind, bytes: f.bytes, contentType: f.contentType, result: prepared.results[f.kind] });
+    files.push(readUploadToken(token, f.kind).file);
+  }
+  const payload = {
+    intake: v,
+    files: files.map(({ kind, staged, contentType, size, hash }) => ({ kind, staged, contentType, size, hash })),
+    upload_results: prepared.results,
+    normalized,
+    request: { ip: clientIp(req), user_agent: String(req.headers['user-agent'] || '') || null },
+    submitted_at: new Date().toISOString(),
+  };
+  return enqueueJob(INTAKE_JOB, payload, { subjectEmail: v.email, claim });
+}
+
+/* ---------- Steps ---------- */
+const who = ctx => ({ customerGid: ctx.state.customer.id, email: ctx.payload.intake.email });
+
+// Later steps run with the customer as the audit subject, including on resume.
+const step = (name, run) => ({
+  name,
+  run: async ctx => {
+    if (ctx.state.customer) setAuditSubject(who(ctx));
+    await run(ctx);
+  },
+});
+
+// A create refused as TAKEN, or a Shopify call that failed in transit (its
+// create may still have run), usually means the customer exists but the Admin
+// search can't see it yet. The customer is looked up by email again and
+// updated if found; otherwise the step fails retryably, so a later attempt
+// finds it. Only Shopify refusing the submitted fields fails the job.
+async function customer(ctx){
+  const v = ctx.payload.intake;
+  let cust;
+  try { cust = await upsertIntakeCustomer(v); }
+  catch (e) { cust = { ok:false, transient:true, error: String(e?.message || e) }; }
+  if (!cust.ok && (cust.taken || cust.transient)) {
+    if (!await findCustomerByEmail(v.email)) throw new Error(`customer not found after create: ${cust.error}`);
+    cust = await upsertIntakeCustomer(v);
+    if (!cust.ok && cust.taken) throw new Error(`customer create: ${cust.error}`);
+  }
+  if (!cust.ok) throw jobFailure(cust.error, { ok:false, error: cust.error });
+  ctx.state.customer = { id: cust.id, state: cust.state, created: cust.created, dropped: cust.dropped };
+  setAuditSubject(who(ctx));
+}
+
+async function documents(ctx){
+  const { files, upload_results } = ctx.payload;
+  const docs = ctx.state.documents ||= { stored:[], results: upload_results };
+  for (const f of files) {
+    if (docs.stored.some(d => d.kind === f.kind)) continue;
+    // Moved by an attempt that died before saving: the file is already the current one.
+    const current = (await currentDocuments(who(ctx)))[f.kind];
+    if (current?.sha256 === f.hash) {
+      docs.stored.push(current);
+      docs.results[f.kind] = { ...docs.results[f.kind], stored:true };
+      continue;
+    }
+    const r = await storePreparedDocuments({ files:[f], results:{ [f.kind]: docs.results[f.kind] } }, { ...who(ctx), source: SOURCE });
+    docs.stored.push(...r.stored);
+    Object.assign(docs.results, r.results);
+  }
+}
+
+// Only a submission that brings its own signature signs the agreement; one
+// without (a profile-style resubmission) doesn't reuse the signature on file.
+async function agreement(ctx){
+  const v = ctx.payload.intake;
+  if (!ctx.state.documents.stored.some(d => d.kind === 'signature')) {
+    ctx.state.agreement = { ok:false, unsigned:true };
+    return;
+  }
+  try {
+    ctx.state.agreement = await generateAgreement({
+      ...who(ctx), source: SOURCE,
+      data: {
+        name: v.full_name || [v.first_name, v.last_name].filter(Boolean).join(' '),
+        dob: v.dob, insurer: v.insurer, has_bi: v.has_bi,
+        plan: v.retainer_plan, term: v.retainer_term,
+        household: v.household, vehicles: v.vehicles,
+        signed_name: v.signed_name, signed_date: v.signed_date,
+      },
+    });
+  } catch (e) {
+    console.error('agreement generation failed', e);
+    ctx.state.agreement = { ok:false, error:String(e?.message||e) };
+  }
+}
+
+async function signatureEvidence(ctx){
+  const newSig = ctx.state.documents.stored.find(d => d.kind === 'signature');
+  if (!newSig) { ctx.state.evidence = { recorded:false }; return; }
+  const v = ctx.payload.intake;
+  const id = ctx.state.evidence_id ||= crypto.randomUUID();
+  try {
+    if (!await getSignatureEvent(id)) {
+      const { ip, user_agent } = ctx.payload.request;
+      await recordSignatureEvent({ headers:{ 'x-forwarded-for': ip, 'user-agent': user_agent || '' } }, {
+        source: SOURCE, ...who(ctx), id, signedAt: ctx.payload.submitted_at,
+        signedName: v.signed_name, signedDate: v.signed_date,
+        signatureDoc: newSig, agreement: ctx.state.agreement.ok ? ctx.state.agreement : null,
+      });
+    }
+    ctx.state.evidence = { recorded:true, id };
+  } catch (e) {
+    console.error('signature evidence failed', e);
+    ctx.state.evidence = { recorded:false, error:String(e?.message||e) };
+  }
+}
+
+async function metafields(ctx){
+  const { id } = ctx.state.customer;
+  const v = ctx.payload.intake;
+  const agreementDoc = ctx.state.agreement.ok ? ctx.state.agreement : null;
+
+  // Read once: the documents pointer merges into it and the audit snapshot reuses it.
+  const current = await getRetainerMetafields(id);
+  const mf = intakePlanMetafields(id, v);
+  const newDocs = agreementDoc ? [...ctx.state.documents.stored, agreementDoc.doc] : ctx.state.documents.stored;
+  if (newDocs.length) pushDocuments(mf, id, newDocs, current.documents?.value || null);
+  if (agreementDoc) mf.push({ ownerId:id, namespace:NS, key:'agreement_pdf', type:'json', value: JSON.stringify(agreementDoc.pointer) });
+
+  const sync = await writeIntake(who(ctx), intakeFieldValues(v), { extra: mf, current });   // audited
+  if (!sync.ok) {
+    const plain = toPlainError(`metafieldsSet: ${JSON.stringify(sync.userErrors)}`);
+    throw jobFailure(plain.error, { ok:false, ...plain });
+  }
+  ctx.state.record_synced = sync.record.ok;
+}
+
+async function activation(ctx){
+  const { id, state } = ctx.state.customer;
+  const v = ctx.payload.intake;
+  ctx.state.activation = await sendActivation({ id, email: v.email, state, firstName: v.first_name || null });
+}
+
+defineJob(INTAKE_JOB, {
+  steps: [
+    { name:'customer', run: customer },
+    step('documents', documents),
+    step('agreement', agreement),
+    step('signature_evidence', signatureEvidence),
+    step('metafields', metafields),
+    step('activation', activation),
+  ],
+  result: ({ payload, state }) => ({
+    ok:true, customer_id: state.customer.id, customer_email: payload.intake.email,
+    activation: state.activation, documents: state.documents.results,
+    agreement: state.agreement.ok
+      ? { generated:true, sha256: state.agreement.pointer.sha256, content_sha256: state.agreement.pointer.content_sha256, template_version: state.agreement.pointer.template_version }
+      : state.agreement.unsigned ? { generated:false, unsigned:true } : { generated:false, error: state.agreement.error },
+    signature_evidence: state.evidence,
+    record_synced: state.record_synced,
+    normalized: payload.normalized || [],
+    dropped: state.customer.dropped || [],
+  }),
+});
@@ -0,0 +1,271 @@
+// /lib/retainer/intake-schema.js
+// One declarative schema for the retainer intake, shared by intake-upsert,
+// profile-update and record. validateIntake() coerces what it can (trimmed
+// strings, "yes"/"true" booleans, numeric strings) and reports everything
+// else as field-level errors the storefront form can map onto its inputs:
+//
+//   { ok:false, error:"...", errors:[{ field:'household[1].dob', code:'future_date', message:'...' }] }
+//
+// Phones come back in E.164 (phone.js) and the home address as parts
+// (address.js). Values rewritten that way are listed on success, so the
+// caller can tell the client what was stored:
+//
+//   { ok:true, value, normalized:[{ field:'phone', from:'(212) 555-0123', to:'+12125550123' }] }
+
+import { isEmail, US_STATES } from './validators.js';
+import { checkVin, decodeVehicle } from './vin.js';
+import { normalizePhone } from './phone.js';
+import { ADDRESS_KEYS, parseAddressLine, checkAddress, formatAddress } from './address.js';
+
+export const RELATIONSHIPS = ['spouse','partner','child','parent','sibling','grandparent','grandchild','relative','other'];
+
+const MIN_VEHICLE_YEAR = 1900;
+const maxVehicleYear = () => new Date().getUTCFullYear() + 1; // next model year is on lots already
+
+/* ---------- Schema ---------- */
+const HOUSEHOLD_MEMBER = {
+  name:         { type:'string', required:true, max:120, label:'Name' },
+  dob:          { type:'date', past:true, label:'Date of birth' },
+  relationship: { type:'enum', values:RELATIONSHIPS, label:'Relationship' },
+  phone:        { type:'phone', label:'Phone number' },
+};
+
+const VEHICLE = {
+  year:        { type:'integer', min:MIN_VEHICLE_YEAR, max:maxVehicleYear, label:'Year' },
+  make:        { type:'string', max:60, label:'Make' },
+  model:       { type:'string', max:60, label:'Model' },
+  plate:       { type:'string', max:12, label:'License plate' },
+  plate_state: { type:'state', label:'Plate state' },
+  vin:         { type:'vin', label:'VIN' },
+};
+
+export const INTAKE_SCHEMA = {
+  email:          { type:'email', label:'Email address' },
+  first_name:     { type:'string', max:100, label:'First name' },
+  last_name:      { type:'string', max:100, label:'Last name' },
+  full_name:      { type:'string', max:200, label:'Full name' },
+  phone:          { type:'phone', label:'Phone number' },
+  phone_digits:   { type:'string', max:20, label:'Phone digits' },
+  home_address:   { type:'string', max:300, label:'Home address' },
+  address1:       { type:'string', max:200, label:'Street address' },
+  address2:       { type:'string', max:200, label:'Apartment, suite, etc.' },
+  city:           { type:'string', max:100, label:'City' },
+  province:       { type:'string', max:60, label:'State' },
+  zip:            { type:'string', max:20, label:'ZIP code' },
+  country:        { type:'string', max:60, label:'Country' },
+  dob:            { type:'date', past:true, label:'Date of birth' },
+  insurer:        { type:'string', max:120, label:'Insurer' },
+  bi_limits:      { type:'string', max:60, label:'BI limits' },
+  has_bi:         { type:'boolean', label:'Bodily injury coverage' },
+  cars_count:     { type:'integer', min:0, max:20, label:'Number of cars' },
+  household:      { type:'array', of:HOUSEHOLD_MEMBER, max:20, label:'Household' },
+  vehicles:       { type:'array', of:VEHICLE, max:20, label:'Vehicles' },
+  household_list: { type:'list', max:20, label:'Household' },
+  vehicles_list:  { type:'list', max:20, label:'Vehicles' },
+  intake_notes:   { type:'text', max:5000, label:'Notes' },
+  notes:          { type:'text', max:5000, label:'Notes' },
+  retainer_plan:  { type:'string', max:120, label:'Retainer plan' },
+  retainer_term:  { type:'string', max:120, label:'Retainer term' },
+  signed_name:    { type:'string', max:200, label:'Signed name' },
+  signed_date:    { type:'date', label:'Signed date' },
+};
+
+/* ---------- Coercion ---------- */
+const blank = v => v == null || (typeof v === 'string' && v.trim() === '');
+
+function isCalendarDate(s){
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(s)) return false;
+  const d = new Date(`${s}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0,10) === s;
+}
+
+const todayYMD = () => new Date().toISOString().slice(0,10);
+
+// Each coercer returns { value } or { code, message }; normalized:true marks a
+// value rewritten into another format, which validateIntake reports.
+const COERCE = {
+  string(v, spec){
+    if (typeof v !== 'string' && typeof v !== 'number') return { code:'invalid_type', message:`${spec.label} must be text.` };
+    const s = String(v).trim().replace(/\s+/g, ' ');
+    if (spec.max && s.length > spec.max) return { code:'too_long', message:`${spec.label} must be at most ${spec.max} characters.` };
+    return { value:s };
+  },
+  text(v, spec){
+    if (typeof v !== 'string') return { code:'invalid_type', message:`${spec.label} must be text.` };
+    const s = v.trim();
+    if (spec.max && s.length > spec.max) return { code:'too_long', message:`${spec.label} must be at most ${spec.max} characters.` };
+    return { value:s };
+  },
+  email(v, spec){
+    const s = String(v).trim().toLowerCase();
+    if (!isEmail(s)) return { code:'invalid_format', message:`${spec.label} looks invalid.` };
+    return { value:s };
+  },
+  phone(v, spec){
+    const r = normalizePhone(v, { label:spec.label });
+    if (!r.ok) return { code:r.code, message:r.message };
+    return { value:r.e164, normalized: r.e164 !== String(v).trim() };
+  },
+  date(v, spec){
+    const s = String(v).trim();
+    if (!isCalendarDate(s)) return { code:'invalid_format', message:`${spec.label} must be a valid date (YYYY-MM-DD).` };
+    if (spec.past && s > todayYMD()) return { code:'future_date', message:`${spec.label} can't be in the future.` };
+    return { value:s };
+  },
+  time(v, spec){
+    const s = String(v).trim();
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(s)) return { code:'invalid_format', message:`${spec.label} must be a time (HH:MM, 24-hour).` };
+    return { value:s };
+  },
+  boolean(v, spec){
+    if (v === true || v === false) return { value:v };
+    const s = String(v).trim().toLowerCase();
+    if (['true','yes','y','1','on'].includes(s))  return { value:true };
+    if (['false','no','n','0','off'].includes(s)) return { value:false };
+    return { code:'invalid_type', message:`${spec.label} must be yes or no.` };
+  },
+  integer(v, spec){
+    const n = typeof v === 'number' ? v : /^\s*-?\d+\s*$/.test(String(v)) ? Number(v) : NaN;
+    if (!Number.isInteger(n)) return { code:'invalid_type', message:`${spec.label} must be a whole number.` };
+    const max = typeof spec.max === 'function' ? spec.max() : spec.max;
+    if ((spec.min != null && n < spec.min) || (max != null && n > max)) {
+      return { code:'out_of_range', message:`${spec.label} must be between ${spec.min} and ${max}.` };
+    }
+    return { value:n };
+  },
+  enum(v, spec){
+    const s = String(v).trim().toLowerCase();
+    if (!spec.values.includes(s)) return { code:'invalid_choice', message:`${spec.label} must be one of: ${spec.values.join(', ')}.` };
+    return { value:s };
+  },
+  state(v, spec){
+    const s = String(v).trim().toUpperCase();
+    if (!US_STATES.includes(s)) return { code:'invalid_choice', message:`${spec.label} must be a two-letter US state code.` };
+    return { value:s };
+  },
+  vin(v, spec){
+    const r = checkVin(v);
+    return r.ok ? { value:r.vin } : { code:r.code, message:r.message };
+  },
+  list(v, spec){
+    if (!Array.isArray(v)) return { code:'invalid_type', message:`${spec.label} must be a list.` };
+    const items = v.filter(x => !blank(x)).map(x => String(x).trim());
+    if (spec.max && items.length > spec.max) return { code:'too_many', message:`${spec.label} can have at most ${spec.max} entries.` };
+    return { value:items };
+  },
+};
+
+function validateObject(input, schema, prefix, errors, required = [], normalized = []){
+  const out = {};
+  for (const [key, spec] of Object.entries(schema)) {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const raw = input?.[key];
+
+    if (blank(raw)) {
+      if (spec.required || required.includes(key)) {
+        errors.push({ field, code:'required', message:`${spec.label} is required.` });
+      }
+      continue;
+    }
+
+    if (spec.type === 'array') {
+      if (!Array.isArray(raw)) { errors.push({ field, code:'invalid_type', message:`${spec.label} must be a list.` }); continue; }
+      const bad = raw.findIndex(r => r != null && typeof r !== 'object');
+      if (bad >= 0) { errors.push({ field:`${field}[${bad}]`, code:'invalid_type', message:`${spec.label} entries must be objects.` }); continue; }
+      // Entirely empty rows (an untouched "add another" row) are dropped, not errors.
+      const rows = raw
+        .map((row, i) => [row, i])
+        .filter(([row]) => row && Object.keys(spec.of).some(k => !blank(row[k])));
+      if (spec.max && rows.length > spec.max) {
+        errors.push({ field, code:'too_many', message:`${spec.label} can have at most ${spec.max} entries.` });
+        continue;
+      }
+      out[key] = rows.map(([row, i]) => validateObject(row, spec.of, `${field}[${i}]`, errors, [], normalized));
+      continue;
+    }
+
+    const r = COERCE[spec.type](raw, spec);
+    if (r.code) errors.push({ field, code:r.code, message:r.message });
+    else {
+      out[key] = r.value;
+      if (r.normalized) normalized.push({ field, from: raw, to: r.value });
+    }
+  }
+  return out;
+}
+
+/* ---------- Home address ---------- */
+// The address parts as sent, or home_address parsed into them; checked, then
+// written back as parts plus a tidy home_address line. Problems with a parsed
+// line are reported against home_address, since that's the input the client
+// sees.
+function intakeAddress(v, errors, normalized){
+  const sentParts = ADDRESS_KEYS.some(k => v[k] != null);
+  if (!sentParts && v.home_address == null) return;
+
+  const parts = sentParts ? Object.fromEntries(ADDRESS_KEYS.map(k => [k, v[k]])) : parseAddressLine(v.home_address);
+  if (!parts) {
+    errors.push({ field:'home_address', code:'unparsed_address', message:'Home address must include street, city, state and ZIP, e.g. "12 Main St, Springfield, IL 62701".' });
+    return;
+  }
+  const r = checkAddress(parts);
+  if (!r.ok) {
+    for (const e of r.errors) {
+      errors.push(sentParts ? { field:e.key, code:e.code, message:e.message } : { field:'home_address', code:e.code, message:`Home address: ${e.message}` });
+    }
+    return;
+  }
+
+  if (sentParts) for (const n of r.notes) normalized.push({ field:n.key, from:n.from, to:n.to });
+  else normalized.push({ field:'home_address', from:v.home_address, to:r.value });
+  for (const k of ADDRESS_KEYS) delete v[k];
+  Object.assign(v, r.value, { home_address: formatAddress(r.value) });
+}
+
+// → { ok:true, value, normalized } | { ok:false, errors }
+// `required` lists the top-level keys this endpoint insists on; every other
+// field is optional but must be valid when present. Vehicles with a VIN come
+// back decoded (vin.js decodeVehicle: vin_decoded, vin_mismatch).
+export function validateIntake(payload, { required = ['email'] } = {}){
+  const errors = [];
+  const normalized = [];
+  const value = validateObject(payload || {}, INTAKE_SCHEMA, '', errors, required, normalized);
+  intakeAddress(value, errors, normalized);
+  if (errors.length) return { ok:false, errors };
+  if (value.vehicles) value.vehicles = value.vehicles.map(v => decodeVehicle(v));
+  return { ok:true, value, normalized };
+}
+
+// Same rules against another schema in this format (incidents.js).
+export function validateWith(schema, payload, { required = [] } = {}){
+  const errors = [];
+  const normalized = [];
+  const value = validateObject(payload || {}, schema, '', errors, required, normalized);
+  return errors.length ? { ok:false, errors } : { ok:true, value, normalized };
+}
+
+/* ---------- Pretty lines (list.single_line_text_field metafields) ---------- */
+export const householdLines = arr => (arr || [])
+  .map(h => [h.name, h.dob, h.relationship].filter(Boolean).join(' — ').trim())
+  .filter(Boolean);
+
+// "2019 Honda Civic — plate CA 7ABC123 — VIN 1HGFC2F59KA000000", with what
+// the VIN says when the typed year / make disagree.
+const vinNote = x =>
+  x.vin_error ? ' (VIN invalid)'
+  : x.vin_mismatch?.length ? ` (VIN says ${[x.vin_decoded?.model_year, x.vin_decoded?.manufacturer].filter(Boolean).join(' ')})`
+  : '';
+
+export const vehicleLines = arr => (arr || [])
+  .map(x => [
+    [x.year, x.make, x.model].filter(Boolean).join(' '),
+    x.plate ? `plate ${[x.plate_state, x.plate].filter(Boolean).join(' ')}` : '',
+    x.vin ? `VIN ${x.vin}${vinNote(x)}` : '',
+  ].filter(Boolean).join(' — ').trim())
+  .filter(Boolean);
+
+// Response body for a failed validation. `error` keeps the old single-string
+// shape working for callers that haven't moved to `errors` yet.
+export function intakeErrorBody(errors){
+  return { ok:false, error: errors.map(e => e.message).join(' '), errors };
+}
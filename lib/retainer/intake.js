@@ -0,0 +1,208 @@
+// /lib/retainer/intake.js
+// The Shopify side of an intake, shared by the queued intake job
+// (intake-job.js) and the bulk import (scripts/import-clients.js): find or
+// create the customer without a password, then write the intake fields to both
+// stores (sync.js) along with the plan snapshot metafields. Documents, the
+// agreement PDF and signature evidence are steps of the intake job, since they
+// need the uploaded files.
+//
+// The phone goes to Shopify in E.164 and the home address as its parts
+// (intake-schema.js). Shopify can still refuse either; the write is then
+// retried without it and the caller gets `dropped` to report back.
+
+import { adminGql, findCustomerByEmail } from './shopify.js';
+import { nonBlank } from './validators.js';
+import { issueActivation } from './account.js';
+import { writeIntake } from './sync.js';
+
+/* ---------- Queries ---------- */
+const Q = {
+  customerUpdate: `mutation($input:CustomerInput!){
+    customerUpdate(input:$input){
+      customer{ id email state }
+      userErrors{ field message }
+    }
+  }`,
+  customerCreate: `mutation($input:CustomerInput!){
+    customerCreate(input:$input){
+      customer{ id email state }
+      userErrors{ field message }
+    }
+  }`,
+};
+
+/* ---------- Error → plain-English ---------- */
+export function toPlainError(err){
+  const s = String(err || '');
+  const mCU = s.match(/customerUpdate:\s*(\[.*\])$/);
+  const mCC = s.match(/customerCreate:\s*(\[.*\])$/);
+  const mMF = s.match(/metafieldsSet:\s*(\[.*\])$/);
+  const raw = mCU?.[1] || mCC?.[1] || mMF?.[1];
+
+  if (raw){
+    try{
+      const arr = JSON.parse(raw);
+      const msgs = [];
+      for (const e of arr){
+        const field = (e?.field || []).join('.').toLowerCase();
+        let msg = e?.message || '';
+        // Admin search lags behind creates, so a just-created account can look new.
+        if (e?.code === 'TAKEN' || /already been taken/i.test(msg)) msg = 'An account with this email already exists. Please try again in a few seconds.';
+        else if (field.includes('phone') || /phone/i.test(msg)) msg = 'Phone number looks invalid. Please include the area code, and the country code for numbers outside the US.';
+        else if (field.includes('email') || /email/i.test(msg)) msg = 'Email address looks invalid.';
+        else if (field.includes('password') || /password/i.test(msg)) msg = 'Password doesn’t meet requirements.';
+        if (msg && !msgs.includes(msg)) msgs.push(msg);
+      }
+      if (msgs.length) return { error: msgs.join(' ') };
+    }catch(_){}
+  }
+  if (s.includes('ACCESS_DENIED')) return { error:'Shopify permissions are missing (protected customer data scope).' };
+  return { error: s || 'Something went wrong. Please try again.' };
+}
+
+/* ---------- Customer create/update that tolerates phone / address errors ---------- */
+// Which optional input a userError is about: 'phone', 'addresses' or null.
+// The message is only read when Shopify gives no field path.
+function droppableField(e){
+  const field = (e?.field || []).join('.').toLowerCase();
+  const msg = String(e?.message || '').toLowerCase();
+  if (field) return field.includes('phone') ? 'phone' : field.includes('address') ? 'addresses' : null;
+  if (msg.includes('phone')) return 'phone';
+  if (!msg.includes('email') && /address|zip|province|country/.test(msg)) return 'addresses';
+  return null;
+}
+
+// op: 'customerCreate' | 'customerUpdate' (Admin).
+// → { ok:true, customer, dropped:[{ field, message }] } | { ok:false, errs }
+// When every error is about the phone and/or address, the write is retried
+// without them; `dropped` says which were left off and why.
+export async function customerWriteSoft(op, input){
+  const up = await adminGql(Q[op], { input });
+  const errs = up[op]?.userErrors || [];
+  if (!errs.length) return { ok:true, customer: up[op]?.customer || null, dropped:[] };
+
+  const fields = errs.map(droppableField);
+  if (fields.some(f => !f || input[f] === undefined)) return { ok:false, errs };
+
+  const dropped = [...new Set(fields)].map(field => ({
+    field, message: errs.filter((e, i) => fields[i] === field).map(e => e.message).join(' '),
+  }));
+  const rest = { ...input };
+  for (const d of dropped) delete rest[d.field];
+  const up2 = await adminGql(Q[op], { input: rest });
+  const errs2 = up2[op]?.userErrors || [];
+  if (!errs2.length) return { ok:true, customer: up2[op]?.customer || null, dropped };
+  return { ok:false, errs: errs2 };
+}
+
+// Validated intake → the phone / address part of a CustomerInput.
+export function customerContactInput(v){
+  const names = { firstName: v.first_name || undefined, lastName: v.last_name || undefined };
+  return {
+    phone: v.phone || undefined,
+    addresses: v.address1 ? [{
+      address1:     v.address1,
+      address2:     v.address2 || undefined,
+      city:         v.city,
+      provinceCode: v.province || undefined,
+      zip:          v.zip || undefined,
+      countryCode:  v.country,
+      ...names,
+    }] : undefined,
+  };
+}
+
+// Accounts without a password (DISABLED/INVITED) get a fresh activation email.
+// → { status:'sent', expires_at } only once a provider accepted it;
+// 'unavailable' when no email provider is configured, 'failed' when it refused.
+// Neither fails the intake; the client can ask for a resend.
+export async function sendActivation(customer){
+  if (customer.state === 'ENABLED') return { status:'not_needed' };
+  try {
+    const { expires_at, delivery } = await issueActivation(customer);
+    if (delivery === 'sent') return { status:'sent', expires_at };
+    console.error('activation email not sent: no email provider configured (NOTIFIER is not "provider")');
+    return { status:'unavailable' };
+  } catch (e) {
+    console.error('activation email failed', e?.message || e);
+    return { status:'failed' };
+  }
+}
+
+/* ---------- Customer upsert ---------- */
+const emailTaken = errs => (errs || []).some(e => e?.code === 'TAKEN' || /already been taken/i.test(e?.message || ''));
+
+// Validated intake → { ok:true, id, state, created, dropped } | { ok:false, error, taken? }
+// taken: Shopify refused the create because the email exists, i.e. the Admin
+// search hasn't caught up with the customer yet.
+export async function upsertIntakeCustomer(v){
+  const first = v.first_name || '';
+  const last  = v.last_name  || '';
+
+  let found;
+  try { found = await findCustomerByEmail(v.email); }
+  catch(e){
+    if (String(e).includes('ACCESS_DENIED')) return { ok:false, ...toPlainError('ACCESS_DENIED') };
+    throw e;
+  }
+
+  // Admin-side update payload
+  const baseInput = {
+    email:     v.email,
+    firstName: first || undefined,
+    lastName:  last  || undefined,
+    ...customerContactInput(v),
+  };
+
+  if (!found?.id){
+    // Admin create: no password, account stays DISABLED until the client activates it.
+    const rCr = await customerWriteSoft('customerCreate', baseInput);
+    if (!rCr.ok) return { ok:false, taken: emailTaken(rCr.errs), ...toPlainError(`customerCreate: ${JSON.stringify(rCr.errs || [])}`) };
+    const id = rCr.customer?.id;
+    if (!id) return { ok:false, error:'Missing Admin customer ID; cannot write metafields.' };
+    return { ok:true, id, state: rCr.customer?.state || 'DISABLED', created:true, dropped: rCr.dropped };
+  }
+  const rUpd = await customerWriteSoft('customerUpdate', { id: found.id, ...baseInput });
+  if (!rUpd.ok) return { ok:false, ...toPlainError(`customerUpdate: ${JSON.stringify(rUpd.errs || [])}`) };
+  return { ok:true, id: found.id, state: found.state, created:false, dropped: rUpd.dropped };
+}
+
+/* ---------- Fields ---------- */
+// Plan / term snapshots, which only live in Shopify. (phone_digits goes with
+// the intake fields, sync.js.)
+export function intakePlanMetafields(ownerId, v){
+  const mf = [];
+  const push = (entry) => mf.push({ ownerId, namespace:'retainer', ...entry });
+  if (nonBlank(v.retainer_plan)) {
+    push({ key:'last_retainer_plan',    type:'single_line_text_field', value:v.retainer_plan });
+    push({ key:'current_retainer_plan', type:'single_line_text_field', value:v.retainer_plan });
+  }
+  if (nonBlank(v.retainer_term)) {
+    push({ key:'last_retainer_term',    type:'single_line_text_field', value:v.retainer_term });
+    push({ key:'current_retainer_term', type:'single_line_text_field', value:v.retainer_term });
+  }
+  return mf;
+}
+
+// has_bi / cars_count are always written, as "no" / 0 when left out; the
+// record's full_name falls back to first + last.
+export function intakeFieldValues(v){
+  return {
+    ...v,
+    full_name: v.full_name || [v.first_name, v.last_name].filter(Boolean).join(' ') || undefined,
+    has_bi: !!v.has_bi,
+    cars_count: v.cars_count ?? 0,
+  };
+}
+
+// Customer upsert + both stores, no documents.
+// → { ok:true, id, state, created, dropped, record_synced } | { ok:false, error }
+export async function applyIntake(v, { extra = [] } = {}){
+  const cust = await upsertIntakeCustomer(v);
+  if (!cust.ok) return cust;
+  const sync = await writeIntake({ customerGid: cust.id, email: v.email }, intakeFieldValues(v), {
+    extra: [...intakePlanMetafields(cust.id, v), ...extra],
+  });
+  if (!sync.ok) return { ok:false, ...toPlainError(`metafieldsSet: ${JSON.stringify(sync.userErrors)}`) };
+  return { ...cust, record_synced: sync.record.ok };
+}
@@ -0,0 +1,268 @@
+// /lib/retainer/jobs.js
+// Durable queue for work too slow for one request (intake processing,
+// intake-job.js). A job is a kind + payload worked through that kind's named
+// steps in order; each step's status is saved as it finishes, so a job picked
+// up again after a crash or a retryable failure resumes at the first step not
+// yet done.
+//
+// Row: { id, kind, status, payload, state, steps, result, error, attempts,
+//        max_attempts, run_at, locked_until, subject_email, created_at,
+//        updated_at, finished_at }
+// status: queued → running → succeeded | failed; a failed attempt goes back
+//         to queued (run_at pushed out) until max_attempts is used up
+// steps:  [{ name, status: pending|running|done|failed, attempts, started_at,
+//           finished_at, error }]
+//
+// A step that throws is retried with the job unless the error is permanent
+// (jobFailure()). A running job whose lock has lapsed is treated as crashed
+// and can be claimed again. The payload is dropped once the job finishes.
+//
+// Drivers: Supabase (table JOBS_TABLE, default "retainer_jobs") and in-memory
+// for tests/local runs. Pick with JOB_QUEUE=supabase|memory; default is
+// Supabase when it is configured.
+
+import crypto from 'node:crypto';
+import { env, getConfig } from './config.js';
+import { getSupabase } from './supabase.js';
+import { normEmail } from './validators.js';
+import { runAudited } from './audit.js';
+
+const LOCK_SECONDS = 120;
+const RETRY_BASE_SECONDS = 30;
+
+const nowIso = () => new Date().toISOString();
+const clone = v => (v == null ? v : JSON.parse(JSON.stringify(v)));
+
+/* ---------- Job kinds ---------- */
+const KINDS = {};
+
+// def: { steps:[{ name, run(ctx) }], result(ctx) } — ctx: { job, payload, state }.
+// Steps keep what later steps need in ctx.state, which is saved after each one.
+export function defineJob(kind, def){ KINDS[kind] = def; }
+
+// An error that retrying won't fix. `result` becomes the job's result.
+export function jobFailure(message, result = null){
+  return Object.assign(new Error(message), { permanent:true, result });
+}
+
+/* ---------- In-memory driver ---------- */
+export function memoryJobQueue(){
+  const jobs = new Map();
+
+  const claimable = (j, now) =>
+    (j.status === 'queued' && j.run_at <= now) ||
+    (j.status === 'running' && j.locked_until && j.locked_until < now);
+
+  return {
+    jobs,
+    async insert(job){ jobs.set(job.id, clone(job)); return clone(job); },
+    async get(id){ return clone(jobs.get(id) || null); },
+    async update(id, patch){
+      const j = jobs.get(id);
+      if (j) Object.assign(j, clone(patch), { updated_at: nowIso() });
+    },
+    async claim({ lockSeconds }){
+      const now = nowIso();
+      const j = [...jobs.values()].filter(x => claimable(x, now)).sort((a, z) => (a.created_at < z.created_at ? -1 : 1))[0];
+      if (!j) return null;
+      Object.assign(j, { status:'running', attempts: j.attempts + 1, locked_until: new Date(Date.now() + lockSeconds * 1000).toISOString(), updated_at: now });
+      return clone(j);
+    },
+    async remove({ email = null, finishedBefore = null } = {}){
+      let n = 0;
+      for (const [id, j] of jobs) {
+        if (email && j.subject_email !== email) continue;
+        if (finishedBefore && !(j.finished_at && j.finished_at < finishedBefore)) continue;
+        jobs.delete(id); n++;
+      }
+      return n;
+    },
+  };
+}
+
+/* ---------- Supabase driver ---------- */
+export function supabaseJobQueue(table = env('JOBS_TABLE') || 'retainer_jobs'){
+  const db = () => getSupabase().from(table);
+
+  return {
+    async insert(job){
+      const { error } = await db().insert(job);
+      if (error) throw new Error(`job insert: ${error.message}`);
+      return job;
+    },
+
+    async get(id){
+      const { data, error } = await db().select('*').eq('id', id).maybeSingle();
+      if (error) throw new Error(`job read: ${error.message}`);
+      return data || null;
+    },
+
+    async update(id, patch){
+      const { error } = await db().update({ ...patch, updated_at: nowIso() }).eq('id', id);
+      if (error) throw new Error(`job update: ${error.message}`);
+    },
+
+    // Oldest claimable job, taken with a conditional update on the status and
+    // attempts we saw so two workers can't both win it.
+    async claim({ lockSeconds }){
+      const now = nowIso();
+      const { data, error } = await db()
+        .select('id, status, attempts')
+        .or(`and(status.eq.queued,run_at.lte.${now}),and(status.eq.running,locked_until.lt.${now})`)
+        .order('created_at', { ascending:true })
+        .limit(5);
+      if (error) throw new Error(`job claim read: ${error.message}`);
+      for (const c of data || []) {
+        const { data: won, error: updErr } = await db()
+          .update({ status:'running', attempts: c.attempts + 1, locked_until: new Date(Date.now() + lockSeconds * 1000).toISOString(), updated_at: now })
+          .eq('id', c.id)
+          .eq('status', c.status)
+          .eq('attempts', c.attempts)
+          .select('*');
+        if (updErr) throw new Error(`job claim: ${updErr.message}`);
+        if (won?.length) return won[0];
+      }
+      return null;
+    },
+
+    async remove({ email = null, finishedBefore = null } = {}){
+      let q = db().delete();
+      if (email) q = q.eq('subject_email', email);
+      if (finishedBefore) q = q.lt('finished_at', finishedBefore);
+      if (!email && !finishedBefore) q = q.lte('created_at', nowIso()); // PostgREST refuses an unfiltered delete
+      const { data, error } = await q.select('id');
+      if (error) throw new Error(`job delete: ${error.message}`);
+      return (data || []).length;
+    },
+  };
+}
+
+/* ---------- Driver selection ---------- */
+let queue = null;
+
+export function setJobQueue(q){ queue = q; }
+
+export function getJobQueue(){
+  if (queue) return queue;
+  const { supabaseUrl, supabaseKey } = getConfig();
+  const driver = env('JOB_QUEUE') || (supabaseUrl && supabaseKey ? 'supabase' : 'memory');
+  if (driver === 'memory') {
+    console.warn('[jobs] using in-memory queue; jobs only run on this instance');
+    queue = memoryJobQueue();
+  } else {
+    queue = supabaseJobQueue();
+  }
+  return queue;
+}
+
+/* ---------- Enqueue / read ---------- */
+// claim: insert it already running (locked to the caller, who runs it now).
+// → job row
+export async function enqueueJob(kind, payload, { subjectEmail = null, maxAttempts = 5, claim = false } = {}){
+  const def = KINDS[kind];
+  if (!def) throw new Error(`unknown job kind "${kind}"`);
+  const now = nowIso();
+  return getJobQueue().insert({
+    id: crypto.randomUUID(),
+    kind,
+    status: claim ? 'running' : 'queued',
+    payload,
+    state: {},
+    steps: def.steps.map(s => ({ name: s.name, status:'pending', attempts:0, started_at:null, finished_at:null, error:null })),
+    result: null,
+    error: null,
+    attempts: claim ? 1 : 0,
+    max_attempts: maxAttempts,
+    run_at: now,
+    locked_until: claim ? new Date(Date.now() + LOCK_SECONDS * 1000).toISOString() : null,
+    subject_email: subjectEmail ? normEmail(subjectEmail) : null,
+    created_at: now,
+    updated_at: now,
+    finished_at: null,
+  });
+}
+
+export function getJob(id){ return getJobQueue().get(id); }
+
+// What a poller may see: no payload or working state.
+export function jobStatus(job){
+  return {
+    job_id: job.id,
+    kind: job.kind,
+    status: job.status,
+    steps: job.steps.map(({ name, status, attempts, finished_at, error }) => ({ name, status, attempts, finished_at, error })),
+    attempts: job.attempts,
+    result: job.result,
+    error: job.error,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    finished_at: job.finished_at,
+  };
+}
+
+/* ---------- Running ---------- */
+// Work a claimed job from its first unfinished step. → the job as saved
+export async function runJob(job, { q = getJobQueue(), lockSeconds = LOCK_SECONDS } = {}){
+  const def = KINDS[job.kind];
+  const ctx = { job, payload: job.payload, state: job.state || {} };
+  const lock = () => new Date(Date.now() + lockSeconds * 1000).toISOString();
+  const save = async patch => { Object.assign(job, patch); await q.update(job.id, patch); };
+
+  if (!def) {
+    await save({ status:'failed', error:`unknown job kind "${job.kind}"`, finished_at: nowIso(), locked_until:null });
+    return job;
+  }
+
+  for (const step of def.steps) {
+    const rec = job.steps.find(s => s.name === step.name);
+    if (rec.status === 'done') continue;
+    Object.assign(rec, { status:'running', attempts: rec.attempts + 1, started_at: nowIso(), error:null });
+    await save({ steps: job.steps, locked_until: lock() });
+    try {
+      await step.run(ctx);
+      Object.assign(rec, { status:'done', finished_at: nowIso() });
+      await save({ steps: job.steps, state: ctx.state });
+    } catch (e) {
+      const error = String(e?.message || e);
+      Object.assign(rec, { status:'failed', finished_at: nowIso(), error });
+      if (e?.permanent || job.attempts >= job.max_attempts) {
+        if (!e?.permanent) console.error(`[jobs] ${job.kind} ${job.id} gave up at ${step.name}`, e);
+        await save({ status:'failed', steps: job.steps, state: ctx.state, error, result: e?.result ?? null, payload:null, finished_at: nowIso(), locked_until:null });
+      } else {
+        const retryIn = RETRY_BASE_SECONDS * 2 ** (job.attempts - 1);
+        await save({ status:'queued', steps: job.steps, state: ctx.state, error, run_at: new Date(Date.now() + retryIn * 1000).toISOString(), locked_until:null });
+      }
+      return job;
+    }
+  }
+
+  await save({ status:'succeeded', result: def.result ? await def.result(ctx) : null, error:null, payload:null, finished_at: nowIso(), locked_until:null });
+  return job;
+}
+
+// Claim and run jobs until the queue is empty or `until` (epoch ms) passes.
+// Each job's writes are audited with source "job:<kind>" and the job id as
+// request id. → { ran, succeeded, failed, retrying }
+export async function workJobs({ until = Date.now() + 45000, q = getJobQueue() } = {}){
+  const out = { ran:0, succeeded:0, failed:0, retrying:0 };
+  while (Date.now() < until) {
+    const job = await q.claim({ lockSeconds: LOCK_SECONDS });
+    if (!job) break;
+    const done = await runAudited({ source:`job:${job.kind}`, requestId: job.id, actor:{ role:'system', id:'jobs-worker' } }, () => runJob(job, { q }));
+    out.ran++;
+    if (done.status === 'succeeded') out.succeeded++;
+    else if (done.status === 'failed') out.failed++;
+    else out.retrying++;
+  }
+  return out;
+}
+
+/* ---------- Cleanup ---------- */
+// Finished jobs older than JOB_RETENTION_DAYS (default 14); daily cron.
+export function pruneJobs({ olderThanDays = Number(env('JOB_RETENTION_DAYS')) || 14 } = {}){
+  return getJobQueue().remove({ finishedBefore: new Date(Date.now() - olderThanDays * 86400000).toISOString() });
+}
+
+// GDPR: every job about this client / this shop. → number removed
+export const removeJobs = ({ email }) => (email ? getJobQueue().remove({ email: normEmail(email) }) : 0);
+export const removeAllJobs = () => getJobQueue().remove();
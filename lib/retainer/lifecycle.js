@@ -0,0 +1,167 @@
+// /lib/retainer/lifecycle.js
+// Retainer lifecycle: parse the free-text term ("monthly", "6 months",
+// "annual", ...) and derive retainer_start / retainer_end / retainer_status
+// from the paid order date.
+//
+// retainer_end is the LAST covered day: a monthly retainer paid 2026-01-15
+// covers through 2026-02-14. A start day the end month doesn't have covers
+// through that month's last day (paid Jan 31 → through Feb 28).
+//
+// Terms are read from the plan wording as well ("Annual Plan", "Gold - 6
+// months"): a count + unit anywhere, else a term word anywhere.
+//
+// Statuses: active | expired | cancelled | refunded. cancelled/refunded are
+// set by the order webhooks and never recomputed from dates.
+
+import { pushDT, pushSL } from './metafields.js';
+
+export const STATUSES = ['active', 'expired', 'cancelled', 'refunded'];
+const TERMINAL = ['cancelled', 'refunded'];
+
+const WORD_TERMS = {
+  weekly:        { days:7 },
+  monthly:       { months:1 },
+  month:         { months:1 },
+  quarterly:     { months:3 },
+  quarter:       { months:3 },
+  'semi-annual': { months:6 },
+  semiannual:    { months:6 },
+  'semi-annually': { months:6 },
+  'half-year':   { months:6 },
+  biannual:      { months:6 },
+  annual:        { months:12 },
+  annually:      { months:12 },
+  yearly:        { months:12 },
+  year:          { months:12 },
+};
+
+// Longest first, so "semi-annual" wins over the "annual" inside it.
+const WORDS = Object.keys(WORD_TERMS).sort((a, b) => b.length - a.length);
+
+const UNIT_MONTHS = { month:1, mo:1, year:12, yr:12 };
+const UNIT_DAYS   = { day:1, week:7, wk:7 };
+
+// "6 months" / "1 yr" / "12-month" / "annual" / "Annual Plan"
+// → { months } | { days } | null
+export function parseTerm(term){
+  const s = String(term || '').trim().toLowerCase().replace(/[_]+/g, ' ').replace(/\s+/g, ' ');
+  if (!s) return null;
+
+  const m = s.match(/\b(\d+)\s*-?\s*(month|mo|year|yr|day|week|wk)s?\b/);
+  if (m) {
+    const n = Number(m[1]);
+    if (!n) return null;
+    if (UNIT_MONTHS[m[2]]) return { months: n * UNIT_MONTHS[m[2]] };
+    return { days: n * UNIT_DAYS[m[2]] };
+  }
+
+  const words = s.replace(/ /g, '-');   // "semi annual plan" → "semi-annual-plan"
+  const w = WORDS.find(k => new RegExp(`(^|[^a-z])${k}($|[^a-z])`).test(words));
+  return w ? { ...WORD_TERMS[w] } : null;
+}
+
+/* ---------- Date math (UTC, YYYY-MM-DD) ---------- */
+const toDate = ymd => new Date(`${ymd}T00:00:00Z`);
+const toYMD  = d => d.toISOString().slice(0, 10);
+
+export const todayYMD = () => toYMD(new Date());
+
+export function addDays(ymd, n){
+  const d = toDate(ymd);
+  d.setUTCDate(d.getUTCDate() + n);
+  return toYMD(d);
+}
+
+// → { ymd, clamped } where clamped means the target month is too short for
+// the start day (Jan 31 + 1 month → Feb 28).
+function addMonths(ymd, n){
+  const d = toDate(ymd);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + n);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return { ymd: toYMD(d), clamped: day > lastDay };
+}
+
+export function daysBetween(fromYMD, toYMDStr){
+  return Math.round((toDate(toYMDStr) - toDate(fromYMD)) / 86400000);
+}
+
+// Last covered day for a term starting on `startYMD` (null when unparseable).
+export function termEnd(startYMD, term){
+  const t = typeof term === 'object' && term ? term : parseTerm(term);
+  if (!t) return null;
+  if (!t.months) return addDays(addDays(startYMD, t.days), -1);
+  // The day before the same day next term, or the whole of a short end month.
+  const { ymd, clamped } = addMonths(startYMD, t.months);
+  return clamped ? ymd : addDays(ymd, -1);
+}
+
+// Paid timestamp (ISO or YMD) → { retainer_start, retainer_end, retainer_status }
+export function deriveLifecycle({ paidAt, term, status = null, today = todayYMD() }){
+  const start = paidAt ? String(paidAt).slice(0, 10) : null;
+  const end = start ? termEnd(start, term) : null;
+  return {
+    retainer_start: start,
+    retainer_end: end,
+    retainer_status: effectiveStatus({ status, end, today }),
+  };
+}
+
+// Dates win over a stale stored "active"; cancelled/refunded always stick.
+export function effectiveStatus({ status, end, today = todayYMD() }){
+  if (TERMINAL.includes(status)) return status;
+  if (end && end < today) return 'expired';
+  if (end) return 'active';
+  return status || null;
+}
+
+// retainer_start/_end as date metafields, retainer_status as single-line text
+export function lifecycleMetafields(ownerId, lc){
+  const mfs = [];
+  pushDT(mfs, ownerId, 'retainer_start', lc.retainer_start);
+  pushDT(mfs, ownerId, 'retainer_end', lc.retainer_end);
+  pushSL(mfs, ownerId, 'retainer_status', lc.retainer_status);
+  return mfs;
+}
+
+// Customer retainer.* metafields (getRetainerMetafields shape) → coverage state
+export function coverageFromMetafields(mf, today = todayYMD()){
+  const v = k => mf?.[k]?.value || null;
+  return coverage({
+    status: v('retainer_status'),
+    plan:   v('current_retainer_plan') || v('last_retainer_plan'),
+    term:   v('current_retainer_term') || v('last_retainer_term'),
+    order:  v('current_retainer_order'),
+    start:  v('retainer_start'),
+    end:    v('retainer_end'),
+  }, today);
+}
+
+// Same from the lifecycle mirrored onto the retainer record (staff lookups
+// over many clients, where a Shopify read per client would be too slow).
+export function coverageFromRecord(row, today = todayYMD()){
+  return coverage({
+    status: row?.retainer_status || null,
+    plan:   row?.retainer_plan || null,
+    term:   row?.retainer_term || null,
+    order:  row?.retainer_order || null,
+    start:  row?.retainer_start || null,
+    end:    row?.retainer_end || null,
+  }, today);
+}
+
+function coverage({ status: stored, plan, term, order, start, end }, today){
+  const status = effectiveStatus({ status: stored, end, today });
+  return {
+    status: status || 'none',
+    active: status === 'active' && (!start || start <= today),
+    plan,
+    term,
+    order,
+    start,
+    end,
+    days_remaining: status === 'active' && end ? Math.max(0, daysBetween(today, end) + 1) : 0,
+  };
+}
@@ -0,0 +1,192 @@
+// /lib/retainer/metafield-definitions.js
+// The retainer.* metafield definitions the handlers write against, per owner
+// type, and the calls that read and create them in the shop
+// (scripts/metafield-definitions.js). The pushers in metafields.js use these
+// types; a key written anywhere must be listed here.
+//
+// Canonical value formats where older code disagreed:
+//
+//   file_reference   the file GID ("gid://shopify/MediaImage/1"), not
+//                    {"file_id": GID} JSON
+//   household_list,  list.single_line_text_field on both customer and order —
+//   vehicles_list    a JSON array of lines, not one " | "-joined line
+//   phone_digits     the E.164 number without "+" ("12125550123"), not the
+//                    10 digits without the US country code
+//
+// canonicalValue() turns a stored value in an older format into the canonical
+// one.
+
+import { adminGql } from './shopify.js';
+import { NS } from './metafields.js';
+import { normalizePhone } from './phone.js';
+
+const def = (key, type, name, description = null) => ({ key, type, name, description });
+
+const CUSTOMER = [
+  def('dob',                    'date',                        'Date of birth'),
+  def('insurer',                'single_line_text_field',      'Insurer'),
+  def('bi_limits',              'single_line_text_field',      'BI limits'),
+  def('has_bi',                 'boolean',                     'Has BI coverage'),
+  def('cars_count',             'number_integer',              'Number of cars'),
+  def('intake_notes',           'multi_line_text_field',       'Intake notes'),
+  def('household_list',         'list.single_line_text_field', 'Household', 'One line per member: name — DOB — relationship'),
+  def('vehicles_list',          'list.single_line_text_field', 'Vehicles', 'One line per vehicle: year make model — plate — VIN'),
+  def('phone_digits',           'single_line_text_field',      'Phone digits', 'E.164 number without the +'),
+  def('last_retainer_plan',     'single_line_text_field',      'Last retainer plan'),
+  def('last_retainer_term',     'single_line_text_field',      'Last retainer term'),
+  def('current_retainer_plan',  'single_line_text_field',      'Current retainer plan'),
+  def('current_retainer_term',  'single_line_text_field',      'Current retainer term'),
+  def('current_retainer_order', 'single_line_text_field',      'Current retainer order', 'Order GID of the paid retainer'),
+  def('retainer_start',         'date',                        'Retainer start'),
+  def('retainer_end',           'date',                        'Retainer end'),
+  def('retainer_status',        'single_line_text_field',      'Retainer status'),
+  def('documents',              'json',                        'Documents', 'Pointers to the private document copies'),
+  def('agreement_pdf',          'json',                        'Agreement PDF'),
+  // Legacy public uploads, until scripts/migrate-private-documents.js has run.
+  def('signature',              'file_reference',              'Signature (legacy)'),
+  def('drivers_license',        'file_reference',              'Driver\'s license (legacy)'),
+  def('car_insurance',          'file_reference',              'Car insurance (legacy)'),
+];
+
+const ORDER = [
+  def('plan',                   'single_line_text_field',      'Retainer plan'),
+  def('term',                   'single_line_text_field',      'Retainer term'),
+  def('bi_info',                'boolean',                     'Has BI coverage'),
+  def('insurer',                'single_line_text_field',      'Insurer'),
+  def('cars_count',             'number_integer',              'Number of cars'),
+  def('dob',                    'date',                        'Date of birth'),
+  def('signed_name',            'single_line_text_field',      'Signed name'),
+  def('signed_date',            'date',                        'Signed date'),
+  def('household_list',         'list.single_line_text_field', 'Household', 'One line per member: name — DOB — relationship'),
+  def('vehicles_list',          'list.single_line_text_field', 'Vehicles', 'One line per vehicle: year make model — plate — VIN'),
+  def('intake_household',       'json',                        'Intake household'),
+  def('intake_vehicles',        'json',                        'Intake vehicles'),
+  def('intake_notes',           'multi_line_text_field',       'Intake notes'),
+  def('documents',              'json',                        'Documents', 'Pointers to the private document copies'),
+  def('agreement_pdf',          'json',                        'Agreement PDF'),
+  def('retainer_start',         'date',                        'Retainer start'),
+  def('retainer_end',           'date',                        'Retainer end'),
+  def('status',                 'single_line_text_field',      'Retainer status'),
+  def('signature',              'file_reference',              'Signature (legacy)'),
+  def('drivers_license',        'file_reference',              'Driver\'s license (legacy)'),
+  def('car_insurance',          'file_reference',              'Car insurance (legacy)'),
+];
+
+// [{ ownerType, namespace, key, type, name, description }]
+export const METAFIELD_DEFINITIONS = [
+  ...CUSTOMER.map(d => ({ ownerType:'CUSTOMER', namespace:NS, ...d })),
+  ...ORDER.map(d => ({ ownerType:'ORDER', namespace:NS, ...d })),
+];
+
+// "gid://shopify/Order/1" → "ORDER"
+export const ownerTypeOf = ownerId => (String(ownerId).split('/')[3] || '').toUpperCase() || null;
+
+export const definitionFor = (ownerType, key) =>
+  METAFIELD_DEFINITIONS.find(d => d.ownerType === ownerType && d.key === key) || null;
+
+/* ---------- Values ---------- */
+// A stored { type, value } → the canonical value string for `d`, the value
+// itself when it already is, or null when there's no safe conversion.
+export function canonicalValue(d, { type, value }){
+  const s = String(value ?? '');
+  if (d.type === 'file_reference') {
+    if (/^gid:\/\/shopify\/\w+\/\d+$/.test(s)) return s;
+    try { const j = JSON.parse(s); return j?.file_id ? String(j.file_id) : null; } catch(_){ return null; }
+  }
+  if (d.type === 'list.single_line_text_field') {
+    try { const a = JSON.parse(s); if (Array.isArray(a)) return JSON.stringify(a.map(String)); } catch(_){}
+    if (type !== 'single_line_text_field' && type !== 'multi_line_text_field') return null;
+    // Old order format: lines joined with " | " on one line.
+    return JSON.stringify(s.split(/\s+\|\s+|\n/).map(x => x.trim()).filter(Boolean));
+  }
+  if (d.key === 'phone_digits') {
+    if (type !== d.type) return null;
+    const p = normalizePhone(s);
+    return p.ok ? p.digits : null;
+  }
+  return type === d.type ? s : null;
+}
+
+/* ---------- Shop definitions ---------- */
+const Q = {
+  definitions: `query($ownerType:MetafieldOwnerType!, $namespace:String!){
+    metafieldDefinitions(first:100, ownerType:$ownerType, namespace:$namespace){
+      nodes{ id namespace key name description ownerType type{ name } }
+    }
+  }`,
+  create: `mutation($definition:MetafieldDefinitionInput!){
+    metafieldDefinitionCreate(definition:$definition){
+      createdDefinition{ id key }
+      userErrors{ field message code }
+    }
+  }`,
+  update: `mutation($definition:MetafieldDefinitionUpdateInput!){
+    metafieldDefinitionUpdate(definition:$definition){
+      updatedDefinition{ id key }
+      userErrors{ field message code }
+    }
+  }`,
+  delete: `mutation($id:ID!){
+    metafieldDefinitionDelete(id:$id, deleteAllAssociatedMetafields:false){
+      deletedDefinitionId
+      userErrors{ field message code }
+    }
+  }`,
+};
+
+// → [{ id, ownerType, namespace, key, type, name, description }] in the shop
+export async function listMetafieldDefinitions(ownerTypes = [...new Set(METAFIELD_DEFINITIONS.map(d => d.ownerType))]){
+  const out = [];
+  for (const ownerType of ownerTypes) {
+    const d = await adminGql(Q.definitions, { ownerType, namespace:NS });
+    for (const n of d?.metafieldDefinitions?.nodes || []) {
+      out.push({ id:n.id, ownerType: n.ownerType || ownerType, namespace:n.namespace, key:n.key, type:n.type?.name, name:n.name, description:n.description || null });
+    }
+  }
+  return out;
+}
+
+// Manifest vs shop → [{ action, ownerType, key, ... }]
+//   create    not defined in the shop
+//   update    name / description differ
+//   retype    defined with another type; Shopify can't change a definition's
+//             type, so it is deleted (values kept) and created again
+//   ok        matches
+//   unknown   defined in the shop but not in the manifest (left alone)
+export function diffDefinitions(existing){
+  const byKey = new Map(existing.map(e => [`${e.ownerType}.${e.key}`, e]));
+  const plan = METAFIELD_DEFINITIONS.map(d => {
+    const e = byKey.get(`${d.ownerType}.${d.key}`);
+    const base = { ownerType:d.ownerType, key:d.key, type:d.type };
+    if (!e) return { action:'create', ...base };
+    if (e.type !== d.type) return { action:'retype', ...base, id:e.id, from:e.type };
+    if (e.name !== d.name || (e.description || null) !== d.description) return { action:'update', ...base, id:e.id };
+    return { action:'ok', ...base, id:e.id };
+  });
+  for (const e of existing) {
+    if (!definitionFor(e.ownerType, e.key)) plan.push({ action:'unknown', ownerType:e.ownerType, key:e.key, type:e.type, id:e.id });
+  }
+  return plan;
+}
+
+// → userErrors[]
+export async function createMetafieldDefinition(d){
+  const r = await adminGql(Q.create, { definition:{
+    ownerType:d.ownerType, namespace:d.namespace, key:d.key, type:d.type, name:d.name,
+    ...(d.description ? { description:d.description } : {}),
+  } });
+  return r?.metafieldDefinitionCreate?.userErrors || [];
+}
+
+export async function updateMetafieldDefinition(d){
+  const r = await adminGql(Q.update, { definition:{
+    ownerType:d.ownerType, namespace:d.namespace, key:d.key, name:d.name, description:d.description || '',
+  } });
+  return r?.metafieldDefinitionUpdate?.userErrors || [];
+}
+
+// Drops the definition only; the owners' values stay.
+export async function deleteMetafieldDefinition(id){
+  const r = await adminGql(Q.delete, { id });
+  return r?.metafieldDefinitionDelete?.userErrors || [];
+}
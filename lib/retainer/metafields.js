@@ -0,0 +1,131 @@
+// /lib/retainer/metafields.js
+// retainer.* metafield pushers (types match metafield-definitions.js, which
+// scripts/metafield-definitions.js keeps the shop's definitions in line with),
+// plus read/write/delete helpers shared by the handlers and webhook topics.
+// Writes through setMetafields/deleteMetafields are audited (audit.js) with
+// full before/after snapshots of the owner's retainer.* metafields.
+
+import { adminGql } from './shopify.js';
+import { isYMD } from './validators.js';
+import { recordAudit } from './audit.js';
+
+export const NS = 'retainer';
+
+/* ---------- Pushers ---------- */
+export const pushSL = (arr, ownerId, key, val) => { const v=(val??'').toString().trim(); if(v) arr.push({namespace:NS, ownerId, key, type:'single_line_text_field', value:v}); };
+export const pushML = (arr, ownerId, key, val) => { const v=(val??'').toString(); if(v) arr.push({namespace:NS, ownerId, key, type:'multi_line_text_field', value:v}); };
+export const pushDT = (arr, ownerId, key, val) => { const v=(val??'').toString().trim(); if(isYMD(v)) arr.push({namespace:NS, ownerId, key, type:'date', value:v}); };
+export const pushBL = (arr, ownerId, key, tf)   => { if (tf===true || tf===false) arr.push({namespace:NS, ownerId, key, type:'boolean', value: tf?'true':'false'}); };
+export const pushNI = (arr, ownerId, key, n)    => { const v=Number(n); if(Number.isInteger(v)) arr.push({namespace:NS, ownerId, key, type:'number_integer', value:String(v)}); };
+export const pushJSON = (arr, ownerId, key, val) => {
+  // "Intake Vehicles/household" are JSON type
+  let s = typeof val==='string' ? val : JSON.stringify(val ?? []);
+  try { JSON.parse(s); arr.push({ namespace:NS, ownerId, key, type:'json', value:s }); } catch(_){}
+};
+// Lines → list.single_line_text_field (JSON array); nothing for an empty list.
+export const pushLIST = (arr, ownerId, key, lines) => {
+  const v = (lines || []).map(x => String(x ?? '').trim()).filter(Boolean);
+  if (v.length) arr.push({ namespace:NS, ownerId, key, type:'list.single_line_text_field', value: JSON.stringify(v) });
+};
+export const pushFILE = (arr, ownerId, key, gid) => {
+  if (!gid) return;
+  arr.push({ namespace:NS, ownerId, key, type:'file_reference', value: String(gid) });
+};
+
+/* ---------- Queries ---------- */
+const Q = {
+  metafieldsSet: `mutation($metafields:[MetafieldsSetInput!]!){
+    metafieldsSet(metafields:$metafields){
+      metafields{ ownerType namespace key type }
+      userErrors{ field message }
+    }
+  }`,
+  metafieldsDelete: `mutation($metafields:[MetafieldIdentifierInput!]!){
+    metafieldsDelete(metafields:$metafields){
+      deletedMetafields{ ownerId namespace key }
+      userErrors{ field message }
+    }
+  }`,
+  // Works for any owner (Customer, Order) through the HasMetafields interface.
+  ownerMetafields: `query($id:ID!){
+    node(id:$id){
+      id
+      ... on HasMetafields {
+        metafields(first:50, namespace:"retainer"){
+          nodes{
+            key
+            type
+            value
+            reference{
+              __typename
+              ... on MediaImage { id }
+              ... on GenericFile { id }
+            }
+          }
+        }
+      }
+    }
+  }`,
+};
+
+// → { key: { key, type, value, reference } } for the owner's retainer.* metafields
+export async function getRetainerMetafields(ownerId){
+  const d = await adminGql(Q.ownerMetafields, { id: ownerId });
+  const nodes = d?.node?.metafields?.nodes || [];
+  return Object.fromEntries(nodes.map(n => [n.key, n]));
+}
+
+/* ---------- Audit ---------- */
+// { key: { type, value } }: what's needed to put a metafield back.
+const snapshotOf = byKey => Object.fromEntries(Object.values(byKey).map(m => [m.key, { type: m.type, value: m.value }]));
+
+const auditTarget = ownerId => (String(ownerId).includes('/Order/')
+  ? { targetType:'order_metafields', customerGid:null }
+  : { targetType:'customer_metafields', customerGid: ownerId });
+
+// current: { ownerId: getRetainerMetafields() result } the caller already
+// read, which saves an Admin call per owner.
+async function snapshotOwners(ownerIds, current = {}){
+  const out = new Map();
+  for (const id of ownerIds) out.set(id, snapshotOf(current[id] || await getRetainerMetafields(id)));
+  return out;
+}
+
+async function auditOwners(befores, apply){
+  for (const [ownerId, before] of befores) {
+    const after = apply(ownerId, { ...before });
+    await recordAudit({ ...auditTarget(ownerId), targetId: ownerId, action:'update', before, after });
+  }
+}
+
+/* ---------- Writes ---------- */
+// → userErrors[] (empty when everything was written). opts: { current }
+export async function setMetafields(mfs, { current } = {}){
+  if (!mfs.length) return [];
+  const befores = await snapshotOwners([...new Set(mfs.map(m => m.ownerId))], current);
+  const r = await adminGql(Q.metafieldsSet, { metafields: mfs });
+  const errs = r.metafieldsSet?.userErrors || [];
+  // metafieldsSet is all-or-nothing: errors mean nothing was written
+  if (!errs.length) {
+    await auditOwners(befores, (ownerId, snap) => {
+      for (const m of mfs) if (m.ownerId === ownerId && m.namespace === NS) snap[m.key] = { type: m.type, value: m.value };
+      return snap;
+    });
+  }
+  return errs;
+}
+
+// keys → userErrors[]. Deleting a key that was never set is not an error.
+// opts: { current }
+export async function deleteMetafields(ownerId, keys, { current } = {}){
+  if (!keys.length) return [];
+  const befores = await snapshotOwners([ownerId], current);
+  const r = await adminGql(Q.metafieldsDelete, {
+    metafields: keys.map(key => ({ ownerId, namespace:NS, key }))
+  });
+  const errs = r.metafieldsDelete?.userErrors || [];
+  if (!errs.length) {
+    await auditOwners(befores, (_, snap) => { for (const k of keys) delete snap[k]; return snap; });
+  }
+  return errs;
+}
@@ -0,0 +1,149 @@
+// /lib/retainer/notifier.js
+// Outbound client notices (renewal reminders, expiry notices, account
+// activation links) and the staff notice for a new incident report.
+//
+// A notifier is { name, send(msg) } where msg is
+//   { channel:'email'|'sms', to, kind, subject, text, data }
+// send() resolves with { id } on success and throws on failure.
+//
+// NOTIFIER picks the driver: "provider" sends email through Postmark and,
+// with the TWILIO_* vars set, SMS through Twilio (config.js NOTIFIER_ENV lists
+// what each needs). "console" (default) logs that a message went out, "file"
+// appends NDJSON to NOTIFY_FILE for local runs. Both are local: nothing
+// reaches the client, so activation links refuse them (canDeliver). Tests and
+// scripts swap a driver in with setNotifier().
+
+import { appendFile } from 'node:fs/promises';
+import { env } from './config.js';
+
+/* ---------- Templates ---------- */
+const TEMPLATES = {
+  expiring: d => ({
+    subject: `Your ${d.plan || 'retainer'} ends ${d.end}`,
+    text: `Hi${d.name ? ` ${d.name}` : ''}, your ${d.plan || 'retainer'} coverage ends on ${d.end} `
+      + `(${d.days_left === 0 ? 'today' : `in ${d.days_left} day${d.days_left === 1 ? '' : 's'}`}). `
+      + 'Renew to stay covered.',
+  }),
+  expired: d => ({
+    subject: `Your ${d.plan || 'retainer'} has expired`,
+    text: `Hi${d.name ? ` ${d.name}` : ''}, your ${d.plan || 'retainer'} coverage ended on ${d.end}. `
+      + 'Renew to restore your coverage.',
+  }),
+  // Staff notice for a new incident report (incidents.js).
+  incident: d => ({
+    subject: `Incident reported: ${d.reference}`,
+    text: `${d.email} reported an incident on ${d.date} at ${d.location}. `
+      + `Injuries: ${d.injuries === true ? 'yes' : d.injuries === false ? 'no' : 'not stated'}. `
+      + `Photos: ${d.photos || 0}. Reference ${d.reference}.`,
+  }),
+  activation: d => ({
+    subject: 'Set up your account',
+    text: `Hi${d.name ? ` ${d.name}` : ''}, choose a password to finish setting up your account: ${d.url}\n`
+      + `This link expires in ${d.hours} hours. If you didn't request it, you can ignore this email.`,
+  }),
+};
+
+// kind + data → { subject, text }. SMS bodies drop the subject.
+export function renderNotice(kind, data = {}){
+  const t = TEMPLATES[kind];
+  if (!t) throw new Error(`unknown notice kind "${kind}"`);
+  return t(data);
+}
+
+/* ---------- Drivers ---------- */
+const msgId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Only the channel, kind and subject are logged: the recipient is client PII
+// and an activation message carries a link that signs the client in.
+export function consoleNotifier(){
+  return {
+    name: 'console',
+    local: true,
+    async send(msg){
+      const id = msgId();
+      console.log(`[notify] ${msg.channel} (${msg.kind}) ${msg.subject || ''}`);
+      return { id };
+    },
+  };
+}
+
+export function fileNotifier(path = env('NOTIFY_FILE') || 'notifications.ndjson'){
+  return {
+    name: 'file',
+    local: true,
+    path,
+    async send(msg){
+      const id = msgId();
+      await appendFile(path, JSON.stringify({ id, at: new Date().toISOString(), ...msg }) + '\n');
+      return { id };
+    },
+  };
+}
+
+// Email via Postmark, SMS via Twilio. channels lists what is configured; a
+// message on any other channel throws.
+const POSTMARK_URL = 'https://api.postmarkapp.com/email';
+const twilioUrl = sid => `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(sid)}/Messages.json`;
+
+async function providerError(res, provider){
+  const body = await res.text().catch(() => '');
+  const e = new Error(`${provider} ${res.status}: ${body.slice(0, 200)}`);
+  e.status = res.status;
+  return e;
+}
+
+export function providerNotifier(){
+  const sms = Boolean(env('TWILIO_ACCOUNT_SID') && env('TWILIO_AUTH_TOKEN') && env('TWILIO_FROM_NUMBER'));
+  const send = {
+    async email(msg){
+      const res = await fetch(POSTMARK_URL, {
+        method: 'POST',
+        headers: { 'content-type':'application/json', accept:'application/json', 'x-postmark-server-token': env('POSTMARK_SERVER_TOKEN') },
+        body: JSON.stringify({ From: env('NOTIFY_FROM_EMAIL'), To: msg.to, Subject: msg.subject || '', TextBody: msg.text, Tag: msg.kind }),
+      });
+      if (!res.ok) throw await providerError(res, 'postmark');
+      const { MessageID } = await res.json();
+      return { id: MessageID };
+    },
+    async sms(msg){
+      const auth = Buffer.from(`${env('TWILIO_ACCOUNT_SID')}:${env('TWILIO_AUTH_TOKEN')}`).toString('base64');
+      const res = await fetch(twilioUrl(env('TWILIO_ACCOUNT_SID')), {
+        method: 'POST',
+        headers: { 'content-type':'application/x-www-form-urlencoded', authorization:`Basic ${auth}` },
+        body: new URLSearchParams({ To: msg.to, From: env('TWILIO_FROM_NUMBER'), Body: msg.text }).toString(),
+      });
+      if (!res.ok) throw await providerError(res, 'twilio');
+      const { sid } = await res.json();
+      return { id: sid };
+    },
+  };
+  const channels = sms ? ['email', 'sms'] : ['email'];
+  return {
+    name: 'provider',
+    channels,
+    async send(msg){
+      if (!channels.includes(msg.channel)) throw new Error(`no ${msg.channel} provider configured`);
+      return send[msg.channel](msg);
+    },
+  };
+}
+
+/* ---------- Selection ---------- */
+let notifier = null;
+
+export function getNotifier(){
+  if (notifier) return notifier;
+  const driver = (env('NOTIFIER') || 'console').toLowerCase();
+  if (driver === 'provider') notifier = providerNotifier();
+  else if (driver === 'file') notifier = fileNotifier();
+  else if (driver === 'console') notifier = consoleNotifier();
+  else throw new Error(`unknown NOTIFIER "${driver}" (expected provider|console|file)`);
+  return notifier;
+}
+
+// Swap the driver (a provider adapter, or a stub in local scripts). null resets.
+export function setNotifier(n){ notifier = n; }
+
+// Whether messages on a channel actually reach the client: false for the
+// local drivers and for a channel the provider isn't configured for.
+export const canDeliver = (n = getNotifier(), channel = 'email') => !n.local && (!n.channels || n.channels.includes(channel));
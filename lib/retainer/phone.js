@@ -0,0 +1,61 @@
+// /lib/retainer/phone.js
+// Phone numbers → E.164 ("+12125550123"), the format Shopify stores on
+// Customer.phone. A number without a country code is read in the default
+// country (DEFAULT_COUNTRY, "US" when unset). North American numbers are held
+// to the NANP rules: 10 digits, with an area code and exchange that don't
+// start with 0 or 1. Elsewhere only the length is checked.
+//
+// phone_digits (record column, metafield, household rows) is the same number
+// without the "+", so a number typed either way compares equal.
+
+import { env } from './config.js';
+
+// Country → calling code, for numbers typed without one.
+const CALLING_CODES = {
+  US:'1', CA:'1', PR:'1', VI:'1', GU:'1', AS:'1', MP:'1',
+  MX:'52', GB:'44', IE:'353', FR:'33', DE:'49', ES:'34', IT:'39', NL:'31', PT:'351',
+  AU:'61', NZ:'64', IN:'91', PH:'63', CN:'86', JP:'81', KR:'82', BR:'55', CO:'57', SV:'503', GT:'502',
+};
+
+const NANP_RE = /^[2-9]\d{2}[2-9]\d{6}$/;
+const EXTENSION_RE = /\s*(?:ext\.?|extension|x|#)\s*\d{1,6}\s*$/i;
+
+export const defaultCountry = () => (env('DEFAULT_COUNTRY') || 'US').toUpperCase();
+
+// → { ok:true, e164, digits, extension } | { ok:false, code, message }
+// extension: the "x123" part, which E.164 has no room for, or null.
+export function normalizePhone(raw, { country = defaultCountry(), label = 'Phone number' } = {}){
+  let s = String(raw ?? '').trim();
+  const ext = s.match(EXTENSION_RE);
+  if (ext) s = s.slice(0, ext.index);
+  const extension = ext ? ext[0].replace(/\D/g, '') : null;
+
+  if (/[^\d\s().+\-/]/.test(s)) return { ok:false, code:'invalid_format', message:`${label} can only contain digits, spaces and + ( ) -.` };
+  const home = CALLING_CODES[country];
+  if (!home) return { ok:false, code:'invalid_country', message:`${label} country ${country} isn't supported.` };
+
+  let d = s.replace(/\D/g, '');
+  let international = s.startsWith('+');
+  if (!international && d.startsWith('00')) { d = d.slice(2); international = true; }
+  else if (!international && home === '1' && d.startsWith('011')) { d = d.slice(3); international = true; }
+
+  let full;
+  if (international) full = d;
+  else if (home === '1') full = d.length === 11 && d[0] === '1' ? d : `1${d}`;
+  else full = home + d.replace(/^0/, '');   // trunk prefix
+
+  if (full[0] === '1') {
+    if (full.length !== 11) return { ok:false, code:'invalid_format', message:`${label} must have 10 digits, area code included.` };
+    if (!NANP_RE.test(full.slice(1))) return { ok:false, code:'invalid_number', message:`${label} isn't a valid US or Canadian number (area code and exchange can't start with 0 or 1).` };
+  } else if (full.length < 8 || full.length > 15 || full[0] === '0') {
+    return { ok:false, code:'invalid_format', message:`${label} doesn't look like a valid international number.` };
+  }
+  return { ok:true, e164:`+${full}`, digits: full, extension };
+}
+
+// "(212) 555-0123" / "+1 212 555 0123" → "12125550123". A number that doesn't
+// parse keeps its bare digits, so old values still compare with themselves.
+export function phoneDigits(s, opts){
+  const r = normalizePhone(s, opts);
+  return r.ok ? r.digits : String(s ?? '').replace(/\D/g, '');
+}
@@ -0,0 +1,95 @@
+// /lib/retainer/rate-limit.js
+// Fixed-window rate limiting for the account endpoints (customer-create,
+// intake-upsert, account-activate).
+//
+// A limiter counts hits per key (e.g. "customer-create:ip:1.2.3.4") within
+// windowSeconds. Drivers: Supabase (table RATE_LIMIT_TABLE, default
+// "rate_limit_hits", one row per hit) and in-memory for tests/local runs.
+// Pick with RATE_LIMIT=supabase|memory; default is Supabase when configured.
+
+import { env, getConfig } from './config.js';
+import { getSupabase } from './supabase.js';
+
+/* ---------- In-memory driver ---------- */
+export function memoryRateLimiter(){
+  const hits = new Map(); // key → [epoch ms]
+
+  return {
+    hits,
+    async hit(key, { windowSeconds }){
+      const since = Date.now() - windowSeconds * 1000;
+      const list = (hits.get(key) || []).filter(t => t > since);
+      list.push(Date.now());
+      hits.set(key, list);
+      return list.length;
+    },
+  };
+}
+
+/* ---------- Supabase driver ---------- */
+// Insert-then-count: concurrent hits are all counted, so the limit can only
+// be undershot, never bypassed.
+export function supabaseRateLimiter(table = env('RATE_LIMIT_TABLE') || 'rate_limit_hits'){
+  return {
+    async hit(key, { windowSeconds }){
+      const supabase = getSupabase();
+      const now = new Date();
+      const { error } = await supabase.from(table).insert({ key, at: now.toISOString() });
+      if (error) throw new Error(`rate limit insert: ${error.message}`);
+
+      const since = new Date(now.getTime() - windowSeconds * 1000).toISOString();
+      const { data, error: readErr } = await supabase.from(table).select('at').eq('key', key).gt('at', since);
+      if (readErr) throw new Error(`rate limit read: ${readErr.message}`);
+      return (data || []).length;
+    },
+  };
+}
+
+// Drop hits older than any window we use (run from the daily cron).
+export async function pruneRateLimitHits({ olderThanHours = 24, table = env('RATE_LIMIT_TABLE') || 'rate_limit_hits' } = {}){
+  const cutoff = new Date(Date.now() - olderThanHours * 3600 * 1000).toISOString();
+  const { error } = await getSupabase().from(table).delete().lt('at', cutoff);
+  if (error) throw new Error(`rate limit prune: ${error.message}`);
+}
+
+let limiter = null;
+
+export function getRateLimiter(){
+  if (limiter) return limiter;
+  const { supabaseUrl, supabaseKey } = getConfig();
+  const driver = env('RATE_LIMIT') || (supabaseUrl && supabaseKey ? 'supabase' : 'memory');
+  if (driver === 'memory') {
+    console.warn('[rate-limit] using in-memory limiter; limits are only enforced per instance');
+    limiter = memoryRateLimiter();
+  } else {
+    limiter = supabaseRateLimiter();
+  }
+  return limiter;
+}
+
+export function setRateLimiter(l){ limiter = l; }
+
+/* ---------- Handler helper ---------- */
+export function clientIp(req){
+  const fwd = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return fwd || req.headers['x-real-ip'] || req.socket?.remoteAddress || 'unknown';
+}
+
+// rules: [{ key, limit, windowSeconds }], counted in order; the first one
+// over its limit answers 429 with Retry-After. → true when the request
+// was rejected (the handler should return). Limiter failures fail open so a
+// database blip doesn't lock every client out.
+export async function rateLimit(res, endpoint, rules){
+  for (const r of rules) {
+    if (!r.key) continue;
+    let count;
+    try { count = await getRateLimiter().hit(`${endpoint}:${r.key}`, r); }
+    catch (e) { console.error('[rate-limit] limiter error', e); return false; }
+    if (count > r.limit) {
+      res.setHeader('Retry-After', String(r.windowSeconds));
+      res.status(429).json({ ok:false, error:'Too many attempts. Please wait a few minutes and try again.' });
+      return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,77 @@
+// /lib/retainer/records.js
+// retainer_records helpers shared by record.js, the webhook topics and the
+// sweeper. Records are keyed by email; shopify_customer_id lets a record
+// follow its customer across email changes. Every write is audited (audit.js)
+// and carries household / vehicle changes over to their own rows (coverage.js).
+
+import { getConfig } from './config.js';
+import { getSupabase } from './supabase.js';
+import { recordAudit } from './audit.js';
+import { syncRecordEntities } from './coverage.js';
+
+export const records = () => getSupabase().from(getConfig().retainerTable);
+
+// Find the record by Shopify id first (survives email changes), then by email.
+export async function findRetainerRecord({ customerGid, email }){
+  if (customerGid) {
+    const { data, error } = await records().select('*').eq('shopify_customer_id', customerGid).maybeSingle();
+    if (error) throw new Error(`retainer record read: ${error.message}`);
+    if (data) return data;
+  }
+  if (email) {
+    const { data, error } = await records().select('*').eq('email', String(email).toLowerCase()).maybeSingle();
+    if (error) throw new Error(`retainer record read: ${error.message}`);
+    if (data) return data;
+  }
+  return null;
+}
+
+// Patch the client's record, creating a minimal one (email + patch) when the
+// client paid without ever going through record.js. create:false only patches.
+// → the written row, or null when there was nothing to write to
+export async function upsertRecordFields({ customerGid, email }, patch, { create = true } = {}){
+  const existing = await findRetainerRecord({ customerGid, email });
+  if (!existing && !create) return null;
+  const key = existing?.email || (email ? String(email).toLowerCase() : null);
+  if (!key) return null;
+
+  const row = {
+    ...patch,
+    email: key,
+    ...(customerGid ? { shopify_customer_id: customerGid } : {}),
+    updated_at: new Date().toISOString(),
+  };
+  const { error } = existing
+    ? await records().update(row).eq('email', key)
+    : await records().insert(row);
+  if (error) throw new Error(`retainer record write: ${error.message}`);
+  const after = { ...(existing || {}), ...row };
+  await auditRecordWrite(existing, after);
+  await syncRecordEntities(existing, after);
+  return after;
+}
+
+// Whole-row upsert on email (record.js, history restores). → { row } | { error }
+export async function writeRecord(row){
+  const before = await findRetainerRecord({ email: row.email });
+  const { error } = await records().upsert(row, { onConflict: 'email' });
+  if (error) return { error: error.message };
+  const after = { ...(before || {}), ...row };
+  await auditRecordWrite(before, after);
+  try { await syncRecordEntities(before, after); }
+  catch (e) { return { error: String(e?.message || e) }; }
+  return { row: after };
+}
+
+// For the few writers that talk to the table directly (conditional updates).
+export function auditRecordWrite(before, after){
+  return recordAudit({
+    targetType: 'retainer_record',
+    targetId: after?.email || before?.email,
+    email: after?.email || before?.email,
+    customerGid: after?.shopify_customer_id || before?.shopify_customer_id || null,
+    action: before ? 'update' : 'create',
+    before,
+    after,
+  });
+}
@@ -0,0 +1,193 @@
+// /lib/retainer/shopify.js
+// Admin + Storefront GraphQL clients. Errors are thrown as
+// "GraphQL(Admin|Storefront) <status>: <errors>" so callers can pattern-match
+// on things like ACCESS_DENIED. Admin calls respect the query cost budget and
+// throttled / failed calls are retried (see Requests below), so callers only
+// see an error once retrying has given up.
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { API_VERSION, env, getConfig } from './config.js';
+
+/* ---------- Transport ---------- */
+// Every Shopify HTTP call (GraphQL and staged-upload POSTs) goes through a
+// fetch-compatible function: (url, init) → Promise<{ ok, status, text() }>.
+// Tests swap in an offline store via setShopifyTransport(fake.fetch).
+const defaultTransport = (url, init) => fetch(url, init);
+let transport = defaultTransport;
+
+export function setShopifyTransport(fn){ transport = fn || defaultTransport; }
+export function shopifyFetch(url, init){ return transport(url, init); }
+
+/* ---------- Cost budget (Admin) ---------- */
+// The Admin API meters GraphQL by query cost: a leaky bucket of
+// maximumAvailable points that refills at restoreRate points a second. Every
+// response reports the bucket in extensions.cost.throttleStatus; the latest
+// reading is kept here, and a query that wouldn't fit waits for the refill
+// instead of being rejected as THROTTLED. A query's expected cost is what
+// Shopify last asked for it (requestedQueryCost), DEFAULT_COST until then.
+// The bucket is per app and shop, so other instances spend it too; a
+// THROTTLED answer still happens and is retried like any other.
+const DEFAULT_COST = 10;
+const budget = { shop:null, max:null, available:null, restoreRate:null, at:0 };
+const lastCost = new Map(); // query text → requestedQueryCost
+
+function projectedBudget(now = Date.now()){
+  if (budget.shop !== getConfig().shop || budget.available == null) return null;
+  return Math.min(budget.max, budget.available + (now - budget.at) / 1000 * budget.restoreRate);
+}
+
+// ms to wait before `query` fits in the bucket (0 when unknown).
+function budgetWait(query){
+  const have = projectedBudget();
+  if (have == null || !budget.restoreRate) return 0;
+  const need = Math.min(lastCost.get(query) ?? DEFAULT_COST, budget.max);
+  return have >= need ? 0 : Math.ceil((need - have) / budget.restoreRate * 1000);
+}
+
+function noteCost(query, cost){
+  if (!cost) return;
+  tally(t => { t.requested += cost.requestedQueryCost || 0; t.actual += cost.actualQueryCost || 0; });
+  if (cost.requestedQueryCost != null) lastCost.set(query, cost.requestedQueryCost);
+  const ts = cost.throttleStatus;
+  if (ts) Object.assign(budget, { shop: getConfig().shop, max: ts.maximumAvailable, available: ts.currentlyAvailable, restoreRate: ts.restoreRate, at: Date.now() });
+}
+
+/* ---------- Cost metrics ---------- */
+// Totals for this instance, plus any measureShopifyCost() scopes in progress
+// (nested scopes each count the calls made inside them).
+const newTally = () => ({ calls:0, requested:0, actual:0, throttled:0, retries:0, waited_ms:0 });
+const totals = newTally();
+const costScopes = new AsyncLocalStorage();
+
+function tally(fn){
+  fn(totals);
+  for (const t of costScopes.getStore() || []) fn(t);
+}
+
+// Runs fn and reports the Shopify calls it made. → { result, cost }
+// cost: { calls, requested, actual, throttled, retries, waited_ms } (requested /
+// actual in Admin cost points)
+export async function measureShopifyCost(fn){
+  const cost = newTally();
+  const result = await costScopes.run([...(costScopes.getStore() || []), cost], fn);
+  return { result, cost };
+}
+
+// → { bucket:{ maximum_available, currently_available, restore_rate } | null, totals }
+export function shopifyCostStats(){
+  const have = projectedBudget();
+  return {
+    bucket: have == null ? null : { maximum_available: budget.max, currently_available: Math.floor(have), restore_rate: budget.restoreRate },
+    totals: { ...totals },
+  };
+}
+
+/* ---------- Requests ---------- */
+// Retries: throttling (THROTTLED / 429) never ran the operation, so it is
+// always retried, after the refill the bucket needs. 5xx answers and network
+// failures may have, so they are only retried for queries and for mutations
+// that are safe to repeat (IDEMPOTENT_MUTATIONS, or { idempotent:true }).
+// Waits use exponential backoff with full jitter; SHOPIFY_MAX_ATTEMPTS
+// (default 5) caps the tries. The final error carries `attempts`.
+const IDEMPOTENT_MUTATIONS = new Set(['metafieldsSet', 'metafieldsDelete', 'customerUpdate', 'fileDelete', 'stagedUploadsCreate', 'customerAccessTokenCreate']);
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 10000;
+
+const maxAttempts = () => Number(env('SHOPIFY_MAX_ATTEMPTS')) || 5;
+const backoff = attempt => Math.floor(Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1)));
+
+// First root field of a mutation, or null for queries.
+function mutationField(query){
+  const q = String(query || '').trim();
+  if (!q.startsWith('mutation')) return null;
+  return (q.slice(q.indexOf('{') + 1).match(/^\s*(\w+)/) || [])[1] || null;
+}
+
+let sleep = ms => new Promise(r => setTimeout(r, ms));
+
+// Tests swap in a clock that doesn't really wait.
+export function setShopifySleep(fn){ sleep = fn || (ms => new Promise(r => setTimeout(r, ms))); }
+
+async function pause(ms){
+  if (ms <= 0) return;
+  tally(t => { t.waited_ms += ms; });
+  await sleep(ms);
+}
+
+// One HTTP round trip. → { data, cost } | throws with status / throttled / cost
+async function send(label, url, headers, query, variables){
+  const r = await shopifyFetch(url, {
+    method:'POST',
+    headers:{ ...headers, 'Content-Type':'application/json' },
+    body: JSON.stringify({ query, variables })
+  });
+  const txt = await r.text();
+  let j = null;
+  try { j = JSON.parse(txt); } catch(_){}
+  const cost = j?.extensions?.cost || null;
+  if (!r.ok || !j || j.errors) {
+    const errTxt = j?.errors ? JSON.stringify(j.errors) : txt;
+    const err = new Error(`GraphQL(${label}) ${r.status}: ${errTxt}`);
+    err.status = r.status;
+    err.throttled = r.status === 429 || (Array.isArray(j?.errors) && j.errors.some(e => e?.extensions?.code === 'THROTTLED'));
+    err.retryAfterMs = (Number(r.headers?.get?.('retry-after')) || 0) * 1000;
+    err.cost = cost;
+    throw err;
+  }
+  return { data: j.data, cost };
+}
+
+async function post(label, url, headers, query, variables, { idempotent } = {}){
+  const admin = label === 'Admin';
+  const op = mutationField(query);
+  const safe = idempotent ?? (!op || IDEMPOTENT_MUTATIONS.has(op));
+  tally(t => { t.calls++; });
+
+  for (let attempt = 1; ; attempt++) {
+    if (admin) await pause(budgetWait(query));
+    try {
+      const { data, cost } = await send(label, url, headers, query, variables);
+      if (admin) noteCost(query, cost);
+      return data;
+    } catch (e) {
+      if (admin) noteCost(query, e.cost);
+      const retry = e.throttled || (safe && (e.status >= 500 || (e.status == null && e instanceof TypeError)));
+      if (!retry || attempt >= maxAttempts()) { e.attempts = attempt; throw e; }
+      tally(t => { t.retries++; if (e.throttled) t.throttled++; });
+      const floor = e.throttled ? Math.max(e.retryAfterMs || 0, admin ? budgetWait(query) : 0) : 0;
+      await pause(floor + backoff(attempt));
+    }
+  }
+}
+
+// Worth retrying later: throttling, Shopify-side 5xx, or no HTTP answer at all.
+export function isRetryableShopifyError(e){
+  if (e?.status == null) return e instanceof TypeError; // fetch() network failure
+  return e.status === 429 || e.status >= 500 || /THROTTLED/.test(String(e.message));
+}
+
+// opts: { idempotent } — mark a mutation safe to resend after a 5xx / network failure.
+export function adminGql(query, variables, opts){
+  const { shop, adminToken } = getConfig();
+  return post('Admin', `https://${shop}/admin/api/${API_VERSION}/graphql.json`,
+    { 'X-Shopify-Access-Token': adminToken }, query, variables, opts);
+}
+
+export function storefrontGql(query, variables, opts){
+  const { shop, storefrontToken } = getConfig();
+  return post('Storefront', `https://${shop}/api/${API_VERSION}/graphql.json`,
+    { 'X-Shopify-Storefront-Access-Token': storefrontToken }, query, variables, opts);
+}
+
+/* ---------- Shared lookups ---------- */
+const Q = {
+  customersByEmail: `query($q:String!){
+    customers(first:1, query:$q){ nodes{ id email state } }
+  }`,
+};
+
+// → { id, email, state } or null
+export async function findCustomerByEmail(email){
+  const found = await adminGql(Q.customersByEmail, { q:`email:${JSON.stringify(email)}` });
+  return found?.customers?.nodes?.[0] || null;
+}
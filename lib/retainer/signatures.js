@@ -0,0 +1,147 @@
+// /lib/retainer/signatures.js
+// E-signature evidence. Each signing (a new signature stored by intake-upsert
+// or record) appends one row to SIGNATURE_EVENTS_TABLE (default
+// "signature_events"):
+//
+//   who        email, shopify_customer_id, signed_name / signed_date as typed
+//   how        source endpoint, client_ip, user_agent, server signed_at
+//   what       template_version + agreement_text_sha256 (the wording agreed
+//              to), signature_sha256 + signature_path, and the generated
+//              agreement PDF when there is one (agreement.js)
+//   seal       evidence_sha256 over all of the above
+//
+// The table rejects UPDATE (see its migration); rows only go away through
+// GDPR redaction. certificateOfCompletion() re-checks the seal and the stored
+// objects' hashes for the staff signature-certificate endpoint.
+
+import crypto from 'node:crypto';
+import { env } from './config.js';
+import { getSupabase } from './supabase.js';
+import { downloadDocument } from './documents.js';
+import { upsertRecordFields } from './records.js';
+import { agreementTemplate, agreementTextSha256, canonicalJson } from './agreement.js';
+import { clientIp } from './rate-limit.js';
+import { normEmail } from './validators.js';
+
+const eventsTable = () => env('SIGNATURE_EVENTS_TABLE') || 'signature_events';
+const sha256 = buf => crypto.createHash('sha256').update(buf).digest('hex');
+
+// Every column except the seal itself and the database's created_at.
+const SEALED = [
+  'id', 'email', 'shopify_customer_id', 'source', 'signed_name', 'signed_date', 'signed_at',
+  'client_ip', 'user_agent', 'template_version', 'agreement_text_sha256',
+  'signature_path', 'signature_sha256', 'agreement_path', 'agreement_sha256', 'agreement_content_sha256',
+];
+// signed_at comes back from Postgres as "+00:00" rather than "Z"; seal the instant.
+const sealOf = row => sha256(canonicalJson(Object.fromEntries(SEALED.map(k => [
+  k, k === 'signed_at' && row[k] ? new Date(row[k]).toISOString() : row[k] ?? null,
+]))));
+
+/* ---------- Write ---------- */
+// signatureDoc: the documents index row of the new signature; agreement: the
+// generateAgreement() result for the same request, if any. Queued intakes
+// (intake-job.js) pass the submission time as signedAt and a fixed id, so a
+// retried step can tell the event was already written. → row | throws
+export async function recordSignatureEvent(req, { source, email, customerGid = null, signedName, signedDate, signatureDoc, agreement = null, id = null, signedAt = null }){
+  const version = agreement?.pointer?.template_version || agreementTemplate().version;
+  const row = {
+    id: id || crypto.randomUUID(),
+    email: normEmail(email),
+    shopify_customer_id: customerGid,
+    source,
+    signed_name: signedName || null,
+    signed_date: signedDate || null,
+    signed_at: signedAt || new Date().toISOString(),
+    client_ip: clientIp(req),
+    user_agent: String(req.headers['user-agent'] || '').slice(0, 500) || null,
+    template_version: version,
+    agreement_text_sha256: agreementTextSha256(agreementTemplate(version)),
+    signature_path: signatureDoc.path,
+    signature_sha256: signatureDoc.sha256,
+    agreement_path: agreement?.pointer?.path || null,
+    agreement_sha256: agreement?.pointer?.sha256 || null,
+    agreement_content_sha256: agreement?.pointer?.content_sha256 || null,
+  };
+  row.evidence_sha256 = sealOf(row);
+
+  const { error } = await getSupabase().from(eventsTable()).insert(row);
+  if (error) throw new Error(`signature event insert: ${error.message}`);
+  // Latest signing on the record, for the staff client search (clients.js).
+  await upsertRecordFields({ customerGid, email: row.email }, { signed_at: row.signed_at }, { create:true });
+  return row;
+}
+
+/* ---------- Read ---------- */
+// By Shopify id and by email, newest first.
+export async function listSignatureEvents({ customerGid, email }){
+  const rows = new Map();
+  const take = async (col, val) => {
+    if (!val) return;
+    const { data, error } = await getSupabase().from(eventsTable()).select('*').eq(col, val);
+    if (error) throw new Error(`signature event read: ${error.message}`);
+    for (const r of data || []) rows.set(r.id, r);
+  };
+  await take('shopify_customer_id', customerGid || null);
+  await take('email', email ? normEmail(email) : null);
+  return [...rows.values()].sort((a, z) => (a.signed_at < z.signed_at ? 1 : -1));
+}
+
+export async function getSignatureEvent(id){
+  const { data, error } = await getSupabase().from(eventsTable()).select('*').eq('id', String(id)).maybeSingle();
+  if (error) throw new Error(`signature event read: ${error.message}`);
+  return data || null;
+}
+
+// Does the stored object still hash to what was recorded? → true | false | null (gone)
+async function objectMatches(path, want){
+  if (!path || !want) return null;
+  try { return sha256(await downloadDocument(path)) === want; }
+  catch(_){ return null; }
+}
+
+// Event row → certificate-of-completion summary for staff.
+export async function certificateOfCompletion(e){
+  const checks = {
+    evidence_intact:    sealOf(e) === e.evidence_sha256,
+    signature_matches:  await objectMatches(e.signature_path, e.signature_sha256),
+    agreement_matches:  await objectMatches(e.agreement_path, e.agreement_sha256),
+    template_text_matches: (() => {
+      try { return agreementTextSha256(agreementTemplate(e.template_version)) === e.agreement_text_sha256; }
+      catch(_){ return null; }
+    })(),
+  };
+  return {
+    event_id: e.id,
+    status: Object.values(checks).includes(false) ? 'tampered' : 'completed',
+    signer: { name: e.signed_name, email: e.email, shopify_customer_id: e.shopify_customer_id },
+    signed_at: e.signed_at,
+    signed_date_entered: e.signed_date,
+    captured_via: e.source,
+    client: { ip: e.client_ip, user_agent: e.user_agent },
+    agreement: {
+      template_version: e.template_version,
+      text_sha256: e.agreement_text_sha256,
+      pdf_path: e.agreement_path,
+      pdf_sha256: e.agreement_sha256,
+      content_sha256: e.agreement_content_sha256,
+    },
+    signature: { path: e.signature_path, sha256: e.signature_sha256 },
+    evidence_sha256: e.evidence_sha256,
+    checks,
+  };
+}
+
+// Every event (shop/redact).
+export async function allSignatureEvents(){
+  const { data, error } = await getSupabase().from(eventsTable()).select('*');
+  if (error) throw new Error(`signature event read: ${error.message}`);
+  return data || [];
+}
+
+/* ---------- Delete (GDPR) ---------- */
+export async function removeSignatureEvents(rows){
+  if (!rows.length) return 0;
+  const { error } = await getSupabase().from(eventsTable()).delete().in('id', rows.map(r => r.id));
+  if (error) throw new Error(`signature event delete: ${error.message}`);
+  return rows.length;
+}
@@ -0,0 +1,19 @@
+// /lib/retainer/supabase.js
+// Service-role Supabase client (bypasses RLS), created on first use so a
+// missing env var surfaces as a config error instead of a cold-start crash.
+
+import { createClient } from '@supabase/supabase-js';
+import { getConfig } from './config.js';
+
+let client = null;
+
+// Tests hand in an in-memory stand-in (see testing/fake-supabase.js).
+export function setSupabaseClient(c){ client = c; }
+
+export function getSupabase(){
+  if (!client) {
+    const { supabaseUrl, supabaseKey } = getConfig();
+    client = createClient(supabaseUrl, supabaseKey);
+  }
+  return client;
+}
@@ -0,0 +1,289 @@
+// /lib/retainer/sweeper.js
+// Daily renewal / expiry sweep over retainer_records (run by cron-sweep.js).
+//
+//   1. Active records whose retainer_end has passed → status "expired" on the
+//      record and the Shopify customer (current_* cleared, like a cancel),
+//      one row in RETAINER_TRANSITIONS_TABLE, and an "expired" notice.
+//   2. Active records ending within a reminder window → an "expiring" notice.
+//      RENEWAL_REMINDER_DAYS lists the windows (default "14,3"); each window
+//      fires once per retainer_end, so a missed cron day catches up next run.
+//   3. Queued (or previously failed) notices are delivered through the
+//      notifier and marked sent/failed. Notices on a channel the notifier
+//      can't deliver (a local driver, or SMS without Twilio) stay queued.
+//
+// Before acting on a record the customer's retainer.* metafields are checked:
+// if Shopify shows a later retainer_end (renewal) or a terminal status the
+// record is resynced instead, so a late webhook never expires a paying client.
+
+import { env } from './config.js';
+import { normEmail } from './validators.js';
+import { getSupabase } from './supabase.js';
+import { adminGql } from './shopify.js';
+import { records, upsertRecordFields, auditRecordWrite } from './records.js';
+import { setAuditSubject } from './audit.js';
+import { todayYMD, addDays, daysBetween, coverageFromMetafields } from './lifecycle.js';
+import { endRetainer } from './webhook-topics/orders.js';
+import { getNotifier, renderNotice, canDeliver } from './notifier.js';
+
+const transitionsTable = () => env('RETAINER_TRANSITIONS_TABLE') || 'retainer_transitions';
+const noticesTable     = () => env('RETAINER_NOTICES_TABLE') || 'retainer_notices';
+
+const MAX_ATTEMPTS = 5;
+const SCAN_LIMIT = 500;
+
+const Q = {
+  customer: `query($id:ID!){
+    customer(id:$id){
+      id email phone firstName
+      metafields(first:50, namespace:"retainer"){ nodes{ key type value } }
+    }
+  }`,
+};
+
+// "14,3" → [14, 3] (largest first); junk entries are ignored.
+export function reminderWindows(s = env('RENEWAL_REMINDER_DAYS')){
+  const out = String(s ?? '14,3').split(',').map(x => Number(x.trim()))
+    .filter(n => Number.isInteger(n) && n >= 0);
+  return [...new Set(out)].sort((a, b) => b - a);
+}
+
+async function loadCustomer(customerGid){
+  if (!customerGid) return null;
+  const d = await adminGql(Q.customer, { id: customerGid });
+  const c = d?.customer;
+  if (!c) return null;
+  const mf = Object.fromEntries((c.metafields?.nodes || []).map(n => [n.key, n]));
+  return { ...c, mf };
+}
+
+/* ---------- Notice queue ---------- */
+// One row per (email, kind, window_days, retainer_end, channel); a duplicate
+// insert means that notice was already queued and is silently skipped.
+async function queueNotices(row, customer, kind, windowDays, daysLeft){
+  const data = {
+    name: customer?.firstName || (row.full_name || '').split(' ')[0] || null,
+    plan: row.retainer_plan || null,
+    end: row.retainer_end,
+    days_left: daysLeft,
+  };
+  const targets = [{ channel:'email', to: row.email }];
+  if (customer?.phone) targets.push({ channel:'sms', to: customer.phone });
+
+  let queued = 0;
+  for (const t of targets) {
+    const { error } = await getSupabase().from(noticesTable()).insert({
+      email: row.email,
+      shopify_customer_id: row.shopify_customer_id || null,
+      kind,
+      window_days: windowDays,
+      retainer_end: row.retainer_end,
+      channel: t.channel,
+      recipient: t.to,
+      data,
+      status: 'queued',
+      attempts: 0,
+      created_at: new Date().toISOString(),
+    });
+    if (!error) { queued++; continue; }
+    if (error.code !== '23505') throw new Error(`notice queue insert: ${error.message}`); // 23505 = already queued
+  }
+  return queued;
+}
+
+// → { sent, failed, unavailable_channels } where unavailable_channels lists the
+// channels whose notices were left queued for a notifier that can send them.
+async function deliverNotices(notifier, { limit = SCAN_LIMIT } = {}){
+  const channels = ['email', 'sms'].filter(c => canDeliver(notifier, c));
+  const unavailable_channels = ['email', 'sms'].filter(c => !channels.includes(c));
+  if (!channels.length) return { sent:0, failed:0, unavailable_channels };
+
+  const supabase = getSupabase();
+  const { data: rows, error } = await supabase.from(noticesTable())
+    .select('*')
+    .in('status', ['queued', 'failed'])
+    .in('channel', channels)
+    .lt('attempts', MAX_ATTEMPTS)
+    .order('created_at', { ascending:true })
+    .limit(limit);
+  if (error) throw new Error(`notice queue read: ${error.message}`);
+
+  let sent = 0, failed = 0;
+  for (const n of rows || []) {
+    const { subject, text } = renderNotice(n.kind, n.data || {});
+    const patch = { attempts: (n.attempts || 0) + 1 };
+    try {
+      const r = await notifier.send({
+        channel: n.channel,
+        to: n.recipient,
+        kind: n.kind,
+        subject: n.channel === 'sms' ? null : subject,
+        text,
+        data: n.data,
+      });
+      Object.assign(patch, { status:'sent', sent_at: new Date().toISOString(), provider_id: r?.id || null, error:null });
+      sent++;
+    } catch (e) {
+      Object.assign(patch, { status:'failed', error: String(e?.message || e).slice(0, 500) });
+      failed++;
+    }
+    const { error: upErr } = await supabase.from(noticesTable()).update(patch).eq('id', n.id);
+    if (upErr) throw new Error(`notice queue update: ${upErr.message}`);
+  }
+  return { sent, failed, unavailable_channels };
+}
+
+/* ---------- Per-record actions ---------- */
+async function recordTransition(row, from, to, reason){
+  const { error } = await getSupabase().from(transitionsTable()).insert({
+    email: row.email,
+    shopify_customer_id: row.shopify_customer_id || null,
+    retainer_order: row.retainer_order || null,
+    from_status: from,
+    to_status: to,
+    reason,
+    retainer_end: row.retainer_end,
+    created_at: new Date().toISOString(),
+  });
+  if (error) throw new Error(`transition insert: ${error.message}`);
+}
+
+// Shopify is the source of truth for the lifecycle; catch the record up when
+// a renewal or cancel landed there but not here.
+function resyncPatch(row, coverage){
+  if (!coverage || coverage.status === 'none') return null;
+  if (['cancelled', 'refunded'].includes(coverage.status)) return { retainer_status: coverage.status };
+  if (coverage.end && row.retainer_end && coverage.end > row.retainer_end) {
+    return {
+      retainer_status: coverage.status,
+      retainer_start:  coverage.start,
+      retainer_end:    coverage.end,
+      retainer_order:  coverage.order || row.retainer_order || null,
+      retainer_plan:   coverage.plan || row.retainer_plan || null,
+      retainer_term:   coverage.term || row.retainer_term || null,
+    };
+  }
+  return null;
+}
+
+async function sweepRecord(row, { today, windows, dryRun }){
+  setAuditSubject({ customerGid: row.shopify_customer_id, email: row.email });
+  const customer = await loadCustomer(row.shopify_customer_id);
+  const coverage = customer ? coverageFromMetafields(customer.mf, today) : null;
+  const base = { email: row.email, retainer_end: row.retainer_end };
+
+  const patch = resyncPatch(row, coverage);
+  if (patch) {
+    if (!dryRun) {
+      await upsertRecordFields({ customerGid: row.shopify_customer_id, email: row.email }, patch, { create:false });
+      if (patch.retainer_status !== 'active') await recordTransition({ ...row, ...patch }, 'active', patch.retainer_status, 'resync');
+    }
+    return { ...base, action:'resynced', status: patch.retainer_status, new_end: patch.retainer_end || null };
+  }
+
+  const daysLeft = daysBetween(today, row.retainer_end);
+
+  if (daysLeft < 0) {
+    if (dryRun) return { ...base, action:'expire', days_left: daysLeft };
+
+    // Conditional flip: an overlapping run (or webhook) that got here first wins.
+    const { data: flipped, error } = await records()
+      .update({ retainer_status:'expired', updated_at: new Date().toISOString() })
+      .eq('email', row.email)
+      .eq('retainer_status', 'active')
+      .select('email');
+    if (error) throw new Error(`retainer record update: ${error.message}`);
+    if (!flipped?.length) return { ...base, action:'skipped', reason:'already transitioned' };
+    await auditRecordWrite(row, { ...row, retainer_status:'expired' });
+
+    await recordTransition(row, 'active', 'expired', 'term_ended');
+    const errs = row.shopify_customer_id
+      ? await endRetainer(row.retainer_order || customer?.mf.current_retainer_order?.value || null, row.shopify_customer_id, 'expired')
+      : [];
+    const queued = await queueNotices(row, customer, 'expired', 0, daysLeft);
+    return { ...base, action:'expired', queued, ...(errs.length ? { userErrors: errs } : {}) };
+  }
+
+  // Smallest window that still contains daysLeft: with [14, 3], 10 days out
+  // is the 14-day reminder, 2 days out the 3-day one.
+  const win = [...windows].reverse().find(w => daysLeft <= w);
+  if (win == null) return { ...base, action:'none', days_left: daysLeft };
+  if (dryRun) return { ...base, action:'remind', window_days: win, days_left: daysLeft };
+
+  const queued = await queueNotices(row, customer, 'expiring', win, daysLeft);
+  return { ...base, action: queued ? 'reminded' : 'already_reminded', window_days: win, days_left: daysLeft };
+}
+
+/* ---------- Sweep ---------- */
+// → { today, dry_run, scanned, counts, delivery, results[] }
+export async function sweepRetainers({
+  today = todayYMD(),
+  windows = reminderWindows(),
+  dryRun = false,
+  notifier = getNotifier(),
+  limit = SCAN_LIMIT,
+} = {}){
+  const horizon = addDays(today, windows[0] ?? 0);
+  const { data: rows, error } = await records()
+    .select('*')
+    .eq('retainer_status', 'active')
+    .lte('retainer_end', horizon)
+    .order('retainer_end', { ascending:true })
+    .limit(limit);
+  if (error) throw new Error(`retainer record scan: ${error.message}`);
+
+  // One bad record (Shopify hiccup, bad data) must not stop the rest.
+  const results = [];
+  for (const row of rows || []) {
+    try {
+      results.push(await sweepRecord(row, { today, windows, dryRun }));
+    } catch (e) {
+      console.error('sweep record error', row.email, e);
+      results.push({ email: row.email, retainer_end: row.retainer_end, action:'error', error: String(e?.message || e) });
+    }
+  }
+
+  const counts = {};
+  for (const r of results) counts[r.action] = (counts[r.action] || 0) + 1;
+
+  const delivery = dryRun ? { sent:0, failed:0, unavailable_channels:[] } : await deliverNotices(notifier, { limit });
+  return { today, dry_run: dryRun, scanned: results.length, counts, delivery, results };
+}
+
+/* ---------- Privacy (GDPR) ---------- */
+const SWEEPER_TABLES = [['transitions', transitionsTable], ['notices', noticesTable]];
+
+// One client's status changes and notices (by Shopify id or email), oldest
+// first. → { transitions:[rows], notices:[rows] }
+export async function listSweeperRows({ customerGid, email }){
+  const out = {};
+  for (const [name, table] of SWEEPER_TABLES) {
+    const rows = new Map();
+    for (const [col, val] of [['shopify_customer_id', customerGid], ['email', email ? normEmail(email) : null]]) {
+      if (!val) continue;
+      const { data, error } = await getSupabase().from(table()).select('*').eq(col, val);
+      if (error) throw new Error(`${table()} read: ${error.message}`);
+      for (const r of data || []) rows.set(r.id, r);
+    }
+    out[name] = [...rows.values()].sort((a, z) => (a.created_at < z.created_at ? -1 : 1));
+  }
+  return out;
+}
+
+// → { transitions, notices } rows removed. With neither customerGid nor
+// email, every row goes (shop/redact).
+export async function removeSweeperRows({ customerGid = null, email = null } = {}){
+  const all = !customerGid && !email;
+  const out = {};
+  for (const [name, table] of SWEEPER_TABLES) {
+    const ids = new Set();
+    const filters = all ? [['neq', 'email', '']]   // PostgREST refuses an unfiltered delete
+      : [['eq', 'shopify_customer_id', customerGid], ['eq', 'email', email ? normEmail(email) : null]].filter(([, , v]) => v);
+    for (const [op, col, val] of filters) {
+      const { data, error } = await getSupabase().from(table()).delete()[op](col, val).select('id');
+      if (error) throw new Error(`${table()} delete: ${error.message}`);
+      for (const r of data || []) ids.add(r.id);
+    }
+    out[name] = ids.size;
+  }
+  return out;
+}
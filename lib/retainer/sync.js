@@ -0,0 +1,202 @@
+// /lib/retainer/sync.js
+// Keeps the two copies of a client's intake in step: the Supabase
+// retainer_records row and the retainer.* metafields on the Shopify customer.
+//
+// SYNC_FIELDS pairs each record column with its metafield and names the store
+// that wins when they disagree:
+//
+//   shopify   dob, insurer, bi_limits, has_bi, cars_count, notes ↔ intake_notes,
+//             phone_digits, and the record's shopify_customer_id link — the storefront profile
+//             and staff edits in Shopify admin land there
+//   supabase  household, vehicles — only the record has the structured rows;
+//             household_list / vehicles_list are flattened from them
+//
+// A blank winner never erases the other side; the value is backfilled from the
+// store that has it. Shopify-only household/vehicle lines can't be turned back
+// into rows, so that case is reported as "manual" and left alone.
+//
+// writeIntake() is the write path for intake fields (intake-upsert,
+// profile-update, record PUT): Shopify first, then the record. diffStores()
+// reports drift and reconcileCustomer() fixes it (scripts/reconcile.js).
+
+import { setMetafields, deleteMetafields, getRetainerMetafields, NS } from './metafields.js';
+import { findRetainerRecord, upsertRecordFields } from './records.js';
+import { householdLines, vehicleLines } from './intake-schema.js';
+import { phoneDigits } from './phone.js';
+
+export const SYNC_FIELDS = [
+  { column:'dob',          key:'dob',            type:'date',                        source:'shopify' },
+  { column:'insurer',      key:'insurer',        type:'single_line_text_field',      source:'shopify' },
+  { column:'bi_limits',    key:'bi_limits',      type:'single_line_text_field',      source:'shopify' },
+  { column:'has_bi',       key:'has_bi',         type:'boolean',                     source:'shopify' },
+  { column:'cars_count',   key:'cars_count',     type:'number_integer',              source:'shopify' },
+  { column:'notes',        key:'intake_notes',   type:'multi_line_text_field',       source:'shopify' },
+  { column:'phone_digits', key:'phone_digits',   type:'single_line_text_field',      source:'shopify' },
+  { column:'household',    key:'household_list', type:'list.single_line_text_field', source:'supabase', lines: householdLines },
+  { column:'vehicles',     key:'vehicles_list',  type:'list.single_line_text_field', source:'supabase', lines: vehicleLines },
+];
+
+/* ---------- Value mapping ---------- */
+const blank = v => v == null || (typeof v === 'string' && v.trim() === '');
+
+// Record column value → metafield value string, or null when blank.
+function toMetafieldValue(f, v){
+  if (f.lines) { const lines = Array.isArray(v) ? f.lines(v) : []; return lines.length ? JSON.stringify(lines) : null; }
+  if (blank(v)) return null;
+  if (f.type === 'boolean') return v === true || v === 'true' ? 'true' : v === false || v === 'false' ? 'false' : null;
+  if (f.type === 'number_integer') return Number.isInteger(Number(v)) ? String(Number(v)) : null;
+  return String(v).trim();
+}
+
+// Metafield value string → comparable form (lists re-serialised, "[]" is blank).
+function canonMetafield(f, v){
+  if (blank(v)) return null;
+  if (f.type.startsWith('list.')) {
+    try { const a = JSON.parse(v); return Array.isArray(a) && a.length ? JSON.stringify(a.map(String)) : null; }
+    catch(_){ return String(v); }
+  }
+  return String(v).trim();
+}
+
+// Metafield value string → record column value. Lists have no way back.
+function toColumnValue(f, v){
+  if (f.lines) return undefined;
+  if (f.type === 'boolean') return v === 'true';
+  if (f.type === 'number_integer') return Number(v);
+  return v;
+}
+
+/* ---------- Writes ---------- */
+// Validated intake values (validateIntake().value) → the record columns they
+// set. Only fields that were sent are included. phone_digits follows the
+// phone when it isn't sent itself.
+function intakeValue(f, v){
+  if (f.column === 'notes') return v.notes ?? v.intake_notes;
+  if (f.column === 'phone_digits') { const p = v.phone_digits ?? v.phone; return p === undefined ? undefined : phoneDigits(p); }
+  return v[f.column];
+}
+
+export function intakeRecordPatch(v){
+  const patch = {};
+  for (const f of SYNC_FIELDS) {
+    const val = intakeValue(f, v);
+    if (val !== undefined) patch[f.column] = val;
+  }
+  if (v.full_name) patch.full_name = v.full_name;
+  return patch;
+}
+
+// Same values → { set: metafield inputs, clear: keys }. An explicitly empty
+// household/vehicles list clears its metafield; pretty *_list input is used
+// when the structured rows weren't sent.
+export function intakeMetafields(ownerId, v){
+  const set = [];
+  const clear = [];
+  const patch = intakeRecordPatch(v);
+  for (const f of SYNC_FIELDS) {
+    let value;
+    if (f.lines && patch[f.column] === undefined && Array.isArray(v[f.key])) {
+      value = v[f.key].length ? JSON.stringify(v[f.key]) : null;
+    } else if (patch[f.column] !== undefined) {
+      value = toMetafieldValue(f, patch[f.column]);
+    } else continue;
+    if (value != null) set.push({ ownerId, namespace:NS, key:f.key, type:f.type, value });
+    else if (f.lines) clear.push(f.key);
+  }
+  return { set, clear };
+}
+
+// One intake write to both stores. `extra` are further metafields for the same
+// call (plan, documents, ...). Shopify errors stop the write and come back as
+// userErrors; a failed record write only logs, since reconcile repairs it.
+// `current` is the customer's getRetainerMetafields() when the caller already
+// has it; the audit snapshots are taken from it instead of re-reading.
+// opts: { extra?, shopify?: true, supabase?: true, current? }
+// → { ok, userErrors, record:{ ok, error? } }
+export async function writeIntake({ customerGid, email }, v, { extra = [], shopify = true, supabase = true, current = null } = {}){
+  if (shopify && customerGid) {
+    const { set, clear } = intakeMetafields(customerGid, v);
+    const writes = [...set, ...extra];
+    // One read covers both the set and the delete.
+    const before = current || (writes.length && clear.length ? await getRetainerMetafields(customerGid) : null);
+    const userErrors = await setMetafields(writes, before ? { current:{ [customerGid]: before } } : {});
+    if (!userErrors.length && clear.length) {
+      const after = before && { ...before, ...Object.fromEntries(writes.filter(m => m.ownerId === customerGid && m.namespace === NS).map(m => [m.key, m])) };
+      userErrors.push(...await deleteMetafields(customerGid, clear, after ? { current:{ [customerGid]: after } } : {}));
+    }
+    if (userErrors.length) return { ok:false, userErrors, record:{ ok:false, error:'skipped' } };
+  }
+
+  let record = { ok:true };
+  const patch = intakeRecordPatch(v);
+  if (supabase && Object.keys(patch).length) {
+    try { await upsertRecordFields({ customerGid, email }, patch, { create:true }); }
+    catch (e) {
+      console.error('[sync] record write failed', e?.message || e, JSON.stringify({ email }));
+      record = { ok:false, error:String(e?.message || e) };
+    }
+  }
+  return { ok:true, userErrors:[], record };
+}
+
+/* ---------- Drift ---------- */
+// record row (or null) + { key: { type, value } } metafields → drift entries:
+//   { field, key, supabase, shopify, source, action }
+// action: to_shopify | to_supabase | manual
+export function diffStores(record, metafields, { customerGid = null } = {}){
+  const drift = [];
+  for (const f of SYNC_FIELDS) {
+    const rv = toMetafieldValue(f, record?.[f.column]);
+    const sv = canonMetafield(f, metafields?.[f.key]?.value);
+    if (rv === sv) continue;
+
+    let action;
+    if (f.source === 'shopify') action = sv != null ? 'to_supabase' : 'to_shopify';
+    else action = rv != null ? 'to_shopify' : 'manual';
+    drift.push({ field:f.column, key:f.key, supabase:rv, shopify:sv, source:f.source, action });
+  }
+  if (record && customerGid && record.shopify_customer_id !== customerGid) {
+    drift.push({ field:'shopify_customer_id', key:null, supabase: record.shopify_customer_id || null, shopify: customerGid, source:'shopify', action:'to_supabase' });
+  }
+  return drift;
+}
+
+// Compare one client's stores and, with apply, fix what the rules allow.
+// metafields/record may be passed in when the caller already has them.
+// → { email, customer_id, record:boolean, drift, applied:{ shopify:[keys], supabase:[columns] }, manual:[fields], error? }
+export async function reconcileCustomer({ customerGid, email, metafields, record }, { apply = false } = {}){
+  const mfs = metafields || await getRetainerMetafields(customerGid);
+  const row = record !== undefined ? record : await findRetainerRecord({ customerGid, email });
+  const drift = diffStores(row, mfs, { customerGid });
+  const out = {
+    email: row?.email || email || null,
+    customer_id: customerGid,
+    record: !!row,
+    drift,
+    applied: { shopify:[], supabase:[] },
+    manual: drift.filter(d => d.action === 'manual').map(d => d.field),
+  };
+  if (!apply || !drift.length) return out;
+
+  const byField = Object.fromEntries(SYNC_FIELDS.map(f => [f.column, f]));
+  const toShopify = drift.filter(d => d.action === 'to_shopify')
+    .map(d => ({ ownerId:customerGid, namespace:NS, key:d.key, type:byField[d.field].type, value:d.supabase }));
+  const patch = {};
+  for (const d of drift.filter(x => x.action === 'to_supabase')) {
+    if (d.field === 'shopify_customer_id') continue; // upsertRecordFields sets the link
+    patch[d.field] = toColumnValue(byField[d.field], mfs[d.key].value);
+  }
+  const relink = drift.some(d => d.field === 'shopify_customer_id');
+
+  if (toShopify.length) {
+    const errs = await setMetafields(toShopify);
+    if (errs.length) return { ...out, error:`metafieldsSet: ${JSON.stringify(errs)}` };
+    out.applied.shopify = toShopify.map(m => m.key);
+  }
+  if (Object.keys(patch).length || relink) {
+    // A record is only created when Shopify has something to put in it.
+    await upsertRecordFields({ customerGid, email: out.email }, patch, { create: Object.keys(patch).length > 0 });
+    out.applied.supabase = [...Object.keys(patch), ...(relink ? ['shopify_customer_id'] : [])];
+  }
+  return out;
+}
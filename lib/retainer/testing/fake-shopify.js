@@ -0,0 +1,512 @@
+// /lib/retainer/testing/fake-shopify.js
+// In-memory Shopify that answers the Admin/Storefront operations the retainer
+// handlers actually send. Plug it in with:
+//
+//   const shop = createFakeShopify({ indexLag: 2 });
+//   setShopifyTransport(shop.fetch);
+//
+// Operations are recognised by their root field (customers, customerCreate,
+// customerUpdate, metafieldsSet, metafieldsDelete, stagedUploadsCreate,
+// fileCreate, fileDelete, node, nodes, customer, order, customerGenerateAccountActivationUrl,
+// metafieldDefinitions, metafieldDefinitionCreate/Update/Delete;
+// Storefront customerCreate, customerActivateByUrl, customerRecover,
+// customerResetByUrl, customerAccessTokenCreate, customer(customerAccessToken)). Anything else answers with a GraphQL error so a new query shows
+// up loudly instead of silently returning nothing. File CDN URLs answer GETs
+// with the uploaded bytes.
+//
+// With `bucket` the Admin API meters query cost like Shopify does: every call
+// costs `cost` points from a bucket of `max` refilling at `restoreRate` a
+// second (on the `now` clock), responses carry extensions.cost, and a call
+// that doesn't fit answers THROTTLED without running.
+
+const STAGED_HOST = 'https://fake-shopify.local/staged';
+const CDN_HOST = 'https://cdn.fake-shopify.local/files';
+
+const json = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: async () => JSON.stringify(body),
+  json: async () => body,
+});
+
+// First root field after the operation header, e.g. "customerUpdate".
+function rootField(query){
+  const body = String(query || '').slice(String(query || '').indexOf('{') + 1);
+  return (body.match(/^\s*(\w+)/) || [])[1] || null;
+}
+
+const gid = (type, n) => `gid://shopify/${type}/${n}`;
+
+// Shopify rejects phones it can't parse as E.164; mimic the common failure.
+const validPhone = s => /^\+?[1-9]\d{9,14}$/.test(String(s || '').replace(/[\s().-]/g, ''));
+// …and US addresses whose ZIP isn't a ZIP.
+const addressErrors = (addresses, path) => (addresses || []).flatMap((a, i) =>
+  a?.countryCode === 'US' && !/^\d{5}(-\d{4})?$/.test(String(a.zip || '')) ? [{ field:[...path, 'addresses', String(i), 'zip'], message:'Zip is invalid for United States' }] : []);
+
+// Stored CustomerInput address → the MailingAddress fields export.js reads.
+const mailingAddress = a => a && ({ address1:a.address1 ?? null, address2:a.address2 ?? null, city:a.city ?? null, provinceCode:a.provinceCode ?? null, zip:a.zip ?? null, countryCodeV2:a.countryCode ?? null });
+
+const METAFIELD_CHECKS = {
+  date:                          v => /^\d{4}-\d{2}-\d{2}$/.test(v),
+  boolean:                       v => v === 'true' || v === 'false',
+  number_integer:                v => /^-?\d+$/.test(v),
+  json:                          v => { try { JSON.parse(v); return true; } catch(_){ return false; } },
+  file_reference:                v => /^gid:\/\/shopify\/(MediaImage|GenericFile)\/\d+$/.test(v),
+  'list.single_line_text_field': v => { try { return Array.isArray(JSON.parse(v)); } catch(_){ return false; } },
+};
+
+export function createFakeShopify({ indexLag = 0, seq = 1000, bucket = null } = {}){
+  const state = {
+    customers: new Map(),   // id → { id, email, state, firstName, lastName, phone, addresses, password, hiddenFor }
+    metafields: new Map(),  // ownerId → Map(`${namespace}.${key}` → { namespace, key, type, value })
+    files: new Map(),       // id → { id, __typename, url, alt, bytes, mimeType }
+    staged: new Map(),      // resourceUrl → { bytes, mimeType, uploaded }
+    orders: new Map(),      // id → { id, displayFinancialStatus, cancelledAt, customer }
+    outbox: [],             // { email, kind:'reset', url } — emails Shopify would have sent
+    accessTokens: new Map(),// Storefront customer access token → { customerId, expiresAt }
+    definitions: new Map(), // `${ownerType}.${namespace}.${key}` → { id, ownerType, namespace, key, type, name, description }
+  };
+  const calls = [];         // { api, op, variables }
+  const injected = [];      // { op, api, userErrors?, status?, body?, times }
+  let next = seq;
+
+  /* ---------- Fault injection ---------- */
+  function takeInjection(api, op){
+    const i = injected.findIndex(x => x.op === op && (!x.api || x.api === api));
+    if (i < 0) return null;
+    const hit = injected[i];
+    if (--hit.times <= 0) injected.splice(i, 1);
+    return hit;
+  }
+
+  // Next call(s) to `op` answer with these userErrors instead of running.
+  function injectUserErrors(op, userErrors, { api, times = 1 } = {}){
+    injected.push({ op, api, userErrors, times });
+  }
+  // Next call(s) to `op` fail at the HTTP level (e.g. 502, or 200 + THROTTLED).
+  function injectHttpError(op, status, body = { errors:[{ message:`fake ${status}` }] }, { api, times = 1 } = {}){
+    injected.push({ op, api, status, body, times });
+  }
+
+  /* ---------- Helpers ---------- */
+  const findByEmail = email => [...state.customers.values()]
+    .find(c => c.email === String(email || '').toLowerCase()) || null;
+
+  function searchCustomers(q){
+    const email = (String(q || '').match(/email:"?([^"\s]+)"?/) || [])[1];
+    const c = findByEmail(email);
+    if (!c) return [];
+    // Simulated Admin search indexing lag: a fresh customer stays invisible
+    // to `customers(query:)` for the first N searches.
+    if (c.hiddenFor > 0) { c.hiddenFor--; return []; }
+    return [c];
+  }
+
+  const publicCustomer = c => c && ({ id:c.id, email:c.email, state:c.state, firstName:c.firstName, lastName:c.lastName, phone:c.phone });
+
+  function createCustomer(input, customerState){
+    const errs = [];
+    const email = String(input?.email || '').toLowerCase();
+    if (!email) errs.push({ field:['input','email'], message:'Email can\'t be blank' });
+    else if (findByEmail(email)) errs.push({ field:['input','email'], message:'Email has already been taken', code:'TAKEN' });
+    if (input?.phone && !validPhone(input.phone)) errs.push({ field:['input','phone'], message:'Phone is invalid', code:'INVALID' });
+    errs.push(...addressErrors(input?.addresses, ['input']));
+    if (errs.length) return { customer:null, errs };
+
+    const c = {
+      id: gid('Customer', next++),
+      email,
+      state: customerState,
+      firstName: input.firstName ?? null,
+      lastName: input.lastName ?? null,
+      phone: input.phone ?? null,
+      addresses: input.addresses || [],
+      password: input.password ?? null,
+      hiddenFor: indexLag,
+    };
+    state.customers.set(c.id, c);
+    return { customer:c, errs };
+  }
+
+  function updateCustomer(input){
+    const c = state.customers.get(input?.id);
+    if (!c) return { customer:null, errs:[{ field:['id'], message:'Customer does not exist' }] };
+    const errs = [
+      ...(input.phone && !validPhone(input.phone) ? [{ field:['phone'], message:'Phone is invalid' }] : []),
+      ...addressErrors(input.addresses, []),
+    ];
+    if (errs.length) return { customer:null, errs };
+    for (const k of ['email','firstName','lastName','phone','addresses']) {
+      if (input[k] !== undefined) c[k] = k === 'email' ? String(input[k]).toLowerCase() : input[k];
+    }
+    return { customer:c, errs:[] };
+  }
+
+  function setMetafields(list){
+    const errs = [];
+    (list || []).forEach((m, i) => {
+      const check = METAFIELD_CHECKS[m.type];
+      const defined = m.ownerId && state.definitions.get(`${m.ownerId.split('/')[3]?.toUpperCase()}.${m.namespace}.${m.key}`);
+      if (!m.ownerId) errs.push({ field:['metafields', String(i), 'ownerId'], message:'Owner id is required' });
+      else if (defined && defined.type !== m.type) errs.push({ field:['metafields', String(i), 'type'], message:`Type must be ${defined.type} to match the definition` });
+      else if (check && !check(String(m.value))) errs.push({ field:['metafields', String(i), 'value'], message:`Value is invalid for type ${m.type}` });
+    });
+    if (errs.length) return { metafields:[], errs };
+
+    const out = [];
+    for (const m of list) {
+      if (!state.metafields.has(m.ownerId)) state.metafields.set(m.ownerId, new Map());
+      const rec = { namespace:m.namespace, key:m.key, type:m.type, value:String(m.value) };
+      state.metafields.get(m.ownerId).set(`${m.namespace}.${m.key}`, rec);
+      out.push({ ...rec, ownerType: m.ownerId.split('/')[3]?.toUpperCase() || null });
+    }
+    return { metafields:out, errs };
+  }
+
+  // file_reference values are the file GID; data written before that was
+  // canonical may still hold {"file_id": GID}.
+  function fileRefId(value){
+    try { const j = JSON.parse(value); if (j?.file_id) return j.file_id; } catch(_){}
+    return value;
+  }
+
+  function metafieldNodes(ownerId, namespace){
+    const all = [...(state.metafields.get(ownerId)?.values() || [])];
+    return all
+      .filter(m => !namespace || m.namespace === namespace)
+      .map(m => {
+        const file = m.type === 'file_reference' ? state.files.get(fileRefId(m.value)) : null;
+        return { ...m, reference: file ? fileNode(file) : null };
+      });
+  }
+
+  // metafields(keys:["namespace.key", ...]) narrows the list to those keys.
+  const keyed = (nodes, keys) => (keys ? nodes.filter(m => keys.includes(`${m.namespace}.${m.key}`)) : nodes);
+
+  const fileNode = f => f.__typename === 'MediaImage'
+    ? { id:f.id, __typename:f.__typename, alt:f.alt, image:{ url:f.url } }
+    : { id:f.id, __typename:f.__typename, alt:f.alt, url:f.url };
+
+  // Account URLs look like https://<shop>/account/<activate|reset>/<numeric id>/<token>
+  const accountUrl = (kind, c, token) => `https://fake-shop.myshopify.com/account/${kind}/${c.id.split('/').pop()}/${token}`;
+  const randomToken = () => Math.random().toString(36).slice(2) + Math.random().toString(36).slice(2);
+
+  function customerFromUrl(kind, url){
+    const m = String(url || '').match(new RegExp(`/account/${kind}/(\\d+)/([^/?#]+)`));
+    const c = m ? state.customers.get(gid('Customer', m[1])) : null;
+    const tokenKey = kind === 'activate' ? 'activationToken' : 'resetToken';
+    return c && c[tokenKey] && c[tokenKey] === m[2] ? c : null;
+  }
+
+  // Shopify's own password rule: 5–40 characters.
+  const passwordErrors = pw => {
+    const n = String(pw || '').length;
+    if (n < 5)  return [{ field:['password'], message:'Password is too short (minimum is 5 characters)', code:'TOO_SHORT' }];
+    if (n > 40) return [{ field:['password'], message:'Password is too long (maximum is 40 characters)', code:'TOO_LONG' }];
+    return [];
+  };
+
+  function accessToken(c){
+    const t = { accessToken: randomToken(), expiresAt: new Date(Date.now() + 14 * 86400000).toISOString() };
+    state.accessTokens.set(t.accessToken, { customerId: c.id, expiresAt: t.expiresAt });
+    return t;
+  }
+
+  /* ---------- Operations ---------- */
+  const ADMIN = {
+    // customers(query:) is the email search; without a query it pages through
+    // every customer with their metafields and orders.
+    customers: v => {
+      if (v.q !== undefined) return { customers:{ nodes: searchCustomers(v.q).map(publicCustomer) } };
+      const all = [...state.customers.values()];
+      const start = v.after ? Number(v.after) : 0;
+      const page = all.slice(start, start + (v.first || 50));
+      const orderNodes = c => [...state.orders.values()]
+        .filter(o => o.customer?.id === c.id)
+        .map(o => ({ id:o.id, metafields:{ nodes: metafieldNodes(o.id, 'retainer') } }));
+      return { customers:{
+        pageInfo:{ hasNextPage: start + page.length < all.length, endCursor: String(start + page.length) },
+        nodes: page.map(c => ({ ...publicCustomer(c), metafields:{ nodes: keyed(metafieldNodes(c.id, 'retainer'), v.keys) }, orders:{ nodes: orderNodes(c) } })),
+      } };
+    },
+
+    // customer(id:) also pages through the customer's orders.
+    customer: v => {
+      const c = state.customers.get(v.id);
+      if (!c) return { customer:null };
+      const all = [...state.orders.values()].filter(o => o.customer?.id === c.id);
+      const start = v.after ? Number(v.after) : 0;
+      const page = all.slice(start, start + (v.first || 50));
+      return { customer:{
+        ...publicCustomer(c),
+        metafields:{ nodes: keyed(metafieldNodes(c.id, 'retainer'), v.keys) },
+        orders:{
+          pageInfo:{ hasNextPage: start + page.length < all.length, endCursor: String(start + page.length) },
+          nodes: page.map(o => ({ id:o.id, metafields:{ nodes: keyed(metafieldNodes(o.id, 'retainer'), v.keys) } })),
+        },
+      } };
+    },
+
+    customerCreate: v => {
+      const { customer, errs } = createCustomer(v.input, 'DISABLED');
+      return { customerCreate:{ customer: publicCustomer(customer), userErrors: errs } };
+    },
+
+    customerUpdate: v => {
+      const { customer, errs } = updateCustomer(v.input);
+      return { customerUpdate:{ customer: publicCustomer(customer), userErrors: errs } };
+    },
+
+    metafieldsSet: v => {
+      const { metafields, errs } = setMetafields(v.metafields);
+      return { metafieldsSet:{ metafields, userErrors: errs } };
+    },
+
+    stagedUploadsCreate: v => {
+      const stagedTargets = (v.input || []).map(inp => {
+        const n = next++;
+        const resourceUrl = `${STAGED_HOST}/${n}/${inp.filename}`;
+        state.staged.set(resourceUrl, { mimeType: inp.mimeType, bytes:null, uploaded:false });
+        return { url:`${STAGED_HOST}/${n}`, resourceUrl, parameters:[{ name:'key', value:`tmp/${n}/${inp.filename}` }] };
+      });
+      return { stagedUploadsCreate:{ stagedTargets, userErrors:[] } };
+    },
+
+    fileCreate: v => {
+      const files = [];
+      const userErrors = [];
+      (v.files || []).forEach((f, i) => {
+        const staged = state.staged.get(f.originalSource);
+        if (!staged?.uploaded) {
+          userErrors.push({ field:['files', String(i), 'originalSource'], message:'File could not be processed' });
+          return;
+        }
+        const type = f.contentType === 'IMAGE' ? 'MediaImage' : 'GenericFile';
+        const id = gid(type, next++);
+        const rec = { id, __typename:type, alt:f.alt || '', bytes:staged.bytes, mimeType:staged.mimeType,
+          url:`${CDN_HOST}/${id.split('/').pop()}` };
+        state.files.set(id, rec);
+        files.push(fileNode(rec));
+      });
+      return { fileCreate:{ files, userErrors } };
+    },
+
+    fileDelete: v => {
+      const deletedFileIds = (v.fileIds || []).filter(id => state.files.delete(id));
+      return { fileDelete:{ deletedFileIds, userErrors:[] } };
+    },
+
+    metafieldsDelete: v => {
+      const deletedMetafields = (v.metafields || []).map(m => {
+        const had = state.metafields.get(m.ownerId)?.delete(`${m.namespace}.${m.key}`);
+        return had ? { ownerId:m.ownerId, namespace:m.namespace, key:m.key } : null;
+      });
+      return { metafieldsDelete:{ deletedMetafields, userErrors:[] } };
+    },
+
+    customerGenerateAccountActivationUrl: v => {
+      const c = state.customers.get(v.customerId);
+      if (!c) return { customerGenerateAccountActivationUrl:{ accountActivationUrl:null, userErrors:[{ field:['customerId'], message:'Customer does not exist' }] } };
+      if (c.state === 'ENABLED') return { customerGenerateAccountActivationUrl:{ accountActivationUrl:null, userErrors:[{ field:['customerId'], message:'Account already enabled' }] } };
+      c.activationToken = randomToken();
+      return { customerGenerateAccountActivationUrl:{ accountActivationUrl: accountUrl('activate', c, c.activationToken), userErrors:[] } };
+    },
+
+    order: v => {
+      const o = state.orders.get(v.id);
+      return { order: o ? { ...o, metafields:{ nodes: metafieldNodes(o.id, 'retainer') } } : null };
+    },
+
+    node: v => {
+      const f = state.files.get(v.id);
+      if (f) return { node: fileNode(f) };
+      const c = state.customers.get(v.id);
+      if (c) return { node: { ...publicCustomer(c), metafields:{ nodes: metafieldNodes(c.id, 'retainer') } } };
+      // Orders are assumed to exist in the shop even if never seeded.
+      if (/^gid:\/\/shopify\/Order\//.test(v.id)) return { node: { id:v.id, metafields:{ nodes: metafieldNodes(v.id, 'retainer') } } };
+      return { node:null };
+    },
+
+    // A definition pins its key's type: values of another type are rejected.
+    metafieldDefinitions: v => ({ metafieldDefinitions:{ nodes: [...state.definitions.values()]
+      .filter(d => d.ownerType === v.ownerType && (!v.namespace || d.namespace === v.namespace))
+      .map(d => ({ ...d, type:{ name:d.type } })) } }),
+
+    metafieldDefinitionCreate: v => {
+      const d = v.definition || {};
+      const id = `${d.ownerType}.${d.namespace}.${d.key}`;
+      if (state.definitions.has(id)) return { metafieldDefinitionCreate:{ createdDefinition:null, userErrors:[{ field:['definition','key'], message:'Key is in use for this namespace and owner type', code:'TAKEN' }] } };
+      if (!METAFIELD_CHECKS[d.type] && !/_text_field$/.test(d.type)) return { metafieldDefinitionCreate:{ createdDefinition:null, userErrors:[{ field:['definition','type'], message:`Type ${d.type} is not supported`, code:'INCLUSION' }] } };
+      const rec = { id: gid('MetafieldDefinition', next++), ownerType:d.ownerType, namespace:d.namespace, key:d.key, type:d.type, name:d.name, description:d.description ?? null };
+      state.definitions.set(id, rec);
+      return { metafieldDefinitionCreate:{ createdDefinition:{ id:rec.id, key:rec.key }, userErrors:[] } };
+    },
+
+    metafieldDefinitionUpdate: v => {
+      const d = v.definition || {};
+      const rec = state.definitions.get(`${d.ownerType}.${d.namespace}.${d.key}`);
+      if (!rec) return { metafieldDefinitionUpdate:{ updatedDefinition:null, userErrors:[{ field:['definition'], message:'Definition not found', code:'NOT_FOUND' }] } };
+      if (d.name !== undefined) rec.name = d.name;
+      if (d.description !== undefined) rec.description = d.description || null;
+      return { metafieldDefinitionUpdate:{ updatedDefinition:{ id:rec.id, key:rec.key }, userErrors:[] } };
+    },
+
+    metafieldDefinitionDelete: v => {
+      const entry = [...state.definitions.entries()].find(([, d]) => d.id === v.id);
+      if (!entry) return { metafieldDefinitionDelete:{ deletedDefinitionId:null, userErrors:[{ field:['id'], message:'Definition not found', code:'NOT_FOUND' }] } };
+      state.definitions.delete(entry[0]);
+      return { metafieldDefinitionDelete:{ deletedDefinitionId:v.id, userErrors:[] } };
+    },
+
+    // Batch customer lookup (export.js); unknown ids answer null like Shopify.
+    nodes: v => ({ nodes: (v.ids || []).map(id => {
+      const c = state.customers.get(id);
+      return c ? { ...publicCustomer(c), defaultAddress: mailingAddress(c.addresses?.[0]) || null } : null;
+    }) }),
+  };
+
+  const STOREFRONT = {
+    customerCreate: v => {
+      const { customer, errs } = createCustomer(v.input, 'ENABLED');
+      const c = customer && { id:customer.id, email:customer.email };
+      return { customerCreate:{ customer:c, userErrors:errs, customerUserErrors:errs } };
+    },
+
+    customerActivateByUrl: v => {
+      const c = customerFromUrl('activate', v.activationUrl);
+      const errs = c ? passwordErrors(v.password) : [{ field:['activationUrl'], message:'Invalid activation url', code:'INVALID' }];
+      if (errs.length) return { customerActivateByUrl:{ customer:null, customerAccessToken:null, customerUserErrors:errs } };
+      Object.assign(c, { state:'ENABLED', password:v.password, activationToken:null });
+      return { customerActivateByUrl:{ customer:{ id:c.id, email:c.email }, customerAccessToken: accessToken(c), customerUserErrors:[] } };
+    },
+
+    customerRecover: v => {
+      const c = findByEmail(v.email);
+      if (c) {
+        c.resetToken = randomToken();
+        state.outbox.push({ email:c.email, kind:'reset', url: accountUrl('reset', c, c.resetToken) });
+      }
+      return { customerRecover:{ customerUserErrors:[] } };
+    },
+
+    customerResetByUrl: v => {
+      const c = customerFromUrl('reset', v.resetUrl);
+      const errs = c ? passwordErrors(v.password) : [{ field:['resetUrl'], message:'Invalid reset url', code:'INVALID' }];
+      if (errs.length) return { customerResetByUrl:{ customer:null, customerAccessToken:null, customerUserErrors:errs } };
+      Object.assign(c, { state:'ENABLED', password:v.password, resetToken:null });
+      return { customerResetByUrl:{ customer:{ id:c.id, email:c.email }, customerAccessToken: accessToken(c), customerUserErrors:[] } };
+    },
+
+    customerAccessTokenCreate: v => {
+      const c = findByEmail(v.input?.email);
+      if (!c || c.state !== 'ENABLED' || c.password !== v.input?.password) {
+        return { customerAccessTokenCreate:{ customerAccessToken:null, customerUserErrors:[{ field:['input'], message:'Unidentified customer', code:'UNIDENTIFIED_CUSTOMER' }] } };
+      }
+      return { customerAccessTokenCreate:{ customerAccessToken: accessToken(c), customerUserErrors:[] } };
+    },
+
+    customer: v => {
+      const t = state.accessTokens.get(v.customerAccessToken);
+      const c = t && Date.parse(t.expiresAt) > Date.now() ? state.customers.get(t.customerId) : null;
+      return { customer: c ? { id:c.id, email:c.email, firstName:c.firstName, lastName:c.lastName } : null };
+    },
+  };
+
+  /* ---------- Query cost ---------- */
+  const meter = bucket && { max: 1000, restoreRate: 50, cost: 10, now: Date.now, ...bucket };
+  if (meter) Object.assign(meter, { available: meter.max, at: meter.now() });
+
+  // → extensions.cost for this call, with ok:false when it doesn't fit
+  function charge(){
+    const t = meter.now();
+    meter.available = Math.min(meter.max, meter.available + (t - meter.at) / 1000 * meter.restoreRate);
+    meter.at = t;
+    const ok = meter.available >= meter.cost;
+    if (ok) meter.available -= meter.cost;
+    return { ok, cost: {
+      requestedQueryCost: meter.cost,
+      actualQueryCost: ok ? meter.cost : null,
+      throttleStatus: { maximumAvailable: meter.max, currentlyAvailable: Math.floor(meter.available), restoreRate: meter.restoreRate },
+    } };
+  }
+
+  /* ---------- fetch() stand-in ---------- */
+  async function stagedUpload(url, init){
+    const entry = [...state.staged.entries()].find(([resourceUrl]) => resourceUrl.startsWith(url + '/'));
+    if (!entry) return { ok:false, status:404, text: async () => 'no such staged target' };
+    const file = init?.body?.get?.('file');
+    const bytes = file ? Buffer.from(await file.arrayBuffer()) : Buffer.alloc(0);
+    entry[1].bytes = bytes;
+    entry[1].uploaded = true;
+    return { ok:true, status:201, text: async () => '' };
+  }
+
+  function cdnGet(url){
+    const f = [...state.files.values()].find(x => x.url === url);
+    if (!f) return { ok:false, status:404, headers: new Headers(), text: async () => 'not found' };
+    return {
+      ok:true, status:200,
+      headers: new Headers({ 'content-type': f.mimeType || 'application/octet-stream' }),
+      arrayBuffer: async () => f.bytes.buffer.slice(f.bytes.byteOffset, f.bytes.byteOffset + f.bytes.length),
+      text: async () => f.bytes.toString('utf8'),
+    };
+  }
+
+  async function fakeFetch(url, init = {}){
+    const u = String(url);
+    if (u.startsWith(STAGED_HOST)) return stagedUpload(u, init);
+    if (u.startsWith(CDN_HOST)) return cdnGet(u);
+
+    const api = /\/admin\/api\//.test(u) ? 'admin' : /\/api\/[^/]+\/graphql\.json$/.test(u) ? 'storefront' : null;
+    if (!api) return json(404, { errors:[{ message:`fake-shopify: unknown url ${u}` }] });
+
+    const { query, variables = {} } = JSON.parse(init.body || '{}');
+    const op = rootField(query);
+    calls.push({ api, op, variables });
+
+    const hit = takeInjection(api, op);
+    if (hit?.status) return json(hit.status, hit.body);
+
+    const impl = (api === 'admin' ? ADMIN : STOREFRONT)[op];
+    if (!impl) return json(200, { errors:[{ message:`fake-shopify: unsupported ${api} operation "${op}"` }] });
+
+    const metered = api === 'admin' && meter ? charge() : null;
+    if (metered && !metered.ok) {
+      return json(200, { errors:[{ message:'Throttled', extensions:{ code:'THROTTLED' } }], extensions:{ cost: metered.cost } });
+    }
+    const extensions = metered ? { extensions:{ cost: metered.cost } } : {};
+
+    // Injected userErrors short-circuit the operation: nothing is written.
+    if (hit?.userErrors) {
+      return json(200, { data:{ [op]:{ userErrors: hit.userErrors, customerUserErrors: hit.userErrors } }, ...extensions });
+    }
+    return json(200, { data: impl(variables), ...extensions });
+  }
+
+  return {
+    fetch: fakeFetch,
+    state,
+    calls,
+    injectUserErrors,
+    injectHttpError,
+
+    // Seed an order for queries like refunds/create's financial-status lookup.
+    addOrder: ({ id, displayFinancialStatus = 'PAID', cancelledAt = null, customerId = null }) => {
+      const o = { id, displayFinancialStatus, cancelledAt, customer: customerId ? { id:customerId } : null };
+      state.orders.set(id, o);
+      return o;
+    },
+    addCustomer: (input) => {
+      const { customer } = createCustomer(input, 'ENABLED');
+      if (customer) customer.hiddenFor = 0; // seeded customers are already indexed
+      return publicCustomer(customer);
+    },
+
+    // Convenience readers for assertions.
+    customerByEmail: email => publicCustomer(findByEmail(email)),
+    metafieldsOf: (ownerId, namespace = 'retainer') => Object.fromEntries(
+      metafieldNodes(ownerId, namespace).map(m => [m.key, m])
+    ),
+    callsTo: op => calls.filter(c => c.op === op),
+  };
+}
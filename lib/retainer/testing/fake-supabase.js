@@ -0,0 +1,210 @@
+// /lib/retainer/testing/fake-supabase.js
+// In-memory stand-in for the slice of supabase-js the retainer code uses:
+//
+//   from(t).select/insert/upsert/update/delete
+//     .eq/.neq/.in/.is/.gt/.gte/.lt/.lte/.ilike/.or/.order/.limit/.range
+//     .single/.maybeSingle, awaited directly
+//   storage.from(b).upload/remove/move/getPublicUrl/createSignedUrl/download/list
+//
+// Plug it in with setSupabaseClient(createFakeSupabase()). Unique keys are
+// declared per table so upsert(onConflict) and duplicate inserts behave.
+
+const clone = v => (v == null ? v : JSON.parse(JSON.stringify(v)));
+
+const likeRe = pat => new RegExp('^' + String(pat).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*') + '$', 'i');
+
+// Split on top-level commas, skipping (groups) and "quoted values".
+function splitTop(s){
+  const out = [];
+  let depth = 0, quoted = false, cur = '';
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      cur += ch;
+      if (ch === '\\') cur += s[++i];
+      else if (ch === '"') quoted = false;
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    else if (ch === '(') depth++;
+    else if (ch === ')') depth--;
+    else if (ch === ',' && depth === 0) { out.push(cur); cur = ''; continue; }
+    cur += ch;
+  }
+  out.push(cur);
+  return out;
+}
+
+function condition(part){
+  const group = part.match(/^(and|or)\((.*)\)$/s);
+  if (group) return logicTree(group[1], group[2]);
+  const [c, o, ...rest] = part.split('.');
+  let v = rest.join('.');
+  if (v.startsWith('"')) v = v.slice(1, -1).replace(/\\(.)/g, '$1');
+  const cmp = (x, sign) => {
+    if (x == null) return false;
+    const d = typeof x === 'number' ? x - Number(v) : String(x) < v ? -1 : String(x) > v ? 1 : 0;
+    return sign(d);
+  };
+  switch (o) {
+    case 'eq':    return r => r[c] != null && String(r[c]) === v;
+    case 'neq':   return r => r[c] != null && String(r[c]) !== v;
+    case 'gt':    return r => cmp(r[c], d => d > 0);
+    case 'gte':   return r => cmp(r[c], d => d >= 0);
+    case 'lt':    return r => cmp(r[c], d => d < 0);
+    case 'lte':   return r => cmp(r[c], d => d <= 0);
+    case 'is':    return r => String(r[c] ?? null) === v;
+    case 'ilike': { const re = likeRe(v.replace(/\*/g, '%')); return r => re.test(String(r[c] ?? '')); }
+    default: throw new Error(`fake-supabase: unsupported filter "${o}"`);
+  }
+}
+
+function logicTree(kind, expr){
+  const parts = splitTop(expr).map(condition);
+  return kind === 'and' ? r => parts.every(f => f(r)) : r => parts.some(f => f(r));
+}
+
+export function createFakeSupabase({ uniqueKeys = {} } = {}){
+  const tables = new Map();   // name → array of rows
+  const buckets = new Map();  // name → Map(path → { bytes, contentType })
+  const rowsOf = t => { if (!tables.has(t)) tables.set(t, []); return tables.get(t); };
+  const keysOf = t => uniqueKeys[t] || [];
+
+  function query(table){
+    let op = 'select';
+    let payload = null;
+    let opts = {};
+    let wantRows = false;     // .select() after a write
+    let single = null;        // 'single' | 'maybe'
+    const filters = [];
+    const orders = [];
+    let limit = null;
+    let offset = 0;
+
+    const b = {
+      select(){ if (op !== 'select') wantRows = true; return b; },
+      insert(rows){ op = 'insert'; payload = rows; return b; },
+      upsert(rows, o = {}){ op = 'upsert'; payload = rows; opts = o; return b; },
+      update(patch){ op = 'update'; payload = patch; return b; },
+      delete(){ op = 'delete'; return b; },
+
+      eq(c, v){ filters.push(r => r[c] === v); return b; },
+      neq(c, v){ filters.push(r => r[c] !== v); return b; },
+      in(c, vs){ filters.push(r => vs.includes(r[c])); return b; },
+      is(c, v){ filters.push(r => (r[c] ?? null) === v); return b; },
+      gt(c, v){ filters.push(r => r[c] != null && r[c] > v); return b; },
+      gte(c, v){ filters.push(r => r[c] != null && r[c] >= v); return b; },
+      lt(c, v){ filters.push(r => r[c] != null && r[c] < v); return b; },
+      lte(c, v){ filters.push(r => r[c] != null && r[c] <= v); return b; },
+      ilike(c, pat){ const re = likeRe(pat); filters.push(r => re.test(String(r[c] ?? ''))); return b; },
+      // PostgREST logic trees: "a.eq.1,and(b.gt.2,c.is.null)", values optionally "quoted".
+      or(expr){ filters.push(logicTree('or', String(expr))); return b; },
+      // Postgres defaults: nulls last ascending, first descending.
+      order(c, { ascending = true, nullsFirst = !ascending } = {}){ orders.push({ c, ascending, nullsFirst }); return b; },
+      limit(n){ limit = n; return b; },
+      range(from, to){ offset = from; limit = to - from + 1; return b; },
+      single(){ single = 'single'; return b; },
+      maybeSingle(){ single = 'maybe'; return b; },
+
+      then(resolve, reject){ return Promise.resolve().then(run).then(resolve, reject); },
+    };
+
+    const match = r => filters.every(f => f(r));
+
+    function conflictRow(rows, row, keys){
+      return rows.find(r => keys.some(k => (Array.isArray(k) ? k : [k]).every(c => r[c] != null && r[c] === row[c])));
+    }
+
+    function run(){
+      const rows = rowsOf(table);
+      let out = [];
+
+      if (op === 'insert' || op === 'upsert') {
+        const list = Array.isArray(payload) ? payload : [payload];
+        const keys = op === 'upsert' && opts.onConflict
+          ? [opts.onConflict.split(',').map(s => s.trim())]
+          : keysOf(table);
+        for (const row of list) {
+          const hit = conflictRow(rows, row, keys);
+          if (hit && op === 'insert') return { data:null, error:{ code:'23505', message:`duplicate key value violates unique constraint on ${table}` } };
+          if (hit) { Object.assign(hit, clone(row)); out.push(hit); }
+          else { const r = { id: row.id ?? rows.length + 1, ...clone(row) }; rows.push(r); out.push(r); }
+        }
+      } else if (op === 'update') {
+        out = rows.filter(match);
+        for (const r of out) Object.assign(r, clone(payload));
+      } else if (op === 'delete') {
+        out = rows.filter(match);
+        tables.set(table, rows.filter(r => !match(r)));
+      } else {
+        out = rows.filter(match);
+        if (orders.length) {
+          const cmp = (a, z, { c, ascending, nullsFirst }) => {
+            const x = a[c] ?? null, y = z[c] ?? null;
+            if (x === null || y === null) return x === y ? 0 : (x === null) === nullsFirst ? -1 : 1;
+            return (x > y ? 1 : x < y ? -1 : 0) * (ascending ? 1 : -1);
+          };
+          out = [...out].sort((a, z) => { for (const o of orders) { const d = cmp(a, z, o); if (d) return d; } return 0; });
+        }
+        out = out.slice(offset, limit == null ? undefined : offset + limit);
+      }
+
+      const data = op === 'select' || wantRows ? clone(out) : null;
+      if (single) {
+        const list = data || [];
+        if (list.length > 1) return { data:null, error:{ code:'PGRST116', message:'multiple rows returned' } };
+        if (!list.length && single === 'single') return { data:null, error:{ code:'PGRST116', message:'no rows returned' } };
+        return { data: list[0] || null, error:null };
+      }
+      return { data, error:null };
+    }
+
+    return b;
+  }
+
+  function bucket(name){
+    if (!buckets.has(name)) buckets.set(name, new Map());
+    const files = buckets.get(name);
+    return {
+      async upload(path, bytes, { contentType = 'application/octet-stream', upsert = false } = {}){
+        if (files.has(path) && !upsert) return { data:null, error:{ message:'The resource already exists' } };
+        files.set(path, { bytes: Buffer.from(bytes), contentType });
+        return { data:{ path }, error:null };
+      },
+      async remove(paths){
+        const removed = paths.filter(p => files.delete(p));
+        return { data: removed.map(name => ({ name })), error:null };
+      },
+      async move(from, to){
+        const f = files.get(from);
+        if (!f) return { data:null, error:{ message:'Object not found' } };
+        if (files.has(to)) return { data:null, error:{ message:'The resource already exists' } };
+        files.delete(from);
+        files.set(to, f);
+        return { data:{ message:'Successfully moved' }, error:null };
+      },
+      async download(path){
+        const f = files.get(path);
+        if (!f) return { data:null, error:{ message:'Object not found' } };
+        return { data: new Blob([f.bytes], { type:f.contentType }), error:null };
+      },
+      async list(prefix = ''){
+        const names = [...files.keys()].filter(p => p.startsWith(prefix ? `${prefix}/` : ''));
+        return { data: names.map(p => ({ name: p.slice(prefix ? prefix.length + 1 : 0) })), error:null };
+      },
+      getPublicUrl(path){ return { data:{ publicUrl:`https://fake-supabase.local/storage/v1/object/public/${name}/${path}` } }; },
+      async createSignedUrl(path, expiresIn){
+        if (!files.has(path)) return { data:null, error:{ message:'Object not found' } };
+        return { data:{ signedUrl:`https://fake-supabase.local/storage/v1/object/sign/${name}/${path}?expires_in=${expiresIn}` }, error:null };
+      },
+    };
+  }
+
+  return {
+    from: query,
+    storage: { from: bucket },
+    tables,
+    buckets,
+    rows: t => rowsOf(t),
+  };
+}
@@ -0,0 +1,51 @@
+// /lib/retainer/testing/http.js
+// Minimal Vercel-style req/res doubles for driving a handler in-process.
+//
+//   const res = await invoke(handler, { method:'POST', body:{ email } });
+//   res.statusCode; res.body;   // parsed JSON when .json() was used
+//
+// Streamed responses (res.write) are joined into body as a string on end().
+
+export function mockReq({ method = 'GET', headers = {}, body, query = {}, raw } = {}){
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const bytes = raw != null
+    ? Buffer.from(raw)
+    : body !== undefined ? Buffer.from(typeof body === 'string' ? body : JSON.stringify(body)) : Buffer.alloc(0);
+  return {
+    method,
+    headers: lower,
+    query,
+    body,
+    // Handlers with bodyParser:false read the stream themselves.
+    async *[Symbol.asyncIterator](){ if (bytes.length) yield bytes; },
+  };
+}
+
+export function mockRes(){
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    chunks: [],
+    ended: false,
+    setHeader(k, v){ res.headers[k.toLowerCase()] = v; return res; },
+    getHeader(k){ return res.headers[k.toLowerCase()]; },
+    status(code){ res.statusCode = code; return res; },
+    json(obj){ res.body = obj; res.ended = true; return res; },
+    send(data){ res.body = data; res.ended = true; return res; },
+    write(chunk){ res.chunks.push(String(chunk)); return true; },
+    end(data){
+      if (res.chunks.length) res.body = res.chunks.join('') + (data === undefined ? '' : String(data));
+      else if (data !== undefined) res.body = data;
+      res.ended = true;
+      return res;
+    },
+  };
+  return res;
+}
+
+export async function invoke(handler, reqInit){
+  const res = mockRes();
+  await handler(mockReq(reqInit), res);
+  return res;
+}
@@ -0,0 +1,55 @@
+// /lib/retainer/tokens.js
+// Backend-signed, expiring tokens (compact HS256 JWTs) for account links.
+//
+// Claims: { sub: customer GID, email, purpose, iat, exp, jti }. `purpose`
+// scopes a token to one flow ("activate", ...) so a token minted for one
+// endpoint is rejected by another. Signed with AUTH_TOKEN_SECRET.
+
+import crypto from 'node:crypto';
+import { env } from './config.js';
+
+const b64url = buf => Buffer.from(buf).toString('base64url');
+const fromB64url = s => Buffer.from(s, 'base64url');
+
+function secret(){
+  const s = env('AUTH_TOKEN_SECRET');
+  if (!s) throw new Error('AUTH_TOKEN_SECRET is not set');
+  return s;
+}
+
+const hmac = data => crypto.createHmac('sha256', secret()).update(data).digest();
+
+// claims + { purpose, ttlSeconds } → token string
+export function signToken(claims, { purpose, ttlSeconds }){
+  if (!purpose) throw new Error('signToken: purpose is required');
+  const now = Math.floor(Date.now() / 1000);
+  const header  = b64url(JSON.stringify({ alg:'HS256', typ:'JWT' }));
+  const payload = b64url(JSON.stringify({
+    ...claims,
+    purpose,
+    iat: now,
+    exp: now + ttlSeconds,
+    jti: crypto.randomBytes(12).toString('hex'),
+  }));
+  return `${header}.${payload}.${b64url(hmac(`${header}.${payload}`))}`;
+}
+
+// → { ok:true, claims } | { ok:false, error:'invalid'|'expired'|'wrong_purpose' }
+export function verifyToken(token, { purpose }){
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return { ok:false, error:'invalid' };
+  const [header, payload, sig] = parts;
+
+  const want = hmac(`${header}.${payload}`);
+  const got = fromB64url(sig);
+  if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) return { ok:false, error:'invalid' };
+
+  let h, claims;
+  try { h = JSON.parse(fromB64url(header).toString('utf8')); claims = JSON.parse(fromB64url(payload).toString('utf8')); }
+  catch(_){ return { ok:false, error:'invalid' }; }
+  if (h?.alg !== 'HS256') return { ok:false, error:'invalid' };
+
+  if (!Number.isFinite(claims?.exp) || claims.exp <= Math.floor(Date.now() / 1000)) return { ok:false, error:'expired' };
+  if (claims.purpose !== purpose) return { ok:false, error:'wrong_purpose' };
+  return { ok:true, claims };
+}
@@ -0,0 +1,218 @@
+// /lib/retainer/uploads.js
+// Shared upload pipeline for every upload (data URLs in JSON, multipart
+// uploads to upload.js).
+//
+//   1. decode the data URL (if any) and enforce the field's byte cap (checked
+//      on the base64 length first, so oversized payloads aren't decoded at all)
+//   2. sniff the real type from magic bytes (the declared MIME is ignored)
+//      and check it against the field's allow-list: PNG, JPEG, HEIC, PDF
+//   3. images: downscale past maxDimension, and for license / insurance photos
+//      strip EXIF/GPS (JPEG/PNG are re-encoded without metadata; HEIC keeps its
+//      pixels and has its Exif/XMP items blanked, since it can't be decoded here)
+//
+// Every file yields a result for the response:
+//   { field, kind, ok, type, declared_type, original_bytes, bytes,
+//     width, height, downscaled, metadata_stripped, code?, error? }
+//
+// Caps can be raised per kind with UPLOAD_MAX_BYTES_<KIND> (e.g.
+// UPLOAD_MAX_BYTES_DRIVERS_LICENSE), but the request body must still fit the
+// platform's ~4.5 MB limit.
+
+import sharp from 'sharp';
+import { env } from './config.js';
+
+const MB = 1024 * 1024;
+const PHOTO_TYPES = ['image/png', 'image/jpeg', 'image/heic', 'application/pdf'];
+
+export const UPLOAD_RULES = {
+  signature:       { types:['image/png'], maxBytes: 512 * 1024, maxDimension: 2000, stripMetadata:false },
+  drivers_license: { types: PHOTO_TYPES,  maxBytes: 3 * MB,     maxDimension: 2400, stripMetadata:true },
+  car_insurance:   { types: PHOTO_TYPES,  maxBytes: 3 * MB,     maxDimension: 2400, stripMetadata:true },
+  // Accident photos are kept as taken: their EXIF time and place are evidence.
+  incident_photo:  { types: PHOTO_TYPES.filter(t => t.startsWith('image/')), maxBytes: 4 * MB, maxDimension: null, stripMetadata:false },
+  file:            { types: PHOTO_TYPES,  maxBytes: 8 * MB,     maxDimension: null, stripMetadata:false },
+};
+
+export function uploadRule(kind){
+  const base = UPLOAD_RULES[kind] || UPLOAD_RULES.file;
+  const override = Number(env(`UPLOAD_MAX_BYTES_${String(kind).toUpperCase()}`));
+  return override > 0 ? { ...base, maxBytes: override } : base;
+}
+
+/* ---------- Type sniffing ---------- */
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+
+export function sniffType(buf){
+  if (!buf || buf.length < 5) return null;
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.subarray(0, 5).toString('latin1') === '%PDF-') return 'application/pdf';
+  if (buf.length >= 12 && buf.subarray(4, 8).toString('latin1') === 'ftyp') {
+    const size = Math.min(buf.readUInt32BE(0), buf.length);
+    const brands = [];
+    for (let o = 8; o + 4 <= size; o += 4) if (o !== 12) brands.push(buf.subarray(o, o + 4).toString('latin1'));
+    if (brands.includes('avif')) return null;
+    if (brands.some(b => HEIF_BRANDS.includes(b))) return 'image/heic';
+  }
+  return null;
+}
+
+/* ---------- HEIC metadata scrub ---------- */
+// Walks the ISOBMFF meta box and zero-fills the payload of Exif items and XMP
+// ("mime" application/rdf+xml) items. Sizes and offsets are untouched, so the
+// image still decodes. → { bytes, stripped }
+function boxes(buf, start, end){
+  const out = [];
+  for (let o = start; o + 8 <= end;) {
+    let size = buf.readUInt32BE(o);
+    const type = buf.subarray(o + 4, o + 8).toString('latin1');
+    let header = 8;
+    if (size === 1) { size = Number(buf.readBigUInt64BE(o + 8)); header = 16; }
+    else if (size === 0) size = end - o;
+    if (size < header || o + size > end) break;
+    out.push({ type, start: o, body: o + header, end: o + size });
+    o += size;
+  }
+  return out;
+}
+
+const readN = (buf, o, n) => (n === 0 ? 0 : n === 2 ? buf.readUInt16BE(o) : n === 4 ? buf.readUInt32BE(o) : Number(buf.readBigUInt64BE(o)));
+const cstr = (buf, o, end) => { const z = buf.indexOf(0, o); const e = z < 0 || z > end ? end : z; return [buf.subarray(o, e).toString('utf8'), e + 1]; };
+
+export function scrubHeifMetadata(input){
+  const buf = Buffer.from(input);
+  const meta = boxes(buf, 0, buf.length).find(b => b.type === 'meta');
+  if (!meta) return { bytes: buf, stripped:false };
+  const inner = boxes(buf, meta.body + 4, meta.end); // meta is a full box
+  const iinf = inner.find(b => b.type === 'iinf');
+  const iloc = inner.find(b => b.type === 'iloc');
+  if (!iinf || !iloc) return { bytes: buf, stripped:false };
+
+  // item ids that carry metadata
+  const targets = new Set();
+  const iinfVersion = buf[iinf.body];
+  for (const infe of boxes(buf, iinf.body + 4 + (iinfVersion === 0 ? 2 : 4), iinf.end)) {
+    if (infe.type !== 'infe') continue;
+    const v = buf[infe.body];
+    if (v < 2) continue;
+    let o = infe.body + 4;
+    const id = v === 2 ? buf.readUInt16BE(o) : buf.readUInt32BE(o);
+    o += (v === 2 ? 2 : 4) + 2;
+    const itemType = buf.subarray(o, o + 4).toString('latin1');
+    o += 4;
+    if (itemType === 'Exif') { targets.add(id); continue; }
+    if (itemType === 'mime') {
+      const [, afterName] = cstr(buf, o, infe.end);
+      const [contentType] = cstr(buf, afterName, infe.end);
+      if (/rdf\+xml|xmp/i.test(contentType)) targets.add(id);
+    }
+  }
+  if (!targets.size) return { bytes: buf, stripped:false };
+
+  const v = buf[iloc.body];
+  let o = iloc.body + 4;
+  const offsetSize = buf[o] >> 4, lengthSize = buf[o] & 15;
+  const baseSize = buf[o + 1] >> 4, indexSize = v === 1 || v === 2 ? buf[o + 1] & 15 : 0;
+  o += 2;
+  const count = v < 2 ? buf.readUInt16BE(o) : buf.readUInt32BE(o);
+  o += v < 2 ? 2 : 4;
+
+  let stripped = false;
+  for (let i = 0; i < count && o < iloc.end; i++) {
+    const id = v < 2 ? buf.readUInt16BE(o) : buf.readUInt32BE(o);
+    o += v < 2 ? 2 : 4;
+    let method = 0;
+    if (v === 1 || v === 2) { method = buf.readUInt16BE(o) & 15; o += 2; }
+    o += 2; // data_reference_index
+    const base = readN(buf, o, baseSize); o += baseSize;
+    const extents = buf.readUInt16BE(o); o += 2;
+    for (let e = 0; e < extents; e++) {
+      o += indexSize;
+      const off = readN(buf, o, offsetSize); o += offsetSize;
+      const len = readN(buf, o, lengthSize); o += lengthSize;
+      // construction method 0 = offsets into the file
+      if (targets.has(id) && method === 0 && len > 0 && base + off + len <= buf.length) {
+        buf.fill(0, base + off, base + off + len);
+        stripped = true;
+      }
+    }
+  }
+  return { bytes: buf, stripped };
+}
+
+/* ---------- Pipeline ---------- */
+const reject = (result, code, error) => ({ ok:false, result:{ ...result, ok:false, code, error } });
+
+const tooLarge = (result, rule) => reject(result, 'too_large', `file is larger than ${Math.round(rule.maxBytes / 1024)} KB`);
+const blankResult = (kind, field, declaredType) => ({ field, kind, ok:false, type:null, declared_type: declaredType || null,
+  original_bytes:0, bytes:0, width:null, height:null, downscaled:false, metadata_stripped:false });
+
+// Base64 data URL → bytes through processBytes.
+// → { ok:true, bytes, contentType, result } | { ok:false, result }
+export async function processUpload(dataUrl, { kind, field = null } = {}){
+  const rule = uploadRule(kind);
+  const m = String(dataUrl || '').match(/^data:([^;,]*)(;base64)?,/);
+  const result = blankResult(kind, field, m?.[1]);
+  if (!m || !m[2]) return reject(result, 'invalid_data_url', 'expected a base64 data URL');
+
+  const b64Len = String(dataUrl).length - m[0].length;
+  if (Math.floor(b64Len * 3 / 4) > rule.maxBytes + 2) {
+    result.original_bytes = Math.floor(b64Len * 3 / 4);
+    return tooLarge(result, rule);
+  }
+  return processBytes(Buffer.from(String(dataUrl).slice(m[0].length), 'base64'), { kind, field, declaredType: m[1] });
+}
+
+// Raw bytes (multipart upload, decoded data URL) through the pipeline.
+// → { ok:true, bytes, contentType, result } | { ok:false, result }
+export async function processBytes(input, { kind, field = null, declaredType = null } = {}){
+  const rule = uploadRule(kind);
+  const result = blankResult(kind, field, declaredType);
+  result.original_bytes = input?.length || 0;
+  if (!input?.length) return reject(result, 'empty_file', 'file is empty');
+  if (input.length > rule.maxBytes) return tooLarge(result, rule);
+
+  const type = sniffType(input);
+  result.type = type;
+  if (!type || !rule.types.includes(type)) {
+    return reject(result, 'unsupported_type', `allowed types: ${rule.types.map(t => t.split('/')[1].toUpperCase()).join(', ')}`);
+  }
+
+  let bytes = input;
+  if (type === 'image/heic') {
+    if (rule.stripMetadata) {
+      const s = scrubHeifMetadata(input);
+      bytes = s.bytes;
+      result.metadata_stripped = s.stripped;
+    }
+  } else if (type !== 'application/pdf') {
+    let meta;
+    try { meta = await sharp(input).metadata(); }
+    catch(_){ return reject(result, 'corrupt_image', 'image could not be read'); }
+    // EXIF orientation 5–8 means width/height are swapped on display
+    const swap = (meta.orientation || 1) >= 5;
+    let width = swap ? meta.height : meta.width;
+    let height = swap ? meta.width : meta.height;
+    const tooBig = rule.maxDimension && Math.max(width, height) > rule.maxDimension;
+    const hasMeta = !!(meta.exif || meta.xmp || meta.iptc || (meta.orientation && meta.orientation !== 1));
+
+    if (tooBig || (rule.stripMetadata && hasMeta)) {
+      // sharp drops all metadata unless asked to keep it; rotate() bakes in the orientation first
+      let img = sharp(input).rotate();
+      if (tooBig) img = img.resize({ width: rule.maxDimension, height: rule.maxDimension, fit:'inside', withoutEnlargement:true });
+      img = type === 'image/png' ? img.png({ compressionLevel:9 }) : img.jpeg({ quality:85, mozjpeg:true });
+      const out = await img.toBuffer({ resolveWithObject:true });
+      bytes = out.data;
+      width = out.info.width;
+      height = out.info.height;
+      result.downscaled = !!tooBig;
+      result.metadata_stripped = hasMeta;
+    }
+    result.width = width;
+    result.height = height;
+  }
+
+  result.ok = true;
+  result.bytes = bytes.length;
+  return { ok:true, bytes, contentType: type, result };
+}
@@ -0,0 +1,45 @@
+// /lib/retainer/validators.js
+
+export const isEmail      = s => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(s||'').toLowerCase());
+export const isPhoneLoose = s => String(s||'').replace(/[^\d+]/g,'').length >= 10; // 10+ digits
+export const isYMD        = s => /^\d{4}-\d{2}-\d{2}$/.test(String(s||''));
+export const nonBlank     = s => typeof s==='string' ? s.trim()!=='' : s!=null;
+
+export const normEmail = s => String(s||'').trim().toLowerCase();
+
+// USPS codes: the states, DC and the territories.
+export const US_STATES = [
+  'AL','AK','AZ','AR','CA','CO','CT','DE','DC','FL','GA','HI','ID','IL','IN','IA','KS','KY','LA','ME',
+  'MD','MA','MI','MN','MS','MO','MT','NE','NV','NH','NJ','NM','NY','NC','ND','OH','OK','OR','PA','RI',
+  'SC','SD','TN','TX','UT','VT','VA','WA','WV','WI','WY','AS','GU','MP','PR','VI',
+];
+
+/* ---------- Passwords ---------- */
+// Shopify caps passwords at 40 chars; our floor is stricter than its 5.
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', '1234567890', '12345678910', 'qwertyuiop',
+  'iloveyou123', 'letmein123', 'welcome123', 'abc1234567', 'retainer123', 'lawyer1234',
+]);
+
+// → null when acceptable, else a plain-English reason. `personal` holds
+// strings the password must not be built from (email, first/last name).
+export function passwordProblem(password, personal = {}){
+  const pw = String(password || '');
+  if (pw.length < 10) return 'Password must be at least 10 characters.';
+  if (pw.length > 40) return 'Password must be at most 40 characters.';
+  if (/^(.)\1+$/.test(pw)) return 'Password can’t be one repeated character.';
+
+  const lower = pw.toLowerCase();
+  if (COMMON_PASSWORDS.has(lower)) return 'That password is too common.';
+
+  const classes = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter(re => re.test(pw)).length;
+  if (pw.length < 16 && classes < 3) return 'Use at least three of: lowercase, uppercase, numbers, symbols (or 16+ characters).';
+
+  const bits = [
+    String(personal.email || '').split('@')[0],
+    personal.first_name,
+    personal.last_name,
+  ].map(s => String(s || '').trim().toLowerCase()).filter(s => s.length >= 3);
+  if (bits.some(b => lower.includes(b))) return 'Password can’t contain your name or email.';
+  return null;
+}
@@ -0,0 +1,82 @@
+// /lib/retainer/vin-wmi.js
+// Bundled World Manufacturer Identifier table for vin.js: VIN positions 1–3 →
+// the manufacturer and the makes sold under that code. Covers the passenger
+// vehicles and light trucks our clients drive; a WMI that isn't listed still
+// decodes its region and model year, it just gets no make check.
+//
+// Group codes that build several brands (Stellantis, GM) list every make, so
+// any of them counts as a match.
+
+const w = (manufacturer, makes, codes) => codes.split(' ').map(code => [code, { manufacturer, makes }]);
+
+const FCA = ['Chrysler', 'Dodge', 'Jeep', 'Ram', 'Fiat'];
+
+export const WMI = Object.fromEntries([
+  // North America
+  ...w('Ford',            ['Ford'],                 '1FA 1FB 1FC 1FD 1FM 1FT 1FV 2FA 2FM 2FT 3FA 3FM 3FT NM0'),
+  ...w('Lincoln',         ['Lincoln'],              '1LN 2LM 3LN 5LM'),
+  ...w('Chevrolet',       ['Chevrolet'],            '1G1 1GC 1GN 2G1 2GN 3G1 3GC 3GN KL8'),
+  ...w('GMC',             ['GMC'],                  '1GD 1GK 1GT 2GK 2GT 3GK 3GT'),
+  ...w('Buick',           ['Buick'],                '1G4 2G4 5GA KL4'),
+  ...w('Cadillac',        ['Cadillac'],             '1G6 1GY'),
+  ...w('General Motors',  ['Chevrolet', 'GMC', 'Buick', 'Cadillac', 'Pontiac', 'Saturn'], '1GM 2G2 5GZ'),
+  ...w('Stellantis',      FCA,                      '1C3 1C4 1C6 1C8 2C3 2C4 3C3 3C4 3C6 3C7 1B3 1B7 1D7 2B3 2D4 3D7 ZAC'),
+  ...w('Jeep',            ['Jeep'],                 '1J4 1J8'),
+  ...w('Tesla',           ['Tesla'],                '5YJ 7SA 7G2 LRW XP7'),
+  ...w('Harley-Davidson', ['Harley-Davidson'],      '1HD'),
+  // Japan (and their North American plants)
+  ...w('Toyota',          ['Toyota'],               'JTD JTE JTK JTM JTN JT2 JT3 4T1 4T3 4T4 5TD 5TF 2T1 2T3 3TM 3TY'),
+  ...w('Lexus',           ['Lexus'],                'JTH JTJ 2T2 58A'),
+  ...w('Honda',           ['Honda'],                'JHM 1HG 2HG 5FN 5J6 19X 3HG SHH SHS'),
+  ...w('Acura',           ['Acura'],                'JH4 19U 5J8'),
+  ...w('Nissan',          ['Nissan'],               'JN1 JN8 1N4 1N6 3N1 3N6 5N1'),
+  ...w('Infiniti',        ['Infiniti'],             'JNK 5N3'),
+  ...w('Mazda',           ['Mazda'],                'JM1 JM3 JMZ 3MZ 3MV 4F2 7MM'),
+  ...w('Subaru',          ['Subaru'],               'JF1 JF2 4S3 4S4'),
+  ...w('Mitsubishi',      ['Mitsubishi'],           'JA3 JA4 ML3 4A3 4A4'),
+  ...w('Suzuki',          ['Suzuki'],               'JS1 JS2 JS3'),
+  ...w('Yamaha',          ['Yamaha'],               'JYA'),
+  ...w('Kawasaki',        ['Kawasaki'],             'JKA'),
+  // Korea
+  ...w('Hyundai',         ['Hyundai'],              'KMH KM8 5NP 5NM'),
+  ...w('Genesis',         ['Genesis'],              'KMT'),
+  ...w('Kia',             ['Kia'],                  'KNA KND 5XX 5XY 3KP'),
+  // Europe
+  ...w('BMW',             ['BMW'],                  'WBA WBS WBY 5UX 5YM 4US'),
+  ...w('MINI',            ['MINI'],                 'WMW'),
+  ...w('Mercedes-Benz',   ['Mercedes-Benz'],        'WDB WDC WDD WDF W1K W1N W1V 4JG 55S'),
+  ...w('smart',           ['smart'],                'WME'),
+  ...w('Volkswagen',      ['Volkswagen'],           'WVW WVG WV1 WV2 1VW 3VW'),
+  ...w('Audi',            ['Audi'],                 'WAU WA1 WUA'),
+  ...w('Porsche',         ['Porsche'],              'WP0 WP1'),
+  ...w('Volvo',           ['Volvo'],                'YV1 YV4 7JR LVY'),
+  ...w('Polestar',        ['Polestar'],             'LPS'),
+  ...w('Jaguar',          ['Jaguar'],               'SAJ'),
+  ...w('Land Rover',      ['Land Rover'],           'SAL'),
+  ...w('Fiat',            ['Fiat'],                 'ZFA'),
+  ...w('Alfa Romeo',      ['Alfa Romeo'],           'ZAR'),
+  ...w('Ferrari',         ['Ferrari'],              'ZFF'),
+  ...w('Maserati',        ['Maserati'],             'ZAM'),
+]);
+
+// First two VIN characters → where the vehicle was built.
+export const REGIONS = [
+  [/^[145]/,      'United States'],
+  [/^2/,          'Canada'],
+  [/^3[A-W]/,     'Mexico'],
+  [/^J/,          'Japan'],
+  [/^K[L-R]/,     'South Korea'],
+  [/^L/,          'China'],
+  [/^S[A-M]/,     'United Kingdom'],
+  [/^V[F-R]/,     'France'],
+  [/^V[S-W]/,     'Spain'],
+  [/^W/,          'Germany'],
+  [/^Y[A-E]/,     'Belgium'],
+  [/^Y[F-K]/,     'Finland'],
+  [/^Y[S-W]/,     'Sweden'],
+  [/^Z[A-R]/,     'Italy'],
+  [/^9[A-E3-9]/,  'Brazil'],
+  [/^6[A-W]/,     'Australia'],
+  [/^7[A-E]/,     'New Zealand'],
+  [/^7[F-Z0]/,    'United States'],
+];
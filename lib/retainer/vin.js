@@ -0,0 +1,116 @@
+// /lib/retainer/vin.js
+// Offline VIN checks for intake vehicles: format, the ISO 3779 / 49 CFR 565
+// check digit (position 9), the model year (position 10) and the
+// manufacturer from the WMI (positions 1–3, vin-wmi.js). No network lookups.
+//
+// The check digit is mandatory for vehicles built for North America and China
+// (VINs starting 1–5 or L); elsewhere position 9 is often a filler, so a
+// mismatch there is reported as check_digit "not_used" rather than rejected.
+//
+// decodeVehicle() adds what the VIN says to an intake vehicle:
+//
+//   vin_decoded   { wmi, manufacturer, region, model_year, check_digit }
+//   vin_mismatch  ['year', 'make'] — the typed year / make disagree with the
+//                 VIN; flagged for staff, not an error
+//
+// and fills a blank year / make from the VIN.
+
+import { WMI, REGIONS } from './vin-wmi.js';
+
+const VIN_RE = /^[A-HJ-NPR-Z0-9]{17}$/;   // no I, O or Q
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+const LETTER_VALUES = { A:1, B:2, C:3, D:4, E:5, F:6, G:7, H:8, J:1, K:2, L:3, M:4, N:5, P:7, R:9, S:2, T:3, U:4, V:5, W:6, X:7, Y:8, Z:9 };
+// Position 10 → model year in the 1980–2009 cycle; the code repeats every 30 years.
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+
+export const normalizeVin = s => String(s || '').toUpperCase().replace(/[\s-]/g, '');
+
+const checkDigitRequired = vin => /^[1-5L]/.test(vin);
+
+export function vinCheckDigit(vin){
+  let sum = 0;
+  for (let i = 0; i < 17; i++) {
+    const ch = vin[i];
+    sum += (/\d/.test(ch) ? Number(ch) : LETTER_VALUES[ch]) * WEIGHTS[i];
+  }
+  const r = sum % 11;
+  return r === 10 ? 'X' : String(r);
+}
+
+// → { ok:true, vin, check_digit: 'valid'|'not_used' } | { ok:false, code, message }
+export function checkVin(raw){
+  const vin = normalizeVin(raw);
+  if (vin.length !== 17) return { ok:false, code:'invalid_format', message:'VIN must be 17 characters.' };
+  if (!VIN_RE.test(vin)) return { ok:false, code:'invalid_format', message:'VIN can only contain letters and digits, without I, O or Q.' };
+  if (vinCheckDigit(vin) === vin[8]) return { ok:true, vin, check_digit:'valid' };
+  if (checkDigitRequired(vin)) return { ok:false, code:'invalid_check_digit', message:'VIN check digit doesn\'t match; please re-check the VIN.' };
+  return { ok:true, vin, check_digit:'not_used' };
+}
+
+// Candidate model years for position 10, newest first, at most next year.
+// North American VINs tell the cycle apart by position 7: a letter means
+// 2010 or later.
+export function modelYears(vin, { maxYear = new Date().getUTCFullYear() + 1 } = {}){
+  const i = YEAR_CODES.indexOf(vin[9]);
+  if (i < 0) return [];
+  const years = [];
+  for (let y = 1980 + i; y <= maxYear; y += 30) years.push(y);
+  if (/^[1-5]/.test(vin)) {
+    const late = /[A-Z]/.test(vin[6]);
+    return years.filter(y => (late ? y >= 2010 : y < 2010)).reverse();
+  }
+  return years.reverse();
+}
+
+const regionOf = vin => REGIONS.find(([re]) => re.test(vin.slice(0, 2)))?.[1] || null;
+
+// Checked VIN → { wmi, manufacturer, makes, region, model_year, check_digit }.
+// typedYear picks between model-year cycles when both are possible.
+export function decodeVin(vin, { typedYear = null, checkDigit = 'valid' } = {}){
+  const wmi = vin.slice(0, 3);
+  const known = WMI[wmi] || null;
+  const years = modelYears(vin);
+  return {
+    wmi,
+    manufacturer: known?.manufacturer || null,
+    makes: known?.makes || [],
+    region: regionOf(vin),
+    model_year: years.includes(typedYear) ? typedYear : years[0] ?? null,
+    check_digit: checkDigit,
+  };
+}
+
+/* ---------- Makes ---------- */
+const MAKE_ALIASES = { chevy:'chevrolet', vw:'volkswagen', mercedes:'mercedesbenz', benz:'mercedesbenz', landrover:'landrover', rangerover:'landrover', alfa:'alfaromeo', harley:'harleydavidson' };
+const makeKey = s => { const k = String(s || '').toLowerCase().replace(/[^a-z]/g, ''); return MAKE_ALIASES[k] || k; };
+
+export const makeMatches = (typed, makes) => makes.some(m => makeKey(m) === makeKey(typed));
+
+/* ---------- Intake vehicles ---------- */
+// A vehicle whose VIN has already passed checkVin (validateIntake), or one
+// straight from checkout (strict:false), where a bad VIN is kept as typed and
+// marked with vin_error instead.
+export function decodeVehicle(v, { strict = true } = {}){
+  const { vin_decoded, vin_mismatch, vin_error, ...vehicle } = v || {};
+  if (!vehicle.vin) return vehicle;
+  const chk = checkVin(vehicle.vin);
+  if (!chk.ok) {
+    if (strict) throw new Error(`decodeVehicle: ${chk.message}`);
+    return { ...vehicle, vin: normalizeVin(vehicle.vin), vin_error: chk.code };
+  }
+
+  const typedYear = Number.isInteger(Number(vehicle.year)) && vehicle.year !== '' && vehicle.year != null ? Number(vehicle.year) : null;
+  const { makes, ...decoded } = decodeVin(chk.vin, { typedYear, checkDigit: chk.check_digit });
+  const mismatch = [];
+  if (typedYear != null && decoded.model_year != null && typedYear !== decoded.model_year) mismatch.push('year');
+  if (vehicle.make && makes.length && !makeMatches(vehicle.make, makes)) mismatch.push('make');
+
+  return {
+    ...vehicle,
+    vin: chk.vin,
+    year: typedYear ?? decoded.model_year ?? vehicle.year,
+    make: vehicle.make || (makes.length === 1 ? makes[0] : vehicle.make),
+    vin_decoded: decoded,
+    ...(mismatch.length ? { vin_mismatch: mismatch } : {}),
+  };
+}
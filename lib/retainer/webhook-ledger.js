@@ -0,0 +1,133 @@
+// /lib/retainer/webhook-ledger.js
+// Ledger of Shopify webhook deliveries, keyed by X-Shopify-Webhook-Id, so
+// retries and replays are skipped and create/paid pairs don't redo work.
+//
+// Row: { webhook_id, topic, order_id, status, attempts, error,
+//        received_at, finished_at, duration_ms }
+// status: processing → processed | skipped | failed
+//
+// Drivers: Supabase (table WEBHOOK_LEDGER_TABLE, default "webhook_events")
+// and in-memory for tests/local runs. Pick with WEBHOOK_LEDGER=supabase|memory;
+// default is Supabase when it is configured.
+
+import { env, getConfig } from './config.js';
+import { getSupabase } from './supabase.js';
+
+// A "processing" row older than this is treated as a crashed attempt.
+const STALE_MS = 5 * 60 * 1000;
+
+const nowIso = () => new Date().toISOString();
+const isStale = row => row.status === 'processing' && Date.now() - Date.parse(row.received_at) > STALE_MS;
+
+// Decide what to do with a delivery whose id is already in the ledger.
+function replayVerdict(row){
+  if (row.status === 'processed' || row.status === 'skipped') return { claimed:false, reason:'duplicate', row };
+  if (row.status === 'processing' && !isStale(row))          return { claimed:false, reason:'in_progress', row };
+  return null; // failed or stale → retry
+}
+
+/* ---------- In-memory driver ---------- */
+export function memoryLedger(){
+  const rows = new Map();
+
+  return {
+    rows,
+
+    async claim({ webhookId, topic, orderId }){
+      const prev = rows.get(webhookId);
+      if (prev) {
+        const verdict = replayVerdict(prev);
+        if (verdict) return verdict;
+      }
+      const row = {
+        webhook_id: webhookId, topic, order_id: orderId ?? null,
+        status:'processing', attempts:(prev?.attempts || 0) + 1, error:null,
+        received_at: nowIso(), finished_at:null, duration_ms:null,
+      };
+      rows.set(webhookId, row);
+      return { claimed:true, row };
+    },
+
+    async finish(webhookId, { status, error = null, durationMs = null }){
+      const row = rows.get(webhookId);
+      if (row) Object.assign(row, { status, error, finished_at: nowIso(), duration_ms: durationMs });
+    },
+
+    async hasProcessed(orderId, topic){
+      for (const r of rows.values()) if (r.order_id === orderId && r.topic === topic && r.status === 'processed') return true;
+      return false;
+    },
+  };
+}
+
+/* ---------- Supabase driver ---------- */
+export function supabaseLedger(table = env('WEBHOOK_LEDGER_TABLE') || 'webhook_events'){
+  const db = () => getSupabase().from(table);
+
+  return {
+    async claim({ webhookId, topic, orderId }){
+      const row = {
+        webhook_id: webhookId, topic, order_id: orderId ?? null,
+        status:'processing', attempts:1, error:null,
+        received_at: nowIso(), finished_at:null, duration_ms:null,
+      };
+      const { error } = await db().insert(row);
+      if (!error) return { claimed:true, row };
+      if (error.code !== '23505') throw new Error(`webhook ledger insert: ${error.message}`); // 23505 = unique_violation
+
+      const { data: prev, error: selErr } = await db().select('*').eq('webhook_id', webhookId).maybeSingle();
+      if (selErr) throw new Error(`webhook ledger read: ${selErr.message}`);
+      if (!prev) return { claimed:false, reason:'in_progress', row:null };
+      const verdict = replayVerdict(prev);
+      if (verdict) return verdict;
+
+      // Retry of a failed/stale attempt. Conditional on the status we saw so two
+      // concurrent retries can't both win.
+      const next = { ...row, attempts:(prev.attempts || 0) + 1 };
+      const { data: won, error: updErr } = await db()
+        .update(next)
+        .eq('webhook_id', webhookId)
+        .eq('status', prev.status)
+        .eq('attempts', prev.attempts)
+        .select('webhook_id');
+      if (updErr) throw new Error(`webhook ledger retry: ${updErr.message}`);
+      return won?.length ? { claimed:true, row:next } : { claimed:false, reason:'in_progress', row:prev };
+    },
+
+    async finish(webhookId, { status, error = null, durationMs = null }){
+      const { error: updErr } = await db()
+        .update({ status, error, finished_at: nowIso(), duration_ms: durationMs })
+        .eq('webhook_id', webhookId);
+      if (updErr) console.error('webhook ledger finish failed', webhookId, updErr.message);
+    },
+
+    async hasProcessed(orderId, topic){
+      const { data, error } = await db()
+        .select('webhook_id')
+        .eq('order_id', orderId)
+        .eq('topic', topic)
+        .eq('status', 'processed')
+        .limit(1);
+      if (error) throw new Error(`webhook ledger read: ${error.message}`);
+      return !!data?.length;
+    },
+  };
+}
+
+/* ---------- Driver selection ---------- */
+let ledger = null;
+
+export function setWebhookLedger(l){ ledger = l; }
+
+export function getWebhookLedger(){
+  if (ledger) return ledger;
+  const { supabaseUrl, supabaseKey } = getConfig();
+  const driver = env('WEBHOOK_LEDGER') || (supabaseUrl && supabaseKey ? 'supabase' : 'memory');
+  if (driver === 'memory') {
+    console.warn('[webhook-ledger] using in-memory ledger; deliveries are only deduplicated per instance');
+    ledger = memoryLedger();
+  } else {
+    ledger = supabaseLedger();
+  }
+  return ledger;
+}
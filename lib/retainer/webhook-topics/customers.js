@@ -0,0 +1,50 @@
+// /lib/retainer/webhook-topics/customers.js
+// customers/update → re-sync the client's Supabase retainer record from the
+// Shopify customer (name/email from the payload, intake primitives from the
+// retainer.* metafields). Customers without a record are ignored. An email
+// change moves the client's household / vehicle rows with it (coverage.js).
+
+import { getConfig } from '../config.js';
+import { getSupabase } from '../supabase.js';
+import { getRetainerMetafields } from '../metafields.js';
+import { findRetainerRecord, auditRecordWrite } from '../records.js';
+import { syncRecordEntities } from '../coverage.js';
+import { phoneDigits } from '../phone.js';
+
+const customerGidOf = id => `gid://shopify/Customer/${id}`;
+
+async function syncCustomer(customer){
+  const customerGid = customerGidOf(customer.id);
+  const email = String(customer.email || '').trim().toLowerCase() || null;
+
+  const record = await findRetainerRecord({ customerGid, email });
+  if (!record) return [];
+
+  const mf = await getRetainerMetafields(customerGid);
+  const fullName = [customer.first_name, customer.last_name].filter(Boolean).join(' ').trim();
+
+  const patch = {
+    shopify_customer_id: customerGid,
+    updated_at: new Date().toISOString(),
+  };
+  if (email)    patch.email = email;
+  if (fullName) patch.full_name = fullName;
+  if (mf.dob?.value)        patch.dob = mf.dob.value;
+  if (mf.insurer?.value)    patch.insurer = mf.insurer.value;
+  if (mf.has_bi?.value)     patch.has_bi = mf.has_bi.value === 'true';
+  if (mf.cars_count?.value) patch.cars_count = Number(mf.cars_count.value);
+  if (mf.phone_digits?.value) patch.phone_digits = phoneDigits(mf.phone_digits.value);   // older values lack the country code
+
+  const { error } = await getSupabase()
+    .from(getConfig().retainerTable)
+    .update(patch)
+    .eq('email', record.email);
+  if (error) throw new Error(`retainer record update: ${error.message}`);
+  await auditRecordWrite(record, { ...record, ...patch });
+  await syncRecordEntities(record, { ...record, ...patch });
+  return [];
+}
+
+export const CUSTOMER_TOPICS = {
+  'customers/update': { run: syncCustomer },
+};
@@ -0,0 +1,121 @@
+// /lib/retainer/webhook-topics/gdpr.js
+// Mandatory privacy webhooks. Every request is logged to GDPR_TABLE
+// (default "gdpr_requests") so there is a record of what was asked and done.
+//
+//   customers/data_request → snapshot the client's retainer record, document
+//                            list, signature evidence, incident reports,
+//                            retainer status changes, renewal notices and
+//                            change history for the merchant to send on
+//                            (status "pending_review")
+//   customers/redact       → delete the retainer record with its household /
+//                            vehicle rows, legacy signature files, the client's
+//                            private documents (incident photos included),
+//                            signature evidence, incident reports, status
+//                            changes, notices, audit log entries and queued /
+//                            finished jobs
+//   shop/redact            → delete every retainer record, household / vehicle
+//                            row, document, signature event, incident report,
+//                            status change, notice, audit log entry and job for
+//                            this shop
+
+import { env, getConfig } from '../config.js';
+import { getSupabase } from '../supabase.js';
+import { findRetainerRecord } from '../records.js';
+import { listDocuments, allDocuments, removeDocuments } from '../documents.js';
+import { listSignatureEvents, allSignatureEvents, removeSignatureEvents } from '../signatures.js';
+import { listAuditEntries, removeAuditEntries, removeAllAuditEntries } from '../audit.js';
+import { removeJobs, removeAllJobs } from '../jobs.js';
+import { listIncidents, allIncidents, removeIncidents } from '../incidents.js';
+import { removeEntities } from '../coverage.js';
+import { listSweeperRows, removeSweeperRows } from '../sweeper.js';
+
+const gdprTable = () => env('GDPR_TABLE') || 'gdpr_requests';
+const customerGidOf = id => (id ? `gid://shopify/Customer/${id}` : null);
+
+async function logRequest(topic, payload, { status, data = null }){
+  const { error } = await getSupabase().from(gdprTable()).insert({
+    topic,
+    shop_domain: payload.shop_domain || null,
+    shopify_customer_id: customerGidOf(payload.customer?.id),
+    email: payload.customer?.email ? String(payload.customer.email).toLowerCase() : null,
+    payload,
+    data,
+    status,
+    received_at: new Date().toISOString(),
+  });
+  if (error) throw new Error(`gdpr log insert: ${error.message}`);
+}
+
+async function removeRecords(rows){
+  if (!rows.length) return 0;
+  const { retainerTable, signaturesBucket } = getConfig();
+  const supabase = getSupabase();
+
+  const paths = rows.map(r => r.signature_path).filter(Boolean);
+  if (paths.length) {
+    const { error } = await supabase.storage.from(signaturesBucket).remove(paths);
+    if (error) throw new Error(`signature delete: ${error.message}`);
+  }
+  const { error } = await supabase.from(retainerTable).delete().in('email', rows.map(r => r.email));
+  if (error) throw new Error(`retainer record delete: ${error.message}`);
+  return rows.length;
+}
+
+const who = p => ({ customerGid: customerGidOf(p.customer?.id), email: p.customer?.email });
+const forCustomer = p => findRetainerRecord(who(p));
+
+export const GDPR_TOPICS = {
+  'customers/data_request': {
+    run: async (p) => {
+      const record = await forCustomer(p);
+      // Paths only; staff issue signed links when they send the export.
+      const documents = (await listDocuments(who(p))).map(d => ({ kind:d.kind, path:d.path, sha256:d.sha256, created_at:d.created_at }));
+      const signature_events = await listSignatureEvents(who(p));
+      const incidents = await listIncidents(who(p));
+      const { transitions: status_changes, notices } = await listSweeperRows(who(p));
+      const history = (await listAuditEntries(who(p), { limit: 1000 })).map(({ before, after, ...e }) => e);
+      await logRequest('customers/data_request', p, { status:'pending_review', data:{ retainer_record: record, documents, signature_events, incidents, status_changes, notices, history } });
+      return [];
+    },
+  },
+
+  'customers/redact': {
+    run: async (p) => {
+      const record = await forCustomer(p);
+      const entities = record ? await removeEntities({ email: record.email }) : { household_members:0, vehicles:0 };
+      const removed = await removeRecords(record ? [record] : []);
+      const documents = await removeDocuments(await listDocuments(who(p)));
+      const signature_events = await removeSignatureEvents(await listSignatureEvents(who(p)));
+      const incidents = await removeIncidents(await listIncidents(who(p)));
+      const { transitions: status_changes, notices } = await removeSweeperRows(who(p));
+      const audit_entries = await removeAuditEntries(who(p));
+      const jobs = await removeJobs(who(p));
+      await logRequest('customers/redact', p, { status:'completed', data:{ removed, ...entities, documents, signature_events, incidents, status_changes, notices, audit_entries, jobs } });
+      return [];
+    },
+  },
+
+  'shop/redact': {
+    run: async (p) => {
+      // Guard against a payload for some other shop wiping this one.
+      if (p.shop_domain && p.shop_domain !== getConfig().shop) {
+        await logRequest('shop/redact', p, { status:'ignored', data:{ reason:'shop mismatch' } });
+        return [];
+      }
+      const { data: rows, error } = await getSupabase()
+        .from(getConfig().retainerTable)
+        .select('email, signature_path');
+      if (error) throw new Error(`retainer record read: ${error.message}`);
+      const entities = await removeEntities();
+      const removed = await removeRecords(rows || []);
+      const documents = await removeDocuments(await allDocuments());
+      const signature_events = await removeSignatureEvents(await allSignatureEvents());
+      const incidents = await removeIncidents(await allIncidents());
+      const { transitions: status_changes, notices } = await removeSweeperRows();
+      const audit_entries = await removeAllAuditEntries();
+      const jobs = await removeAllJobs();
+      await logRequest('shop/redact', p, { status:'completed', data:{ removed, ...entities, documents, signature_events, incidents, status_changes, notices, audit_entries, jobs } });
+      return [];
+    },
+  },
+};
@@ -0,0 +1,12 @@
+// /lib/retainer/webhook-topics/index.js
+// Every Shopify topic the retainer backend subscribes to.
+
+import { ORDER_TOPICS } from './orders.js';
+import { CUSTOMER_TOPICS } from './customers.js';
+import { GDPR_TOPICS } from './gdpr.js';
+
+export const WEBHOOK_TOPICS = {
+  ...ORDER_TOPICS,
+  ...CUSTOMER_TOPICS,
+  ...GDPR_TOPICS,
+};
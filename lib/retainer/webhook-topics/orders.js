@@ -0,0 +1,276 @@
+// /lib/retainer/webhook-topics/orders.js
+// orders/create, orders/paid, orders/cancelled, refunds/create.
+//
+// orders/create copies the checkout intake onto the order and, when it was
+// signed at checkout, generates the signed agreement PDF for it
+// (agreement.js), linked as retainer.agreement_pdf
+// on both the order and the customer; orders/paid makes
+// it the customer's current retainer (current_* + current_retainer_order,
+// plus retainer_start/_end/_status derived from the paid date and term);
+// a cancellation or full refund of THAT order clears current_* and sets
+// retainer_status, so a lapsed client no longer shows a live plan.
+//
+// The lifecycle is mirrored onto the client's retainer_records row
+// (retainer_plan/_term/_order/_start/_end/_status) so the expiry sweeper can
+// query it without walking every Shopify customer.
+
+import { adminGql, findCustomerByEmail } from '../shopify.js';
+import { deriveLifecycle, lifecycleMetafields } from '../lifecycle.js';
+import { upsertRecordFields } from '../records.js';
+import { pushDocuments } from '../documents.js';
+import { generateAgreement } from '../agreement.js';
+import { setAuditSubject } from '../audit.js';
+import { householdLines, vehicleLines } from '../intake-schema.js';
+import { decodeVehicle } from '../vin.js';
+import {
+  pushSL, pushML, pushDT, pushBL, pushNI, pushJSON, pushLIST, pushFILE,
+  setMetafields, deleteMetafields, getRetainerMetafields,
+} from '../metafields.js';
+
+const Q = {
+  orderStatus: `query($id:ID!){
+    order(id:$id){ id displayFinancialStatus cancelledAt customer{ id } }
+  }`,
+};
+
+const CURRENT_KEYS = ['current_retainer_plan', 'current_retainer_term', 'current_retainer_order'];
+
+const orderGidOf = id => `gid://shopify/Order/${id}`;
+
+// helpers
+function pullAttrs(order){ const m={}; for (const na of order.note_attributes||[]) if (na?.name) m[na.name]=na.value; return m; }
+function pullProps(order){
+  const m={};
+  for (const li of order.line_items||[]) for (const p of li.properties||[])
+    if (p?.name && p.value!=null && String(p.value).trim()!=='') m[p.name]=p.value;
+  return m;
+}
+
+// Order note attributes / line-item properties → normalized intake values
+export function readIntake(order){
+  const attrs = pullAttrs(order);
+  const props = pullProps(order);
+
+  // JSON blobs coming from checkout
+  let household = []; let vehicles = [];
+  try { household = JSON.parse(props.intake_household_json || '[]'); } catch(_){}
+  try { vehicles  = JSON.parse(props.intake_vehicles_json  || '[]'); } catch(_){}
+  // Checkout doesn't validate; a bad VIN is kept and marked (vin.js).
+  vehicles = (Array.isArray(vehicles) ? vehicles : []).filter(v => v && typeof v === 'object').map(v => decodeVehicle(v, { strict:false }));
+
+  // Values (props override attrs)
+  return {
+    plan:    props.retainer_plan || attrs.retainer_plan || '',
+    term:    props.retainer_term || attrs.retainer_term || '',
+    sName:   props.signed_name   || attrs.retainer_signed_name || '',
+    sDate:   props.signed_date   || attrs.retainer_signed_date || '',
+    hasBI:   (props.intake_has_bi === 'yes') || (props.has_bi === 'true') || (attrs.retainer_has_bi === 'yes'),
+    insurer: props.intake_insurer || props.insurer || '',
+    dob:     props.intake_dob || props.dob || '',
+    cars:    props.intake_cars_count ?? props.cars_count ?? null,
+    notes:   props.intake_notes || '',
+    household,
+    vehicles,
+  };
+}
+
+// Also tags the audit entries of this delivery with the client.
+export async function resolveCustomerGid(order){
+  let gid = null;
+  if (order.customer?.id) gid = `gid://shopify/Customer/${order.customer.id}`;
+  else if (order.email) gid = (await findCustomerByEmail(order.email.toLowerCase()))?.id || null;
+  setAuditSubject({ customerGid: gid, email: order.email || null });
+  return gid;
+}
+
+/* ---------- orders/create: signed agreement for the order ---------- */
+// → { ok, doc, pointer } | null when skipped. Once per order: a retried
+// delivery keeps the agreement it already has. Only an order signed at
+// checkout (signed name and date) gets one; the signature on file alone
+// doesn't sign a later order.
+async function orderAgreement(order, intake, customerGid){
+  const orderGid = orderGidOf(order.id);
+  if (!intake.sName || !intake.sDate) return null;
+  if ((await getRetainerMetafields(orderGid)).agreement_pdf) return null;
+  const c = order.customer || {};
+  try {
+    const a = await generateAgreement({
+      customerGid, email: order.email || c.email || '', source: orderGid,
+      data: {
+        name: [c.first_name, c.last_name].filter(Boolean).join(' ') || order.billing_address?.name || '',
+        dob: intake.dob, insurer: intake.insurer, has_bi: intake.hasBI,
+        plan: intake.plan, term: intake.term,
+        household: intake.household, vehicles: intake.vehicles,
+        signed_name: intake.sName, signed_date: intake.sDate,
+      },
+    });
+    if (!a.ok) console.warn('order agreement skipped', orderGid, a.error);
+    return a.ok ? a : null;
+  } catch (e) {
+    console.error('order agreement failed', orderGid, e);
+    return null;
+  }
+}
+
+/* ---------- orders/create: intake snapshot onto the order ---------- */
+export async function writeOrderIntake(order, intake, customerGid){
+  const orderGid = orderGidOf(order.id);
+
+  const mfs = [];
+  // core
+  pushSL(mfs, orderGid, 'plan', intake.plan);
+  pushSL(mfs, orderGid, 'term', intake.term);
+  pushBL(mfs, orderGid, 'bi_info', intake.hasBI);        // boolean (BI info)
+  pushSL(mfs, orderGid, 'insurer', intake.insurer);
+  pushNI(mfs, orderGid, 'cars_count', intake.cars);
+  pushDT(mfs, orderGid, 'dob', intake.dob);
+  pushSL(mfs, orderGid, 'signed_name', intake.sName);
+  pushDT(mfs, orderGid, 'signed_date', intake.sDate);
+
+  // pretty lines, same list type as on the customer
+  pushLIST(mfs, orderGid, 'household_list', householdLines(intake.household));
+  pushLIST(mfs, orderGid, 'vehicles_list',  vehicleLines(intake.vehicles));
+
+  // raw JSON (since you also have JSON defs)
+  pushJSON(mfs, orderGid, 'intake_household', intake.household);
+  pushJSON(mfs, orderGid, 'intake_vehicles',  intake.vehicles);
+
+  if (intake.notes) pushML(mfs, orderGid, 'intake_notes', String(intake.notes));
+
+  // copy the private document pointers Customer → Order; file_reference copies
+  // only exist for customers not yet run through migrate-private-documents.js
+  if (customerGid){
+    const byKey = await getRetainerMetafields(customerGid);
+    let documents = byKey.documents?.value || null;
+
+    const agreement = await orderAgreement(order, intake, customerGid);
+    if (agreement) {
+      documents = pushDocuments(mfs, customerGid, [agreement.doc], documents);
+      pushJSON(mfs, customerGid, 'agreement_pdf', agreement.pointer);
+      pushJSON(mfs, orderGid, 'agreement_pdf', agreement.pointer);
+    }
+
+    if (documents) pushJSON(mfs, orderGid, 'documents', documents);
+    pushFILE(mfs, orderGid, 'signature',       byKey.signature?.reference?.id || null);
+    pushFILE(mfs, orderGid, 'drivers_license', byKey.drivers_license?.reference?.id || null);
+    pushFILE(mfs, orderGid, 'car_insurance',   byKey.car_insurance?.reference?.id || null);
+  }
+
+  return setMetafields(mfs);
+}
+
+/* ---------- orders/paid: this order becomes the customer's retainer ---------- */
+async function writeCustomerRetainer(customerGid, order, intake){
+  // A paid order with a term we can't parse is still an active (open-ended) retainer.
+  const lc = deriveLifecycle({
+    paidAt: order.processed_at || order.created_at || new Date().toISOString(),
+    term: intake.term,
+    status: 'active',
+  });
+  // Orders carry the dates only; their own status key is set by cancel/refund.
+  const errs = await setMetafields(lifecycleMetafields(orderGidOf(order.id), { ...lc, retainer_status:null }));
+  if (!customerGid) return errs;
+
+  const cmf = [];
+  if (intake.plan) {
+    pushSL(cmf, customerGid, 'last_retainer_plan', intake.plan);
+    pushSL(cmf, customerGid, 'current_retainer_plan', intake.plan);
+  }
+  if (intake.term) {
+    pushSL(cmf, customerGid, 'last_retainer_term', intake.term);
+    pushSL(cmf, customerGid, 'current_retainer_term', intake.term);
+  }
+  if (!cmf.length) return errs;
+
+  pushSL(cmf, customerGid, 'current_retainer_order', orderGidOf(order.id));
+  cmf.push(...lifecycleMetafields(customerGid, lc));
+  errs.push(...await setMetafields(cmf));
+  if (errs.length) return errs;
+
+  await upsertRecordFields({ customerGid, email: order.email }, {
+    retainer_plan:   intake.plan || null,
+    retainer_term:   intake.term || null,
+    retainer_order:  orderGidOf(order.id),
+    retainer_start:  lc.retainer_start,
+    retainer_end:    lc.retainer_end,
+    retainer_status: lc.retainer_status,
+  });
+  return errs;
+}
+
+/* ---------- cancel / refund / expiry: end the retainer that came from this order ---------- */
+// Also used by the sweeper (status "expired"), which passes the customer's
+// current order for records that predate retainer_order.
+export async function endRetainer(orderGid, customerGid, status){
+  const errs = [];
+
+  if (orderGid) {
+    const omf = [];
+    pushSL(omf, orderGid, 'status', status);
+    errs.push(...await setMetafields(omf));
+  }
+
+  if (!customerGid) return errs;
+
+  // Only touch the customer if this order is the one they're currently on;
+  // a cancelled old order must not wipe out a newer paid retainer, and with
+  // no current order on file there is nothing to say it's this one.
+  if (!orderGid) return errs;
+  const current = await getRetainerMetafields(customerGid);
+  if (current.current_retainer_order?.value !== orderGid) return errs;
+
+  const cmf = [];
+  pushSL(cmf, customerGid, 'retainer_status', status);
+  errs.push(...await setMetafields(cmf));
+  errs.push(...await deleteMetafields(customerGid, CURRENT_KEYS));
+  if (errs.length) return errs;
+
+  await upsertRecordFields({ customerGid }, { retainer_status: status }, { create:false });
+  return errs;
+}
+
+/* ---------- Topics ---------- */
+export const ORDER_TOPICS = {
+  'orders/create': {
+    orderId: o => o.id,
+    run: async (order) => writeOrderIntake(order, readIntake(order), await resolveCustomerGid(order)),
+  },
+
+  // Backfills the order intake when the orders/create delivery never made it through.
+  'orders/paid': {
+    orderId: o => o.id,
+    run: async (order, { ledger }) => {
+      const intake = readIntake(order);
+      const customerGid = await resolveCustomerGid(order);
+      const errs = [];
+      if (!(await ledger.hasProcessed(String(order.id), 'orders/create'))) {
+        errs.push(...await writeOrderIntake(order, intake, customerGid));
+      }
+      errs.push(...await writeCustomerRetainer(customerGid, order, intake));
+      return errs;
+    },
+  },
+
+  'orders/cancelled': {
+    orderId: o => o.id,
+    run: async (order) => endRetainer(orderGidOf(order.id), await resolveCustomerGid(order), 'cancelled'),
+  },
+
+  // Refund payloads carry no customer and no totals; ask Shopify whether the
+  // order is now fully refunded. Partial refunds only mark the order.
+  'refunds/create': {
+    orderId: r => r.order_id,
+    run: async (refund) => {
+      const d = await adminGql(Q.orderStatus, { id: orderGidOf(refund.order_id) });
+      const order = d?.order;
+      if (!order) return [];
+      setAuditSubject({ customerGid: order.customer?.id || null });
+      if (order.displayFinancialStatus === 'REFUNDED') {
+        return endRetainer(order.id, order.customer?.id || null, 'refunded');
+      }
+      const omf = [];
+      pushSL(omf, order.id, 'status', 'partially_refunded');
+      return setMetafields(omf);
+    },
+  },
+};
@@ -0,0 +1,98 @@
+// /lib/retainer/webhooks.js
+// Shopify webhook plumbing: raw body, HMAC verify(), and a topic router that
+// runs every delivery through the webhook ledger.
+//
+// A topic is { orderId?(payload), run(payload, ctx) → userErrors[] }.
+// Status codes: 401 bad HMAC, 400 bad JSON, 409 same delivery in flight,
+// 503 throttled/Shopify down or the ledger unreachable, 500 an unreadable
+// body or anything else thrown; userErrors are recorded as failed and
+// acknowledged with 200 (retrying won't fix them).
+
+import crypto from 'node:crypto';
+import { getConfig } from './config.js';
+import { isRetryableShopifyError } from './shopify.js';
+import { getWebhookLedger } from './webhook-ledger.js';
+import { runAudited } from './audit.js';
+
+export async function rawBody(req){ const bufs=[]; for await (const c of req) bufs.push(c); return Buffer.concat(bufs); }
+
+export function verify(req, raw){
+  const sig = req.headers['x-shopify-hmac-sha256'] || '';
+  const secret = getConfig().webhookSecret;
+  if (!secret || !sig) return false;
+  const digest = crypto.createHmac('sha256', secret).update(raw).digest('base64');
+  const a = Buffer.from(digest); const b = Buffer.from(sig);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+export function createWebhookHandler(name, topics, { envError = null } = {}){
+  return async function handler(req, res){
+    if (req.method==='GET') return res.status(200).send('ok');
+    if (req.method!=='POST') return res.status(405).end();
+    if (envError) return res.status(500).send(envError);
+
+    // Nothing before the claim has written anything, so a failure there is
+    // answered in a way Shopify retries.
+    let raw;
+    try { raw = await rawBody(req); }
+    catch(e){
+      console.error(`${name} body read failed`, e);
+      return res.status(500).send('error');
+    }
+    if (!verify(req, raw)) return res.status(401).send('invalid hmac');
+
+    const topic     = String(req.headers['x-shopify-topic'] || '').toLowerCase();
+    const webhookId = String(req.headers['x-shopify-webhook-id'] || '') || null;
+    const def = topics[topic];
+    if (!def) return res.status(200).send('ignored topic');
+
+    let payload;
+    try { payload = JSON.parse(raw.toString('utf8')); }
+    catch(_){ return res.status(400).send('invalid json'); }
+
+    // Replays (same webhook id) are acknowledged without redoing the work.
+    const ledger = getWebhookLedger();
+    let claim;
+    try {
+      const orderId = def.orderId ? def.orderId(payload) : null;
+      claim = webhookId
+        ? await ledger.claim({ webhookId, topic, orderId: orderId == null ? null : String(orderId) })
+        : { claimed:true };
+    } catch(e){
+      console.error(`${name} ledger claim failed`, topic, webhookId, e);
+      return res.status(503).send('ledger unavailable');
+    }
+    if (!claim.claimed) {
+      // In-flight duplicate: ask Shopify to come back later in case the first attempt dies.
+      return claim.reason === 'in_progress' ? res.status(409).send('in progress') : res.status(200).send('duplicate');
+    }
+
+    const started = Date.now();
+    const finish = (status, error = null) => webhookId
+      ? ledger.finish(webhookId, { status, error, durationMs: Date.now() - started })
+      : null;
+
+    const ctx = {
+      topic, webhookId, ledger,
+      shopDomain: String(req.headers['x-shopify-shop-domain'] || '') || null,
+    };
+
+    try{
+      // Writes made by the topic are audited as "webhook:<topic>", keyed by the delivery id.
+      const audit = { source:`webhook:${topic}`, actor:{ role:'shopify', id: ctx.shopDomain }, ...(webhookId ? { requestId: webhookId } : {}) };
+      const errs = (await runAudited(audit, () => def.run(payload, ctx))) || [];
+      if (errs.length) {
+        console.warn(`${name} userErrors`, topic, webhookId, errs);
+        await finish('failed', JSON.stringify(errs));
+        return res.status(200).send('userErrors');
+      }
+      await finish('processed');
+      return res.status(200).send('ok');
+    }catch(e){
+      console.error(`${name} error`, topic, webhookId, e);
+      try { await finish('failed', String(e?.message || e)); }
+      catch(fe){ console.error(`${name} ledger finish failed`, webhookId, fe); }
+      return res.status(isRetryableShopifyError(e) ? 503 : 500).send('error');
+    }
+  };
+}
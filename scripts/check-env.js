@@ -0,0 +1,12 @@
+// scripts/check-env.js
+// Reports which retainer endpoint is missing which env var.
+// Usage: node scripts/check-env.js   (exit 1 when anything is missing)
+
+import { ENDPOINT_ENV, checkAllEnv } from '../lib/retainer/config.js';
+
+const gaps = checkAllEnv();
+for (const endpoint of Object.keys(ENDPOINT_ENV)) {
+  const missing = gaps[endpoint];
+  console.log(`${missing ? '✗' : '✓'} ${endpoint}${missing ? `: missing ${missing.join(', ')}` : ''}`);
+}
+process.exit(Object.keys(gaps).length ? 1 : 0);
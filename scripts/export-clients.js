@@ -0,0 +1,42 @@
+// scripts/export-clients.js
+// Writes the retainer client export (lib/retainer/export.js) to a file or
+// stdout — the offline twin of GET /api/retainer/export, for exports too big
+// for one function invocation. Filters are the clients.js query parameters.
+//
+// Usage: node scripts/export-clients.js [--format=csv|ndjson] [--out=<path>]
+//          [--plan=...] [--status=...] [--missing=signature,...] [--no-links]
+
+import fs from 'node:fs';
+import { once } from 'node:events';
+import { pathToFileURL } from 'node:url';
+import { parseClientFilters, exportRows, EXPORT_FORMATS, EXPORT_COLUMNS, csvLine } from '../lib/retainer/index.js';
+
+// → number of rows written
+export async function exportClients(out, { format = 'csv', filters = {}, links = true } = {}){
+  if (!EXPORT_FORMATS.includes(format)) throw new Error(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  const write = async s => { if (!out.write(s)) await once(out, 'drain'); };
+  let rows = 0;
+  if (format === 'csv') await write(csvLine(EXPORT_COLUMNS));
+  for await (const row of exportRows(filters, { links })) {
+    await write(format === 'csv' ? csvLine(EXPORT_COLUMNS.map(c => row[c])) : `${JSON.stringify(row)}\n`);
+    rows++;
+  }
+  return rows;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const opts = Object.fromEntries(process.argv.slice(2)
+    .filter(a => a.startsWith('--') && a.includes('='))
+    .map(a => [a.slice(2, a.indexOf('=')), a.slice(a.indexOf('=') + 1)]));
+  const { format = 'csv', out: path, ...query } = opts;
+  const { filters, error } = parseClientFilters(query);
+  if (error) { console.error(error); process.exit(2); }
+
+  const out = path ? fs.createWriteStream(path) : process.stdout;
+  exportClients(out, { format, filters, links: !process.argv.includes('--no-links') })
+    .then(rows => {
+      if (path) out.end();
+      console.error(`${rows} client(s) exported${path ? ` to ${path}` : ''}`);
+    })
+    .catch(e => { console.error(e); process.exit(1); });
+}
@@ -0,0 +1,168 @@
+// scripts/import-clients.js
+// Bulk-loads retainer clients from a CSV or NDJSON file in the export format
+// (lib/retainer/export.js; only the intake columns are read). Each row goes
+// through the same path as intake-upsert: schema validation (email + phone
+// required), customer create/update without a password, then the intake
+// fields to both Shopify and the retainer record. Documents aren't imported.
+//
+// Dry run by default: rows are validated and matched against Shopify
+// (would_create / would_update) but nothing is written. Every row's outcome is
+// appended to the results file as one JSON line:
+//
+//   { row, email, status, customer_id?, errors?, error?, normalized?, dropped?, cost? }
+//   status: invalid | would_create | would_update | created | updated | failed
+//   normalized: values stored in another form (E.164 phone, address parts)
+//   dropped: a phone / address Shopify refused; the row was saved without it
+//
+// --resume skips rows the results file already shows as created/updated (same
+// row number and email), so a run cut short can be restarted. Rows start at
+// most --rate per second (default 2); within a row the Shopify client paces
+// itself against the Admin cost budget and retries throttled / 5xx calls.
+// Each result line carries the row's Admin cost in points (`cost`).
+// Writes are audited with source "import-clients".
+//
+// Usage: node scripts/import-clients.js <file> [--apply] [--format=csv|ndjson]
+//          [--results=<path>] [--resume] [--rate=<rows/sec>] [--send-activation]
+
+import fs from 'node:fs';
+import readline from 'node:readline';
+import { pathToFileURL } from 'node:url';
+import {
+  validateIntake, applyIntake, sendActivation, findCustomerByEmail, measureShopifyCost,
+  rowToIntake, parseCsv, csvCell, runAudited, normEmail, EXPORT_FORMATS,
+} from '../lib/retainer/index.js';
+
+const DONE = ['created', 'updated'];
+
+const sleepMs = ms => new Promise(r => setTimeout(r, ms));
+
+/* ---------- Reading ---------- */
+// → async iterable of { row, data } | { row, error }; rows count from 1
+// (the CSV header and blank NDJSON lines aren't rows).
+async function* readRows(path, format){
+  const input = fs.createReadStream(path, { encoding:'utf8' });
+  if (format === 'csv') {
+    let header = null;
+    let row = 0;
+    for await (const cells of parseCsv(input)) {
+      if (!header) { header = cells.map(h => h.trim().toLowerCase()); continue; }
+      row++;
+      yield { row, data: Object.fromEntries(header.map((h, i) => [h, csvCell(cells[i] ?? '')])) };
+    }
+    return;
+  }
+  let row = 0;
+  for await (const line of readline.createInterface({ input, crlfDelay: Infinity })) {
+    if (!line.trim()) continue;
+    row++;
+    try { yield { row, data: JSON.parse(line) }; }
+    catch (_) { yield { row, error:'not valid JSON' }; }
+  }
+}
+
+// Rows already imported by an earlier run: Set of "row:email".
+function finishedRows(resultsPath){
+  const done = new Set();
+  if (!fs.existsSync(resultsPath)) return done;
+  for (const line of fs.readFileSync(resultsPath, 'utf8').split('\n')) {
+    try {
+      const r = JSON.parse(line);
+      if (DONE.includes(r.status)) done.add(`${r.row}:${r.email}`);
+    } catch (_) {}
+  }
+  return done;
+}
+
+/* ---------- One row ---------- */
+// The Shopify client already waits out throttling and retries 5xx /
+// network failures, so an error here means it gave up on this row.
+async function importRow(v, { apply, activation }){
+  if (!apply) {
+    const found = await findCustomerByEmail(v.email);
+    return { status: found ? 'would_update' : 'would_create', customer_id: found?.id || null };
+  }
+  const r = await applyIntake(v);
+  if (!r.ok) return { status:'failed', error: r.error };
+  const out = { status: r.created ? 'created' : 'updated', customer_id: r.id };
+  if (r.dropped.length) out.dropped = r.dropped;
+  if (!r.record_synced) out.record_synced = false;
+  if (activation) out.activation = (await sendActivation({ id: r.id, email: v.email, state: r.state, firstName: v.first_name || null })).status;
+  return out;
+}
+
+/* ---------- Run ---------- */
+// opts: { apply, format, results, resume, rate, sendActivation, log, sleep }
+// → { apply, rows, skipped, results: path, counts:{ status: n }, cost }
+export function importClients(path, {
+  apply = false, format = null, results = `${path}.results.ndjson`, resume = false,
+  rate = 2, sendActivation: activation = false, log = console.log, sleep = sleepMs,
+} = {}){
+  const fmt = format || (/\.(nd)?jsonl?$/i.test(path) ? 'ndjson' : 'csv');
+  if (!EXPORT_FORMATS.includes(fmt)) throw new Error(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+  if (!(rate > 0)) throw new Error('rate must be a positive number of rows per second');
+
+  return runAudited({ source:'import-clients' }, async () => {
+    const skip = resume ? finishedRows(results) : new Set();
+    if (!resume) fs.writeFileSync(results, '');
+    const counts = {};
+    let rows = 0;
+    let skipped = 0;
+    let nextStart = 0;
+    let cost = 0;
+
+    for await (const { row, data, error } of readRows(path, fmt)) {
+      rows++;
+      const email = data?.email ? normEmail(data.email) : null;
+      if (skip.has(`${row}:${email}`)) { skipped++; continue; }
+
+      let out;
+      const chk = error ? { ok:false, errors:[{ field:null, code:'invalid_row', message:error }] }
+        : validateIntake(rowToIntake(data), { required:['email', 'phone'] });
+      if (!chk.ok) out = { status:'invalid', errors: chk.errors };
+      else {
+        // Pace row starts so a big file stays inside Shopify's rate limits.
+        const wait = nextStart - Date.now();
+        if (wait > 0) await sleep(wait);
+        nextStart = Math.max(nextStart, Date.now()) + 1000 / rate;
+        const { result, cost: used } = await measureShopifyCost(() => importRow(chk.value, { apply, activation })
+          .catch(e => ({ status:'failed', error:String(e?.message || e) })));
+        out = { ...result, ...(chk.normalized.length ? { normalized: chk.normalized } : {}), cost: used.actual };
+        cost += used.actual;
+      }
+
+      const line = { row, email, ...out };
+      fs.appendFileSync(results, `${JSON.stringify(line)}\n`);
+      counts[out.status] = (counts[out.status] || 0) + 1;
+      log(`row ${row} ${email || '?'}: ${out.status}${out.error ? ` — ${out.error}` : ''}${out.errors ? ` — ${out.errors.map(e => `${e.field}: ${e.message}`).join('; ')}` : ''}`);
+    }
+    return { apply, rows, skipped, results, counts, cost };
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const args = process.argv.slice(2);
+  const opt = name => (args.find(a => a.startsWith(`--${name}=`)) || '').slice(name.length + 3) || null;
+  const file = args.find(a => !a.startsWith('--'));
+  if (!file) {
+    console.error('usage: node scripts/import-clients.js <file> [--apply] [--format=csv|ndjson] [--results=<path>] [--resume] [--rate=<rows/sec>] [--send-activation]');
+    process.exit(2);
+  }
+  const opts = {
+    apply: args.includes('--apply'),
+    resume: args.includes('--resume'),
+    sendActivation: args.includes('--send-activation'),
+    format: opt('format'),
+  };
+  if (opt('results')) opts.results = opt('results');
+  if (opt('rate')) opts.rate = Number(opt('rate'));
+
+  Promise.resolve()
+    .then(() => importClients(file, opts))
+    .then(out => {
+      const summary = Object.entries(out.counts).map(([k, n]) => `${n} ${k}`).join(', ') || 'nothing to do';
+      console.log(`${out.rows} row(s): ${summary}${out.skipped ? ` (${out.skipped} already imported, skipped)` : ''}; ${out.cost} Admin cost points; results in ${out.results}`);
+      if (!out.apply) console.log('dry run — pass --apply to write');
+      process.exitCode = out.counts.failed || out.counts.invalid ? 1 : 0;
+    })
+    .catch(e => { console.error(e); process.exit(1); });
+}
@@ -0,0 +1,171 @@
+// scripts/metafield-definitions.js
+// Brings the shop's retainer.* metafield definitions in line with the manifest
+// (lib/retainer/metafield-definitions.js) and rewrites stored values into the
+// canonical formats:
+//
+//   1. Definitions are diffed against the shop. A definition with the wrong
+//      type is deleted first (its values stay), since Shopify can't change a
+//      definition's type.
+//   2. Every customer's (and their orders') retainer.* values are checked;
+//      one in an older format ({"file_id": GID} file references, " | "-joined
+//      household / vehicles lines) is rewritten. A value that can't be
+//      converted is reported as "manual" and left alone.
+//   3. Missing definitions are created (metafieldDefinitionCreate) and
+//      renamed ones updated.
+//
+// Dry run by default; pass --apply to write. Safe to re-run. Value rewrites
+// are audited with source "metafield-definitions". --skip-values does only
+// steps 1 and 3.
+//
+// Usage: node scripts/metafield-definitions.js [--apply] [--skip-values]
+
+import { pathToFileURL } from 'node:url';
+import {
+  adminGql, setMetafields, deleteMetafields, runAudited, NS,
+  METAFIELD_DEFINITIONS, ownerTypeOf, definitionFor, canonicalValue, listMetafieldDefinitions,
+  diffDefinitions, createMetafieldDefinition, updateMetafieldDefinition, deleteMetafieldDefinition,
+} from '../lib/retainer/index.js';
+
+// A customer page and each customer's order pages are separate queries that
+// ask only for the manifest's keys, so neither comes near the 1000-point
+// query cost limit (about PAGE_SIZE × keys ≈ 450 points each).
+const PAGE_SIZE = 20;
+const manifestKeys = ownerType => METAFIELD_DEFINITIONS
+  .filter(d => d.ownerType === ownerType).map(d => `${NS}.${d.key}`);
+
+const Q = {
+  customers: `query($first:Int!, $after:String, $keys:[String!], $keyCount:Int!){
+    customers(first:$first, after:$after){
+      pageInfo{ hasNextPage endCursor }
+      nodes{
+        id
+        metafields(first:$keyCount, keys:$keys){ nodes{ key type value } }
+      }
+    }
+  }`,
+  orders: `query($id:ID!, $first:Int!, $after:String, $keys:[String!], $keyCount:Int!){
+    customer(id:$id){
+      orders(first:$first, after:$after){
+        pageInfo{ hasNextPage endCursor }
+        nodes{ id metafields(first:$keyCount, keys:$keys){ nodes{ key type value } } }
+      }
+    }
+  }`,
+};
+
+const manifestEntry = p => METAFIELD_DEFINITIONS.find(d => d.ownerType === p.ownerType && d.key === p.key);
+
+/* ---------- 1 + 3) Definitions ---------- */
+async function applyDefinitions(plan, actions, { log }){
+  let errors = 0;
+  for (const p of plan.filter(x => actions.includes(x.action))) {
+    const d = manifestEntry(p);
+    const errs = p.action === 'update' ? await updateMetafieldDefinition(d)
+      : p.action === 'create' ? await createMetafieldDefinition(d)
+      : await deleteMetafieldDefinition(p.id);
+    if (errs.length) { errors++; log(`  ! ${p.ownerType} ${NS}.${p.key} ${p.action}: ${JSON.stringify(errs)}`); }
+  }
+  return errors;
+}
+
+/* ---------- 2) Values ---------- */
+// One owner's metafield nodes → { set:[inputs], retyped:[keys], manual:[keys] }
+function ownerChanges(ownerId, nodes){
+  const ownerType = ownerTypeOf(ownerId);
+  const out = { set:[], retyped:[], manual:[] };
+  for (const m of nodes || []) {
+    const d = definitionFor(ownerType, m.key);
+    if (!d) continue;
+    const value = canonicalValue(d, m);
+    if (value === null) { out.manual.push(m.key); continue; }
+    if (value === m.value && m.type === d.type) continue;
+    out.set.push({ ownerId, namespace:NS, key:m.key, type:d.type, value });
+    if (m.type !== d.type) out.retyped.push(m.key);
+  }
+  return out;
+}
+
+async function migrateOwner(ownerId, nodes, { apply, log }){
+  const c = ownerChanges(ownerId, nodes);
+  for (const k of c.manual) log(`${ownerId}: ${NS}.${k} can't be converted — fix by hand`);
+  if (!c.set.length) return { migrated:0, manual: c.manual.length };
+  log(`${ownerId}: ${c.set.map(m => `${m.key}${c.retyped.includes(m.key) ? ` (${nodes.find(n => n.key === m.key).type} → ${m.type})` : ''}`).join(', ')}`);
+  if (!apply) return { migrated: c.set.length, manual: c.manual.length };
+
+  // An existing value keeps its type, so a retyped key is removed first.
+  const delErrs = await deleteMetafields(ownerId, c.retyped);
+  if (delErrs.length) { log(`  ! metafieldsDelete: ${JSON.stringify(delErrs)}`); return { migrated:0, manual: c.manual.length }; }
+  const errs = await setMetafields(c.set);
+  if (errs.length) { log(`  ! metafieldsSet: ${JSON.stringify(errs)}`); return { migrated:0, manual: c.manual.length }; }
+  return { migrated: c.set.length, manual: c.manual.length };
+}
+
+// Yields [ownerId, metafield nodes] for every customer, then for each of its
+// orders.
+async function* owners(){
+  const customerKeys = manifestKeys('CUSTOMER');
+  const orderKeys = manifestKeys('ORDER');
+  let after = null;
+  do {
+    const d = await adminGql(Q.customers, { first: PAGE_SIZE, after, keys: customerKeys, keyCount: customerKeys.length });
+    const page = d?.customers;
+    for (const c of page?.nodes || []) {
+      yield [c.id, c.metafields?.nodes];
+      let orderAfter = null;
+      do {
+        const o = await adminGql(Q.orders, { id: c.id, first: PAGE_SIZE, after: orderAfter, keys: orderKeys, keyCount: orderKeys.length });
+        const orders = o?.customer?.orders;
+        for (const n of orders?.nodes || []) yield [n.id, n.metafields?.nodes];
+        orderAfter = orders?.pageInfo?.hasNextPage ? orders.pageInfo.endCursor : null;
+      } while (orderAfter);
+    }
+    after = page?.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+}
+
+async function migrateValues({ apply, log }){
+  const out = { owners:0, migrated:0, manual:0 };
+  for await (const [ownerId, nodes] of owners()) {
+    const r = await migrateOwner(ownerId, nodes || [], { apply, log });
+    out.owners++;
+    out.migrated += r.migrated;
+    out.manual += r.manual;
+  }
+  return out;
+}
+
+/* ---------- Run ---------- */
+// → { apply, definitions:{ create, update, retype, unknown, ok, errors }, values }
+export function syncMetafieldDefinitions({ apply = false, values = true, log = console.log } = {}){
+  return runAudited({ source:'metafield-definitions' }, async () => {
+    const plan = diffDefinitions(await listMetafieldDefinitions());
+    const definitions = { create:0, update:0, retype:0, unknown:0, ok:0, errors:0 };
+    for (const p of plan) {
+      definitions[p.action]++;
+      if (p.action === 'ok') continue;
+      log(`${p.ownerType} ${NS}.${p.key}: ${p.action}${p.action === 'retype' ? ` ${p.from} → ${p.type}` : p.action === 'unknown' ? ' (not in the manifest, left alone)' : ` (${p.type})`}`);
+    }
+
+    if (apply) definitions.errors += await applyDefinitions(plan, ['retype'], { log });
+    const migrated = values ? await migrateValues({ apply, log }) : null;
+    if (apply) {
+      // A retyped definition is created again with the manifest type.
+      const recreate = plan.map(p => (p.action === 'retype' ? { ...p, action:'create' } : p));
+      definitions.errors += await applyDefinitions(recreate, ['create', 'update'], { log });
+    }
+    return { apply, definitions, values: migrated };
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const args = process.argv.slice(2);
+  syncMetafieldDefinitions({ apply: args.includes('--apply'), values: !args.includes('--skip-values') })
+    .then(out => {
+      const d = out.definitions;
+      console.log(`definitions: ${d.create} to create, ${d.update} to update, ${d.retype} to retype, ${d.ok} ok, ${d.unknown} not in the manifest${d.errors ? `; ${d.errors} failed` : ''}`);
+      if (out.values) console.log(`values: ${out.values.migrated} ${out.apply ? 'rewritten' : 'to rewrite'} across ${out.values.owners} owner(s), ${out.values.manual} need fixing by hand`);
+      if (!out.apply) console.log('dry run — pass --apply to write');
+      process.exitCode = d.errors ? 1 : 0;
+    })
+    .catch(e => { console.error(e); process.exit(1); });
+}
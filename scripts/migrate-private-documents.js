@@ -0,0 +1,228 @@
+// scripts/migrate-private-documents.js
+// One-off move of existing sensitive uploads into private storage
+// (lib/retainer/documents.js):
+//
+//   1. retainer_records signatures in the legacy public bucket → private
+//      bucket; signature_url cleared, signature_path rewritten.
+//   2. Shopify customers (and their orders) with signature / drivers_license /
+//      car_insurance file_reference metafields, or the {"file_id": GID} JSON
+//      older intakes stored → file downloaded into private storage,
+//      retainer.documents pointer written, the old metafield deleted.
+//   3. The public Shopify Files are deleted (skip with --keep-shopify-files).
+//
+// Dry run by default; pass --apply to write. Safe to re-run: migrated objects
+// no longer match either source.
+//
+// Usage: node scripts/migrate-private-documents.js [--apply] [--keep-shopify-files]
+
+import { pathToFileURL } from 'node:url';
+import {
+  getConfig, getSupabase, adminGql, shopifyFetch, storeDocument, pushDocuments,
+  setMetafields, deleteMetafields, auditRecordWrite, runAudited, DOCUMENT_KINDS, NS,
+} from '../lib/retainer/index.js';
+
+// Customers are read a page at a time and each customer's orders with a query
+// of their own, both asking only for the document keys, so no query comes near
+// the 1000-point cost limit.
+const PAGE_SIZE = 25;
+const DOC_KEYS = [...DOCUMENT_KINDS, 'documents'].map(k => `${NS}.${k}`);
+
+const FILE_FIELDS = `fragment F on Node {
+    __typename
+    ... on MediaImage { id image{ url } }
+    ... on GenericFile { id url }
+  }`;
+
+const Q = {
+  customers: `query($first:Int!, $after:String, $keys:[String!], $keyCount:Int!){
+    customers(first:$first, after:$after){
+      pageInfo{ hasNextPage endCursor }
+      nodes{
+        id email
+        metafields(first:$keyCount, keys:$keys){ nodes{ key type value reference{ ...F } } }
+      }
+    }
+  }
+  ${FILE_FIELDS}`,
+  orders: `query($id:ID!, $first:Int!, $after:String, $keys:[String!], $keyCount:Int!){
+    customer(id:$id){
+      orders(first:$first, after:$after){
+        pageInfo{ hasNextPage endCursor }
+        nodes{ id metafields(first:$keyCount, keys:$keys){ nodes{ key type value reference{ ...F } } } }
+      }
+    }
+  }
+  ${FILE_FIELDS}`,
+  // A {"file_id": GID} value has no reference to follow, so its file is looked up.
+  file: `query($id:ID!){ node(id:$id){ ...F } }
+  ${FILE_FIELDS}`,
+  fileDelete: `mutation($fileIds:[ID!]!){
+    fileDelete(fileIds:$fileIds){
+      deletedFileIds
+      userErrors{ field message }
+    }
+  }`,
+};
+
+const GUESS_TYPE = { png:'image/png', jpg:'image/jpeg', jpeg:'image/jpeg', heic:'image/heic', pdf:'application/pdf' };
+
+function contentTypeOf(res, url){
+  const h = res.headers?.get?.('content-type');
+  if (h) return h.split(';')[0].trim();
+  const ext = (String(url).split('?')[0].match(/\.(\w+)$/) || [])[1]?.toLowerCase();
+  return GUESS_TYPE[ext] || 'application/octet-stream';
+}
+
+// Shopify file GID a document metafield points at: the file_reference, or the
+// {"file_id": GID} JSON older intakes stored.
+function legacyFileId(m){
+  if (!DOCUMENT_KINDS.includes(m.key)) return null;
+  if (m.reference?.id) return m.reference.id;
+  const s = String(m.value ?? '');
+  if (m.type === 'file_reference' && /^gid:\/\/shopify\/\w+\/\d+$/.test(s)) return s;
+  try { const j = JSON.parse(s); return j?.file_id ? String(j.file_id) : null; } catch(_){ return null; }
+}
+
+const legacyRefs = nodes => (nodes || []).filter(m => legacyFileId(m));
+
+const refUrl = ref => ref?.image?.url || ref?.url || null;
+
+async function fileUrl(m){
+  if (m.reference) return refUrl(m.reference);
+  const d = await adminGql(Q.file, { id: legacyFileId(m) });
+  return refUrl(d?.node);
+}
+
+/* ---------- 1) Supabase signatures ---------- */
+async function migrateRecordSignatures({ apply, log }){
+  const { retainerTable, signaturesBucket } = getConfig();
+  const supabase = getSupabase();
+  const { data: rows, error } = await supabase.from(retainerTable)
+    .select('email, shopify_customer_id, signature_path, signature_url');
+  if (error) throw new Error(`retainer record read: ${error.message}`);
+
+  let moved = 0;
+  // Legacy rows are the ones that still carry a public URL.
+  for (const row of (rows || []).filter(r => r.signature_path && r.signature_url)) {
+    log(`record ${row.email}: ${signaturesBucket}/${row.signature_path} → private`);
+    if (!apply) { moved++; continue; }
+
+    const { data: blob, error: dlErr } = await supabase.storage.from(signaturesBucket).download(row.signature_path);
+    if (dlErr) { log(`  ! download failed: ${dlErr.message}`); continue; }
+    const stored = await storeDocument({
+      customerGid: row.shopify_customer_id || null,
+      email: row.email,
+      kind: 'signature',
+      bytes: Buffer.from(await blob.arrayBuffer()),
+      contentType: blob.type || 'image/png',
+      source: 'migration',
+    });
+    if (!stored.ok) { log(`  ! store failed: ${stored.error}`); continue; }
+
+    const patch = { signature_url: null, signature_path: stored.doc.path, updated_at: new Date().toISOString() };
+    const { error: upErr } = await supabase.from(retainerTable).update(patch).eq('email', row.email);
+    if (upErr) { log(`  ! record update failed: ${upErr.message}`); continue; }
+    await auditRecordWrite(row, { ...row, ...patch });
+    await supabase.storage.from(signaturesBucket).remove([row.signature_path]);
+    moved++;
+  }
+  return moved;
+}
+
+/* ---------- 2) Shopify file_reference metafields ---------- */
+async function migrateOwner(ownerId, email, customerGid, metafields, cache, { apply, log }){
+  const refs = legacyRefs(metafields);
+  if (!refs.length) return 0;
+  log(`${ownerId}: ${refs.map(r => r.key).join(', ')} → private`);
+  if (!apply) return refs.length;
+
+  const docs = [];
+  for (const m of refs) {
+    const fileId = legacyFileId(m);
+    let doc = cache.get(fileId);
+    if (!doc) {
+      const url = await fileUrl(m);
+      if (!url) { log(`  ! ${m.key}: file ${fileId} has no URL yet, skipped`); continue; }
+      const res = await shopifyFetch(url, { method:'GET' });
+      if (!res.ok) { log(`  ! ${m.key}: download ${res.status}`); continue; }
+      const stored = await storeDocument({
+        customerGid, email, kind: m.key,
+        bytes: Buffer.from(await res.arrayBuffer()),
+        contentType: contentTypeOf(res, url),
+        source: 'migration',
+      });
+      if (!stored.ok) { log(`  ! ${m.key}: ${stored.error}`); continue; }
+      doc = stored.doc;
+      cache.set(fileId, doc);
+    }
+    docs.push(doc);
+  }
+  if (!docs.length) return 0;
+
+  const mfs = [];
+  const existing = (metafields || []).find(m => m.key === 'documents')?.value || null;
+  pushDocuments(mfs, ownerId, docs, existing);
+  const errs = await setMetafields(mfs);
+  if (errs.length) { log(`  ! metafieldsSet: ${JSON.stringify(errs)}`); return 0; }
+  const delErrs = await deleteMetafields(ownerId, docs.map(d => d.kind));
+  if (delErrs.length) log(`  ! metafieldsDelete: ${JSON.stringify(delErrs)}`);
+  return docs.length;
+}
+
+// Yields { ownerId, email, customerGid, metafields } for every customer, then
+// for each of its orders.
+async function* owners(){
+  const page = (query, vars) => adminGql(query, { ...vars, first: PAGE_SIZE, keys: DOC_KEYS, keyCount: DOC_KEYS.length });
+  let after = null;
+  do {
+    const customers = (await page(Q.customers, { after }))?.customers;
+    for (const c of customers?.nodes || []) {
+      const email = c.email || '';
+      yield { ownerId: c.id, email, customerGid: c.id, metafields: c.metafields?.nodes };
+      let orderAfter = null;
+      do {
+        const orders = (await page(Q.orders, { id: c.id, after: orderAfter }))?.customer?.orders;
+        for (const o of orders?.nodes || []) yield { ownerId: o.id, email, customerGid: c.id, metafields: o.metafields?.nodes };
+        orderAfter = orders?.pageInfo?.hasNextPage ? orders.pageInfo.endCursor : null;
+      } while (orderAfter);
+    }
+    after = customers?.pageInfo?.hasNextPage ? customers.pageInfo.endCursor : null;
+  } while (after);
+}
+
+async function migrateShopifyFiles({ apply, keepFiles, log }){
+  const cache = new Map(); // Shopify file id → stored doc (customer and order share files)
+  let moved = 0;
+  for await (const o of owners()) {
+    moved += await migrateOwner(o.ownerId, o.email, o.customerGid, o.metafields, cache, { apply, log });
+  }
+
+  const fileIds = [...cache.keys()];
+  if (apply && !keepFiles && fileIds.length) {
+    for (let i = 0; i < fileIds.length; i += 50) {
+      const r = await adminGql(Q.fileDelete, { fileIds: fileIds.slice(i, i + 50) });
+      const errs = r?.fileDelete?.userErrors || [];
+      if (errs.length) log(`! fileDelete: ${JSON.stringify(errs)}`);
+    }
+    log(`deleted ${fileIds.length} public Shopify file(s)`);
+  }
+  return moved;
+}
+
+export function migratePrivateDocuments({ apply = false, keepFiles = false, log = console.log } = {}){
+  return runAudited({ source:'migrate-private-documents' }, async () => {
+    const signatures = await migrateRecordSignatures({ apply, log });
+    const shopifyFiles = await migrateShopifyFiles({ apply, keepFiles, log });
+    return { apply, signatures, shopify_files: shopifyFiles };
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const args = process.argv.slice(2);
+  migratePrivateDocuments({ apply: args.includes('--apply'), keepFiles: args.includes('--keep-shopify-files') })
+    .then(out => {
+      console.log(`${out.apply ? 'migrated' : 'would migrate'}: ${out.signatures} record signature(s), ${out.shopify_files} Shopify file reference(s)`);
+      if (!out.apply) console.log('dry run — pass --apply to write');
+    })
+    .catch(e => { console.error(e); process.exit(1); });
+}
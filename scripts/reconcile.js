@@ -0,0 +1,117 @@
+// scripts/reconcile.js
+// Compares every client's Supabase retainer record with their Shopify
+// retainer.* customer metafields and reports drift per customer. With --apply
+// the drift is fixed using the per-field source of truth in
+// lib/retainer/sync.js (SYNC_FIELDS); "manual" entries are only reported.
+// Records with no matching Shopify customer are listed at the end.
+//
+// Dry run by default. Writes are audited with source "reconcile".
+//
+// Usage: node scripts/reconcile.js [--apply] [--email=<address>] [--json]
+
+import { pathToFileURL } from 'node:url';
+import {
+  getConfig, getSupabase, adminGql, findCustomerByEmail, getRetainerMetafields, findRetainerRecord,
+  reconcileCustomer, runAudited, normEmail, SYNC_FIELDS, NS,
+} from '../lib/retainer/index.js';
+
+// Only the metafields SYNC_FIELDS compares are read, which keeps a page at
+// about PAGE_SIZE × (1 + keys) ≈ 250 points, well under the 1000-point
+// query cost limit.
+const PAGE_SIZE = 25;
+const SYNC_KEYS = SYNC_FIELDS.map(f => `${NS}.${f.key}`);
+
+const Q = {
+  customers: `query($first:Int!, $after:String, $keys:[String!], $keyCount:Int!){
+    customers(first:$first, after:$after){
+      pageInfo{ hasNextPage endCursor }
+      nodes{
+        id email
+        metafields(first:$keyCount, keys:$keys){ nodes{ key type value } }
+      }
+    }
+  }`,
+};
+
+const byKey = nodes => Object.fromEntries((nodes || []).map(n => [n.key, n]));
+
+function describe(r, log){
+  if (!r.drift.length) return;
+  log(`${r.email || r.customer_id} (${r.customer_id})${r.record ? '' : ' — no record'}`);
+  for (const d of r.drift) {
+    log(`  ${d.field}: supabase=${JSON.stringify(d.supabase)} shopify=${JSON.stringify(d.shopify)} → ${d.action} (${d.source} wins)`);
+  }
+  if (r.error) log(`  ! ${r.error}`);
+}
+
+async function* shopifyCustomers(email){
+  if (email) {
+    const c = await findCustomerByEmail(email);
+    if (c) yield { id: c.id, email, metafields: await getRetainerMetafields(c.id) };
+    return;
+  }
+  let after = null;
+  do {
+    const d = await adminGql(Q.customers, { first: PAGE_SIZE, after, keys: SYNC_KEYS, keyCount: SYNC_KEYS.length });
+    const page = d?.customers;
+    for (const c of page?.nodes || []) yield { id: c.id, email: c.email, metafields: byKey(c.metafields?.nodes) };
+    after = page?.pageInfo?.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (after);
+}
+
+// → { apply, customers, drifted, fixed, manual, errors, orphans, results }
+export function reconcile({ apply = false, email = null, log = console.log } = {}){
+  return runAudited({ source:'reconcile' }, async () => {
+    const only = email ? normEmail(email) : null;
+    const results = [];
+    const seen = new Set();
+
+    for await (const c of shopifyCustomers(only)) {
+      let r;
+      try {
+        const record = await findRetainerRecord({ customerGid: c.id, email: c.email });
+        if (record) seen.add(record.email);
+        r = await reconcileCustomer({ customerGid: c.id, email: c.email, metafields: c.metafields, record }, { apply });
+      } catch (e) {
+        r = { email: c.email, customer_id: c.id, record:false, drift:[], applied:{ shopify:[], supabase:[] }, manual:[], error:String(e?.message || e) };
+        log(`${c.email || c.id}: ! ${r.error}`);
+      }
+      describe(r, log);
+      results.push(r);
+    }
+
+    // Records whose customer isn't in Shopify (deleted, or never created)
+    let q = getSupabase().from(getConfig().retainerTable).select('email, shopify_customer_id');
+    if (only) q = q.eq('email', only);
+    const { data: rows, error } = await q;
+    if (error) throw new Error(`retainer record read: ${error.message}`);
+    const orphans = (rows || []).filter(r => !seen.has(r.email)).map(r => r.email);
+    for (const o of orphans) log(`${o}: record has no Shopify customer (manual)`);
+
+    const drifted = results.filter(r => r.drift.length);
+    return {
+      apply,
+      customers: results.length,
+      drifted: drifted.length,
+      fixed: drifted.filter(r => r.applied.shopify.length || r.applied.supabase.length).length,
+      manual: drifted.filter(r => r.manual.length).length,
+      errors: results.filter(r => r.error).length,
+      orphans,
+      results: drifted,
+    };
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const args = process.argv.slice(2);
+  const email = (args.find(a => a.startsWith('--email=')) || '').slice('--email='.length) || null;
+  const json = args.includes('--json');
+  reconcile({ apply: args.includes('--apply'), email, log: json ? () => {} : console.log })
+    .then(out => {
+      if (json) return console.log(JSON.stringify(out, null, 2));
+      console.log(`${out.customers} customer(s) checked, ${out.drifted} with drift, ${out.apply ? `${out.fixed} fixed` : 'none fixed'}, ${out.manual} need manual review, ${out.errors} error(s), ${out.orphans.length} record(s) without a Shopify customer`);
+      if (!out.apply) console.log('dry run — pass --apply to write');
+      process.exitCode = out.errors ? 1 : 0;
+    })
+    .catch(e => { console.error(e); process.exit(1); });
+}
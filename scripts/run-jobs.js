@@ -0,0 +1,21 @@
+// scripts/run-jobs.js
+// Works the job queue (lib/retainer/jobs.js) from the command line — the same
+// loop as the jobs-worker cron, for local runs or draining a backlog by hand.
+//
+// Usage: node scripts/run-jobs.js [--seconds=<n>]   (default 300)
+
+import { pathToFileURL } from 'node:url';
+import { workJobs } from '../lib/retainer/index.js';
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const arg = process.argv.find(a => a.startsWith('--seconds='));
+  const seconds = arg ? Number(arg.slice('--seconds='.length)) : 300;
+  if (!(seconds > 0)) { console.error('usage: node scripts/run-jobs.js [--seconds=<n>]'); process.exit(2); }
+
+  workJobs({ until: Date.now() + seconds * 1000 })
+    .then(out => {
+      console.log(`${out.ran} job(s) run: ${out.succeeded} succeeded, ${out.failed} failed, ${out.retrying} to retry`);
+      process.exitCode = out.failed ? 1 : 0;
+    })
+    .catch(e => { console.error(e); process.exit(1); });
+}
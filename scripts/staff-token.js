@@ -0,0 +1,17 @@
+// scripts/staff-token.js
+// Mints a staff bearer token (reads any retainer record) for one person.
+// Usage: AUTH_TOKEN_SECRET=... node scripts/staff-token.js <name-or-email> [hours=12]
+
+import { issueStaffToken } from '../lib/retainer/auth.js';
+
+const [name, hours = '12'] = process.argv.slice(2);
+if (!name) {
+  console.error('usage: node scripts/staff-token.js <name-or-email> [hours]');
+  process.exit(1);
+}
+const h = Number(hours);
+if (!Number.isFinite(h) || h <= 0 || h > 24 * 7) {
+  console.error('hours must be between 0 and 168');
+  process.exit(1);
+}
+console.log(issueStaffToken(name, { hours: h }));
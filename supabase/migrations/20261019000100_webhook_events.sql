@@ -0,0 +1,18 @@
+-- Ledger of Shopify webhook deliveries (lib/retainer/webhook-ledger.js).
+create table if not exists public.webhook_events (
+  webhook_id   text primary key,             -- X-Shopify-Webhook-Id
+  topic        text not null,                -- X-Shopify-Topic
+  order_id     text,
+  status       text not null check (status in ('processing','processed','skipped','failed')),
+  attempts     integer not null default 1,
+  error        text,
+  received_at  timestamptz not null default now(),
+  finished_at  timestamptz,
+  duration_ms  integer
+);
+
+create index if not exists webhook_events_order_topic_idx
+  on public.webhook_events (order_id, topic, status);
+
+-- Only the service role (backend) touches this table.
+alter table public.webhook_events enable row level security;
@@ -0,0 +1,23 @@
+-- customers/update re-sync and the mandatory GDPR topics (lib/retainer/webhook-topics/).
+
+-- Lets a record follow its Shopify customer across email changes.
+alter table public.retainer_records
+  add column if not exists shopify_customer_id text;
+
+create index if not exists retainer_records_shopify_customer_id_idx
+  on public.retainer_records (shopify_customer_id);
+
+-- Log of customers/data_request, customers/redact and shop/redact deliveries.
+create table if not exists public.gdpr_requests (
+  id                  bigint generated always as identity primary key,
+  topic               text not null,
+  shop_domain         text,
+  shopify_customer_id text,
+  email               text,
+  payload             jsonb not null,
+  data                jsonb,
+  status              text not null check (status in ('pending_review','completed','ignored')),
+  received_at         timestamptz not null default now()
+);
+
+alter table public.gdpr_requests enable row level security;
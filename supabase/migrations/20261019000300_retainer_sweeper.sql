@@ -0,0 +1,57 @@
+-- Renewal / expiry sweeper (lib/retainer/sweeper.js, api/retainer/cron-sweep.js).
+
+-- Lifecycle mirrored from the orders webhooks so the sweeper can query it.
+alter table public.retainer_records
+  add column if not exists retainer_plan   text,
+  add column if not exists retainer_term   text,
+  add column if not exists retainer_order  text,
+  add column if not exists retainer_start  date,
+  add column if not exists retainer_end    date,
+  add column if not exists retainer_status text;
+
+create index if not exists retainer_records_status_end_idx
+  on public.retainer_records (retainer_status, retainer_end);
+
+-- Every status change the sweeper makes (expired, or a resync from Shopify).
+create table if not exists public.retainer_transitions (
+  id                  bigint generated always as identity primary key,
+  email               text not null,
+  shopify_customer_id text,
+  retainer_order      text,
+  from_status         text,
+  to_status           text not null,
+  reason              text not null,                -- term_ended | resync
+  retainer_end        date,
+  created_at          timestamptz not null default now()
+);
+
+create index if not exists retainer_transitions_email_idx
+  on public.retainer_transitions (email, created_at);
+
+alter table public.retainer_transitions enable row level security;
+
+-- Outbound notice queue. The unique key makes each reminder fire once per
+-- window per retainer term; window_days is 0 for "expired" notices.
+create table if not exists public.retainer_notices (
+  id                  bigint generated always as identity primary key,
+  email               text not null,
+  shopify_customer_id text,
+  kind                text not null check (kind in ('expiring','expired')),
+  window_days         integer not null default 0,
+  retainer_end        date not null,
+  channel             text not null check (channel in ('email','sms')),
+  recipient           text not null,
+  data                jsonb,
+  status              text not null check (status in ('queued','sent','failed')),
+  attempts            integer not null default 0,
+  error               text,
+  provider_id         text,
+  created_at          timestamptz not null default now(),
+  sent_at             timestamptz,
+  unique (email, kind, window_days, retainer_end, channel)
+);
+
+create index if not exists retainer_notices_status_idx
+  on public.retainer_notices (status, created_at);
+
+alter table public.retainer_notices enable row level security;
@@ -0,0 +1,12 @@
+-- Rate limiting for the account endpoints (lib/retainer/rate-limit.js).
+-- One row per hit; the limiter counts rows for a key inside its window.
+create table if not exists public.rate_limit_hits (
+  id   bigint generated always as identity primary key,
+  key  text not null,                     -- "<endpoint>:ip:<addr>" / "<endpoint>:email:<addr>"
+  at   timestamptz not null default now()
+);
+
+create index if not exists rate_limit_hits_key_at_idx
+  on public.rate_limit_hits (key, at);
+
+alter table public.rate_limit_hits enable row level security;
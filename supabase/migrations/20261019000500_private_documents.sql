@@ -0,0 +1,32 @@
+-- Private storage for signatures and identity documents (lib/retainer/documents.js).
+-- Run scripts/migrate-private-documents.js after this to move existing objects.
+
+-- Private bucket; objects are only reachable through signed URLs.
+insert into storage.buckets (id, name, public)
+values ('retainer-documents', 'retainer-documents', false)
+on conflict (id) do update set public = false;
+
+-- Stop serving the legacy signatures bucket publicly right away; the service
+-- role can still read it for the migration.
+update storage.buckets set public = false where id = 'signatures';
+
+-- One row per stored document; the newest row per (client, kind) is current.
+create table if not exists public.retainer_documents (
+  id                  bigint generated always as identity primary key,
+  email               text not null,
+  shopify_customer_id text,
+  kind                text not null check (kind in ('signature','drivers_license','car_insurance')),
+  path                text not null unique,       -- object key in the private bucket
+  content_type        text not null,
+  bytes               integer not null,
+  sha256              text not null,
+  source              text,                       -- endpoint or "migration"
+  created_at          timestamptz not null default now()
+);
+
+create index if not exists retainer_documents_email_idx
+  on public.retainer_documents (email, kind, created_at desc);
+create index if not exists retainer_documents_customer_idx
+  on public.retainer_documents (shopify_customer_id, kind, created_at desc);
+
+alter table public.retainer_documents enable row level security;
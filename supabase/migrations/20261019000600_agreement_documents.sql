@@ -0,0 +1,9 @@
+-- Generated agreement PDFs (lib/retainer/agreement.js) are indexed alongside
+-- the uploaded documents as kind 'agreement'.
+
+alter table public.retainer_documents
+  drop constraint if exists retainer_documents_kind_check;
+
+alter table public.retainer_documents
+  add constraint retainer_documents_kind_check
+  check (kind in ('signature','drivers_license','car_insurance','agreement'));
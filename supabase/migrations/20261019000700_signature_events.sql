@@ -0,0 +1,41 @@
+-- E-signature evidence (lib/retainer/signatures.js): one append-only row per
+-- signing. Rows can't be updated; only GDPR redaction deletes them.
+
+create table if not exists public.signature_events (
+  id                       uuid primary key,
+  email                    text not null,
+  shopify_customer_id      text,
+  source                   text not null,        -- intake-upsert | record
+  signed_name              text,
+  signed_date              date,                 -- as entered by the client
+  signed_at                timestamptz not null, -- server clock
+  client_ip                text,
+  user_agent               text,
+  template_version         text not null,
+  agreement_text_sha256    text not null,
+  signature_path           text not null,
+  signature_sha256         text not null,
+  agreement_path           text,
+  agreement_sha256         text,
+  agreement_content_sha256 text,
+  evidence_sha256          text not null,
+  created_at               timestamptz not null default now()
+);
+
+create index if not exists signature_events_email_idx
+  on public.signature_events (email, signed_at desc);
+create index if not exists signature_events_customer_idx
+  on public.signature_events (shopify_customer_id, signed_at desc);
+
+create or replace function public.signature_events_immutable()
+returns trigger language plpgsql as $$
+begin
+  raise exception 'signature_events rows are immutable';
+end $$;
+
+drop trigger if exists signature_events_no_update on public.signature_events;
+create trigger signature_events_no_update
+  before update on public.signature_events
+  for each row execute function public.signature_events_immutable();
+
+alter table public.signature_events enable row level security;
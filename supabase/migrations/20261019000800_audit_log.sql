@@ -0,0 +1,42 @@
+-- Audit log (lib/retainer/audit.js): one append-only row per write to a
+-- retainer record or to a customer's / order's retainer.* metafields.
+-- Rows can't be updated; only GDPR redaction deletes them.
+
+create table if not exists public.audit_log (
+  id                  uuid primary key,
+  at                  timestamptz not null,
+  request_id          text,
+  source              text not null,        -- endpoint, webhook:<topic>, cron-sweep, script
+  actor_role          text,                 -- public | customer | staff | shopify | system
+  actor_id            text,
+  action              text not null check (action in ('create', 'update', 'restore')),
+  target_type         text not null check (target_type in ('retainer_record', 'customer_metafields', 'order_metafields')),
+  target_id           text not null,        -- record email, or the Shopify owner GID
+  email               text,
+  shopify_customer_id text,
+  before              jsonb,
+  after               jsonb,
+  diff                jsonb not null default '[]'::jsonb,
+  restored_from       uuid,
+  created_at          timestamptz not null default now()
+);
+
+create index if not exists audit_log_email_idx
+  on public.audit_log (email, at desc);
+create index if not exists audit_log_customer_idx
+  on public.audit_log (shopify_customer_id, at desc);
+create index if not exists audit_log_target_idx
+  on public.audit_log (target_type, target_id, at desc);
+
+create or replace function public.audit_log_immutable()
+returns trigger language plpgsql as $$
+begin
+  raise exception 'audit_log rows are immutable';
+end $$;
+
+drop trigger if exists audit_log_no_update on public.audit_log;
+create trigger audit_log_no_update
+  before update on public.audit_log
+  for each row execute function public.audit_log_immutable();
+
+alter table public.audit_log enable row level security;
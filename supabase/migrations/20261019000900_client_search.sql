@@ -0,0 +1,33 @@
+-- Staff client search (lib/retainer/clients.js, api/retainer/clients.js).
+
+-- Document / signing state mirrored onto the record so search can filter on
+-- it: documents.js sets has_<kind> when a file is stored, signatures.js sets
+-- signed_at on each signing.
+alter table public.retainer_records
+  add column if not exists has_signature       boolean not null default false,
+  add column if not exists has_drivers_license boolean not null default false,
+  add column if not exists has_car_insurance   boolean not null default false,
+  add column if not exists signed_at           timestamptz;
+
+-- Backfill from what's already stored. Legacy signatures (signature_path on
+-- the record) count as on file; they have no signing time.
+update public.retainer_records r set
+  has_signature       = r.signature_path is not null
+                        or exists (select 1 from public.retainer_documents d where d.kind = 'signature'
+                                   and (d.email = r.email or d.shopify_customer_id = r.shopify_customer_id)),
+  has_drivers_license = exists (select 1 from public.retainer_documents d where d.kind = 'drivers_license'
+                                and (d.email = r.email or d.shopify_customer_id = r.shopify_customer_id)),
+  has_car_insurance   = exists (select 1 from public.retainer_documents d where d.kind = 'car_insurance'
+                                and (d.email = r.email or d.shopify_customer_id = r.shopify_customer_id)),
+  signed_at           = (select max(e.signed_at) from public.signature_events e
+                         where e.email = r.email or e.shopify_customer_id = r.shopify_customer_id);
+
+create extension if not exists pg_trgm;
+
+create index if not exists retainer_records_updated_idx  on public.retainer_records (updated_at desc, email);
+create index if not exists retainer_records_signed_idx   on public.retainer_records (signed_at, email);
+create index if not exists retainer_records_end_idx      on public.retainer_records (retainer_end, email);
+create index if not exists retainer_records_plan_idx     on public.retainer_records (retainer_plan, retainer_term);
+create index if not exists retainer_records_name_trgm    on public.retainer_records using gin (full_name gin_trgm_ops);
+create index if not exists retainer_records_email_trgm   on public.retainer_records using gin (email gin_trgm_ops);
+create index if not exists retainer_records_insurer_trgm on public.retainer_records using gin (insurer gin_trgm_ops);
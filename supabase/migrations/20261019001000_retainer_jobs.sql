@@ -0,0 +1,33 @@
+-- Durable job queue (lib/retainer/jobs.js). intake-upsert enqueues an "intake"
+-- job per submission; the jobs-worker cron claims and runs them step by step.
+create table if not exists public.retainer_jobs (
+  id             uuid primary key,
+  kind           text not null,                 -- "intake"
+  status         text not null default 'queued'
+                   check (status in ('queued', 'running', 'succeeded', 'failed')),
+  payload        jsonb,                         -- dropped once the job finishes
+  state          jsonb not null default '{}'::jsonb,
+  steps          jsonb not null default '[]'::jsonb,
+  result         jsonb,
+  error          text,
+  attempts       int not null default 0,
+  max_attempts   int not null default 5,
+  run_at         timestamptz not null default now(),
+  locked_until   timestamptz,
+  subject_email  text,
+  created_at     timestamptz not null default now(),
+  updated_at     timestamptz not null default now(),
+  finished_at    timestamptz
+);
+
+create index if not exists retainer_jobs_claim_idx
+  on public.retainer_jobs (status, run_at);
+
+create index if not exists retainer_jobs_subject_email_idx
+  on public.retainer_jobs (subject_email);
+
+create index if not exists retainer_jobs_finished_at_idx
+  on public.retainer_jobs (finished_at)
+  where finished_at is not null;
+
+alter table public.retainer_jobs enable row level security;
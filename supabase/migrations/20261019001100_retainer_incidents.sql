@@ -0,0 +1,31 @@
+-- Incident reports from retained clients (lib/retainer/incidents.js). Photos
+-- live in the private documents bucket (kind "incident_photo"); `photos`
+-- holds their paths and hashes.
+
+create table if not exists public.retainer_incidents (
+  id                    uuid primary key,
+  reference             text not null unique,    -- "INC-261019-7KQ3M", given to the client
+  email                 text not null,
+  shopify_customer_id   text,
+  retainer_order        text,                    -- order GID of the covering retainer
+  retainer_plan         text,
+  status                text not null default 'received',
+  incident_date         date not null,
+  incident_time         text,                    -- "HH:MM", local to the incident
+  location              text not null,
+  description           text,
+  vehicles              jsonb not null default '[]'::jsonb,
+  other_parties         jsonb not null default '[]'::jsonb,
+  police_report_number  text,
+  injuries              boolean,
+  injury_description    text,
+  photos                jsonb not null default '[]'::jsonb,
+  created_at            timestamptz not null default now()
+);
+
+create index if not exists retainer_incidents_email_idx
+  on public.retainer_incidents (email, created_at desc);
+create index if not exists retainer_incidents_customer_idx
+  on public.retainer_incidents (shopify_customer_id, created_at desc);
+
+alter table public.retainer_incidents enable row level security;
@@ -0,0 +1,88 @@
+-- Household members and vehicles as their own rows, for the staff coverage
+-- lookup (lib/retainer/coverage.js, api/retainer/coverage-lookup.js). The
+-- record's household / vehicles columns stay the source; every record write
+-- replaces the holder's rows.
+
+-- Holder phone for lookups by phone: digits without the US country code,
+-- mirrored from the retainer.phone_digits metafield (sync.js).
+alter table public.retainer_records
+  add column if not exists phone_digits text;
+
+create index if not exists retainer_records_phone_idx on public.retainer_records (phone_digits);
+create index if not exists retainer_records_dob_idx   on public.retainer_records (dob);
+
+create extension if not exists unaccent;
+
+create table if not exists public.retainer_household_members (
+  id                  uuid primary key default gen_random_uuid(),
+  holder_email        text not null references public.retainer_records (email) on update cascade on delete cascade,
+  shopify_customer_id text,
+  position            integer not null,          -- index in the record's household list
+  name                text not null,
+  name_key            text not null,             -- lower case letters and digits, accents dropped
+  dob                 date,
+  relationship        text,
+  phone_digits        text,
+  created_at          timestamptz not null default now()
+);
+
+create index if not exists retainer_household_holder_idx on public.retainer_household_members (holder_email);
+create index if not exists retainer_household_name_idx   on public.retainer_household_members (name_key, dob);
+create index if not exists retainer_household_phone_idx  on public.retainer_household_members (phone_digits);
+
+create table if not exists public.retainer_vehicles (
+  id                  uuid primary key default gen_random_uuid(),
+  holder_email        text not null references public.retainer_records (email) on update cascade on delete cascade,
+  shopify_customer_id text,
+  position            integer not null,          -- index in the record's vehicles list
+  year                integer,
+  make                text,
+  model               text,
+  plate               text,                      -- as entered
+  plate_key           text,                      -- upper case, letters and digits only
+  plate_state         text,
+  vin                 text,                      -- upper case, letters and digits only
+  created_at          timestamptz not null default now()
+);
+
+create index if not exists retainer_vehicles_holder_idx on public.retainer_vehicles (holder_email);
+create index if not exists retainer_vehicles_plate_idx  on public.retainer_vehicles (plate_key, plate_state);
+create index if not exists retainer_vehicles_vin_idx    on public.retainer_vehicles (vin);
+
+alter table public.retainer_household_members enable row level security;
+alter table public.retainer_vehicles enable row level security;
+
+-- Backfill from the records, with the normalisation coverage.js applies.
+insert into public.retainer_household_members
+  (holder_email, shopify_customer_id, position, name, name_key, dob, relationship, phone_digits)
+select r.email, r.shopify_customer_id, (h.n - 1)::integer,
+       btrim(h.m->>'name'),
+       regexp_replace(lower(unaccent(h.m->>'name')), '[^a-z0-9]', '', 'g'),
+       case when h.m->>'dob' ~ '^\d{4}-\d{2}-\d{2}$' then (h.m->>'dob')::date end,
+       nullif(btrim(h.m->>'relationship'), ''),
+       nullif(regexp_replace(regexp_replace(coalesce(h.m->>'phone', ''), '\D', '', 'g'), '^1(\d{10})$', '\1'), '')
+from public.retainer_records r
+cross join lateral jsonb_array_elements(
+  case when jsonb_typeof(r.household) = 'array' then r.household else '[]'::jsonb end
+) with ordinality as h(m, n)
+where regexp_replace(lower(unaccent(coalesce(h.m->>'name', ''))), '[^a-z0-9]', '', 'g') <> ''
+  and not exists (select 1 from public.retainer_household_members x where x.holder_email = r.email);
+
+insert into public.retainer_vehicles
+  (holder_email, shopify_customer_id, position, year, make, model, plate, plate_key, plate_state, vin)
+select r.email, r.shopify_customer_id, (v.n - 1)::integer,
+       case when v.m->>'year' ~ '^\d{4}$' then (v.m->>'year')::integer end,
+       nullif(btrim(v.m->>'make'), ''),
+       nullif(btrim(v.m->>'model'), ''),
+       nullif(btrim(v.m->>'plate'), ''),
+       nullif(regexp_replace(upper(coalesce(v.m->>'plate', '')), '[^A-Z0-9]', '', 'g'), ''),
+       nullif(upper(btrim(v.m->>'plate_state')), ''),
+       nullif(regexp_replace(upper(coalesce(v.m->>'vin', '')), '[^A-Z0-9]', '', 'g'), '')
+from public.retainer_records r
+cross join lateral jsonb_array_elements(
+  case when jsonb_typeof(r.vehicles) = 'array' then r.vehicles else '[]'::jsonb end
+) with ordinality as v(m, n)
+where jsonb_typeof(v.m) = 'object'
+  and coalesce(nullif(btrim(v.m->>'year'), ''), nullif(btrim(v.m->>'make'), ''), nullif(btrim(v.m->>'model'), ''),
+               nullif(btrim(v.m->>'plate'), ''), nullif(btrim(v.m->>'vin'), '')) is not null
+  and not exists (select 1 from public.retainer_vehicles x where x.holder_email = r.email);
@@ -0,0 +1,14 @@
+-- phone_digits now holds the E.164 number without "+" (lib/retainer/phone.js):
+-- "12125550123" rather than "2125550123". Values stored before were US numbers
+-- with the country code stripped, so those get it back. The
+-- retainer.phone_digits metafield is converted by
+-- scripts/metafield-definitions.js --apply (numbers it can't parse are listed
+-- to fix by hand).
+
+update public.retainer_records
+   set phone_digits = '1' || phone_digits
+ where phone_digits ~ '^[2-9]\d{2}[2-9]\d{6}$';
+
+update public.retainer_household_members
+   set phone_digits = '1' || phone_digits
+ where phone_digits ~ '^[2-9]\d{2}[2-9]\d{6}$';
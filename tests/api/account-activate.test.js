@@ -0,0 +1,116 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, bearer } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import { signToken, authenticate, ACTIVATE_PURPOSE, consoleNotifier, setNotifier } from '../../lib/retainer/index.js';
+import intake from '../../api/retainer/intake-upsert.js';
+import handler from '../../api/retainer/account-activate.js';
+
+const PASSWORD = 'Blue-Harbor-42';
+const post = body => invoke(handler, { method:'POST', body });
+
+let ctx;
+beforeEach(() => { ctx = fresh(); });
+
+// Intake → the token from the emailed activation link.
+async function invited(email = 'new@example.com'){
+  const r = await invoke(intake, { method:'POST', body:{ email, phone:'212-555-0123', last_name:'Client' } });
+  assert.equal(r.body.activation.status, 'sent');
+  const url = ctx.sent.filter(m => m.kind === 'activation').at(-1).data.url;
+  return new URL(url).searchParams.get('token');
+}
+
+test('the emailed token activates the account and answers a session', async () => {
+  const token = await invited();
+  const r = await post({ token, password: PASSWORD });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.ok, true);
+  assert.ok(r.body.access_token);
+  assert.equal(ctx.shop.customerByEmail('new@example.com').state, 'ENABLED');
+  assert.equal((await authenticate({ headers: bearer(r.body.session_token) })).ok, true);
+
+  const again = await post({ token, password: PASSWORD });
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.code, 'already_active');
+});
+
+test('bad, expired and foreign tokens and weak passwords are refused', async () => {
+  let r = await post({ token:'garbage', password: PASSWORD });
+  assert.equal(r.statusCode, 400);
+  assert.equal(r.body.code, 'invalid');
+
+  const token = await invited();
+  r = await post({ token, password:'newnewnew1' });
+  assert.equal(r.statusCode, 400);
+  assert.equal(r.body.code, 'weak_password');
+  assert.equal(ctx.shop.customerByEmail('new@example.com').state, 'DISABLED');
+
+  const { id } = ctx.shop.customerByEmail('new@example.com');
+  r = await post({ token: signToken({ sub:id, email:'new@example.com' }, { purpose: ACTIVATE_PURPOSE, ttlSeconds:-1 }), password: PASSWORD });
+  assert.equal(r.body.code, 'expired');
+  r = await post({ token: signToken({ sub:id, email:'new@example.com' }, { purpose:'session', ttlSeconds:60 }), password: PASSWORD });
+  assert.equal(r.body.code, 'wrong_purpose');
+  r = await post({ token: signToken({ sub:id, email:'other@example.com' }, { purpose: ACTIVATE_PURPOSE, ttlSeconds:60 }), password: PASSWORD });
+  assert.equal(r.body.code, 'invalid');
+
+  assert.equal((await post({})).statusCode, 400);
+});
+
+test('resend emails a fresh link only to password-less accounts, answering the same either way', async () => {
+  await invited();
+  ctx.shop.addCustomer({ email:'active@example.com', password:'Old-Harbor-42' });
+  ctx.sent.length = 0;
+
+  for (const email of ['new@example.com', 'active@example.com', 'nobody@example.com']) {
+    assert.deepEqual((await post({ action:'resend', email })).body, { ok:true });
+  }
+  assert.deepEqual(ctx.sent.map(m => m.to), ['new@example.com']);
+});
+
+test('without an email provider, intake reports the link unavailable and resend answers 503', async () => {
+  setNotifier(consoleNotifier());
+  const r = await invoke(intake, { method:'POST', body:{ email:'new@example.com', phone:'212-555-0123', last_name:'Client' } });
+  assert.equal(r.body.activation.status, 'unavailable');
+  for (const email of ['new@example.com', 'nobody@example.com']) {
+    assert.equal((await post({ action:'resend', email })).statusCode, 503);
+  }
+});
+
+test('with NOTIFIER=provider the link is emailed through the provider and reported sent', async t => {
+  Object.assign(process.env, { NOTIFIER:'provider', POSTMARK_SERVER_TOKEN:'pm-token', NOTIFY_FROM_EMAIL:'office@example.com' });
+  t.after(() => { for (const k of ['NOTIFIER', 'POSTMARK_SERVER_TOKEN', 'NOTIFY_FROM_EMAIL']) delete process.env[k]; });
+  setNotifier(null);
+  const emails = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    emails.push(JSON.parse(init.body));
+    return new Response(JSON.stringify({ MessageID:`pm-${emails.length}` }), { status:200 });
+  });
+
+  const r = await invoke(intake, { method:'POST', body:{ email:'new@example.com', phone:'212-555-0123', last_name:'Client' } });
+  assert.equal(r.body.activation.status, 'sent');
+  assert.equal(emails.length, 1);
+  assert.equal(emails[0].To, 'new@example.com');
+  assert.match(emails[0].TextBody, /token=/);
+  assert.equal(ctx.sent.length, 0);
+
+  assert.equal((await post({ action:'resend', email:'new@example.com' })).statusCode, 200);
+  assert.equal(emails.length, 2);
+});
+
+test('recover and reset go through Shopify', async () => {
+  ctx.shop.addCustomer({ email:'forgot@example.com', password:'Old-Harbor-42' });
+  assert.deepEqual((await post({ action:'recover', email:'forgot@example.com' })).body, { ok:true });
+  const [mail] = ctx.shop.state.outbox;
+  assert.equal(mail.kind, 'reset');
+
+  const r = await post({ reset_url: mail.url, password: PASSWORD });
+  assert.equal(r.body.ok, true);
+  assert.ok(r.body.session_token);
+  assert.equal((await post({ reset_url:'https://elsewhere.example/x', password: PASSWORD })).statusCode, 400);
+});
+
+test('rate limited per email', async () => {
+  let r;
+  for (let i = 0; i < 4; i++) r = await post({ action:'recover', email:'forgot@example.com' });
+  assert.equal(r.statusCode, 429);
+});
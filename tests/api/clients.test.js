@@ -0,0 +1,61 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, seedClient, customerAuth, staffAuth } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import handler from '../../api/retainer/clients.js';
+
+const list = query => invoke(handler, { method:'GET', query, headers: staffAuth() });
+
+let ctx;
+beforeEach(async () => {
+  ctx = fresh();
+  for (const [i, email] of ['ana@example.com', 'ben@example.com', 'cho@example.com'].entries()) {
+    await seedClient(ctx, { email });
+    Object.assign(ctx.db.rows('retainer_records').at(-1), {
+      full_name: ['Ana Alvarez', 'Ben Brooks', 'Cho Chen'][i],
+      insurer: i === 1 ? 'State Farm' : 'Geico',
+      retainer_plan: i === 2 ? 'Silver' : 'Gold',
+      updated_at: `2026-10-0${i + 1}T00:00:00.000Z`,
+    });
+  }
+});
+
+test('staff list clients newest first, without the sensitive columns', async () => {
+  const r = await list({});
+  assert.equal(r.statusCode, 200);
+  assert.deepEqual(r.body.clients.map(c => c.email), ['cho@example.com', 'ben@example.com', 'ana@example.com']);
+  assert.equal(r.body.clients[0].dob, undefined);
+  assert.equal(r.body.clients[0].status, 'active');
+  assert.deepEqual(r.body.clients[0].missing_documents.sort(), ['car_insurance', 'drivers_license', 'signature']);
+});
+
+test('filters, search and include', async () => {
+  let r = await list({ plan:'Gold', insurer:'geico' });
+  assert.deepEqual(r.body.clients.map(c => c.email), ['ana@example.com']);
+
+  r = await list({ q:'brooks' });
+  assert.deepEqual(r.body.clients.map(c => c.email), ['ben@example.com']);
+
+  r = await list({ q:'cho', include:'dob' });
+  assert.equal(r.body.clients[0].dob, '1990-01-02');
+});
+
+test('pages with a cursor', async () => {
+  const seen = [];
+  let cursor;
+  do {
+    const r = await list({ sort:'email', limit:'2', ...(cursor ? { cursor } : {}) });
+    seen.push(...r.body.clients.map(c => c.email));
+    cursor = r.body.next_cursor;
+  } while (cursor);
+  assert.deepEqual(seen, ['ana@example.com', 'ben@example.com', 'cho@example.com']);
+});
+
+test('bad queries and non-staff callers are refused', async () => {
+  for (const query of [{ sort:'dob' }, { limit:'0' }, { include:'password' }, { status:'sleeping' }, { has_bi:'maybe' }]) {
+    assert.equal((await list(query)).statusCode, 400, JSON.stringify(query));
+  }
+  assert.equal((await invoke(handler, { method:'GET' })).statusCode, 401);
+  const c = ctx.shop.customerByEmail('ana@example.com');
+  assert.equal((await invoke(handler, { method:'GET', headers: customerAuth(c) })).statusCode, 403);
+});
@@ -0,0 +1,78 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, seedClient, customerAuth, staffAuth, TODAY, addDays } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import intake from '../../api/retainer/intake-upsert.js';
+import profileUpdate from '../../api/retainer/profile-update.js';
+import handler from '../../api/retainer/coverage-lookup.js';
+
+const lookup = query => invoke(handler, { method:'GET', query, headers: staffAuth() });
+
+let ctx;
+beforeEach(async () => {
+  ctx = fresh();
+  // Household and vehicles go through the intake so their rows are written.
+  const r = await invoke(intake, { method:'POST', body:{
+    email:'holder@example.com', phone:'212-555-0123', full_name:'Hana Holder', dob:'1980-03-04',
+    household:[{ name:"Mo O'Brien", dob:'2010-07-08', relationship:'child' }],
+    vehicles:[{ year:2018, make:'Ford', model:'Focus', plate:'7-abc 123', plate_state:'ca', vin:'1HGCM82633A004352' }],
+  } });
+  assert.equal(r.body.ok, true);
+  const row = ctx.db.rows('retainer_records')[0];
+  Object.assign(row, { retainer_status:'active', retainer_start: addDays(TODAY, -10), retainer_end: addDays(TODAY, 355), retainer_plan:'Gold' });
+});
+
+test('finds the holder, a household member and a vehicle', async () => {
+  let r = await lookup({ name:'hana holder', dob:'1980-03-04' });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.covered, true);
+  assert.deepEqual(r.body.matches[0].matched, [{ type:'holder', by:'name_dob' }]);
+  assert.equal(r.body.matches[0].coverage.plan, 'Gold');
+
+  r = await lookup({ name:'Mo OBrien', dob:'2010-07-08' });
+  assert.equal(r.body.matches[0].holder.email, 'holder@example.com');
+  assert.equal(r.body.matches[0].matched[0].type, 'household_member');
+
+  r = await lookup({ plate:'7ABC123', plate_state:'CA' });
+  assert.equal(r.body.matches[0].matched[0].by, 'plate');
+  r = await lookup({ vin:'1hgcm82633a004352' });
+  assert.equal(r.body.matches[0].matched[0].by, 'vin');
+  r = await lookup({ phone:'(212) 555-0123' });
+  assert.equal(r.body.matches[0].matched[0].by, 'phone');
+});
+
+test('an expired retainer matches but is not covered; no match is empty', async () => {
+  Object.assign(ctx.db.rows('retainer_records')[0], { retainer_end: addDays(TODAY, -1) });
+  let r = await lookup({ plate:'7ABC123' });
+  assert.equal(r.body.covered, false);
+  assert.equal(r.body.matches.length, 1);
+
+  r = await lookup({ plate:'NOPE000' });
+  assert.deepEqual(r.body, { ok:true, covered:false, matches:[] });
+});
+
+test('a vehicle change that fails to save keeps the old rows findable', async () => {
+  const from = ctx.db.from.bind(ctx.db);
+  ctx.db.from = table => {
+    const q = from(table);
+    if (table === 'retainer_vehicles') q.insert = async () => ({ data:null, error:{ message:'connection reset' } });
+    return q;
+  };
+  const r = await invoke(profileUpdate, { method:'POST', body:{
+    email:'holder@example.com', vehicles:[{ year:2022, make:'Kia', model:'Soul', plate:'NEW1234', plate_state:'CA' }],
+  } });
+  assert.equal(r.body.ok, true);
+  ctx.db.from = from;
+
+  const found = await lookup({ plate:'7ABC123' });
+  assert.equal(found.body.matches[0].holder.email, 'holder@example.com');
+});
+
+test('bad lookups and non-staff callers are refused', async () => {
+  for (const query of [{}, { name:'Hana Holder' }, { name:'Hana', dob:'03/04/1980' }, { vin:'SHORT' }, { phone:'12' }]) {
+    assert.equal((await lookup(query)).statusCode, 400, JSON.stringify(query));
+  }
+  assert.equal((await invoke(handler, { method:'GET', query:{ plate:'7ABC123' } })).statusCode, 401);
+  const c = await seedClient(ctx, { email:'someone@example.com' });
+  assert.equal((await invoke(handler, { method:'GET', query:{ plate:'7ABC123' }, headers: customerAuth(c) })).statusCode, 403);
+});
@@ -0,0 +1,102 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, seedClient, cronAuth, TODAY, addDays } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import { setMetafields, setNotifier, consoleNotifier, NS } from '../../lib/retainer/index.js';
+import handler from '../../api/retainer/cron-sweep.js';
+
+const sweep = (query = {}) => invoke(handler, { method:'GET', query, headers: cronAuth() });
+
+let ctx;
+beforeEach(() => { ctx = fresh(); });
+
+test('only the cron may sweep', async () => {
+  assert.equal((await invoke(handler, { method:'GET' })).statusCode, 401);
+  assert.equal((await invoke(handler, { method:'GET', headers:{ authorization:'Bearer nope' } })).statusCode, 401);
+  assert.equal((await invoke(handler, { method:'POST', headers: cronAuth() })).statusCode, 405);
+  assert.equal((await sweep({ today:'soon' })).statusCode, 400);
+});
+
+test('expires a retainer past its end date, in the record and in Shopify', async () => {
+  const c = await seedClient(ctx, { start: addDays(TODAY, -400), end: addDays(TODAY, -1) });
+  const r = await sweep();
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.counts.expired, 1);
+  assert.equal(ctx.db.rows('retainer_records')[0].retainer_status, 'expired');
+  const mf = ctx.shop.metafieldsOf(c.id);
+  assert.equal(mf.retainer_status.value, 'expired');
+  assert.equal(mf.current_retainer_plan, undefined);
+  assert.equal(ctx.db.rows('retainer_transitions')[0].to_status, 'expired');
+  assert.deepEqual(ctx.sent.map(m => m.kind), ['expired']);
+
+  // The next run has nothing left to expire.
+  assert.equal((await sweep()).body.scanned, 0);
+});
+
+test('sends each reminder window once', async () => {
+  await seedClient(ctx, { end: addDays(TODAY, 10) });
+  let r = await sweep();
+  assert.equal(r.body.counts.reminded, 1);
+  assert.equal(r.body.delivery.sent, 1);
+  assert.equal(ctx.sent[0].kind, 'expiring');
+  assert.equal(ctx.sent[0].to, 'client@example.com');
+  assert.match(ctx.sent[0].text, /in 10 days/);
+
+  r = await sweep();
+  assert.equal(r.body.counts.already_reminded, 1);
+  assert.equal(ctx.sent.length, 1);
+
+  // The 3-day window is its own notice.
+  r = await sweep({ today: addDays(TODAY, 8) });
+  assert.equal(r.body.results[0].window_days, 3);
+  assert.equal(ctx.sent.length, 2);
+});
+
+test('a renewal in Shopify resyncs the record instead of expiring it', async () => {
+  const c = await seedClient(ctx, { start: addDays(TODAY, -400), end: addDays(TODAY, -1) });
+  await setMetafields([{ ownerId: c.id, namespace: NS, key:'retainer_end', type:'date', value: addDays(TODAY, 364) }]);
+  const r = await sweep();
+  assert.equal(r.body.counts.resynced, 1);
+  const [row] = ctx.db.rows('retainer_records');
+  assert.equal(row.retainer_status, 'active');
+  assert.equal(row.retainer_end, addDays(TODAY, 364));
+  assert.equal(ctx.sent.length, 0);
+});
+
+test('a failed send stays queued for the next run', async () => {
+  await seedClient(ctx, { end: addDays(TODAY, 2) });
+  setNotifier({ name:'down', send: async () => { throw new Error('provider down'); } });
+  let r = await sweep();
+  assert.deepEqual(r.body.delivery, { sent:0, failed:1, unavailable_channels:[] });
+  assert.equal(ctx.db.rows('retainer_notices')[0].status, 'failed');
+
+  setNotifier({ name:'up', send: async msg => { ctx.sent.push(msg); return { id:'ok-1' }; } });
+  r = await sweep();
+  assert.deepEqual(r.body.delivery, { sent:1, failed:0, unavailable_channels:[] });
+  assert.equal(ctx.db.rows('retainer_notices')[0].attempts, 2);
+});
+
+test('without a provider notices stay queued and the recipient is never logged', async t => {
+  await seedClient(ctx, { end: addDays(TODAY, 2) });
+  setNotifier(consoleNotifier());
+  const log = t.mock.method(console, 'log', () => {});
+  let r = await sweep();
+  assert.deepEqual(r.body.delivery, { sent:0, failed:0, unavailable_channels:['email', 'sms'] });
+  assert.deepEqual(ctx.db.rows('retainer_notices').map(n => [n.status, n.attempts]), [['queued', 0]]);
+  assert.ok(!log.mock.calls.some(c => c.arguments.join(' ').includes('client@example.com')));
+
+  // An email-only provider sends the email; an SMS notice would wait for Twilio.
+  setNotifier({ name:'email-only', channels:['email'], send: async msg => { ctx.sent.push(msg); return { id:'ok-1' }; } });
+  r = await sweep();
+  assert.deepEqual(r.body.delivery, { sent:1, failed:0, unavailable_channels:['sms'] });
+  assert.equal(ctx.db.rows('retainer_notices')[0].status, 'sent');
+});
+
+test('a dry run reports without writing', async () => {
+  await seedClient(ctx, { start: addDays(TODAY, -400), end: addDays(TODAY, -1) });
+  const r = await sweep({ dry_run:'1' });
+  assert.equal(r.body.dry_run, true);
+  assert.equal(r.body.counts.expire, 1);
+  assert.equal(ctx.db.rows('retainer_records')[0].retainer_status, 'active');
+  assert.equal(ctx.sent.length, 0);
+});
@@ -0,0 +1,46 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import handler from '../../api/retainer/customer-create.js';
+
+const PASSWORD = 'Blue-Harbor-42';
+
+let ctx;
+beforeEach(() => { ctx = fresh(); });
+
+test('creates an enabled Storefront customer', async () => {
+  const r = await invoke(handler, { method:'POST', body:{ email:'Sign.Up@Example.com', password: PASSWORD, first_name:'Sy' } });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.ok, true);
+  assert.equal(r.body.customer.email, 'sign.up@example.com');
+  assert.equal(ctx.shop.customerByEmail('sign.up@example.com').state, 'ENABLED');
+});
+
+test('weak passwords and bad emails are refused before Shopify is called', async () => {
+  let r = await invoke(handler, { method:'POST', body:{ email:'signup@example.com', password:'password123' } });
+  assert.equal(r.statusCode, 400);
+  assert.equal(r.body.code, 'weak_password');
+
+  r = await invoke(handler, { method:'POST', body:{ email:'signup@example.com', password:'Signup-Harbor-42' } });
+  assert.equal(r.body.code, 'weak_password');
+
+  r = await invoke(handler, { method:'POST', body:{ email:'nope', password: PASSWORD } });
+  assert.equal(r.statusCode, 400);
+  r = await invoke(handler, { method:'POST', body:{ email:'signup@example.com' } });
+  assert.equal(r.statusCode, 400);
+  assert.equal(ctx.shop.state.customers.size, 0);
+});
+
+test('a taken email comes back as a Shopify error', async () => {
+  ctx.shop.addCustomer({ email:'taken@example.com' });
+  const r = await invoke(handler, { method:'POST', body:{ email:'taken@example.com', password: PASSWORD } });
+  assert.equal(r.body.ok, false);
+  assert.match(r.body.error, /TAKEN/);
+});
+
+test('rate limited per email', async () => {
+  let r;
+  for (let i = 0; i < 4; i++) r = await invoke(handler, { method:'POST', body:{ email:'retry@example.com', password:'short' } });
+  assert.equal(r.statusCode, 429);
+});
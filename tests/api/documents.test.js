@@ -0,0 +1,54 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, customerAuth, staffAuth, PNG_DATA_URL } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import intake from '../../api/retainer/intake-upsert.js';
+import handler from '../../api/retainer/documents.js';
+
+let ctx;
+beforeEach(() => { ctx = fresh(); });
+
+// Intake with a signature and a license → { id, email } of the new customer.
+async function client(email = 'doc@example.com'){
+  const r = await invoke(intake, { method:'POST', body:{
+    email, phone:'212-555-0123', first_name:'Dana', last_name:'Doc',
+    signature_data_url: PNG_DATA_URL, license_data_url: PNG_DATA_URL,
+  } });
+  assert.equal(r.body.ok, true);
+  return { id: r.body.customer_id, email };
+}
+
+test('a customer gets short-lived signed links to their own documents', async () => {
+  const c = await client();
+  const r = await invoke(handler, { method:'GET', headers: customerAuth(c) });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.headers['cache-control'], 'no-store');
+  assert.deepEqual(r.body.documents.map(d => d.kind).sort(), ['agreement', 'drivers_license', 'signature']);
+  for (const d of r.body.documents) {
+    assert.match(d.url, /\/object\/sign\/retainer-documents\/.*expires_in=300/);
+    assert.ok(d.expires_at);
+  }
+
+  const only = await invoke(handler, { method:'GET', query:{ kind:'signature' }, headers: customerAuth(c) });
+  assert.deepEqual(only.body.documents.map(d => d.kind), ['signature']);
+});
+
+test("a customer can't list someone else's documents", async () => {
+  const c = await client();
+  await client('other@example.com');
+  const r = await invoke(handler, { method:'GET', query:{ email:'other@example.com' }, headers: customerAuth(c) });
+  assert.equal(r.statusCode, 403);
+});
+
+test('staff name the client; bad queries are refused', async () => {
+  await client();
+  let r = await invoke(handler, { method:'GET', query:{ email:'doc@example.com' }, headers: staffAuth() });
+  assert.equal(r.body.documents.length, 3);
+
+  r = await invoke(handler, { method:'GET', headers: staffAuth() });
+  assert.equal(r.statusCode, 400);
+  r = await invoke(handler, { method:'GET', query:{ email:'doc@example.com', kind:'selfie' }, headers: staffAuth() });
+  assert.equal(r.statusCode, 400);
+  r = await invoke(handler, { method:'GET' });
+  assert.equal(r.statusCode, 401);
+});
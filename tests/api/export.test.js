@@ -0,0 +1,41 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, seedClient, customerAuth, staffAuth } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import { EXPORT_COLUMNS } from '../../lib/retainer/index.js';
+import handler from '../../api/retainer/export.js';
+
+let ctx;
+beforeEach(async () => {
+  ctx = fresh();
+  await seedClient(ctx, { email:'ana@example.com' });
+  await seedClient(ctx, { email:'ben@example.com' });
+  ctx.db.rows('retainer_records')[1].retainer_plan = 'Silver';
+});
+
+test('CSV with a header row and one line per client', async () => {
+  const r = await invoke(handler, { method:'GET', headers: staffAuth() });
+  assert.equal(r.statusCode, 200);
+  assert.match(r.headers['content-type'], /^text\/csv/);
+  assert.match(r.headers['content-disposition'], /retainer-clients-\d{4}-\d{2}-\d{2}\.csv/);
+  const lines = r.body.trimEnd().split(/\r?\n/);
+  assert.equal(lines[0], EXPORT_COLUMNS.join(','));
+  assert.equal(lines.length, 3);
+});
+
+test('NDJSON honours the client filters', async () => {
+  const r = await invoke(handler, { method:'GET', query:{ format:'ndjson', plan:'Silver' }, headers: staffAuth() });
+  const rows = r.body.trimEnd().split('\n').map(l => JSON.parse(l));
+  assert.deepEqual(rows.map(x => x.email), ['ben@example.com']);
+  assert.equal(rows[0].retainer_plan, 'Silver');
+});
+
+test('staff only; bad queries answer JSON', async () => {
+  assert.equal((await invoke(handler, { method:'GET' })).statusCode, 401);
+  const c = ctx.shop.customerByEmail('ana@example.com');
+  assert.equal((await invoke(handler, { method:'GET', headers: customerAuth(c) })).statusCode, 403);
+  let r = await invoke(handler, { method:'GET', query:{ format:'xlsx' }, headers: staffAuth() });
+  assert.equal(r.statusCode, 400);
+  r = await invoke(handler, { method:'GET', query:{ signed_from:'yesterday' }, headers: staffAuth() });
+  assert.equal(r.statusCode, 400);
+});
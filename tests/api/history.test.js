@@ -0,0 +1,61 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, seedClient, customerAuth, staffAuth } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import profileUpdate from '../../api/retainer/profile-update.js';
+import handler from '../../api/retainer/history.js';
+
+let ctx, c;
+beforeEach(async () => {
+  ctx = fresh();
+  c = await seedClient(ctx);
+  ctx.db.rows('retainer_records')[0].insurer = 'Geico';
+  const r = await invoke(profileUpdate, { method:'POST', body:{ email:'client@example.com', insurer:'Progressive' } });
+  assert.equal(r.body.ok, true);
+});
+
+const recordEntry = async () => (await invoke(handler, { method:'GET', query:{ target:'record' }, headers: customerAuth(c) })).body.entries[0];
+
+test('a customer reads their own history, with diffs but no snapshots', async () => {
+  const r = await invoke(handler, { method:'GET', headers: customerAuth(c) });
+  assert.equal(r.statusCode, 200);
+  assert.deepEqual(r.body.entries.map(e => e.source), ['profile-update', 'profile-update', 'script']);
+  const e = await recordEntry();
+  assert.equal(e.source, 'profile-update');
+  assert.ok(e.diff.some(d => d.field === 'insurer'));
+  assert.equal(e.before, undefined);
+
+  const other = await invoke(handler, { method:'GET', query:{ email:'other@example.com' }, headers: customerAuth(c) });
+  assert.equal(other.statusCode, 403);
+});
+
+test('staff get snapshots with full=1 and can restore the record', async () => {
+  const { id } = await recordEntry();
+  let r = await invoke(handler, { method:'GET', query:{ email:'client@example.com', target:'record', full:'1' }, headers: staffAuth() });
+  assert.equal(r.body.entries[0].after.insurer, 'Progressive');
+
+  r = await invoke(handler, { method:'POST', body:{ entry_id: id }, headers: staffAuth() });
+  assert.equal(r.statusCode, 200);
+  assert.deepEqual(r.body.restored.set, ['insurer']);
+  assert.equal(ctx.db.rows('retainer_records')[0].insurer, 'Geico');
+
+  const restore = await recordEntry();
+  assert.equal(restore.action, 'restore');
+  assert.equal(restore.restored_from, id);
+});
+
+test('restoring customer metafields deletes keys the snapshot lacked', async () => {
+  const [e] = (await invoke(handler, { method:'GET', query:{ target:'customer' }, headers: customerAuth(c) })).body.entries;
+  const r = await invoke(handler, { method:'POST', body:{ entry_id: e.id }, headers: staffAuth() });
+  assert.ok(r.body.restored.deleted.includes('insurer'));
+  assert.equal(ctx.shop.metafieldsOf(c.id).insurer, undefined);
+  assert.equal(ctx.shop.metafieldsOf(c.id).current_retainer_plan.value, 'Gold');
+});
+
+test('restore is staff only and checks its input', async () => {
+  const { id } = await recordEntry();
+  assert.equal((await invoke(handler, { method:'POST', body:{ entry_id: id }, headers: customerAuth(c) })).statusCode, 403);
+  assert.equal((await invoke(handler, { method:'POST', body:{}, headers: staffAuth() })).statusCode, 400);
+  assert.equal((await invoke(handler, { method:'POST', body:{ entry_id: id, to:'sideways' }, headers: staffAuth() })).statusCode, 400);
+  assert.equal((await invoke(handler, { method:'POST', body:{ entry_id:'00000000-0000-0000-0000-000000000000' }, headers: staffAuth() })).statusCode, 404);
+});
@@ -0,0 +1,73 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, seedClient, customerAuth, staffAuth, pngBytes, multipart, TODAY, addDays } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import upload from '../../api/retainer/upload.js';
+import handler from '../../api/retainer/incidents.js';
+
+const REPORT = { incident_date: addDays(TODAY, -1), location:'5th Ave & Main St', description:'Rear-ended at a light' };
+
+let ctx, c;
+beforeEach(async () => {
+  ctx = fresh();
+  c = await seedClient(ctx);
+  ctx.db.rows('retainer_records')[0].vehicles = [{ year:2020, make:'Honda', model:'Fit' }];
+});
+
+async function photoToken(){
+  const r = await invoke(upload, { method:'POST', ...await multipart({ kind:'incident_photo', file:{ bytes: await pngBytes(), type:'image/png' } }) });
+  return r.body.upload_token;
+}
+
+test('a covered client files a report with a vehicle and a photo', async () => {
+  const r = await invoke(handler, { method:'POST', headers: customerAuth(c), body:{
+    ...REPORT, vehicles:['0'], photo_upload_tokens:[await photoToken()],
+  } });
+  assert.equal(r.statusCode, 201);
+  assert.match(r.body.reference, /^INC-/);
+  assert.equal(r.body.status, 'received');
+  assert.equal(r.body.photos[0].stored, true);
+
+  const list = await invoke(handler, { method:'GET', headers: customerAuth(c) });
+  const [inc] = list.body.incidents;
+  assert.equal(inc.reference, r.body.reference);
+  assert.equal(inc.vehicles[0].model, 'Fit');
+  assert.match(inc.photos[0].url, /\/object\/sign\//);
+});
+
+test('staff read by email or reference; other clients get nothing', async () => {
+  const { body:{ reference } } = await invoke(handler, { method:'POST', headers: customerAuth(c), body: REPORT });
+  let r = await invoke(handler, { method:'GET', query:{ email:'client@example.com' }, headers: staffAuth() });
+  assert.equal(r.body.incidents.length, 1);
+  r = await invoke(handler, { method:'GET', query:{ reference }, headers: staffAuth() });
+  assert.equal(r.body.incidents[0].reference, reference);
+
+  const other = await seedClient(ctx, { email:'other@example.com' });
+  r = await invoke(handler, { method:'GET', query:{ reference }, headers: customerAuth(other) });
+  assert.equal(r.statusCode, 404);
+  r = await invoke(handler, { method:'GET', query:{ email:'client@example.com' }, headers: customerAuth(other) });
+  assert.equal(r.statusCode, 403);
+});
+
+test('field errors, unknown vehicles and staff posts are refused', async () => {
+  let r = await invoke(handler, { method:'POST', headers: customerAuth(c), body:{ location:'Somewhere', vehicles:['3'] } });
+  assert.equal(r.statusCode, 400);
+  assert.deepEqual(r.body.errors.map(e => e.field).sort(), ['incident_date', 'vehicles[0]']);
+
+  r = await invoke(handler, { method:'POST', headers: staffAuth(), body: REPORT });
+  assert.equal(r.statusCode, 403);
+  assert.equal(ctx.db.rows('retainer_incidents').length, 0);
+});
+
+test('only an active retainer can report', async () => {
+  const lapsed = await seedClient(ctx, { email:'lapsed@example.com', start: addDays(TODAY, -400), end: addDays(TODAY, -35) });
+  const r = await invoke(handler, { method:'POST', headers: customerAuth(lapsed), body: REPORT });
+  assert.equal(r.statusCode, 403);
+  assert.equal(r.body.code, 'retainer_inactive');
+});
+
+test('rate limited per client', async () => {
+  let r;
+  for (let i = 0; i < 6; i++) r = await invoke(handler, { method:'POST', headers: customerAuth(c), body: REPORT });
+  assert.equal(r.statusCode, 429);
+});
@@ -0,0 +1,46 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { fresh } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import { workJobs } from '../../lib/retainer/index.js';
+import intake from '../../api/retainer/intake-upsert.js';
+import handler from '../../api/retainer/intake-status.js';
+
+const status = job_id => invoke(handler, { method:'GET', query:{ job_id } });
+
+let ctx;
+beforeEach(() => { ctx = fresh(); process.env.INTAKE_MODE = 'queue'; });
+afterEach(() => { process.env.INTAKE_MODE = 'inline'; });
+
+test('follows a queued intake through to its result', async () => {
+  const q = await invoke(intake, { method:'POST', body:{ email:'queued@example.com', phone:'212-555-0123' } });
+  assert.equal(q.statusCode, 202);
+
+  let r = await status(q.body.job_id);
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.status, 'queued');
+  assert.equal(r.body.result, null);
+  assert.equal(r.headers['cache-control'], 'no-store');
+
+  await workJobs({ until: Date.now() + 5000 });
+  r = await status(q.body.job_id);
+  assert.equal(r.body.status, 'succeeded');
+  assert.ok(r.body.steps.every(s => s.status === 'done'));
+  assert.equal(r.body.result.ok, true);
+  assert.equal(r.body.result.customer_id, ctx.shop.customerByEmail('queued@example.com').id);
+});
+
+test('a failed intake reports the plain-English error', async () => {
+  ctx.shop.injectUserErrors('customerCreate', [{ field:['input', 'email'], message:'Email is invalid' }], { times:10 });
+  const q = await invoke(intake, { method:'POST', body:{ email:'bad@example.com', phone:'212-555-0123' } });
+  await workJobs({ until: Date.now() + 5000 });
+  const r = await status(q.body.job_id);
+  assert.equal(r.body.status, 'failed');
+  assert.deepEqual(r.body.result, { ok:false, error:'Email address looks invalid.' });
+});
+
+test('only job ids from intake-upsert are answered', async () => {
+  assert.equal((await status('nope')).statusCode, 400);
+  assert.equal((await status(crypto.randomUUID())).statusCode, 404);
+});
@@ -0,0 +1,200 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, PNG_DATA_URL } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import handler from '../../api/retainer/intake-upsert.js';
+
+const INTAKE = {
+  email: 'New.Client@Example.com',
+  phone: '212-555-0123',
+  first_name: 'Nia',
+  last_name: 'Client',
+  dob: '1988-04-05',
+  insurer: 'Geico',
+  has_bi: true,
+  household: [{ name:'Kai Client', dob:'2012-06-01', relationship:'child' }],
+  vehicles: [{ year:2020, make:'Honda', model:'Fit' }],
+  retainer_plan: 'Gold',
+  retainer_term: '1 year',
+};
+
+let ctx;
+beforeEach(() => { ctx = fresh(); });
+
+test('creates the customer and writes the intake metafields', async () => {
+  const r = await invoke(handler, { method:'POST', body: INTAKE });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.ok, true);
+
+  const c = ctx.shop.customerByEmail('new.client@example.com');
+  assert.equal(c.id, r.body.customer_id);
+  assert.equal(c.phone, '+12125550123');
+
+  const mf = ctx.shop.metafieldsOf(c.id);
+  assert.equal(mf.insurer.value, 'Geico');
+  assert.equal(mf.has_bi.value, 'true');
+  assert.equal(mf.current_retainer_plan.value, 'Gold');
+  assert.deepEqual(JSON.parse(mf.household_list.value), ['Kai Client — 2012-06-01 — child']);
+  assert.deepEqual(JSON.parse(mf.vehicles_list.value), ['2020 Honda Fit']);
+});
+
+test('a new customer has no password and is emailed an activation link', async () => {
+  const r = await invoke(handler, { method:'POST', body: INTAKE });
+  assert.equal(r.body.activation.status, 'sent');
+  assert.equal(ctx.shop.customerByEmail('new.client@example.com').state, 'DISABLED');
+
+  const [mail] = ctx.sent;
+  assert.equal(mail.kind, 'activation');
+  assert.equal(mail.to, 'new.client@example.com');
+  assert.ok(new URL(mail.data.url).searchParams.get('token'));
+  // The link goes to the inbox only, never back to whoever submitted the form.
+  assert.ok(!JSON.stringify(r.body).includes(mail.data.url));
+});
+
+test('an existing enabled customer is updated without an activation email', async () => {
+  ctx.shop.addCustomer({ email:'new.client@example.com', password:'Old-Harbor-42' });
+  const r = await invoke(handler, { method:'POST', body: INTAKE });
+  assert.equal(r.body.ok, true);
+  assert.equal(r.body.activation.status, 'not_needed');
+  assert.equal(ctx.shop.customerByEmail('new.client@example.com').firstName, 'Nia');
+  assert.equal(ctx.sent.length, 0);
+});
+
+test('an email Admin search has not indexed yet is looked up again, or queued for a retry', async () => {
+  ctx = fresh({ indexLag: 1 });
+  const first = await invoke(handler, { method:'POST', body: INTAKE });
+  let r = await invoke(handler, { method:'POST', body: INTAKE });
+  assert.equal(r.body.ok, true);
+  assert.equal(r.body.customer_id, first.body.customer_id);
+  assert.equal(ctx.shop.state.customers.size, 1);
+
+  ctx = fresh({ indexLag: 5 });
+  await invoke(handler, { method:'POST', body: INTAKE });
+  r = await invoke(handler, { method:'POST', body: INTAKE });
+  assert.equal(r.statusCode, 202);
+  assert.equal(r.body.status, 'queued');
+});
+
+test('a phone Shopify refuses is dropped and reported, not fatal', async () => {
+  ctx.shop.injectUserErrors('customerCreate', [{ field:['phone'], message:'Phone is invalid' }]);
+  const r = await invoke(handler, { method:'POST', body: INTAKE });
+  assert.equal(r.body.ok, true);
+  assert.deepEqual(r.body.dropped, [{ field:'phone', message:'Phone is invalid' }]);
+  assert.equal(ctx.shop.customerByEmail('new.client@example.com').phone, null);
+});
+
+test('reports normalized values and splits the home address', async () => {
+  const r = await invoke(handler, { method:'POST', body:{ ...INTAKE, phone:'(212) 555-0123', home_address:'12 Main St Apt 4, Springfield, Illinois 62701' } });
+  assert.equal(r.body.ok, true);
+  const fields = r.body.normalized.map(n => n.field);
+  assert.ok(fields.includes('phone'));
+  assert.ok(fields.includes('home_address'));
+
+  const c = ctx.shop.state.customers.get(r.body.customer_id);
+  assert.equal(c.phone, '+12125550123');
+  assert.equal(c.addresses[0].provinceCode, 'IL');
+  assert.equal(c.addresses[0].zip, '62701');
+  assert.equal(ctx.db.rows('retainer_records')[0].phone_digits, '12125550123');
+});
+
+test('a signature is stored privately and only its path goes to Shopify', async () => {
+  const r = await invoke(handler, { method:'POST', body:{ ...INTAKE, signature_data_url: PNG_DATA_URL } });
+  assert.equal(r.body.ok, true);
+  assert.equal(r.body.documents.signature.stored, true);
+  assert.equal(r.body.documents.signature.type, 'image/png');
+
+  const doc = ctx.db.rows('retainer_documents').find(d => d.kind === 'signature');
+  assert.equal(doc.shopify_customer_id, r.body.customer_id);
+  assert.ok(ctx.db.buckets.get('retainer-documents').has(doc.path));
+
+  const mf = ctx.shop.metafieldsOf(r.body.customer_id);
+  assert.equal(JSON.parse(mf.documents.value).signature.path, doc.path);
+  assert.equal(mf.signature, undefined);
+  assert.equal(ctx.shop.callsTo('fileCreate').length, 0);
+});
+
+test('a signature comes with a signed agreement PDF stored beside it', async () => {
+  const r = await invoke(handler, { method:'POST', body:{ ...INTAKE, signature_data_url: PNG_DATA_URL, signed_name:'Ida Intake' } });
+  assert.equal(r.body.agreement.generated, true);
+  assert.match(r.body.agreement.sha256, /^[0-9a-f]{64}$/);
+
+  const doc = ctx.db.rows('retainer_documents').find(d => d.kind === 'agreement');
+  assert.equal(doc.content_type, 'application/pdf');
+  assert.equal(doc.sha256, r.body.agreement.sha256);
+  const pdf = ctx.db.buckets.get('retainer-documents').get(doc.path);
+  assert.equal(pdf.bytes.subarray(0, 5).toString(), '%PDF-');
+
+  const mf = ctx.shop.metafieldsOf(r.body.customer_id);
+  assert.equal(JSON.parse(mf.agreement_pdf.value).path, doc.path);
+  assert.equal(JSON.parse(mf.documents.value).agreement.path, doc.path);
+});
+
+test('a resubmission without a signature doesn\'t sign a new agreement with the one on file', async () => {
+  await invoke(handler, { method:'POST', body:{ ...INTAKE, signature_data_url: PNG_DATA_URL, signed_name:'Ida Intake' } });
+  const r = await invoke(handler, { method:'POST', body:{ ...INTAKE, retainer_plan:'Gold' } });
+  assert.equal(r.body.ok, true);
+  assert.deepEqual(r.body.agreement, { generated:false, unsigned:true });
+  assert.equal(ctx.db.rows('retainer_documents').filter(d => d.kind === 'agreement').length, 1);
+});
+
+test('field errors come back before Shopify is called', async () => {
+  let r = await invoke(handler, { method:'POST', body:{ ...INTAKE, email:'nope', phone:'', dob:'1988-13-01' } });
+  assert.equal(r.statusCode, 400);
+  assert.equal(r.body.ok, false);
+  assert.deepEqual(r.body.errors.map(e => e.field), ['email', 'phone', 'dob']);
+  assert.equal(ctx.shop.state.customers.size, 0);
+});
+
+test('a last name is no longer needed without a password to derive', async () => {
+  const r = await invoke(handler, { method:'POST', body:{ ...INTAKE, last_name:'' } });
+  assert.equal(r.body.ok, true);
+});
+
+test('a VIN is checked and what it says is kept with the vehicle', async () => {
+  let r = await invoke(handler, { method:'POST', body:{ ...INTAKE, vehicles:[{ year:2003, make:'Honda', model:'Accord', vin:'1HGCM82643A004352' }] } });
+  assert.equal(r.statusCode, 400);
+  assert.equal(r.body.errors[0].field, 'vehicles[0].vin');
+  assert.equal(r.body.errors[0].code, 'invalid_check_digit');
+  assert.equal(ctx.shop.callsTo('customerCreate').length, 0);
+
+  r = await invoke(handler, { method:'POST', body:{ ...INTAKE, vehicles:[{ year:2005, make:'Honda', model:'Accord', vin:'1hgcm82633a004352' }] } });
+  assert.equal(r.body.ok, true);
+  const [row] = ctx.db.rows('retainer_records');
+  assert.deepEqual(row.vehicles[0].vin_mismatch, ['year']);
+  assert.deepEqual(JSON.parse(ctx.shop.metafieldsOf(r.body.customer_id).vehicles_list.value),
+    ['2005 Honda Accord — VIN 1HGCM82633A004352 (VIN says 2003 Honda)']);
+});
+
+test('a bad upload is refused before the customer is created', async () => {
+  const r = await invoke(handler, { method:'POST', body:{ ...INTAKE,
+    signature_data_url: 'data:image/png;base64,' + Buffer.from('%PDF-1.4 not a png').toString('base64') } });
+  assert.equal(r.statusCode, 400);
+  assert.deepEqual(r.body.errors, [{ field:'signature_data_url', code:'unsupported_type', message:'allowed types: PNG' }]);
+  assert.equal(ctx.shop.state.customers.size, 0);
+});
+
+test('rate limited per email', async () => {
+  let r;
+  for (let i = 0; i < 6; i++) r = await invoke(handler, { method:'POST', body: INTAKE });
+  assert.equal(r.statusCode, 429);
+  assert.equal(r.headers['retry-after'], '600');
+});
+
+test('logs the Shopify cost per submission only when asked to', async t => {
+  const log = t.mock.method(console, 'log', () => {});
+  const costLines = () => log.mock.calls.filter(c => c.arguments[0] === 'intake-upsert shopify cost');
+
+  await invoke(handler, { method:'POST', body: INTAKE });
+  assert.equal(costLines().length, 0);
+
+  process.env.LOG_SHOPIFY_COST = '1';
+  try { await invoke(handler, { method:'POST', body: INTAKE }); }
+  finally { delete process.env.LOG_SHOPIFY_COST; }
+  const [line] = costLines();
+  assert.ok(JSON.parse(line.arguments[1]).calls > 0);
+});
+
+test('rejects other methods', async () => {
+  assert.equal((await invoke(handler, { method:'GET' })).statusCode, 405);
+  assert.equal((await invoke(handler, { method:'OPTIONS' })).statusCode, 204);
+});
@@ -0,0 +1,95 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, cronAuth, bearer } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import { getJob, setShopifyTransport } from '../../lib/retainer/index.js';
+import intake from '../../api/retainer/intake-upsert.js';
+import handler from '../../api/retainer/jobs-worker.js';
+
+let ctx;
+beforeEach(() => { ctx = fresh(); process.env.INTAKE_MODE = 'queue'; });
+afterEach(() => { process.env.INTAKE_MODE = 'inline'; });
+
+test('only the cron may run jobs', async () => {
+  assert.equal((await invoke(handler, { method:'GET' })).statusCode, 401);
+  assert.equal((await invoke(handler, { method:'GET', headers: bearer('wrong') })).statusCode, 401);
+  assert.equal((await invoke(handler, { method:'POST', headers: cronAuth() })).statusCode, 405);
+});
+
+test('runs queued intakes until the queue is empty', async () => {
+  const ids = [];
+  for (const email of ['one@example.com', 'two@example.com']) {
+    ids.push((await invoke(intake, { method:'POST', body:{ email, phone:'212-555-0123' } })).body.job_id);
+  }
+  const r = await invoke(handler, { method:'GET', headers: cronAuth() });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.ran, 2);
+  assert.equal(r.body.succeeded, 2);
+  for (const id of ids) assert.equal((await getJob(id)).status, 'succeeded');
+  assert.equal(ctx.shop.state.customers.size, 2);
+
+  const again = await invoke(handler, { method:'GET', headers: cronAuth() });
+  assert.equal(again.body.ran, 0);
+});
+
+test('a Shopify outage leaves the job queued for the next run', async () => {
+  const { job_id } = (await invoke(intake, { method:'POST', body:{ email:'later@example.com', phone:'212-555-0123' } })).body;
+  ctx.shop.injectHttpError('customers', 503, undefined, { times:5 });
+  const r = await invoke(handler, { method:'GET', headers: cronAuth() });
+  assert.equal(r.body.retrying, 1);
+  const job = await getJob(job_id);
+  assert.equal(job.status, 'queued');
+  assert.equal(job.attempts, 1);
+});
+
+// A customer the Admin search doesn't show yet, as after a create whose
+// answer was lost.
+function unindexed(email, searches){
+  const c = ctx.shop.addCustomer({ email });
+  ctx.shop.state.customers.get(c.id).hiddenFor = searches;
+  return c;
+}
+
+test('a create refused as TAKEN looks the customer up again and updates it', async () => {
+  const c = unindexed('lagging@example.com', 1);
+  const { job_id } = (await invoke(intake, { method:'POST', body:{ email:'lagging@example.com', phone:'212-555-0123', last_name:'Client' } })).body;
+  const r = await invoke(handler, { method:'GET', headers: cronAuth() });
+  assert.equal(r.body.succeeded, 1);
+  const job = await getJob(job_id);
+  assert.equal(job.result.customer_id, c.id);
+  assert.equal(ctx.shop.state.customers.size, 1);
+  assert.equal(ctx.shop.customerByEmail('lagging@example.com').lastName, 'Client');
+});
+
+test('a TAKEN email the search still can\'t find is retried, not failed', async () => {
+  unindexed('lagging@example.com', 5);
+  const { job_id } = (await invoke(intake, { method:'POST', body:{ email:'lagging@example.com', phone:'212-555-0123' } })).body;
+  const r = await invoke(handler, { method:'GET', headers: cronAuth() });
+  assert.equal(r.body.retrying, 1);
+  const job = await getJob(job_id);
+  assert.equal(job.status, 'queued');
+  assert.match(job.error, /not found after create/);
+});
+
+test('a create lost in transit is found by email instead of failing the job', async () => {
+  const { job_id } = (await invoke(intake, { method:'POST', body:{ email:'lost@example.com', phone:'212-555-0123' } })).body;
+  // The create reaches Shopify but its answer doesn't come back.
+  const realFetch = ctx.shop.fetch;
+  setShopifyTransport(async (url, init) => {
+    const res = await realFetch(url, init);
+    if (/customerCreate/.test(init?.body || '')) throw new TypeError('fetch failed');
+    return res;
+  });
+  const r = await invoke(handler, { method:'GET', headers: cronAuth() });
+  assert.equal(r.body.succeeded, 1);
+  assert.equal((await getJob(job_id)).status, 'succeeded');
+  assert.equal(ctx.shop.state.customers.size, 1);
+});
+
+test('Shopify refusing the submitted fields fails the job', async () => {
+  const { job_id } = (await invoke(intake, { method:'POST', body:{ email:'bad@example.com', phone:'212-555-0123' } })).body;
+  ctx.shop.injectUserErrors('customerCreate', [{ field:['input','email'], message:'Email is invalid', code:'INVALID' }]);
+  const r = await invoke(handler, { method:'GET', headers: cronAuth() });
+  assert.equal(r.body.failed, 1);
+  assert.equal((await getJob(job_id)).result.error, 'Email address looks invalid.');
+});
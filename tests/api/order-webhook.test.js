@@ -0,0 +1,152 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, webhookRequest, PNG_DATA_URL } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import { setMetafields, NS } from '../../lib/retainer/index.js';
+import intake from '../../api/retainer/intake-upsert.js';
+import handler from '../../api/retainer/order-webhook.js';
+
+const deliver = (topic, payload, opts) => invoke(handler, webhookRequest(topic, payload, opts));
+const numericId = gid => Number(gid.split('/').pop());
+
+let ctx, customerId, order;
+beforeEach(async () => {
+  ctx = fresh();
+  const r = await invoke(intake, { method:'POST', body:{
+    email:'buyer@example.com', phone:'212-555-0123', last_name:'Buyer', signature_data_url: PNG_DATA_URL,
+  } });
+  customerId = r.body.customer_id;
+  order = {
+    id: 5001, email:'buyer@example.com', processed_at:'2026-10-01T12:00:00Z',
+    customer:{ id: numericId(customerId) },
+    line_items:[{ properties:[
+      { name:'retainer_plan', value:'Platinum' }, { name:'retainer_term', value:'1 year' },
+      { name:'intake_insurer', value:'Geico' }, { name:'signed_name', value:'Bo Buyer' }, { name:'signed_date', value:'2026-10-01' },
+      { name:'intake_vehicles_json', value: JSON.stringify([{ year:2019, make:'Toyota', model:'Corolla' }]) },
+    ] }],
+  };
+});
+
+test('copies the checkout intake and the customer documents onto the order, with a signed agreement', async () => {
+  const r = await deliver('orders/create', order);
+  assert.equal(r.body, 'ok');
+  const mf = ctx.shop.metafieldsOf('gid://shopify/Order/5001');
+  assert.equal(mf.plan.value, 'Platinum');
+  assert.equal(mf.insurer.value, 'Geico');
+  assert.equal(mf.signed_date.value, '2026-10-01');
+  assert.deepEqual(JSON.parse(mf.vehicles_list.value), ['2019 Toyota Corolla']);
+  assert.equal(JSON.parse(mf.agreement_pdf.value).path, JSON.parse(ctx.shop.metafieldsOf(customerId).agreement_pdf.value).path);
+  assert.deepEqual(JSON.parse(mf.documents.value), JSON.parse(ctx.shop.metafieldsOf(customerId).documents.value));
+  assert.equal(ctx.shop.metafieldsOf(customerId).last_retainer_plan, undefined);
+});
+
+test('an order not signed at checkout gets no agreement', async () => {
+  const unsigned = { ...order, id: 5002, line_items:[{ properties: order.line_items[0].properties.filter(p => !/^signed_/.test(p.name)) }] };
+  assert.equal((await deliver('orders/create', unsigned)).body, 'ok');
+  const mf = ctx.shop.metafieldsOf('gid://shopify/Order/5002');
+  assert.equal(mf.plan.value, 'Platinum');
+  assert.equal(mf.agreement_pdf, undefined);
+  assert.equal(ctx.db.rows('retainer_documents').filter(d => d.kind === 'agreement').length, 1);
+});
+
+test('orders/paid records the last plan on the customer without rewriting the order', async () => {
+  await deliver('orders/create', order);
+  await deliver('orders/paid', order);
+  assert.equal(ctx.shop.metafieldsOf(customerId).last_retainer_plan.value, 'Platinum');
+  assert.equal(ctx.shop.metafieldsOf(customerId).last_retainer_term.value, '1 year');
+  const orderIntakeWrites = ctx.shop.callsTo('metafieldsSet')
+    .filter(c => c.variables.metafields.some(m => m.ownerId === 'gid://shopify/Order/5001' && m.key === 'plan'));
+  assert.equal(orderIntakeWrites.length, 1);
+});
+
+test('orders/paid backfills the order when orders/create never got through', async () => {
+  const r = await deliver('orders/paid', order);
+  assert.equal(r.body, 'ok');
+  assert.equal(ctx.shop.metafieldsOf('gid://shopify/Order/5001').plan.value, 'Platinum');
+});
+
+test('acknowledges a replayed delivery without redoing the work', async () => {
+  await deliver('orders/create', order, { id:'wh-1' });
+  const before = ctx.shop.callsTo('metafieldsSet').length;
+  const r = await deliver('orders/create', order, { id:'wh-1' });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body, 'duplicate');
+  assert.equal(ctx.shop.callsTo('metafieldsSet').length, before);
+  assert.equal(ctx.ledger.rows.get('wh-1').status, 'processed');
+});
+
+test('asks Shopify to retry while the same delivery is still running', async () => {
+  await ctx.ledger.claim({ webhookId:'wh-2', topic:'orders/create', orderId:'5001' });
+  assert.equal((await deliver('orders/create', order, { id:'wh-2' })).statusCode, 409);
+});
+
+test('answers 503 on a Shopify outage and processes the retry', async () => {
+  ctx.shop.injectHttpError('metafieldsSet', 503, { errors:'unavailable' }, { times:5 });
+  const failed = await deliver('orders/create', order, { id:'wh-3' });
+  assert.equal(failed.statusCode, 503);
+  assert.equal(ctx.ledger.rows.get('wh-3').status, 'failed');
+
+  const retried = await deliver('orders/create', order, { id:'wh-3' });
+  assert.equal(retried.body, 'ok');
+  assert.equal(ctx.ledger.rows.get('wh-3').attempts, 2);
+});
+
+test('acknowledges metafield userErrors so Shopify stops retrying', async () => {
+  ctx.shop.injectUserErrors('metafieldsSet', [{ field:['metafields'], message:'bad value' }]);
+  const r = await deliver('orders/create', order, { id:'wh-4' });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body, 'userErrors');
+  assert.equal(ctx.ledger.rows.get('wh-4').status, 'failed');
+});
+
+test('checks the signature', async () => {
+  assert.equal((await invoke(handler, { method:'GET' })).statusCode, 200);
+  assert.equal((await deliver('orders/create', order, { secret:'wrong' })).statusCode, 401);
+  assert.equal(ctx.shop.metafieldsOf('gid://shopify/Order/5001').plan, undefined);
+});
+
+test('orders/paid makes the order the current retainer', async () => {
+  await deliver('orders/paid', order);
+  const mf = ctx.shop.metafieldsOf(customerId);
+  assert.equal(mf.current_retainer_plan.value, 'Platinum');
+  assert.equal(mf.current_retainer_order.value, 'gid://shopify/Order/5001');
+  assert.equal(mf.retainer_start.value, '2026-10-01');
+  assert.equal(mf.retainer_end.value, '2027-09-30');
+  assert.equal(mf.retainer_status.value, 'active');
+  assert.equal(ctx.shop.metafieldsOf('gid://shopify/Order/5001').retainer_end.value, '2027-09-30');
+  // Mirrored onto the record for the sweeper, creating it if need be.
+  const [row] = ctx.db.rows('retainer_records');
+  assert.equal(row.email, 'buyer@example.com');
+  assert.equal(row.retainer_plan, 'Platinum');
+  assert.equal(row.retainer_end, '2027-09-30');
+  assert.equal(row.shopify_customer_id, customerId);
+});
+
+test('a cancellation or full refund ends only the current retainer', async () => {
+  await deliver('orders/paid', order);
+  await deliver('orders/cancelled', { ...order, id: 4000 });
+  assert.equal(ctx.shop.metafieldsOf(customerId).current_retainer_plan.value, 'Platinum');
+  assert.equal(ctx.shop.metafieldsOf('gid://shopify/Order/4000').status.value, 'cancelled');
+
+  ctx.shop.addOrder({ id:'gid://shopify/Order/5001', displayFinancialStatus:'PARTIALLY_REFUNDED', customerId });
+  await deliver('refunds/create', { order_id: 5001 });
+  assert.equal(ctx.shop.metafieldsOf('gid://shopify/Order/5001').status.value, 'partially_refunded');
+  assert.equal(ctx.shop.metafieldsOf(customerId).retainer_status.value, 'active');
+
+  ctx.shop.addOrder({ id:'gid://shopify/Order/5001', displayFinancialStatus:'REFUNDED', customerId });
+  const r = await deliver('refunds/create', { order_id: 5001 });
+  assert.equal(r.body, 'ok');
+  const mf = ctx.shop.metafieldsOf(customerId);
+  assert.equal(mf.retainer_status.value, 'refunded');
+  assert.equal(mf.current_retainer_plan, undefined);
+  assert.equal(mf.current_retainer_order, undefined);
+  assert.equal(ctx.db.rows('retainer_records')[0].retainer_status, 'refunded');
+});
+
+test('with no current order on the customer a cancellation only marks the order', async () => {
+  await setMetafields([{ ownerId: customerId, namespace: NS, key:'retainer_status', type:'single_line_text_field', value:'active' }]);
+  const r = await deliver('orders/cancelled', order);
+  assert.equal(r.body, 'ok');
+  assert.equal(ctx.shop.metafieldsOf('gid://shopify/Order/5001').status.value, 'cancelled');
+  assert.equal(ctx.shop.metafieldsOf(customerId).retainer_status.value, 'active');
+});
@@ -0,0 +1,53 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, PNG_DATA_URL } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import customerCreate from '../../api/retainer/customer-create.js';
+import handler from '../../api/retainer/profile-update.js';
+
+let ctx, id;
+beforeEach(async () => {
+  ctx = fresh();
+  const r = await invoke(customerCreate, { method:'POST', body:{ email:'client@example.com', password:'Blue-Harbor-42' } });
+  id = r.body.customer.id;
+});
+
+test('writes only the fields sent, to Shopify and the record', async () => {
+  const r = await invoke(handler, { method:'POST', body:{ email:'client@example.com', insurer:'Progressive', has_bi:false } });
+  assert.deepEqual(r.body, { ok:true, documents:{}, record_synced:true, normalized:[], dropped:[] });
+  const mf = ctx.shop.metafieldsOf(id);
+  assert.equal(mf.insurer.value, 'Progressive');
+  assert.equal(mf.has_bi.value, 'false');
+  assert.equal(mf.dob, undefined);
+
+  const [row] = ctx.db.rows('retainer_records');
+  assert.equal(row.shopify_customer_id, id);
+  assert.equal(row.insurer, 'Progressive');
+  assert.equal(row.has_bi, false);
+  assert.equal(row.dob, undefined);
+});
+
+test('a replaced document is stored privately next to the existing ones', async () => {
+  await invoke(handler, { method:'POST', body:{ email:'client@example.com', signature_data_url: PNG_DATA_URL } });
+  const r = await invoke(handler, { method:'POST', body:{ email:'client@example.com', license_data_url: PNG_DATA_URL } });
+  assert.deepEqual(Object.keys(r.body.documents), ['drivers_license']);
+  assert.equal(r.body.documents.drivers_license.stored, true);
+  const docs = JSON.parse(ctx.shop.metafieldsOf(id).documents.value);
+  assert.deepEqual(Object.keys(docs).sort(), ['drivers_license', 'signature']);
+  assert.match(docs.drivers_license.path, /^customer-\d+\/drivers_license\//);
+});
+
+test('unknown customers and bad emails are reported', async () => {
+  let r = await invoke(handler, { method:'POST', body:{ email:'nobody@example.com', insurer:'Geico' } });
+  assert.deepEqual(r.body, { ok:false, error:'customer not found' });
+  r = await invoke(handler, { method:'POST', body:{ email:'nope' } });
+  assert.equal(r.statusCode, 400);
+  assert.deepEqual(r.body.errors.map(e => e.field), ['email']);
+});
+
+test('invalid fields are refused before anything is written', async () => {
+  const r = await invoke(handler, { method:'POST', body:{ email:'client@example.com', insurer:'Geico', dob:'05/04/1988' } });
+  assert.equal(r.statusCode, 400);
+  assert.deepEqual(r.body.errors.map(e => e.field), ['dob']);
+  assert.equal(ctx.shop.metafieldsOf(id).insurer, undefined);
+});
@@ -0,0 +1,107 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, seedClient, bearer, customerAuth, staffAuth, PNG_DATA_URL } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import { signToken, SESSION_PURPOSE } from '../../lib/retainer/index.js';
+import handler from '../../api/retainer/record.js';
+
+let ctx;
+beforeEach(() => { ctx = fresh(); });
+
+test('requires a caller', async () => {
+  assert.equal((await invoke(handler, { method:'GET' })).statusCode, 401);
+  assert.equal((await invoke(handler, { method:'PUT', body:{ email:'client@example.com' } })).statusCode, 401);
+
+  const expired = signToken({ sub:'gid://shopify/Customer/1', email:'client@example.com', role:'customer' }, { purpose: SESSION_PURPOSE, ttlSeconds:-1 });
+  const r = await invoke(handler, { method:'GET', headers: bearer(expired) });
+  assert.equal(r.statusCode, 401);
+  assert.equal(r.body.error, 'session expired');
+
+  assert.equal((await invoke(handler, { method:'GET', headers: bearer('not-a-shopify-token') })).statusCode, 401);
+});
+
+test('a customer reads their own record, not anyone else', async () => {
+  const c = await seedClient(ctx);
+  await seedClient(ctx, { email:'other@example.com' });
+  let r = await invoke(handler, { method:'GET', headers: customerAuth(c) });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.record.email, 'client@example.com');
+
+  r = await invoke(handler, { method:'GET', query:{ email:'other@example.com' }, headers: customerAuth(c) });
+  assert.equal(r.statusCode, 403);
+});
+
+test('a customer saves their own record, linked to their Shopify id and mirrored to it', async () => {
+  const c = await seedClient(ctx, { record:false });
+  let r = await invoke(handler, { method:'PUT', headers: customerAuth(c), body:{
+    email:'client@example.com', full_name:'Casey Client', insurer:'Geico',
+    vehicles:[{ year:2019, make:'Toyota', model:'Corolla' }],
+  } });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.ok, true);
+  const [row] = ctx.db.rows('retainer_records');
+  assert.equal(row.insurer, 'Geico');
+  assert.equal(row.shopify_customer_id, c.id);
+  const mf = ctx.shop.metafieldsOf(c.id);
+  assert.equal(mf.insurer.value, 'Geico');
+  assert.deepEqual(JSON.parse(mf.vehicles_list.value), ['2019 Toyota Corolla']);
+
+  r = await invoke(handler, { method:'PUT', headers: customerAuth(c), body:{ email:'other@example.com', insurer:'Geico' } });
+  assert.equal(r.statusCode, 403);
+});
+
+test('a partial PUT changes only the fields sent', async () => {
+  const c = await seedClient(ctx);
+  await invoke(handler, { method:'PUT', headers: customerAuth(c), body:{
+    email:'client@example.com', insurer:'Geico', has_bi:true, cars_count:2, notes:'Two cars',
+    household:[{ name:'Sam Client', dob:'1992-03-04', relationship:'spouse' }],
+    vehicles:[{ year:2019, make:'Toyota', model:'Corolla' }],
+  } });
+  const before = { ...ctx.db.rows('retainer_records')[0] };
+  const r = await invoke(handler, { method:'PUT', headers: customerAuth(c), body:{ email:'client@example.com', insurer:'Progressive' } });
+  assert.equal(r.body.ok, true);
+  const [row] = ctx.db.rows('retainer_records');
+  assert.equal(row.insurer, 'Progressive');
+  for (const k of ['full_name', 'dob', 'has_bi', 'cars_count', 'notes', 'household', 'vehicles', 'phone_digits']) assert.deepEqual(row[k], before[k], k);
+  assert.equal(r.body.row.full_name, before.full_name);
+});
+
+test('a signature is stored privately', async () => {
+  const c = await seedClient(ctx);
+  const r = await invoke(handler, { method:'PUT', headers: customerAuth(c), body:{ email:'client@example.com', signature_data_url: PNG_DATA_URL } });
+  assert.equal(r.body.sig.uploaded, true);
+  assert.equal(ctx.db.rows('retainer_records')[0].signature_path, r.body.sig.path);
+  assert.equal(ctx.db.rows('retainer_documents')[0].path, r.body.sig.path);
+  assert.equal(ctx.db.buckets.get('signatures'), undefined);
+  assert.equal(r.body.row.signature_url, null);
+
+  // A later save without a signature keeps the stored one.
+  await invoke(handler, { method:'PUT', headers: customerAuth(c), body:{ email:'client@example.com', insurer:'Geico' } });
+  assert.equal(ctx.db.rows('retainer_records')[0].signature_path, r.body.sig.path);
+});
+
+test('staff read any record but cannot write', async () => {
+  await seedClient(ctx);
+  let r = await invoke(handler, { method:'GET', query:{ email:'client@example.com' }, headers: staffAuth() });
+  assert.equal(r.body.record.full_name, 'Casey Client');
+
+  r = await invoke(handler, { method:'GET', headers: staffAuth() });
+  assert.equal(r.statusCode, 400);
+
+  r = await invoke(handler, { method:'PUT', headers: staffAuth(), body:{ email:'client@example.com', insurer:'Geico' } });
+  assert.equal(r.statusCode, 403);
+});
+
+test('CORS only answers allow-listed origins', async () => {
+  process.env.ALLOWED_ORIGINS = 'https://shop.example.com';
+  try {
+    let r = await invoke(handler, { method:'OPTIONS', headers:{ origin:'https://shop.example.com' } });
+    assert.equal(r.statusCode, 204);
+    assert.equal(r.headers['access-control-allow-origin'], 'https://shop.example.com');
+
+    r = await invoke(handler, { method:'OPTIONS', headers:{ origin:'https://evil.example' } });
+    assert.equal(r.headers['access-control-allow-origin'], undefined);
+  } finally {
+    delete process.env.ALLOWED_ORIGINS;
+  }
+});
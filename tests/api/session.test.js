@@ -0,0 +1,34 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, bearer } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import { storefrontGql, authenticate } from '../../lib/retainer/index.js';
+import handler from '../../api/retainer/session.js';
+
+const LOGIN = `mutation($input:CustomerAccessTokenCreateInput!){
+  customerAccessTokenCreate(input:$input){ customerAccessToken{ accessToken expiresAt } customerUserErrors{ code } }
+}`;
+
+let ctx;
+beforeEach(() => { ctx = fresh(); });
+
+test('swaps a Storefront access token for a session the record endpoints accept', async () => {
+  const c = ctx.shop.addCustomer({ email:'login@example.com', password:'Blue-Harbor-42' });
+  const { customerAccessTokenCreate: t } = await storefrontGql(LOGIN, { input:{ email:'login@example.com', password:'Blue-Harbor-42' } });
+
+  const r = await invoke(handler, { method:'POST', body:{ access_token: t.customerAccessToken.accessToken } });
+  assert.equal(r.statusCode, 200);
+  assert.deepEqual(r.body.customer, { id: c.id, email:'login@example.com' });
+  assert.ok(r.body.expires_at);
+
+  const auth = await authenticate({ headers: bearer(r.body.session_token) });
+  assert.equal(auth.ok, true);
+  assert.equal(auth.identity.role, 'customer');
+  assert.equal(auth.identity.customerGid, c.id);
+});
+
+test('a missing or unknown access token is refused', async () => {
+  assert.equal((await invoke(handler, { method:'POST', body:{} })).statusCode, 400);
+  assert.equal((await invoke(handler, { method:'POST', body:{ access_token:'nope' } })).statusCode, 401);
+  assert.equal((await invoke(handler, { method:'GET' })).statusCode, 405);
+});
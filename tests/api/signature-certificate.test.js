@@ -0,0 +1,52 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, customerAuth, staffAuth, pngDataUrl, pngBytes } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import intake from '../../api/retainer/intake-upsert.js';
+import handler from '../../api/retainer/signature-certificate.js';
+
+let ctx;
+beforeEach(() => { ctx = fresh(); });
+
+async function signedClient(){
+  const r = await invoke(intake, { method:'POST', body:{
+    email:'sig@example.com', phone:'212-555-0123', first_name:'Sam', last_name:'Signer',
+    signature_data_url: await pngDataUrl(), signed_name:'Sam Signer', signed_date:'2026-10-01',
+  } });
+  assert.equal(r.body.ok, true);
+  return { id: r.body.customer_id, email:'sig@example.com' };
+}
+
+test('staff get a completed certificate by event id and by email', async () => {
+  await signedClient();
+  const [event] = ctx.db.rows('signature_events');
+
+  let r = await invoke(handler, { method:'GET', query:{ id: event.id }, headers: staffAuth() });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.certificate.status, 'completed');
+  assert.equal(r.body.certificate.signer.name, 'Sam Signer');
+  assert.equal(r.body.certificate.checks.signature_matches, true);
+  assert.equal(r.body.certificate.checks.agreement_matches, true);
+
+  r = await invoke(handler, { method:'GET', query:{ email:'SIG@example.com' }, headers: staffAuth() });
+  assert.deepEqual(r.body.certificates.map(c => c.event_id), [event.id]);
+});
+
+test('a replaced signature file shows as tampered', async () => {
+  await signedClient();
+  const [event] = ctx.db.rows('signature_events');
+  const files = [...ctx.db.buckets.values()].find(b => b.has(event.signature_path));
+  files.get(event.signature_path).bytes = await pngBytes({ width: 301 });
+
+  const r = await invoke(handler, { method:'GET', query:{ id: event.id }, headers: staffAuth() });
+  assert.equal(r.body.certificate.status, 'tampered');
+  assert.equal(r.body.certificate.checks.signature_matches, false);
+});
+
+test('staff only', async () => {
+  const c = await signedClient();
+  assert.equal((await invoke(handler, { method:'GET', query:{ email: c.email } })).statusCode, 401);
+  assert.equal((await invoke(handler, { method:'GET', query:{ email: c.email }, headers: customerAuth(c) })).statusCode, 403);
+  assert.equal((await invoke(handler, { method:'GET', query:{ id:'00000000-0000-0000-0000-000000000000' }, headers: staffAuth() })).statusCode, 404);
+  assert.equal((await invoke(handler, { method:'GET', headers: staffAuth() })).statusCode, 400);
+});
@@ -0,0 +1,67 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, seedClient, customerAuth, staffAuth, TODAY, addDays } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import handler from '../../api/retainer/status.js';
+
+let ctx;
+beforeEach(() => { ctx = fresh(); });
+
+const status = email => invoke(handler, { method:'GET', query:{ email }, headers: staffAuth() });
+
+test('requires a caller', async () => {
+  const r = await invoke(handler, { method:'GET', query:{ email:'client@example.com' } });
+  assert.equal(r.statusCode, 401);
+});
+
+test('reports the coverage from the customer metafields', async () => {
+  await seedClient(ctx, { start: addDays(TODAY, -30), end: addDays(TODAY, 9) });
+  const r = await status('Client@Example.com');
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.headers['cache-control'], 'no-store');
+  assert.equal(r.body.email, 'client@example.com');
+  assert.deepEqual(r.body.coverage, {
+    status:'active', active:true, plan:'Gold', term:'1 year', order:'gid://shopify/Order/1',
+    start: addDays(TODAY, -30), end: addDays(TODAY, 9), days_remaining: 10,
+  });
+});
+
+test('a retainer past its end date reads as expired', async () => {
+  await seedClient(ctx, { start: addDays(TODAY, -400), end: addDays(TODAY, -1) });
+  const { body } = await status('client@example.com');
+  assert.equal(body.coverage.status, 'expired');
+  assert.equal(body.coverage.active, false);
+  assert.equal(body.coverage.days_remaining, 0);
+});
+
+test('a customer reads their own coverage without naming an email, and no one else\'s', async () => {
+  const c = await seedClient(ctx);
+  await seedClient(ctx, { email:'other@example.com' });
+  let r = await invoke(handler, { method:'GET', headers: customerAuth(c) });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.email, 'client@example.com');
+  assert.equal(r.body.coverage.active, true);
+
+  r = await invoke(handler, { method:'GET', query:{ email:'other@example.com' }, headers: customerAuth(c) });
+  assert.equal(r.statusCode, 403);
+});
+
+test('an unknown email has no coverage rather than a 404', async () => {
+  const r = await status('nobody@example.com');
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.coverage.status, 'none');
+});
+
+test('staff need a valid email; only GET', async () => {
+  assert.equal((await status('nope')).statusCode, 400);
+  assert.equal((await invoke(handler, { method:'GET', headers: staffAuth() })).statusCode, 400);
+  assert.equal((await invoke(handler, { method:'POST' })).statusCode, 405);
+  assert.equal((await invoke(handler, { method:'OPTIONS' })).statusCode, 204);
+});
+
+test('rate limited per caller', async () => {
+  const c = await seedClient(ctx);
+  let r;
+  for (let i = 0; i < 31; i++) r = await invoke(handler, { method:'GET', headers: customerAuth(c) });
+  assert.equal(r.statusCode, 429);
+});
@@ -0,0 +1,50 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, pngBytes, multipart } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import intake from '../../api/retainer/intake-upsert.js';
+import handler from '../../api/retainer/upload.js';
+
+const upload = async fields => invoke(handler, { method:'POST', ...await multipart(fields) });
+
+let ctx;
+beforeEach(() => { ctx = fresh(); });
+
+test('stages a document and answers a single-use token', async () => {
+  const r = await upload({ kind:'signature', file:{ bytes: await pngBytes(), type:'image/png', filename:'sig.png' } });
+  assert.equal(r.statusCode, 200);
+  assert.equal(r.body.kind, 'signature');
+  assert.ok(r.body.upload_token);
+  assert.equal(r.body.upload.type, 'image/png');
+
+  const body = { email:'up@example.com', phone:'212-555-0123', signature_upload_token: r.body.upload_token };
+  const first = await invoke(intake, { method:'POST', body });
+  assert.equal(first.body.ok, true);
+  assert.equal(first.body.documents.signature.stored, true);
+
+  // A used token still verifies, but the staged file is gone: the intake goes
+  // through and reports the document as not stored.
+  const again = await invoke(intake, { method:'POST', body:{ ...body, email:'up2@example.com' } });
+  assert.equal(again.body.documents.signature.stored, false);
+  assert.match(again.body.documents.signature.error, /already used/);
+});
+
+test('rejects a file that is not what it claims', async () => {
+  const r = await upload({ kind:'drivers_license', file:{ bytes: Buffer.from('not an image'), type:'image/png' } });
+  assert.equal(r.statusCode, 400);
+  assert.equal(r.body.ok, false);
+  assert.equal(r.body.upload.ok, false);
+});
+
+test('checks the form before reading the file', async () => {
+  let r = await invoke(handler, { method:'POST', body:{ kind:'signature' } });
+  assert.equal(r.statusCode, 415);
+
+  r = await upload({ kind:'selfie', file:{ bytes: await pngBytes(), type:'image/png' } });
+  assert.equal(r.statusCode, 400);
+  assert.match(r.body.error, /kind must be one of/);
+
+  r = await upload({ kind:'signature' });
+  assert.equal(r.statusCode, 400);
+  assert.equal(r.body.error, 'file is required');
+});
@@ -0,0 +1,147 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { fresh, seedClient, webhookRequest, WEBHOOK_SECRET, PNG_DATA_URL, cronAuth, TODAY, addDays } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import { setMetafields, storeDocument, setWebhookLedger, memoryLedger, NS } from '../../lib/retainer/index.js';
+import intake from '../../api/retainer/intake-upsert.js';
+import sweep from '../../api/retainer/cron-sweep.js';
+import handler from '../../api/retainer/webhooks.js';
+
+const deliver = (topic, payload, opts) => invoke(handler, webhookRequest(topic, payload, opts));
+const numericId = gid => Number(gid.split('/').pop());
+
+let ctx;
+beforeEach(() => { ctx = fresh(); });
+
+test('checks the signature and the body before anything runs', async () => {
+  assert.equal((await invoke(handler, { method:'GET' })).statusCode, 200);
+  assert.equal((await invoke(handler, { method:'PUT' })).statusCode, 405);
+
+  let r = await deliver('customers/update', { id:1 }, { secret:'wrong' });
+  assert.equal(r.statusCode, 401);
+
+  r = await deliver('products/create', { id:1 });
+  assert.equal(r.body, 'ignored topic');
+
+  const bad = webhookRequest('customers/update', {});
+  bad.raw = '{not json';
+  bad.headers['x-shopify-hmac-sha256'] = crypto.createHmac('sha256', WEBHOOK_SECRET).update(bad.raw).digest('base64');
+  assert.equal((await invoke(handler, bad)).statusCode, 400);
+});
+
+test('customers/update re-syncs the record, found by Shopify id across email changes', async () => {
+  const c = await seedClient(ctx);
+  await setMetafields([{ ownerId: c.id, namespace: NS, key:'insurer', type:'single_line_text_field', value:'Geico' }]);
+
+  const payload = { id: numericId(c.id), email:'Casey.New@example.com', first_name:'Casey', last_name:'Newname' };
+  assert.equal((await deliver('customers/update', payload)).body, 'ok');
+  const [row] = ctx.db.rows('retainer_records');
+  assert.equal(row.email, 'casey.new@example.com');
+  assert.equal(row.full_name, 'Casey Newname');
+  assert.equal(row.insurer, 'Geico');
+});
+
+test('customers/update falls back to the email and links the Shopify id', async () => {
+  const c = await seedClient(ctx);
+  delete ctx.db.rows('retainer_records')[0].shopify_customer_id;
+  await deliver('customers/update', { id: numericId(c.id), email:'client@example.com', first_name:'Casey', last_name:'Client' });
+  assert.equal(ctx.db.rows('retainer_records')[0].shopify_customer_id, c.id);
+});
+
+test('customers/update ignores customers without a record', async () => {
+  const c = await seedClient(ctx, { record:false });
+  const r = await deliver('customers/update', { id: numericId(c.id), email:'client@example.com' });
+  assert.equal(r.body, 'ok');
+  assert.equal(ctx.db.rows('retainer_records').length, 0);
+});
+
+test('a replayed delivery is acknowledged without running again', async () => {
+  const c = await seedClient(ctx);
+  const payload = { id: numericId(c.id), email:'client@example.com', first_name:'Casey', last_name:'Client' };
+  assert.equal((await deliver('customers/update', payload, { id:'wh-1' })).body, 'ok');
+  assert.equal((await deliver('customers/update', payload, { id:'wh-1' })).body, 'duplicate');
+});
+
+test('a ledger it cannot reach answers 503 so Shopify retries', async () => {
+  setWebhookLedger({ ...memoryLedger(), claim: async () => { throw new Error('connection refused'); } });
+  const r = await deliver('customers/update', { id:1, email:'client@example.com' });
+  assert.equal(r.statusCode, 503);
+});
+
+test('data_request snapshots the record for review', async () => {
+  const c = await seedClient(ctx);
+  const r = await deliver('customers/data_request', { shop_domain:'test-shop.myshopify.com', customer:{ id: numericId(c.id), email:'client@example.com' } });
+  assert.equal(r.statusCode, 200);
+  const [req] = ctx.db.rows('gdpr_requests');
+  assert.equal(req.status, 'pending_review');
+  assert.equal(req.email, 'client@example.com');
+  assert.equal(req.data.retainer_record.full_name, 'Casey Client');
+});
+
+test('customers/redact removes the record, its legacy signature file and private documents', async () => {
+  const c = await seedClient(ctx);
+  const other = await seedClient(ctx, { email:'other@example.com' });
+  ctx.db.rows('retainer_records')[0].signature_path = 'client/signature.png';
+  await ctx.db.storage.from('signatures').upload('client/signature.png', Buffer.from('png'));
+  await storeDocument({ customerGid: c.id, email:'client@example.com', kind:'drivers_license', bytes: Buffer.from('id'), contentType:'image/png' });
+  await storeDocument({ customerGid: other.id, email:'other@example.com', kind:'drivers_license', bytes: Buffer.from('id'), contentType:'image/png' });
+
+  const r = await deliver('customers/redact', { shop_domain:'test-shop.myshopify.com', customer:{ id: numericId(c.id), email:'client@example.com' } });
+  assert.equal(r.statusCode, 200);
+  assert.deepEqual(ctx.db.rows('retainer_records').map(x => x.email), ['other@example.com']);
+  assert.equal(ctx.db.buckets.get('signatures').size, 0);
+  assert.deepEqual(ctx.db.rows('retainer_documents').map(d => d.email), ['other@example.com']);
+  assert.equal(ctx.db.buckets.get('retainer-documents').size, 1);
+  const [req] = ctx.db.rows('gdpr_requests');
+  assert.equal(req.status, 'completed');
+  assert.equal(req.data.removed, 1);
+  assert.equal(req.data.documents, 1);
+});
+
+test('data_request lists signature evidence and customers/redact removes it', async () => {
+  const r = await invoke(intake, { method:'POST', body:{ email:'signer@example.com', phone:'212-555-0123', signature_data_url: PNG_DATA_URL, signed_name:'Sy Signer' } });
+  const who = { shop_domain:'test-shop.myshopify.com', customer:{ id: numericId(r.body.customer_id), email:'signer@example.com' } };
+  assert.equal(ctx.db.rows('signature_events').length, 1);
+
+  await deliver('customers/data_request', who);
+  assert.equal(ctx.db.rows('gdpr_requests')[0].data.signature_events[0].signed_name, 'Sy Signer');
+
+  await deliver('customers/redact', who);
+  assert.equal(ctx.db.rows('signature_events').length, 0);
+  assert.equal(ctx.db.rows('gdpr_requests')[1].data.signature_events, 1);
+});
+
+test('data_request also lists renewal notices and status changes', async () => {
+  const c = await seedClient(ctx, { end: addDays(TODAY, 10) });
+  await invoke(sweep, { method:'GET', headers: cronAuth() });
+  await invoke(sweep, { method:'GET', query:{ today: addDays(TODAY, 11) }, headers: cronAuth() });
+
+  await deliver('customers/data_request', { shop_domain:'test-shop.myshopify.com', customer:{ id: numericId(c.id), email:'client@example.com' } });
+  const [req] = ctx.db.rows('gdpr_requests');
+  assert.deepEqual(req.data.notices.map(n => n.kind).sort(), ['expired', 'expiring']);
+  assert.deepEqual(req.data.status_changes.map(t => t.to_status), ['expired']);
+});
+
+test('customers/redact also removes the client\'s sweeper rows', async () => {
+  const c = await seedClient(ctx, { start: addDays(TODAY, -400), end: addDays(TODAY, -1) });
+  await seedClient(ctx, { email:'other@example.com', start: addDays(TODAY, -400), end: addDays(TODAY, -1) });
+  await invoke(sweep, { method:'GET', headers: cronAuth() });
+
+  await deliver('customers/redact', { shop_domain:'test-shop.myshopify.com', customer:{ id: numericId(c.id), email:'client@example.com' } });
+  assert.deepEqual(ctx.db.rows('retainer_notices').map(x => x.email), ['other@example.com']);
+  assert.deepEqual(ctx.db.rows('retainer_transitions').map(x => x.email), ['other@example.com']);
+  const [req] = ctx.db.rows('gdpr_requests');
+  assert.equal(req.data.notices, 1);
+  assert.equal(req.data.status_changes, 1);
+});
+
+test('shop/redact for another shop is logged and ignored', async () => {
+  await seedClient(ctx);
+  await deliver('shop/redact', { shop_domain:'other-shop.myshopify.com' });
+  assert.equal(ctx.db.rows('retainer_records').length, 1);
+  assert.equal(ctx.db.rows('gdpr_requests')[0].status, 'ignored');
+
+  await deliver('shop/redact', { shop_domain:'test-shop.myshopify.com' });
+  assert.equal(ctx.db.rows('retainer_records').length, 0);
+});
@@ -0,0 +1,125 @@
+// tests/helpers.js
+// Shared setup for the handler tests. Importing this first sets the env every
+// endpoint checks at load (ENDPOINT_ENV), so the handlers imported after it
+// start configured. fresh() then wires a new fake Shopify, fake Supabase,
+// in-memory queue / ledger / limiter and a recording notifier into the lib for
+// each test, with no network.
+
+import crypto from 'node:crypto';
+import sharp from 'sharp';
+import {
+  setShopifyTransport, setShopifySleep, setSupabaseClient, setJobQueue, memoryJobQueue, setWebhookLedger, memoryLedger,
+  setRateLimiter, memoryRateLimiter, setNotifier, setMetafields, issueSession, issueStaffToken, NS,
+} from '../lib/retainer/index.js';
+import { createFakeShopify } from '../lib/retainer/testing/fake-shopify.js';
+import { createFakeSupabase } from '../lib/retainer/testing/fake-supabase.js';
+
+export const WEBHOOK_SECRET = 'test-webhook-secret';
+export const CRON_SECRET = 'test-cron-secret';
+
+Object.assign(process.env, {
+  SHOPIFY_SHOP:              'test-shop.myshopify.com',
+  SHOPIFY_ADMIN_TOKEN:       'test-admin-token',
+  SHOPIFY_STOREFRONT_TOKEN:  'test-storefront-token',
+  SHOPIFY_WEBHOOK_SECRET:    WEBHOOK_SECRET,
+  AUTH_TOKEN_SECRET:         'test-auth-secret',
+  SUPABASE_URL:              'https://test.supabase.local',
+  SUPABASE_SERVICE_ROLE_KEY: 'test-service-role',
+  CRON_SECRET,
+  RATE_LIMIT:                'memory',
+  INTAKE_MODE:               'inline',
+});
+
+const UNIQUE_KEYS = {
+  retainer_records:   ['email'],
+  retainer_documents: ['path'],
+  webhook_events:     ['webhook_id'],
+  retainer_notices:   [['email', 'kind', 'window_days', 'retainer_end', 'channel']],
+};
+
+// → { shop, db, ledger, sent } where sent collects what the notifier was given.
+export function fresh({ indexLag = 0 } = {}){
+  const shop = createFakeShopify({ indexLag });
+  const db = createFakeSupabase({ uniqueKeys: UNIQUE_KEYS });
+  const ledger = memoryLedger();
+  const sent = [];
+  setShopifyTransport(shop.fetch);
+  setShopifySleep(async () => {});   // retries without the backoff waits
+  setSupabaseClient(db);
+  setJobQueue(memoryJobQueue());
+  setWebhookLedger(ledger);
+  setRateLimiter(memoryRateLimiter());
+  setNotifier({ name:'test', send: async msg => { sent.push(msg); return { id:`msg-${sent.length}` }; } });
+  return { shop, db, ledger, sent };
+}
+
+/* ---------- Callers ---------- */
+export const bearer = token => ({ authorization:`Bearer ${token}` });
+export const customerAuth = c => bearer(issueSession({ id: c.id, email: c.email }).token);
+export const staffAuth = () => bearer(issueStaffToken('tester'));
+export const cronAuth = () => bearer(CRON_SECRET);
+
+// A Shopify-signed delivery for invoke().
+export function webhookRequest(topic, payload, { id = crypto.randomUUID(), secret = WEBHOOK_SECRET } = {}){
+  const raw = JSON.stringify(payload);
+  return {
+    method: 'POST',
+    raw,
+    headers: {
+      'x-shopify-hmac-sha256': crypto.createHmac('sha256', secret).update(raw).digest('base64'),
+      'x-shopify-topic': topic,
+      'x-shopify-webhook-id': id,
+    },
+  };
+}
+
+/* ---------- Request bodies ---------- */
+// 1×1 transparent PNG.
+export const PNG_DATA_URL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+// Blank white PNG of the given size.
+export async function pngBytes({ width = 300, height = 100 } = {}){
+  return sharp({ create:{ width, height, channels:4, background:'#ffffff' } }).png().toBuffer();
+}
+export const pngDataUrl = async opts => `data:image/png;base64,${(await pngBytes(opts)).toString('base64')}`;
+
+// { name: string | { bytes, type, filename } } → { raw, headers } for invoke().
+export async function multipart(fields){
+  const form = new FormData();
+  for (const [name, v] of Object.entries(fields)) {
+    if (typeof v === 'string') form.append(name, v);
+    else form.append(name, new Blob([v.bytes], { type: v.type }), v.filename || name);
+  }
+  const req = new Request('http://test.local/', { method:'POST', body: form });
+  return { raw: Buffer.from(await req.arrayBuffer()), headers:{ 'content-type': req.headers.get('content-type') } };
+}
+
+/* ---------- Seed data ---------- */
+export const TODAY = new Date().toISOString().slice(0, 10);
+export const addDays = (ymd, n) => new Date(Date.parse(`${ymd}T00:00:00Z`) + n * 86400000).toISOString().slice(0, 10);
+
+// Shopify customer on an active 1-year retainer from order 1; the record row
+// too (in step with the metafields) unless record:false. → customer
+export async function seedClient({ shop, db }, { email = 'client@example.com', record = true, start = addDays(TODAY, -30), end = addDays(TODAY, 335) } = {}){
+  const c = shop.addCustomer({ email, firstName:'Casey', lastName:'Client' });
+  const mf = (key, type, value) => ({ ownerId: c.id, namespace: NS, key, type, value });
+  await setMetafields([
+    mf('current_retainer_plan', 'single_line_text_field', 'Gold'),
+    mf('current_retainer_term', 'single_line_text_field', '1 year'),
+    mf('current_retainer_order', 'single_line_text_field', 'gid://shopify/Order/1'),
+    mf('retainer_start', 'date', start),
+    mf('retainer_end', 'date', end),
+    mf('retainer_status', 'single_line_text_field', 'active'),
+    mf('dob', 'date', '1990-01-02'),
+    mf('phone_digits', 'single_line_text_field', '12125550123'),
+  ]);
+  if (record) {
+    db.rows('retainer_records').push({
+      email, full_name:'Casey Client', shopify_customer_id: c.id, dob:'1990-01-02', phone_digits:'12125550123', household:[], vehicles:[],
+      retainer_plan:'Gold', retainer_term:'1 year', retainer_status:'active',
+      retainer_order:'gid://shopify/Order/1', retainer_start: start, retainer_end: end,
+      updated_at: new Date().toISOString(),
+    });
+  }
+  return c;
+}
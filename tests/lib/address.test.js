@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseAddressLine, formatAddress, checkAddress, stateCode, countryCode, normalizeZip, zipMatchesState,
+} from '../../lib/retainer/address.js';
+
+test('parseAddressLine splits a one-line US address into Shopify parts', () => {
+  assert.deepEqual(parseAddressLine('12 Main St Apt 4, Springfield, Illinois 62701-1234, USA'), {
+    address1:'12 Main St', address2:'Apt 4', city:'Springfield', province:'IL', zip:'62701-1234', country:'US',
+  });
+  assert.deepEqual(parseAddressLine('500 Oak Ave\nSpringfield IL 62701'), {
+    address1:'500 Oak Ave', city:'Springfield', province:'IL', zip:'62701', country:'US',
+  });
+  assert.equal(parseAddressLine('somewhere'), null);
+});
+
+test('formatAddress puts the parts back on one line', () => {
+  assert.equal(formatAddress({ address1:'12 Main St', address2:'Apt 4', city:'Springfield', province:'IL', zip:'62701', country:'US' }),
+    '12 Main St, Apt 4, Springfield, IL 62701');
+  assert.equal(formatAddress({ address1:'1 Rue de Rivoli', city:'Paris', zip:'75001', country:'FR' }), '1 Rue de Rivoli, Paris, 75001, FR');
+});
+
+test('state, country and ZIP helpers', () => {
+  assert.equal(stateCode('Illinois'), 'IL');
+  assert.equal(stateCode('new york'), 'NY');
+  assert.equal(stateCode('zz'), null);
+  assert.equal(countryCode('United States'), 'US');
+  assert.equal(countryCode('ca'), 'CA');
+  assert.equal(countryCode('Atlantis'), null);
+  assert.equal(normalizeZip('627011234'), '62701-1234');
+  assert.equal(normalizeZip('6270'), null);
+  assert.ok(zipMatchesState('62701', 'IL'));
+  assert.ok(!zipMatchesState('10001', 'IL'));
+});
+
+test('checkAddress cleans US parts and notes what it rewrote', () => {
+  const r = checkAddress({ address1:'1 A St', city:'New York', province:'new york', zip:'10001 - 1234', country:'united states' });
+  assert.equal(r.ok, true);
+  assert.deepEqual(r.value, { address1:'1 A St', city:'New York', country:'US', province:'NY', zip:'10001-1234' });
+  assert.deepEqual(r.notes.map(n => n.key), ['country', 'province', 'zip']);
+});
+
+test('checkAddress catches missing parts and a ZIP from another state', () => {
+  let r = checkAddress({ address1:'1 A St', city:'Los Angeles', province:'CA', zip:'10001' });
+  assert.deepEqual(r.errors.map(e => [e.key, e.code]), [['zip', 'state_mismatch']]);
+
+  r = checkAddress({ province:'Narnia' });
+  assert.deepEqual(r.errors.map(e => [e.key, e.code]), [
+    ['address1', 'required'], ['city', 'required'], ['province', 'invalid_choice'], ['zip', 'required'],
+  ]);
+});
+
+test('addresses outside the US are kept as entered', () => {
+  const r = checkAddress({ address1:'1 Rue de Rivoli', city:'Paris', zip:'75001', country:'FR' });
+  assert.deepEqual(r, { ok:true, value:{ address1:'1 Rue de Rivoli', city:'Paris', country:'FR', zip:'75001' }, notes:[] });
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { agreementFields, agreementTemplate, renderAgreementPdf } from '../../lib/retainer/agreement.js';
+import { PNG_DATA_URL } from '../helpers.js';
+
+const signaturePng = Buffer.from(PNG_DATA_URL.split(',')[1], 'base64');
+
+test('agreementFields flattens the intake into printable strings', () => {
+  const f = agreementFields({
+    name:' Nia Client ', has_bi:false,
+    household:[{ name:'Kai', dob:'2012-06-01', relationship:'child' }, {}],
+    vehicles:[{ year:2020, make:'Honda', model:'Fit' }],
+  });
+  assert.equal(f.name, 'Nia Client');
+  assert.equal(f.bi_coverage, 'No');
+  assert.equal(f.dob, '');
+  assert.deepEqual(f.household, ['Kai, 2012-06-01, child']);
+  assert.deepEqual(f.vehicles, ['2020 Honda Fit']);
+});
+
+test('the content hash depends on what was signed, not on when or in what order', async () => {
+  const fields = agreementFields({ name:'Nia Client', plan:'Gold', term:'1 year' });
+  const reordered = Object.fromEntries(Object.entries(fields).reverse());
+  const a = await renderAgreementPdf({ fields, signaturePng, generatedAt: new Date('2026-01-01') });
+  const b = await renderAgreementPdf({ fields: reordered, signaturePng, generatedAt: new Date('2026-06-01') });
+  assert.equal(a.bytes.subarray(0, 5).toString(), '%PDF-');
+  assert.equal(a.content_sha256, b.content_sha256);
+  assert.equal(a.template_version, agreementTemplate().version);
+
+  const c = await renderAgreementPdf({ fields:{ ...fields, plan:'Platinum' }, signaturePng });
+  assert.notEqual(c.content_sha256, a.content_sha256);
+});
+
+test('agreementTemplate refuses unknown versions', () => {
+  assert.throws(() => agreementTemplate('1999-01'), /unknown agreement template/);
+});
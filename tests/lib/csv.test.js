@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvField, csvLine, csvCell, parseCsv } from '../../lib/retainer/csv.js';
+
+const parse = async (...chunks) => { const out = []; for await (const r of parseCsv(chunks)) out.push(r); return out; };
+
+test('csvField quotes only when it has to', () => {
+  assert.equal(csvField('plain'), 'plain');
+  assert.equal(csvField(null), '');
+  assert.equal(csvField(12), '12');
+  assert.equal(csvField('a,b'), '"a,b"');
+  assert.equal(csvField('say "hi"'), '"say ""hi"""');
+  assert.equal(csvField('two\nlines'), '"two\nlines"');
+  assert.equal(csvField(' padded'), '" padded"');
+  assert.equal(csvLine(['a', 'b,c', '']), 'a,"b,c",\r\n');
+});
+
+test('formula-looking cells are defused, numbers and phones are not', () => {
+  assert.equal(csvField('=SUM(A1)'), "'=SUM(A1)");
+  assert.equal(csvField('@cmd'), "'@cmd");
+  assert.equal(csvField('-x'), "'-x");
+  assert.equal(csvField('+1 555 0100'), '+1 555 0100');
+  assert.equal(csvField('-12.5'), '-12.5');
+  assert.equal(csvCell("'=SUM(A1)"), '=SUM(A1)');
+  assert.equal(csvCell("'quoted"), "'quoted");
+});
+
+test('parseCsv reads quoted fields, escaped quotes and newlines across chunks', async () => {
+  const rows = await parse('a,"b,1","say ""hi""\r\n', 'still"\r\nx,,z\n', '\nlast');
+  assert.deepEqual(rows, [
+    ['a', 'b,1', 'say "hi"\r\nstill'],
+    ['x', '', 'z'],
+    ['last'],
+  ]);
+});
+
+test('parseCsv round-trips what csvLine writes', async () => {
+  const values = ['=1+1', 'Kai, child', 'a "b"', '', '+1 212 555 0123'];
+  const [row] = await parse(csvLine(values));
+  assert.deepEqual(row.map(csvCell), values);
+});
+
+test('parseCsv refuses an unterminated quote', async () => {
+  await assert.rejects(parse('a,"open'), /inside a quoted field/);
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateIntake, intakeErrorBody, householdLines, vehicleLines } from '../../lib/retainer/intake-schema.js';
+
+test('coerces what it can', () => {
+  const r = validateIntake({
+    email:' A@Example.COM ', has_bi:'yes', cars_count:'2', insurer:'  State   Farm ',
+    household:[{ name:'Kai', relationship:'Child' }, { name:'', dob:'' }],
+  });
+  assert.equal(r.ok, true);
+  assert.equal(r.value.email, 'a@example.com');
+  assert.equal(r.value.has_bi, true);
+  assert.equal(r.value.cars_count, 2);
+  assert.equal(r.value.insurer, 'State Farm');
+  assert.deepEqual(r.value.household, [{ name:'Kai', relationship:'child' }]);
+});
+
+test('reports every problem with its field path', () => {
+  const r = validateIntake({
+    dob:'2099-01-01', cars_count:'lots', signed_date:'2026-02-30',
+    household:[{ dob:'2010-01-01' }], vehicles:[{ year:1800 }],
+  }, { required:['email', 'phone'] });
+  assert.equal(r.ok, false);
+  assert.deepEqual(r.errors.map(e => [e.field, e.code]), [
+    ['email', 'required'],
+    ['phone', 'required'],
+    ['dob', 'future_date'],
+    ['cars_count', 'invalid_type'],
+    ['household[0].name', 'required'],
+    ['vehicles[0].year', 'out_of_range'],
+    ['signed_date', 'invalid_format'],
+  ]);
+});
+
+test('error body keeps a single message for old callers', () => {
+  const body = intakeErrorBody([{ field:'email', code:'required', message:'Email address is required.' }]);
+  assert.equal(body.ok, false);
+  assert.equal(body.error, 'Email address is required.');
+  assert.equal(body.errors.length, 1);
+});
+
+test('pretty lines', () => {
+  assert.deepEqual(householdLines([{ name:'Kai', dob:'2012-06-01', relationship:'child' }, {}]), ['Kai — 2012-06-01 — child']);
+  assert.deepEqual(vehicleLines([{ year:2020, make:'Honda' }]), ['2020 Honda']);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseTerm, termEnd, deriveLifecycle, effectiveStatus, coverageFromMetafields,
+} from '../../lib/retainer/lifecycle.js';
+
+test('parseTerm reads words, counts and units', () => {
+  assert.deepEqual(parseTerm('Monthly'), { months:1 });
+  assert.deepEqual(parseTerm('semi annual'), { months:6 });
+  assert.deepEqual(parseTerm('annual'), { months:12 });
+  assert.deepEqual(parseTerm('6 months'), { months:6 });
+  assert.deepEqual(parseTerm('12-month'), { months:12 });
+  assert.deepEqual(parseTerm('1 yr'), { months:12 });
+  assert.deepEqual(parseTerm('2 weeks'), { days:14 });
+  assert.deepEqual(parseTerm('90_days'), { days:90 });
+  assert.equal(parseTerm(''), null);
+  assert.equal(parseTerm('0 months'), null);
+  assert.equal(parseTerm('until further notice'), null);
+});
+
+test('parseTerm finds the term inside plan wording', () => {
+  assert.deepEqual(parseTerm('Annual Plan'), { months:12 });
+  assert.deepEqual(parseTerm('Gold Monthly Retainer'), { months:1 });
+  assert.deepEqual(parseTerm('Semi-Annual Plan'), { months:6 });
+  assert.deepEqual(parseTerm('Gold - 6 months'), { months:6 });
+  assert.deepEqual(parseTerm('Platinum (1 Year)'), { months:12 });
+  assert.equal(parseTerm('Gold Plan'), null);
+});
+
+test('termEnd is the last covered day', () => {
+  assert.equal(termEnd('2026-01-15', 'monthly'), '2026-02-14');
+  assert.equal(termEnd('2026-10-01', '1 year'), '2027-09-30');
+  assert.equal(termEnd('2026-12-15', '3 months'), '2027-03-14');
+  assert.equal(termEnd('2026-02-01', '2 weeks'), '2026-02-14');
+  assert.equal(termEnd('2026-01-15', { months:1 }), '2026-02-14');
+  assert.equal(termEnd('2026-01-15', 'whenever'), null);
+});
+
+test('termEnd covers the whole of a short end month', () => {
+  assert.equal(termEnd('2026-01-31', 'monthly'), '2026-02-28');
+  assert.equal(termEnd('2026-01-29', 'monthly'), '2026-02-28');
+  assert.equal(termEnd('2026-01-28', 'monthly'), '2026-02-27');
+  assert.equal(termEnd('2028-01-31', 'monthly'), '2028-02-29');
+  assert.equal(termEnd('2026-03-31', 'monthly'), '2026-04-30');
+  assert.equal(termEnd('2026-08-31', '6 months'), '2027-02-28');
+  assert.equal(termEnd('2028-02-29', 'annual'), '2029-02-28');
+});
+
+test('deriveLifecycle takes the start from the paid timestamp', () => {
+  assert.deepEqual(
+    deriveLifecycle({ paidAt:'2026-10-01T12:00:00Z', term:'1 year', status:'active', today:'2026-10-19' }),
+    { retainer_start:'2026-10-01', retainer_end:'2027-09-30', retainer_status:'active' },
+  );
+  assert.equal(deriveLifecycle({ paidAt:'2025-01-01', term:'monthly', today:'2026-10-19' }).retainer_status, 'expired');
+  // An unparseable term stays open-ended with the status it was given.
+  assert.deepEqual(
+    deriveLifecycle({ paidAt:'2026-10-01', term:'custom', status:'active', today:'2026-10-19' }),
+    { retainer_start:'2026-10-01', retainer_end:null, retainer_status:'active' },
+  );
+});
+
+test('effectiveStatus lets dates override active but never cancelled/refunded', () => {
+  assert.equal(effectiveStatus({ status:'active', end:'2026-10-18', today:'2026-10-19' }), 'expired');
+  assert.equal(effectiveStatus({ status:'active', end:'2026-10-19', today:'2026-10-19' }), 'active');
+  assert.equal(effectiveStatus({ status:'refunded', end:'2027-01-01', today:'2026-10-19' }), 'refunded');
+  assert.equal(effectiveStatus({ status:null, end:null }), null);
+});
+
+test('coverageFromMetafields counts the end day as covered', () => {
+  const mf = {
+    current_retainer_plan: { value:'Gold' },
+    retainer_start: { value:'2026-10-01' },
+    retainer_end: { value:'2026-10-20' },
+    retainer_status: { value:'active' },
+  };
+  const c = coverageFromMetafields(mf, '2026-10-19');
+  assert.equal(c.active, true);
+  assert.equal(c.plan, 'Gold');
+  assert.equal(c.days_remaining, 2);
+
+  assert.equal(coverageFromMetafields(mf, '2026-09-30').active, false); // not started yet
+  assert.equal(coverageFromMetafields({}, '2026-10-19').status, 'none');
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, webhookRequest, PNG_DATA_URL } from '../helpers.js';
+import { invoke } from '../../lib/retainer/testing/http.js';
+import {
+  ownerTypeOf, definitionFor, canonicalValue, diffDefinitions,
+} from '../../lib/retainer/metafield-definitions.js';
+import intake from '../../api/retainer/intake-upsert.js';
+import orderWebhook from '../../api/retainer/order-webhook.js';
+
+const LIST = definitionFor('ORDER', 'vehicles_list');
+const FILE = definitionFor('CUSTOMER', 'signature');
+
+test('ownerTypeOf reads the GID resource', () => {
+  assert.equal(ownerTypeOf('gid://shopify/Order/1'), 'ORDER');
+  assert.equal(ownerTypeOf('gid://shopify/Customer/9'), 'CUSTOMER');
+  assert.equal(ownerTypeOf('nope'), null);
+});
+
+test('canonicalValue converts the older formats and refuses what it cannot', () => {
+  assert.equal(canonicalValue(LIST, { type:'single_line_text_field', value:'2019 Toyota Corolla | 2020 Honda Fit' }), '["2019 Toyota Corolla","2020 Honda Fit"]');
+  assert.equal(canonicalValue(LIST, { type:'list.single_line_text_field', value:'["a"]' }), '["a"]');
+  assert.equal(canonicalValue(LIST, { type:'json', value:'{"a":1}' }), null);
+  assert.equal(canonicalValue(FILE, { type:'json', value:'{"file_id":"gid://shopify/MediaImage/1"}' }), 'gid://shopify/MediaImage/1');
+  assert.equal(canonicalValue(FILE, { type:'file_reference', value:'gid://shopify/MediaImage/1' }), 'gid://shopify/MediaImage/1');
+  assert.equal(canonicalValue(definitionFor('CUSTOMER', 'dob'), { type:'single_line_text_field', value:'1990-01-02' }), null);
+});
+
+test('diffDefinitions plans creates, updates, retypes and leaves unknown keys alone', () => {
+  const [dob, insurer, hasBi] = ['dob', 'insurer', 'has_bi'].map(k => definitionFor('CUSTOMER', k));
+  const plan = diffDefinitions([
+    { id:'d1', ...dob },
+    { id:'d2', ...insurer, name:'Old name' },
+    { id:'d3', ...hasBi, type:'single_line_text_field' },
+    { id:'d4', ownerType:'CUSTOMER', key:'favourite_colour', type:'single_line_text_field' },
+  ]);
+  const by = key => plan.find(p => p.ownerType === 'CUSTOMER' && p.key === key);
+  assert.equal(by('dob').action, 'ok');
+  assert.equal(by('insurer').action, 'update');
+  assert.deepEqual(by('has_bi'), { action:'retype', ownerType:'CUSTOMER', key:'has_bi', type:'boolean', id:'d3', from:'single_line_text_field' });
+  assert.equal(by('favourite_colour').action, 'unknown');
+  assert.equal(by('vehicles_list').action, 'create');
+});
+
+test('every metafield the intake and order flow writes is in the manifest with its type', async () => {
+  const ctx = fresh();
+  const r = await invoke(intake, { method:'POST', body:{
+    email:'manifest@example.com', phone:'212-555-0123', dob:'1990-01-02', insurer:'Geico', has_bi:true, cars_count:1,
+    household:[{ name:'Kai', relationship:'child' }], vehicles:[{ year:2020, make:'Honda', model:'Fit' }],
+    retainer_plan:'Gold', retainer_term:'1 year', signature_data_url: PNG_DATA_URL,
+  } });
+  const order = { id: 77, email:'manifest@example.com', processed_at:'2026-10-01T12:00:00Z',
+    customer:{ id: Number(r.body.customer_id.split('/').pop()) },
+    line_items:[{ properties:[{ name:'retainer_plan', value:'Gold' }, { name:'retainer_term', value:'1 year' }] }] };
+  for (const topic of ['orders/create', 'orders/paid']) await invoke(orderWebhook, webhookRequest(topic, order));
+
+  const written = ctx.shop.callsTo('metafieldsSet').flatMap(c => c.variables.metafields);
+  assert.ok(written.length > 10);
+  for (const m of written) {
+    const d = definitionFor(ownerTypeOf(m.ownerId), m.key);
+    assert.ok(d, `${ownerTypeOf(m.ownerId)} ${m.key} is not in the manifest`);
+    assert.equal(m.type, d.type, `${m.key} written as ${m.type}`);
+  }
+});
@@ -0,0 +1,86 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import '../helpers.js';
+import {
+  providerNotifier, consoleNotifier, getNotifier, setNotifier, canDeliver, missingEnv,
+} from '../../lib/retainer/index.js';
+
+const PROVIDER_ENV = {
+  NOTIFIER: 'provider',
+  POSTMARK_SERVER_TOKEN: 'pm-token',
+  NOTIFY_FROM_EMAIL: 'office@example.com',
+};
+const TWILIO_ENV = { TWILIO_ACCOUNT_SID:'AC123', TWILIO_AUTH_TOKEN:'tw-token', TWILIO_FROM_NUMBER:'+12125550100' };
+
+afterEach(() => {
+  for (const k of [...Object.keys(PROVIDER_ENV), ...Object.keys(TWILIO_ENV)]) delete process.env[k];
+  setNotifier(null);
+});
+
+// Stands in for the provider's API: records each request, answers ok.
+function mockFetch(t, answer = () => ({ MessageID:'pm-1' })){
+  const requests = [];
+  t.mock.method(globalThis, 'fetch', async (url, init) => {
+    requests.push({ url: String(url), init });
+    return new Response(JSON.stringify(answer(url)), { status:200, headers:{ 'content-type':'application/json' } });
+  });
+  return requests;
+}
+
+const email = { channel:'email', to:'client@example.com', kind:'expiring', subject:'Your plan ends soon', text:'Renew.' };
+
+test('NOTIFIER=provider sends email through Postmark', async t => {
+  Object.assign(process.env, PROVIDER_ENV);
+  const requests = mockFetch(t);
+  const n = getNotifier();
+  assert.equal(n.name, 'provider');
+  assert.equal(canDeliver(n), true);
+  assert.equal(canDeliver(n, 'sms'), false);
+
+  assert.deepEqual(await n.send(email), { id:'pm-1' });
+  const [{ url, init }] = requests;
+  assert.equal(url, 'https://api.postmarkapp.com/email');
+  assert.equal(init.headers['x-postmark-server-token'], 'pm-token');
+  assert.deepEqual(JSON.parse(init.body), { From:'office@example.com', To:'client@example.com', Subject:'Your plan ends soon', TextBody:'Renew.', Tag:'expiring' });
+  await assert.rejects(n.send({ ...email, channel:'sms', to:'+12125550123' }), /no sms provider/);
+});
+
+test('SMS goes through Twilio once its credentials are set', async t => {
+  Object.assign(process.env, PROVIDER_ENV, TWILIO_ENV);
+  const requests = mockFetch(t, () => ({ sid:'SM1' }));
+  const n = providerNotifier();
+  assert.equal(canDeliver(n, 'sms'), true);
+  assert.deepEqual(await n.send({ ...email, channel:'sms', to:'+12125550123' }), { id:'SM1' });
+  const [{ url, init }] = requests;
+  assert.equal(url, 'https://api.twilio.com/2010-04-01/Accounts/AC123/Messages.json');
+  assert.deepEqual(Object.fromEntries(new URLSearchParams(init.body)), { To:'+12125550123', From:'+12125550100', Body:'Renew.' });
+});
+
+test('a refused message throws', async t => {
+  Object.assign(process.env, PROVIDER_ENV);
+  t.mock.method(globalThis, 'fetch', async () => new Response('{"ErrorCode":300}', { status:422 }));
+  await assert.rejects(providerNotifier().send(email), e => e.status === 422 && /postmark 422/.test(e.message));
+});
+
+test('the local drivers never count as delivered', () => {
+  assert.equal(canDeliver(consoleNotifier()), false);
+});
+
+test('the console driver logs the kind but not the recipient or the text', async t => {
+  const log = t.mock.method(console, 'log', () => {});
+  await consoleNotifier().send({ channel:'email', to:'client@example.com', kind:'activation', subject:'Set up your account', text:'https://example.com/?token=secret' });
+  const [line] = log.mock.calls[0].arguments;
+  assert.match(line, /email \(activation\)/);
+  assert.ok(!line.includes('client@example.com'));
+  assert.ok(!line.includes('secret'));
+});
+
+test('endpoints that send notices require the provider\'s credentials', () => {
+  assert.deepEqual(missingEnv('intake-upsert'), []);
+  process.env.NOTIFIER = 'provider';
+  assert.deepEqual(missingEnv('intake-upsert'), ['POSTMARK_SERVER_TOKEN', 'NOTIFY_FROM_EMAIL']);
+  assert.deepEqual(missingEnv('cron-sweep'), ['POSTMARK_SERVER_TOKEN', 'NOTIFY_FROM_EMAIL']);
+  assert.deepEqual(missingEnv('session'), []);
+  process.env.NOTIFIER = 'pigeon';
+  assert.match(missingEnv('account-activate')[0], /unknown driver "pigeon"/);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizePhone, phoneDigits } from '../../lib/retainer/phone.js';
+
+const e164 = s => normalizePhone(s).e164;
+
+test('US numbers typed any common way come out as E.164', () => {
+  for (const s of ['(212) 555-0123', '212.555.0123', '+1 212 555 0123', '1-212-555-0123']) {
+    assert.equal(e164(s), '+12125550123', s);
+  }
+  assert.deepEqual(normalizePhone('212 555 0123 ext. 45'), { ok:true, e164:'+12125550123', digits:'12125550123', extension:'45' });
+});
+
+test('international numbers by +, 00 / 011 or another default country', () => {
+  assert.equal(e164('+44 20 7946 0958'), '+442079460958');
+  assert.equal(e164('011 44 20 7946 0958'), '+442079460958');
+  assert.equal(e164('0044 20 7946 0958'), '+442079460958');
+  assert.equal(normalizePhone('020 7946 0958', { country:'GB' }).e164, '+442079460958');
+});
+
+test('numbers that cannot be dialled are refused with a reason', () => {
+  assert.equal(normalizePhone('555-0123').code, 'invalid_format');
+  assert.equal(normalizePhone('123-555-0123').code, 'invalid_number');
+  assert.equal(normalizePhone('212-155-0123').code, 'invalid_number');
+  assert.equal(normalizePhone('call me').code, 'invalid_format');
+  assert.equal(normalizePhone('+44 12').code, 'invalid_format');
+  assert.equal(normalizePhone('2125550123', { country:'ZZ' }).code, 'invalid_country');
+  assert.match(normalizePhone('555', { label:'Work phone' }).message, /^Work phone /);
+});
+
+test('phoneDigits compares numbers typed either way, and keeps bad ones as bare digits', () => {
+  assert.equal(phoneDigits('(212) 555-0123'), phoneDigits('+1 212 555 0123'));
+  assert.equal(phoneDigits('55-01'), '5501');
+  assert.equal(phoneDigits(null), '');
+});
@@ -0,0 +1,68 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh } from '../helpers.js';
+import { createFakeShopify } from '../../lib/retainer/testing/fake-shopify.js';
+import {
+  adminGql, findCustomerByEmail, measureShopifyCost, setShopifyTransport, setShopifySleep,
+} from '../../lib/retainer/shopify.js';
+
+const CREATE = `mutation($input:CustomerInput!){ customerCreate(input:$input){ customer{ id } userErrors{ field message } } }`;
+const SET = `mutation($metafields:[MetafieldsSetInput!]!){ metafieldsSet(metafields:$metafields){ userErrors{ field message } } }`;
+
+let ctx;
+beforeEach(() => { ctx = fresh(); });
+
+test('queries are retried through 5xx answers and the retries are counted', async () => {
+  ctx.shop.addCustomer({ email:'retry@example.com' });
+  ctx.shop.injectHttpError('customers', 503, undefined, { times:2 });
+  const { result, cost } = await measureShopifyCost(() => findCustomerByEmail('retry@example.com'));
+  assert.ok(result);
+  assert.equal(cost.calls, 1);
+  assert.equal(cost.retries, 2);
+  assert.equal(ctx.shop.callsTo('customers').length, 3);
+});
+
+test('a mutation that may have run is not resent after a 5xx', async () => {
+  ctx.shop.injectHttpError('customerCreate', 502);
+  await assert.rejects(adminGql(CREATE, { input:{ email:'once@example.com' } }), e => e.status === 502 && e.attempts === 1);
+  assert.equal(ctx.shop.callsTo('customerCreate').length, 1);
+
+  ctx.shop.injectHttpError('customerCreate', 502);
+  await adminGql(CREATE, { input:{ email:'once@example.com' } }, { idempotent:true });
+  assert.equal(ctx.shop.callsTo('customerCreate').length, 3);
+});
+
+test('retrying gives up after SHOPIFY_MAX_ATTEMPTS', async () => {
+  ctx.shop.injectHttpError('metafieldsSet', 503, undefined, { times:10 });
+  await assert.rejects(adminGql(SET, { metafields:[] }), e => e.status === 503 && e.attempts === 5);
+  assert.equal(ctx.shop.callsTo('metafieldsSet').length, 5);
+});
+
+test('waits for the cost bucket to refill instead of being throttled', async () => {
+  let clock = 0;
+  const shop = createFakeShopify({ bucket:{ max:20, cost:10, restoreRate:10, now: () => clock } });
+  setShopifyTransport(shop.fetch);
+  const waits = [];
+  setShopifySleep(async ms => { waits.push(ms); clock += ms; });
+
+  const { cost } = await measureShopifyCost(async () => {
+    for (let i = 0; i < 3; i++) await findCustomerByEmail('nobody@example.com');
+  });
+  assert.equal(cost.calls, 3);
+  assert.equal(cost.throttled, 0);
+  assert.equal(cost.requested, 30);
+  assert.deepEqual(waits, [1000]);
+  assert.equal(cost.waited_ms, 1000);
+});
+
+test('THROTTLED answers are retried, even for mutations, up to the cap', async () => {
+  let clock = 0;
+  const shop = createFakeShopify({ bucket:{ max:5, cost:10, restoreRate:10, now: () => clock } });
+  setShopifyTransport(shop.fetch);
+  setShopifySleep(async ms => { clock += ms; });
+  shop.addCustomer({ email:'slow@example.com' });
+
+  // A query that costs more than the whole bucket can never run.
+  const { cost } = await measureShopifyCost(() => assert.rejects(findCustomerByEmail('slow@example.com'), e => e.throttled && e.attempts === 5));
+  assert.equal(cost.throttled, 4);
+});
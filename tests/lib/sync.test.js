@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffStores, intakeRecordPatch, intakeMetafields } from '../../lib/retainer/sync.js';
+
+const GID = 'gid://shopify/Customer/7';
+const mf = (value, type = 'single_line_text_field') => ({ type, value });
+
+test('diffStores finds nothing when the stores agree', () => {
+  const record = { insurer:'Geico', has_bi:true, cars_count:2, vehicles:[{ year:2020, make:'Honda', model:'Fit' }], shopify_customer_id: GID };
+  const metafields = {
+    insurer: mf('Geico'), has_bi: mf('true', 'boolean'), cars_count: mf('2', 'number_integer'),
+    vehicles_list: mf(JSON.stringify(['2020 Honda Fit']), 'list.single_line_text_field'),
+  };
+  assert.deepEqual(diffStores(record, metafields, { customerGid: GID }), []);
+});
+
+test('Shopify wins scalar fields; a blank side is backfilled, never erased', () => {
+  const drift = diffStores(
+    { insurer:'Geico', dob:'1990-01-02', shopify_customer_id: GID },
+    { insurer: mf('Progressive'), bi_limits: mf('100/300') },
+    { customerGid: GID },
+  );
+  const by = Object.fromEntries(drift.map(d => [d.field, d]));
+  assert.equal(by.insurer.action, 'to_supabase');
+  assert.equal(by.insurer.shopify, 'Progressive');
+  assert.equal(by.dob.action, 'to_shopify');
+  assert.equal(by.bi_limits.action, 'to_supabase');
+  assert.deepEqual(Object.keys(by).sort(), ['bi_limits', 'dob', 'insurer']);
+});
+
+test('Supabase wins household and vehicles; Shopify-only lines need a person', () => {
+  const drift = diffStores(
+    { household:[{ name:'Kai', relationship:'child' }], vehicles:[] },
+    { vehicles_list: mf(JSON.stringify(['2019 Toyota Corolla']), 'list.single_line_text_field') },
+  );
+  const by = Object.fromEntries(drift.map(d => [d.field, d]));
+  assert.equal(by.household.action, 'to_shopify');
+  assert.equal(by.vehicles.action, 'manual');
+});
+
+test('a record linked to another customer id is relinked from Shopify', () => {
+  const [d] = diffStores({ shopify_customer_id:'gid://shopify/Customer/1' }, {}, { customerGid: GID });
+  assert.deepEqual(d, { field:'shopify_customer_id', key:null, supabase:'gid://shopify/Customer/1', shopify: GID, source:'shopify', action:'to_supabase' });
+  assert.deepEqual(diffStores(null, { insurer: mf('Geico') }, { customerGid: GID }).map(x => x.field), ['insurer']);
+});
+
+test('intake values map to a record patch and metafields for the fields sent', () => {
+  assert.deepEqual(intakeRecordPatch({ insurer:'Geico', intake_notes:'call after 5', email:'x@example.com' }), { insurer:'Geico', notes:'call after 5' });
+
+  const { set, clear } = intakeMetafields(GID, { has_bi:false, household:[] });
+  assert.deepEqual(set.map(m => [m.key, m.value]), [['has_bi', 'false']]);
+  assert.deepEqual(clear, ['household_list']);
+});
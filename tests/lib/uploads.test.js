@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { sniffType, processUpload, uploadRule } from '../../lib/retainer/uploads.js';
+
+const dataUrl = (bytes, type = 'image/png') => `data:${type};base64,${Buffer.from(bytes).toString('base64')}`;
+const png = (width, height, opts = {}) => sharp({ create:{ width, height, channels:4, background:'#ffffff' } }).png().withMetadata(opts).toBuffer();
+const jpeg = (width, height, opts = {}) => sharp({ create:{ width, height, channels:3, background:'#ffffff' } }).jpeg().withMetadata(opts).toBuffer();
+
+test('sniffType goes by magic bytes', async () => {
+  assert.equal(sniffType(await png(2, 2)), 'image/png');
+  assert.equal(sniffType(await jpeg(2, 2)), 'image/jpeg');
+  assert.equal(sniffType(Buffer.from('%PDF-1.7\n')), 'application/pdf');
+  const heic = Buffer.alloc(24);
+  heic.writeUInt32BE(24, 0);
+  heic.write('ftypheic', 4, 'latin1');
+  heic.write('mif1heic', 16, 'latin1');
+  assert.equal(sniffType(heic), 'image/heic');
+  assert.equal(sniffType(Buffer.from('GIF89a......')), null);
+  assert.equal(sniffType(Buffer.alloc(2)), null);
+});
+
+test('the declared type is ignored and the allow-list is per kind', async () => {
+  const pdf = Buffer.from('%PDF-1.4\n%fake');
+  let r = await processUpload(dataUrl(pdf, 'image/png'), { kind:'signature', field:'signature_data_url' });
+  assert.equal(r.ok, false);
+  assert.equal(r.result.code, 'unsupported_type');
+  assert.equal(r.result.declared_type, 'image/png');
+
+  r = await processUpload(dataUrl(pdf, 'application/pdf'), { kind:'drivers_license' });
+  assert.equal(r.ok, true);
+  assert.equal(r.contentType, 'application/pdf');
+});
+
+test('oversized and malformed payloads are refused', async () => {
+  const big = Buffer.alloc(uploadRule('signature').maxBytes + 1024);
+  let r = await processUpload(dataUrl(big), { kind:'signature' });
+  assert.equal(r.result.code, 'too_large');
+
+  r = await processUpload('not a data url', { kind:'signature' });
+  assert.equal(r.result.code, 'invalid_data_url');
+
+  const truncated = (await png(4, 4)).subarray(0, 20);
+  r = await processUpload(dataUrl(truncated), { kind:'signature' });
+  assert.equal(r.result.code, 'corrupt_image');
+});
+
+test('UPLOAD_MAX_BYTES_<KIND> raises a cap', () => {
+  process.env.UPLOAD_MAX_BYTES_SIGNATURE = String(2 * 1024 * 1024);
+  try { assert.equal(uploadRule('signature').maxBytes, 2 * 1024 * 1024); }
+  finally { delete process.env.UPLOAD_MAX_BYTES_SIGNATURE; }
+});
+
+test('large images are downscaled and ID photos lose their metadata', async () => {
+  let r = await processUpload(dataUrl(await png(3000, 1000)), { kind:'signature' });
+  assert.equal(r.ok, true);
+  assert.equal(r.result.downscaled, true);
+  assert.deepEqual([r.result.width, r.result.height], [2000, 667]);
+
+  const tagged = await jpeg(40, 20, { orientation: 6 });
+  r = await processUpload(dataUrl(tagged, 'image/jpeg'), { kind:'drivers_license' });
+  assert.equal(r.result.metadata_stripped, true);
+  const meta = await sharp(r.bytes).metadata();
+  assert.equal(meta.exif, undefined);
+  assert.deepEqual([meta.width, meta.height], [20, 40]); // rotation baked in
+
+  // Signatures keep what they came with.
+  r = await processUpload(dataUrl(await png(10, 10)), { kind:'signature' });
+  assert.equal(r.result.metadata_stripped, false);
+});
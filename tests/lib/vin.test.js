@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkVin, decodeVin, decodeVehicle, modelYears, vinCheckDigit, makeMatches } from '../../lib/retainer/vin.js';
+
+const ACCORD = '1HGCM82633A004352';   // 2003 Honda Accord, valid check digit
+
+test('checkVin normalises and checks format and check digit', () => {
+  assert.deepEqual(checkVin('1hgcm8263-3a004352'), { ok:true, vin: ACCORD, check_digit:'valid' });
+  assert.equal(vinCheckDigit(ACCORD), '3');
+  assert.equal(checkVin('1HGCM82643A004352').code, 'invalid_check_digit');
+  assert.equal(checkVin('1HGCM82633A00435').code, 'invalid_format');
+  assert.equal(checkVin('1HGCM82633A00435O').code, 'invalid_format');
+});
+
+test('outside North America and China a wrong check digit is only "not_used"', () => {
+  assert.deepEqual(checkVin('WVWZZZ1JZXW000001'), { ok:true, vin:'WVWZZZ1JZXW000001', check_digit:'not_used' });
+});
+
+test('model year comes from position 10, cycle picked by position 7 in North America', () => {
+  assert.deepEqual(modelYears(ACCORD), [2003]);
+  assert.deepEqual(modelYears('5YJ3E1EA7KF000000'), [2019]);
+  assert.deepEqual(modelYears('JH4KA7561PC000000', { maxYear: 2026 }), [2023, 1993]);
+  assert.equal(decodeVin('JH4KA7561PC000000', { typedYear: 1993 }).model_year, 1993);
+
+  const d = decodeVin(ACCORD);
+  assert.equal(d.manufacturer, 'Honda');
+  assert.equal(d.region, 'United States');
+});
+
+test('decodeVehicle fills blanks and flags a typed year or make the VIN disagrees with', () => {
+  const filled = decodeVehicle({ model:'Accord', vin: ACCORD });
+  assert.equal(filled.year, 2003);
+  assert.equal(filled.make, 'Honda');
+  assert.equal(filled.vin_mismatch, undefined);
+
+  const off = decodeVehicle({ year:2005, make:'Toyota', model:'Accord', vin: ACCORD });
+  assert.equal(off.year, 2005);
+  assert.deepEqual(off.vin_mismatch, ['year', 'make']);
+  assert.equal(off.vin_decoded.model_year, 2003);
+
+  assert.equal(decodeVehicle({ year:2003, make:'honda', vin: ACCORD }).vin_mismatch, undefined);
+  assert.deepEqual(decodeVehicle({ make:'Ford' }), { make:'Ford' });
+});
+
+test('checkout vehicles keep a bad VIN as typed; intake ones throw', () => {
+  assert.deepEqual(decodeVehicle({ vin:'abc-123' }, { strict:false }), { vin:'ABC123', vin_error:'invalid_format' });
+  assert.throws(() => decodeVehicle({ vin:'abc' }), /VIN must be 17 characters/);
+});
+
+test('makeMatches understands common aliases', () => {
+  assert.ok(makeMatches('Chevy', ['Chevrolet']));
+  assert.ok(makeMatches('Mercedes', ['Mercedes-Benz']));
+  assert.ok(!makeMatches('Ford', ['Honda', 'Acura']));
+});
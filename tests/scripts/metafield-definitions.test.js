@@ -0,0 +1,55 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, seedClient } from '../helpers.js';
+import { setMetafields, NS } from '../../lib/retainer/index.js';
+import { syncMetafieldDefinitions } from '../../scripts/metafield-definitions.js';
+
+const quiet = () => {};
+const oldList = { namespace: NS, key:'vehicles_list', type:'single_line_text_field', value:'2005 Honda Accord | 2012 Ford Focus' };
+
+let ctx, client;
+beforeEach(async () => {
+  ctx = fresh();
+  // One client still holding the old " | "-joined vehicles line, on the
+  // customer and on one of 21 orders (two pages of them).
+  client = await seedClient(ctx);
+  for (let i = 1; i <= 21; i++) ctx.shop.addOrder({ id:`gid://shopify/Order/${i}`, customerId: client.id });
+  await setMetafields([{ ownerId: client.id, ...oldList }, { ownerId:'gid://shopify/Order/21', ...oldList }]);
+});
+
+const vehicles = id => ctx.shop.metafieldsOf(id).vehicles_list;
+
+test('a dry run lists the changes and writes nothing', async () => {
+  const out = await syncMetafieldDefinitions({ log: quiet });
+  assert.equal(out.apply, false);
+  assert.ok(out.definitions.create > 0);
+  assert.equal(out.values.migrated, 2);
+  assert.equal(ctx.shop.state.definitions.size, 0);
+  assert.equal(vehicles(client.id).value, oldList.value);
+});
+
+test('--apply creates the definitions and rewrites old values as JSON lists', async () => {
+  const out = await syncMetafieldDefinitions({ apply:true, log: quiet });
+  assert.equal(out.definitions.errors, 0);
+  assert.equal(out.values.migrated, 2);
+  for (const id of [client.id, 'gid://shopify/Order/21']) {
+    assert.equal(vehicles(id).type, 'list.single_line_text_field');
+    assert.deepEqual(JSON.parse(vehicles(id).value), ['2005 Honda Accord', '2012 Ford Focus']);
+  }
+  const again = await syncMetafieldDefinitions({ log: quiet });
+  assert.equal(again.definitions.create, 0);
+  assert.equal(again.values.migrated, 0);
+});
+
+test('pages customers and their orders reading only the manifest keys', async () => {
+  await syncMetafieldDefinitions({ log: quiet });
+  const [customers] = ctx.shop.callsTo('customers');
+  assert.equal(customers.variables.first, 20);
+  assert.ok(customers.variables.keys.includes(`${NS}.vehicles_list`));
+  assert.equal(customers.variables.keyCount, customers.variables.keys.length);
+  const orders = ctx.shop.callsTo('customer');
+  assert.equal(orders.length, 2);
+  assert.deepEqual(orders.map(c => c.variables.after), [null, '20']);
+  assert.ok(orders[0].variables.keys.includes(`${NS}.signed_name`));
+  assert.ok(!orders[0].variables.keys.includes(`${NS}.retainer_status`));
+});
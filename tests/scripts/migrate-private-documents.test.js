@@ -0,0 +1,50 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, seedClient, pngBytes } from '../helpers.js';
+import { setMetafields, NS } from '../../lib/retainer/index.js';
+import { migratePrivateDocuments } from '../../scripts/migrate-private-documents.js';
+
+const quiet = () => {};
+const FILE = 'gid://shopify/MediaImage/900';
+
+let ctx, client;
+beforeEach(async () => {
+  ctx = fresh();
+  // An older intake's signature: a public Shopify file stored as {"file_id": GID} JSON.
+  client = await seedClient(ctx, { record:false });
+  ctx.shop.state.files.set(FILE, { id:FILE, __typename:'MediaImage', alt:'', bytes: await pngBytes(), mimeType:'image/png',
+    url:'https://cdn.fake-shopify.local/files/900' });
+  await setMetafields([{ ownerId: client.id, namespace: NS, key:'signature', type:'json', value: JSON.stringify({ file_id: FILE }) }]);
+});
+
+test('a dry run lists {"file_id"} values and writes nothing', async () => {
+  const out = await migratePrivateDocuments({ log: quiet });
+  assert.equal(out.shopify_files, 1);
+  assert.ok(ctx.shop.metafieldsOf(client.id).signature);
+  assert.ok(ctx.shop.state.files.has(FILE));
+});
+
+test('--apply moves a {"file_id"} signature into private storage', async () => {
+  const out = await migratePrivateDocuments({ apply:true, log: quiet });
+  assert.equal(out.shopify_files, 1);
+  const mfs = ctx.shop.metafieldsOf(client.id);
+  assert.equal(mfs.signature, undefined);
+  const doc = JSON.parse(mfs.documents.value).signature;
+  assert.ok(ctx.db.buckets.get('retainer-documents').has(doc.path));
+  assert.ok(!ctx.shop.state.files.has(FILE));
+  assert.equal((await migratePrivateDocuments({ log: quiet })).shopify_files, 0);
+});
+
+test('pages customers and their orders reading only the document keys', async () => {
+  ctx.shop.addOrder({ id:'gid://shopify/Order/1', customerId: client.id });
+  await migratePrivateDocuments({ log: quiet });
+  const [customers] = ctx.shop.callsTo('customers');
+  const [orders] = ctx.shop.callsTo('customer');
+  for (const call of [customers, orders]) {
+    assert.equal(call.variables.first, 25);
+    assert.ok(call.variables.keys.includes(`${NS}.signature`));
+    assert.ok(!call.variables.keys.includes(`${NS}.insurer`));
+    assert.equal(call.variables.keyCount, call.variables.keys.length);
+  }
+  assert.equal(orders.variables.id, client.id);
+});
@@ -0,0 +1,47 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { fresh, seedClient } from '../helpers.js';
+import { setMetafields, NS } from '../../lib/retainer/index.js';
+import { reconcile } from '../../scripts/reconcile.js';
+
+const quiet = () => {};
+
+let ctx;
+beforeEach(async () => {
+  ctx = fresh();
+  // Both clients match except for the first one's insurer, set only in Shopify.
+  const c = await seedClient(ctx);
+  await seedClient(ctx, { email:'synced@example.com' });
+  await setMetafields([{ ownerId: c.id, namespace: NS, key:'insurer', type:'single_line_text_field', value:'Geico' }]);
+});
+
+test('a dry run reports drift and writes nothing', async () => {
+  const out = await reconcile({ log: quiet });
+  assert.equal(out.customers, 2);
+  assert.equal(out.drifted, 1);
+  assert.equal(out.fixed, 0);
+  assert.deepEqual(out.results[0].drift.map(d => [d.field, d.action]), [['insurer', 'to_supabase']]);
+  assert.equal(ctx.db.rows('retainer_records')[0].insurer, undefined);
+});
+
+test('--apply fixes drift using the field\'s source of truth', async () => {
+  const out = await reconcile({ apply:true, log: quiet });
+  assert.equal(out.fixed, 1);
+  assert.equal(ctx.db.rows('retainer_records').find(r => r.email === 'client@example.com').insurer, 'Geico');
+  assert.equal((await reconcile({ log: quiet })).drifted, 0);
+});
+
+test('pages customers reading only the compared metafields', async () => {
+  await reconcile({ log: quiet });
+  const [call] = ctx.shop.callsTo('customers');
+  assert.equal(call.variables.first, 25);
+  assert.ok(call.variables.keys.includes(`${NS}.insurer`));
+  assert.ok(!call.variables.keys.includes(`${NS}.current_retainer_plan`));
+  assert.equal(call.variables.keyCount, call.variables.keys.length);
+});
+
+test('records without a Shopify customer are listed as orphans', async () => {
+  ctx.db.rows('retainer_records').push({ email:'gone@example.com', shopify_customer_id:'gid://shopify/Customer/999' });
+  const out = await reconcile({ log: quiet });
+  assert.deepEqual(out.orphans, ['gone@example.com']);
+});